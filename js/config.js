@@ -4,6 +4,23 @@
  */
 
 const CONFIG = {
+  APP_NAME: 'DB General Construction',
+
+  // Letterhead details for generated documents
+  COMPANY: {
+    NAME: 'DB General Construction PLC',
+    ADDRESS: 'Addis Ababa, Ethiopia',
+    PHONE: '+251-9115-9012',
+    EMAIL: 'support@construct.com',
+    WEBSITE: 'dbgeneralconstruction.com.et'
+  },
+
+  // Generated PDF documents
+  DOCUMENTS: {
+    ESTIMATE_VALIDITY_DAYS: 30,
+    QUOTE_VALIDITY_DAYS: 30
+  },
+
   // API Configuration
   API: {
     // Production API URL (Your Domain)
@@ -28,6 +45,7 @@ const CONFIG = {
   STORAGE_KEYS: {
     AUTH_TOKEN: 'db_auth_token',
     USER_DATA: 'db_user_data',
+    DASHBOARD_USER: 'currentUser', // user the project dashboard (ProjectTracker) works as
     USERS: 'db_users',
     ESTIMATES: 'db_cost_estimates',
     CHAT_HISTORY: 'db_chat_history',
@@ -37,20 +55,59 @@ const CONFIG = {
     AUDIT_LOG: 'db_audit_log',
     REMEMBER_ME: 'db_remember_me',
     QUOTE_REQUESTS: 'db_quote_requests',
-    RESOURCES: 'db_resources'
+    RESOURCES: 'db_resources',
+    AUTH_SECRET: 'db_auth_secret',
+    MFA: 'db_mfa',
+    LOGIN_ATTEMPTS: 'db_login_attempts',
+    ADMIN_SETTINGS: 'db_admin_settings',
+    ACCOUNT_TOKENS: 'db_account_tokens',
+    EMAIL_OUTBOX: 'db_email_outbox',
+    SESSION_EVENT: 'db_session_event',
+    SESSION_REVOCATIONS: 'db_session_revocations',
+    RATE_LIBRARY: 'db_rate_library',
+    ESTIMATE_SCENARIOS: 'db_estimate_scenarios',
+    LENDERS: 'db_lenders',
+    EQUIPMENT_UNITS: 'db_equipment_units',
+    EQUIPMENT_BOOKINGS: 'db_equipment_bookings',
+    MATERIAL_PRICES: 'db_material_prices',
+    EXCHANGE_RATES: 'db_exchange_rates',
+    DISPLAY_PREFERENCES: 'db_display_preferences'
   },
 
-  // Default Admin Credentials
+  // Default Admin Account (seeded into db_users with a hashed password)
   ADMIN: {
     USERNAME: 'admin',
-    PASSWORD: 'admin12345',
     EMAIL: 'admin@dbgeneralconstruction.com.et'
   },
 
   // Session Configuration
   SESSION: {
     TIMEOUT: 30 * 60 * 1000, // 30 minutes in milliseconds
-    WARNING_TIME: 5 * 60 * 1000 // 5 minutes before timeout
+    WARNING_TIME: 5 * 60 * 1000, // 5 minutes before timeout
+    REFRESH_THRESHOLD: 10 * 60 * 1000, // re-sign tokens this close to expiry
+    ACTIVITY_SYNC_INTERVAL: 30 * 1000 // share activity with other tabs at most this often
+  },
+
+  // Password Hashing (PBKDF2-SHA256)
+  PASSWORD: {
+    HASH_ITERATIONS: 100000,
+    SALT_BYTES: 16
+  },
+
+  // Login Security (attempt limit and 2FA switch come from admin settings)
+  SECURITY: {
+    MAX_LOGIN_ATTEMPTS: 5,                 // used until admin settings are saved
+    LOCKOUT_DURATION: 15 * 60 * 1000,      // 15 minutes
+    MFA_CHALLENGE_TIMEOUT: 5 * 60 * 1000,  // time allowed to enter the 2FA code
+    RECOVERY_CODE_COUNT: 8
+  },
+
+  // Account Invitations & Password Reset
+  ACCOUNTS: {
+    INVITE_EXPIRY: 7 * 24 * 60 * 60 * 1000,  // 7 days
+    RESET_EXPIRY: 60 * 60 * 1000,            // 1 hour
+    INVITE_PAGE: 'accept-invite.html',
+    RESET_PAGE: 'reset-password.html'
   },
 
   // File Upload Configuration
@@ -70,13 +127,128 @@ const CONFIG = {
       INDUSTRIAL: 'industrial',
       RENOVATION: 'renovation'
     },
+    // ETB per square meter in the first rate table version;
+    // later rates are managed as versions in the admin dashboard (RateLibrary)
     BASE_RATES: {
-      residential: { min: 5000, max: 8000 }, // per square meter
-      commercial: { min: 7000, max: 12000 },
-      industrial: { min: 6000, max: 10000 },
-      renovation: { min: 3000, max: 6000 }
+      residential: 8000,
+      commercial: 12000,
+      industrial: 10000,
+      renovation: 6000
+    },
+    CONTINGENCY_RATE: 0.15, // 15% contingency
+    PAGE: 'cost-calculator.html' // saved estimates reopen here with ?estimate=<id>
+  },
+
+  // Financing Calculator Configuration
+  FINANCING: {
+    // Default lenders; admins can change rates (stored under STORAGE_KEYS.LENDERS)
+    LENDERS: [
+      { id: 'cbe', name: 'Commercial Bank of Ethiopia', annualRate: 0.12, maxTermYears: 20, minDownPayment: 20, gracePeriodMonths: 12 },
+      { id: 'dbe', name: 'Development Bank of Ethiopia', annualRate: 0.095, maxTermYears: 15, minDownPayment: 30, gracePeriodMonths: 18 },
+      { id: 'awash', name: 'Awash Bank', annualRate: 0.135, maxTermYears: 15, minDownPayment: 20, gracePeriodMonths: 6 },
+      { id: 'abyssinia', name: 'Bank of Abyssinia', annualRate: 0.13, maxTermYears: 10, minDownPayment: 25, gracePeriodMonths: 6 }
+    ],
+    DEFAULT_LENDER: 'cbe',
+    MIN_PROJECT_COST: 100000,
+    // Draw-downs released at construction milestones (month after loan start, % of the loan)
+    MILESTONES: [
+      { label: 'Site preparation & foundation', month: 0, percent: 20 },
+      { label: 'Structural framework', month: 2, percent: 30 },
+      { label: 'Roofing', month: 5, percent: 20 },
+      { label: 'Finishes & services', month: 8, percent: 20 },
+      { label: 'Handover', month: 11, percent: 10 }
+    ],
+    PAGE: 'financing.html' // estimates link here with ?amount=<total>&estimate=<id>
+  },
+
+  // Equipment Rental Configuration (day rates are in the rate tables)
+  EQUIPMENT_RENTAL: {
+    // Units of each equipment type in the initial fleet
+    FLEET: {
+      excavator: 5,
+      crane: 3,
+      mixer: 8,
+      loader: 2,
+      bulldozer: 2
     },
-    CONTINGENCY_RATE: 0.15 // 15% contingency
+    DEPOSIT_RATE: 0.3, // 30% deposit invoiced on approval
+    MAX_DAYS: 90
+  },
+
+  // Display currency, number format and size unit
+  // Prices are calculated and stored in ETB and m²; these only change how they are shown.
+  LOCALE: {
+    BASE_CURRENCY: 'ETB',
+    CURRENCIES: {
+      ETB: { name: 'Ethiopian Birr', decimals: 0 },
+      USD: { name: 'US Dollar', decimals: 0 },
+      EUR: { name: 'Euro', decimals: 0 }
+    },
+    // ETB per unit of each currency in the initial exchange-rate table;
+    // later rates are recorded by admins (LocaleUtil.setExchangeRate)
+    EXCHANGE_RATES: {
+      USD: 150,
+      EUR: 170
+    },
+    LOCALES: {
+      'en-US': 'English (US)',
+      'en-GB': 'English (UK)',
+      'de-DE': 'Deutsch',
+      'fr-FR': 'Français',
+      'am-ET': 'አማርኛ'
+    },
+    DEFAULT_LOCALE: 'en-US',
+    SIZE_UNITS: {
+      sqm: { label: 'm²', toSqm: 1 },
+      sqft: { label: 'ft²', toSqm: 0.092903 }
+    },
+    DEFAULT_SIZE_UNIT: 'sqm'
+  },
+
+  // Material Price Tracker Configuration
+  MATERIAL_PRICES: {
+    // weight: share of a project's material cost, used for the price index
+    MATERIALS: {
+      cement: { name: 'Cement', unit: 'quintal', icon: 'fa-cubes text-secondary', weight: 0.35 },
+      rebar: { name: 'Steel Rebar', unit: 'Berga', icon: 'fa-hammer text-warning', weight: 0.40 },
+      bricks: { name: 'Bricks', unit: 'piece', icon: 'fa-layer-group text-danger', weight: 0.15 },
+      paint: { name: 'Paint', unit: 'gallon', icon: 'fa-paint-roller text-info', weight: 0.10 }
+    },
+    DEFAULT_REGION: 'addis-ababa',
+    CHANGE_DAYS: 7,   // "this week" compares with the price a week earlier
+    HISTORY_DAYS: 90  // shown in trend charts
+  },
+
+  PROJECT_SCHEDULE: {
+    // A schedule baseline is captured when a project reaches one of these statuses
+    APPROVED_STATUSES: ['in-progress', 'active', 'completed'],
+    VARIANCE_TOLERANCE_DAYS: 7 // up to this many days late shows as a warning, more as behind schedule
+  },
+
+  PROJECT_BUDGET: {
+    // share: part of the project budget a cost code starts with (shares add up to 1)
+    COST_CODES: {
+      '01': { name: 'Preliminaries & Site Setup', share: 0.08 },
+      '02': { name: 'Substructure', share: 0.12 },
+      '03': { name: 'Superstructure', share: 0.30 },
+      '04': { name: 'Roofing', share: 0.08 },
+      '05': { name: 'Finishes', share: 0.20 },
+      '06': { name: 'MEP Services', share: 0.14 },
+      '07': { name: 'External Works', share: 0.03 },
+      '08': { name: 'Contingency', share: 0.05 }
+    },
+    WARNING_PERCENT: 90 // cost codes this far into their budget are flagged before they overrun
+  },
+
+  SITE_DIARY: {
+    WEATHER: ['Sunny', 'Partly cloudy', 'Overcast', 'Light rain', 'Heavy rain', 'Windy'],
+    TRADES: ['Labourers', 'Masons', 'Carpenters', 'Steel fixers', 'Electricians', 'Plumbers', 'Painters', 'Operators'],
+    DELAY_CAUSES: ['Weather', 'Materials', 'Equipment', 'Labour', 'Client', 'Permits', 'Other'],
+    INCIDENT_TYPES: ['Near miss', 'First aid', 'Injury', 'Property damage', 'Environmental'],
+    MAX_PHOTOS: 6, // per daily log
+    // Photos are stored in the browser, so they are scaled down and re-encoded as JPEG
+    PHOTO_MAX_DIMENSION: 1280, // px, longest side
+    PHOTO_QUALITY: 0.7
   },
 
   // Email Configuration (mock)
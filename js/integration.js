@@ -350,14 +350,10 @@ class Integration {
     }
 
     /**
-     * Format currency
-     */
-    formatCurrency(amount, currency = 'ETB') {
-        return new Intl.NumberFormat('en-ET', {
-            style: 'currency',
-            currency: currency,
-            minimumFractionDigits: 2
-        }).format(amount);
+     * Format an ETB amount in the user's display currency (or `currency`)
+     */
+    formatCurrency(amount, currency = null) {
+        return LocaleUtil.formatMoney(amount, currency ? { currency } : {});
     }
 
     /**
@@ -63,7 +63,7 @@ const MockData = {
             email: 'dereje.zewudu@gmail.com',
             name: 'dereje zewudu',
             username: 'derejez',
-            password: 'hashed_password_123',
+            passwordHash: 'pbkdf2-sha256$100000$KUjLfy2gcSP-PHq6H1Z4hA$CbbL16sRoQqgGrEoqgPNmCwVHCs5A4COKPt6pk4--BU',
             role: 'client',
             projectIds: ['proj-001'],
             createdAt: '2023-01-15T10:00:00Z',
@@ -75,7 +75,7 @@ const MockData = {
             email: 'admin@dbconstruction.com',
             name: 'Admin User',
             username: 'admin',
-            password: 'admin12345',
+            passwordHash: 'pbkdf2-sha256$100000$dX2oIRbVG83AjxAnQYeOEg$NukOd5JcXhMWusq7Az-TnynHM8ei9xpiS3wbSUNFmqs',
             role: 'admin',
             projectIds: [],
             createdAt: '2022-01-01T00:00:00Z',
@@ -201,6 +201,26 @@ const MockData = {
         }
     ],
 
+    // Sample Material Prices (ETB, Addis Ababa market)
+    materialPrices: [
+        { id: 'price-001', material: 'cement', region: 'addis-ababa', date: '2026-10-12', min: 1350, max: 2000, recorded_by: 'Admin', recorded_at: '2026-10-12T09:00:00Z' },
+        { id: 'price-002', material: 'rebar', region: 'addis-ababa', date: '2026-10-12', min: 1580, max: 3700, recorded_by: 'Admin', recorded_at: '2026-10-12T09:00:00Z' },
+        { id: 'price-003', material: 'bricks', region: 'addis-ababa', date: '2026-10-12', min: 6.5, max: 6.5, recorded_by: 'Admin', recorded_at: '2026-10-12T09:00:00Z' },
+        { id: 'price-004', material: 'paint', region: 'addis-ababa', date: '2026-10-12', min: 850, max: 1700, recorded_by: 'Admin', recorded_at: '2026-10-12T09:00:00Z' }
+    ],
+
+    // Rental fleet (matches CONFIG.EQUIPMENT_RENTAL.FLEET)
+    equipmentUnits: [
+        ...['EXC-01', 'EXC-02', 'EXC-03', 'EXC-04', 'EXC-05'].map(id => ({ id, type: 'excavator', status: 'active' })),
+        ...['CRA-01', 'CRA-02', 'CRA-03'].map(id => ({ id, type: 'crane', status: 'active' })),
+        ...['MIX-01', 'MIX-02', 'MIX-03', 'MIX-04', 'MIX-05', 'MIX-06', 'MIX-07', 'MIX-08'].map(id => ({ id, type: 'mixer', status: 'active' })),
+        ...['LOA-01', 'LOA-02'].map(id => ({ id, type: 'loader', status: 'active' })),
+        ...['BUL-01', 'BUL-02'].map(id => ({ id, type: 'bulldozer', status: 'active' }))
+    ],
+
+    // Equipment rental bookings
+    equipmentBookings: [],
+
     // Sample Admin Actions (Audit Log)
     adminActions: [
         {
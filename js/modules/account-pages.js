@@ -0,0 +1,132 @@
+/**
+ * Account Pages
+ * Handlers for the pages behind emailed links: accept-invite.html sets the
+ * password of an invited account, reset-password.html asks for a reset link
+ * or, with a token, sets a new password.
+ *
+ * Both pages read `?token=` and check it before showing the password form, so
+ * an expired link says so straight away.
+ */
+
+const AccountPages = {
+  /**
+   * Wire the page: `data-account-page="invite"` or `"reset"` on <body>
+   */
+  async init() {
+    const page = document.body.getAttribute('data-account-page');
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (page === 'invite') {
+      await this.initPasswordForm(token, 'invite');
+    } else if (page === 'reset') {
+      if (token) {
+        await this.initPasswordForm(token, 'reset');
+      } else {
+        this.initResetRequest();
+      }
+    }
+  },
+
+  /**
+   * Show the new-password form once the link's token has been checked
+   * @param {string} token - Token from the link
+   * @param {string} type - 'invite' or 'reset'
+   */
+  async initPasswordForm(token, type) {
+    const form = document.getElementById('passwordForm');
+    if (!form) {
+      return;
+    }
+
+    const record = await AccountUtil.findToken(token, type);
+    if (!record) {
+      this.showMessage(type === 'invite'
+        ? 'This invitation link is invalid or has expired. Ask an administrator to invite you again.'
+        : 'This reset link is invalid or has expired. Request a new one below.', 'danger');
+      if (type === 'reset') {
+        this.initResetRequest();
+      }
+      return;
+    }
+
+    form.hidden = false;
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = form.querySelector('[name="password"]').value;
+      const confirmation = form.querySelector('[name="confirmPassword"]').value;
+
+      if (password !== confirmation) {
+        this.showMessage('Passwords do not match', 'danger');
+        return;
+      }
+
+      const button = form.querySelector('[type="submit"]');
+      button.disabled = true;
+      const result = type === 'invite'
+        ? await AccountUtil.acceptInvitation(token, password)
+        : await AccountUtil.resetPassword(token, password);
+      button.disabled = false;
+
+      this.showMessage(result.message, result.success ? 'success' : 'danger');
+      if (result.success) {
+        form.hidden = true;
+        this.showSignInLink();
+      }
+    });
+  },
+
+  /**
+   * Show the "email me a reset link" form
+   */
+  initResetRequest() {
+    const form = document.getElementById('resetRequestForm');
+    if (!form) {
+      return;
+    }
+
+    form.hidden = false;
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = form.querySelector('[name="email"]').value.trim();
+      if (!AccountUtil.isValidEmail(email)) {
+        this.showMessage('Please enter a valid email address', 'danger');
+        return;
+      }
+
+      const result = await AccountUtil.requestPasswordReset(email);
+      form.hidden = true;
+      this.showMessage(result.message, 'success');
+    });
+  },
+
+  showMessage(text, type) {
+    const message = document.getElementById('accountMessage');
+    if (message) {
+      message.className = `alert alert-${type}`;
+      message.textContent = text;
+    }
+  },
+
+  showSignInLink() {
+    const link = document.getElementById('signInLink');
+    if (link) {
+      link.hidden = false;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountPages;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.AccountPages = AccountPages;
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    AccountPages.init();
+  });
+}
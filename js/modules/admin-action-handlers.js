@@ -170,6 +170,114 @@ function findActionButton(id, action) {
     return null;
 }
 
+// ============================================
+// PERMISSIONS
+// ============================================
+
+// Record type behind each handler suffix: [resource, AdminCRUD getter]
+const HANDLER_RESOURCES = {
+    Project: ['projects', 'getProject'],
+    Client: ['clients', 'getClient'],
+    TeamMember: ['team', 'getTeamMember'],
+    Inquiry: ['inquiries', 'getInquiry'],
+    BlogPost: ['blog', 'getBlogPost'],
+    Testimonial: ['testimonials', 'getTestimonial'],
+    Service: ['services', 'getService'],
+    Invoice: ['invoices', 'getInvoice'],
+    ScheduleEvent: ['schedule', 'getScheduleEvent']
+};
+
+// Capability action behind each handler prefix
+const HANDLER_ACTIONS = {
+    view: 'view',
+    edit: 'update',
+    delete: 'delete',
+    respond: 'respond'
+};
+
+/**
+ * Check whether the current user may run a handler on a record
+ * @param {string} handlerName - e.g. 'editProject'
+ * @param {number} id - Item ID
+ * @returns {boolean} - True if allowed (or if PermissionUtil is not loaded)
+ */
+function hasPermission(handlerName, id) {
+    if (typeof PermissionUtil === 'undefined') {
+        return true;
+    }
+
+    const match = handlerName.match(/^(view|edit|delete|respond)(\w+)$/);
+    if (!match || !HANDLER_RESOURCES[match[2]]) {
+        return true;
+    }
+
+    const [resource, getter] = HANDLER_RESOURCES[match[2]];
+    const record = id !== undefined && id !== null ? AdminCRUD[getter](id) : null;
+    return PermissionUtil.can(`${resource}:${HANDLER_ACTIONS[match[1]]}`, record);
+}
+
+/**
+ * Check permission before running a handler and tell the user when denied
+ * @param {string} handlerName - e.g. 'deleteInvoice'
+ * @param {number} id - Item ID
+ * @returns {boolean} - True if allowed
+ */
+function checkPermission(handlerName, id) {
+    if (hasPermission(handlerName, id)) {
+        return true;
+    }
+
+    DebugLogger.log('HANDLER', `Permission denied for ${handlerName}(${id})`);
+    AdminActionButtons.showToast('You do not have permission to perform this action', 'error');
+    return false;
+}
+
+/**
+ * Throw when an AdminCRUD write came back as a permission denial
+ * @param {*} result - Value returned by AdminCRUD
+ * @returns {*} - The result, when the write went through
+ */
+function assertSaved(result) {
+    if (result && result.success === false) {
+        throw new Error(result.message);
+    }
+    return result;
+}
+
+/**
+ * Hide action buttons the current user cannot use
+ * Recognises onclick="editProject(5)" and data-action/data-type/data-id buttons,
+ * plus any element with a data-permission attribute.
+ * @param {HTMLElement} root - Container to scan
+ */
+function applyActionButtonPermissions(root = document) {
+    if (typeof PermissionUtil === 'undefined') {
+        return;
+    }
+
+    root.querySelectorAll('button[onclick], [data-action][data-type]').forEach(button => {
+        let handlerName = null;
+        let id = null;
+
+        const onclick = button.getAttribute('onclick');
+        const match = onclick && onclick.match(/^\s*((?:view|edit|delete|respond)\w+)\((\d+)\)/);
+        if (match) {
+            handlerName = match[1];
+            id = parseInt(match[2]);
+        } else if (button.getAttribute('data-action')) {
+            const type = button.getAttribute('data-type');
+            handlerName = button.getAttribute('data-action') + type.charAt(0).toUpperCase() + type.slice(1);
+            id = parseInt(button.getAttribute('data-id')) || null;
+        }
+
+        if (handlerName) {
+            button.classList.toggle('d-none', !hasPermission(handlerName, id));
+        }
+    });
+
+    PermissionUtil.applyToDOM(root);
+}
+
 // ============================================
 // MODAL FORM FALLBACK MECHANISM
 // Requirements: 9.1, 9.2, 9.3, 9.4, 9.5
@@ -370,6 +478,10 @@ function viewProject(id) {
             throw new Error('Invalid project ID provided');
         }
 
+        if (!checkPermission('viewProject', id)) {
+            return;
+        }
+
         DebugLogger.log('HANDLER', `Fetching project data for ID: ${id}`);
         const project = AdminCRUD.getProject(id);
         
@@ -387,14 +499,14 @@ function viewProject(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-project-diagram me-2"></i>View Project: ${project.name}`,
             content,
-            [
+            hasPermission('editProject', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editProject(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewProject] Successfully displayed project: ${project.name}`);
@@ -420,6 +532,10 @@ function editProject(id) {
             throw new Error('Invalid project ID provided');
         }
 
+        if (!checkPermission('editProject', id)) {
+            return;
+        }
+
         DebugLogger.log('HANDLER', `Checking for modal form function: openEditProjectModal`);
         
         // Use modal form or fallback to prompt-based editing
@@ -446,7 +562,7 @@ function editProject(id) {
             
             if (name !== null) {
                 DebugLogger.log('HANDLER', `Updating project with new name`, { id, newName: name });
-                AdminCRUD.updateProject(id, { name });
+                assertSaved(AdminCRUD.updateProject(id, { name }));
                 AdminActionButtons.showToast('Project updated successfully!');
                 if (typeof loadProjects === 'function') loadProjects();
                 console.log(`[editProject] Successfully updated project ID: ${id} using fallback`);
@@ -477,6 +593,10 @@ function deleteProject(id) {
             throw new Error('Invalid project ID provided');
         }
 
+        if (!checkPermission('deleteProject', id)) {
+            return;
+        }
+
         DebugLogger.log('HANDLER', `Showing confirmation dialog for project deletion`, { id });
         
         AdminActionButtons.confirmAction(
@@ -484,7 +604,7 @@ function deleteProject(id) {
             () => {
                 try {
                     DebugLogger.log('HANDLER', `User confirmed deletion of project ID: ${id}`);
-                    AdminCRUD.deleteProject(id);
+                    assertSaved(AdminCRUD.deleteProject(id));
                     AdminActionButtons.showToast('Project deleted successfully!');
                     if (typeof loadProjects === 'function') loadProjects();
                     console.log(`[deleteProject] Successfully deleted project ID: ${id}`);
@@ -517,6 +637,10 @@ function viewClient(id) {
             throw new Error('Invalid client ID provided');
         }
 
+        if (!checkPermission('viewClient', id)) {
+            return;
+        }
+
         const client = AdminCRUD.getClient(id);
         if (!client) {
             AdminActionButtons.showToast('Client not found', 'error');
@@ -528,14 +652,14 @@ function viewClient(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-user me-2"></i>View Client: ${client.name}`,
             content,
-            [
+            hasPermission('editClient', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editClient(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewClient] Successfully displayed client: ${client.name}`);
@@ -553,6 +677,10 @@ function editClient(id) {
             throw new Error('Invalid client ID provided');
         }
 
+        if (!checkPermission('editClient', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditClientModal', id, () => {
             // Fallback handler
@@ -571,7 +699,7 @@ function editClient(id) {
             );
             
             if (name !== null) {
-                AdminCRUD.updateClient(id, { name });
+                assertSaved(AdminCRUD.updateClient(id, { name }));
                 AdminActionButtons.showToast('Client updated successfully!');
                 if (typeof loadClients === 'function') loadClients();
                 console.log(`[editClient] Successfully updated client ID: ${id} using fallback`);
@@ -591,11 +719,15 @@ function deleteClient(id) {
             throw new Error('Invalid client ID provided');
         }
 
+        if (!checkPermission('deleteClient', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this client?',
             () => {
                 try {
-                    AdminCRUD.deleteClient(id);
+                    assertSaved(AdminCRUD.deleteClient(id));
                     AdminActionButtons.showToast('Client deleted successfully!');
                     if (typeof loadClients === 'function') loadClients();
                     console.log(`[deleteClient] Successfully deleted client ID: ${id}`);
@@ -623,6 +755,10 @@ function viewTeamMember(id) {
             throw new Error('Invalid team member ID provided');
         }
 
+        if (!checkPermission('viewTeamMember', id)) {
+            return;
+        }
+
         const member = AdminCRUD.getTeamMember(id);
         if (!member) {
             AdminActionButtons.showToast('Team member not found', 'error');
@@ -634,14 +770,14 @@ function viewTeamMember(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-user-tie me-2"></i>View Team Member: ${member.name}`,
             content,
-            [
+            hasPermission('editTeamMember', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editTeamMember(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewTeamMember] Successfully displayed team member: ${member.name}`);
@@ -659,6 +795,10 @@ function editTeamMember(id) {
             throw new Error('Invalid team member ID provided');
         }
 
+        if (!checkPermission('editTeamMember', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditTeamMemberModal', id, () => {
             // Fallback handler
@@ -677,7 +817,7 @@ function editTeamMember(id) {
             );
             
             if (name !== null) {
-                AdminCRUD.updateTeamMember(id, { name });
+                assertSaved(AdminCRUD.updateTeamMember(id, { name }));
                 AdminActionButtons.showToast('Team member updated successfully!');
                 if (typeof loadTeamMembers === 'function') loadTeamMembers();
                 console.log(`[editTeamMember] Successfully updated team member ID: ${id} using fallback`);
@@ -697,11 +837,15 @@ function deleteTeamMember(id) {
             throw new Error('Invalid team member ID provided');
         }
 
+        if (!checkPermission('deleteTeamMember', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this team member?',
             () => {
                 try {
-                    AdminCRUD.deleteTeamMember(id);
+                    assertSaved(AdminCRUD.deleteTeamMember(id));
                     AdminActionButtons.showToast('Team member deleted successfully!');
                     if (typeof loadTeamMembers === 'function') loadTeamMembers();
                     console.log(`[deleteTeamMember] Successfully deleted team member ID: ${id}`);
@@ -729,6 +873,10 @@ function viewInquiry(id) {
             throw new Error('Invalid inquiry ID provided');
         }
 
+        if (!checkPermission('viewInquiry', id)) {
+            return;
+        }
+
         const inquiry = AdminCRUD.getInquiry(id);
         if (!inquiry) {
             AdminActionButtons.showToast('Inquiry not found', 'error');
@@ -740,14 +888,14 @@ function viewInquiry(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-envelope me-2"></i>View Inquiry: ${inquiry.subject}`,
             content,
-            [
+            hasPermission('respondInquiry', id) ? [
                 {
                     label: 'Respond',
                     class: 'btn-success',
                     icon: 'fas fa-reply',
                     onclick: `respondInquiry(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewInquiry] Successfully displayed inquiry: ${inquiry.subject}`);
@@ -765,6 +913,10 @@ function respondInquiry(id) {
             throw new Error('Invalid inquiry ID provided');
         }
 
+        if (!checkPermission('respondInquiry', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openRespondInquiryModal', id, () => {
             // Fallback handler
@@ -783,7 +935,7 @@ function respondInquiry(id) {
             );
             
             if (response !== null) {
-                AdminCRUD.updateInquiry(id, { status: 'Responded', response });
+                assertSaved(AdminCRUD.updateInquiry(id, { status: 'Responded', response }));
                 AdminActionButtons.showToast('Response sent successfully!');
                 if (typeof loadInquiries === 'function') loadInquiries();
                 console.log(`[respondInquiry] Successfully responded to inquiry ID: ${id} using fallback`);
@@ -803,11 +955,15 @@ function deleteInquiry(id) {
             throw new Error('Invalid inquiry ID provided');
         }
 
+        if (!checkPermission('deleteInquiry', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this inquiry?',
             () => {
                 try {
-                    AdminCRUD.deleteInquiry(id);
+                    assertSaved(AdminCRUD.deleteInquiry(id));
                     AdminActionButtons.showToast('Inquiry deleted successfully!');
                     if (typeof loadInquiries === 'function') loadInquiries();
                     console.log(`[deleteInquiry] Successfully deleted inquiry ID: ${id}`);
@@ -835,6 +991,10 @@ function viewBlogPost(id) {
             throw new Error('Invalid blog post ID provided');
         }
 
+        if (!checkPermission('viewBlogPost', id)) {
+            return;
+        }
+
         const post = AdminCRUD.getBlogPost(id);
         if (!post) {
             AdminActionButtons.showToast('Blog post not found', 'error');
@@ -846,14 +1006,14 @@ function viewBlogPost(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-blog me-2"></i>View Blog Post: ${post.title}`,
             content,
-            [
+            hasPermission('editBlogPost', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editBlogPost(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewBlogPost] Successfully displayed blog post: ${post.title}`);
@@ -871,6 +1031,10 @@ function editBlogPost(id) {
             throw new Error('Invalid blog post ID provided');
         }
 
+        if (!checkPermission('editBlogPost', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditBlogPostModal', id, () => {
             // Fallback handler
@@ -889,7 +1053,7 @@ function editBlogPost(id) {
             );
             
             if (title !== null) {
-                AdminCRUD.updateBlogPost(id, { title });
+                assertSaved(AdminCRUD.updateBlogPost(id, { title }));
                 AdminActionButtons.showToast('Blog post updated successfully!');
                 if (typeof loadBlogPosts === 'function') loadBlogPosts();
                 console.log(`[editBlogPost] Successfully updated blog post ID: ${id} using fallback`);
@@ -909,11 +1073,15 @@ function deleteBlogPost(id) {
             throw new Error('Invalid blog post ID provided');
         }
 
+        if (!checkPermission('deleteBlogPost', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this blog post?',
             () => {
                 try {
-                    AdminCRUD.deleteBlogPost(id);
+                    assertSaved(AdminCRUD.deleteBlogPost(id));
                     AdminActionButtons.showToast('Blog post deleted successfully!');
                     if (typeof loadBlogPosts === 'function') loadBlogPosts();
                     console.log(`[deleteBlogPost] Successfully deleted blog post ID: ${id}`);
@@ -941,6 +1109,10 @@ function viewTestimonial(id) {
             throw new Error('Invalid testimonial ID provided');
         }
 
+        if (!checkPermission('viewTestimonial', id)) {
+            return;
+        }
+
         const testimonial = AdminCRUD.getTestimonial(id);
         if (!testimonial) {
             AdminActionButtons.showToast('Testimonial not found', 'error');
@@ -952,14 +1124,14 @@ function viewTestimonial(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-quote-left me-2"></i>View Testimonial`,
             content,
-            [
+            hasPermission('editTestimonial', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editTestimonial(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewTestimonial] Successfully displayed testimonial ID: ${id}`);
@@ -977,6 +1149,10 @@ function editTestimonial(id) {
             throw new Error('Invalid testimonial ID provided');
         }
 
+        if (!checkPermission('editTestimonial', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditTestimonialModal', id, () => {
             // Fallback handler
@@ -995,7 +1171,7 @@ function editTestimonial(id) {
             );
             
             if (clientName !== null) {
-                AdminCRUD.updateTestimonial(id, { clientName });
+                assertSaved(AdminCRUD.updateTestimonial(id, { clientName }));
                 AdminActionButtons.showToast('Testimonial updated successfully!');
                 if (typeof loadTestimonials === 'function') loadTestimonials();
                 console.log(`[editTestimonial] Successfully updated testimonial ID: ${id} using fallback`);
@@ -1015,11 +1191,15 @@ function deleteTestimonial(id) {
             throw new Error('Invalid testimonial ID provided');
         }
 
+        if (!checkPermission('deleteTestimonial', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this testimonial?',
             () => {
                 try {
-                    AdminCRUD.deleteTestimonial(id);
+                    assertSaved(AdminCRUD.deleteTestimonial(id));
                     AdminActionButtons.showToast('Testimonial deleted successfully!');
                     if (typeof loadTestimonials === 'function') loadTestimonials();
                     console.log(`[deleteTestimonial] Successfully deleted testimonial ID: ${id}`);
@@ -1047,6 +1227,10 @@ function viewService(id) {
             throw new Error('Invalid service ID provided');
         }
 
+        if (!checkPermission('viewService', id)) {
+            return;
+        }
+
         const service = AdminCRUD.getService(id);
         if (!service) {
             AdminActionButtons.showToast('Service not found', 'error');
@@ -1058,14 +1242,14 @@ function viewService(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-wrench me-2"></i>View Service: ${service.serviceName}`,
             content,
-            [
+            hasPermission('editService', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editService(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewService] Successfully displayed service: ${service.serviceName}`);
@@ -1083,6 +1267,10 @@ function editService(id) {
             throw new Error('Invalid service ID provided');
         }
 
+        if (!checkPermission('editService', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditServiceModal', id, () => {
             // Fallback handler
@@ -1101,7 +1289,7 @@ function editService(id) {
             );
             
             if (serviceName !== null) {
-                AdminCRUD.updateService(id, { serviceName });
+                assertSaved(AdminCRUD.updateService(id, { serviceName }));
                 AdminActionButtons.showToast('Service updated successfully!');
                 if (typeof loadServices === 'function') loadServices();
                 console.log(`[editService] Successfully updated service ID: ${id} using fallback`);
@@ -1121,11 +1309,15 @@ function deleteService(id) {
             throw new Error('Invalid service ID provided');
         }
 
+        if (!checkPermission('deleteService', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this service?',
             () => {
                 try {
-                    AdminCRUD.deleteService(id);
+                    assertSaved(AdminCRUD.deleteService(id));
                     AdminActionButtons.showToast('Service deleted successfully!');
                     if (typeof loadServices === 'function') loadServices();
                     console.log(`[deleteService] Successfully deleted service ID: ${id}`);
@@ -1153,6 +1345,10 @@ function viewInvoice(id) {
             throw new Error('Invalid invoice ID provided');
         }
 
+        if (!checkPermission('viewInvoice', id)) {
+            return;
+        }
+
         const invoice = AdminCRUD.getInvoice(id);
         if (!invoice) {
             AdminActionButtons.showToast('Invoice not found', 'error');
@@ -1164,14 +1360,14 @@ function viewInvoice(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-file-invoice-dollar me-2"></i>View Invoice #${id}`,
             content,
-            [
+            hasPermission('editInvoice', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editInvoice(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewInvoice] Successfully displayed invoice ID: ${id}`);
@@ -1189,6 +1385,10 @@ function editInvoice(id) {
             throw new Error('Invalid invoice ID provided');
         }
 
+        if (!checkPermission('editInvoice', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditInvoiceModal', id, () => {
             // Fallback handler
@@ -1207,7 +1407,7 @@ function editInvoice(id) {
             );
             
             if (amount !== null) {
-                AdminCRUD.updateInvoice(id, { amount });
+                assertSaved(AdminCRUD.updateInvoice(id, { amount }));
                 AdminActionButtons.showToast('Invoice updated successfully!');
                 if (typeof loadInvoices === 'function') loadInvoices();
                 console.log(`[editInvoice] Successfully updated invoice ID: ${id} using fallback`);
@@ -1227,11 +1427,15 @@ function deleteInvoice(id) {
             throw new Error('Invalid invoice ID provided');
         }
 
+        if (!checkPermission('deleteInvoice', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this invoice?',
             () => {
                 try {
-                    AdminCRUD.deleteInvoice(id);
+                    assertSaved(AdminCRUD.deleteInvoice(id));
                     AdminActionButtons.showToast('Invoice deleted successfully!');
                     if (typeof loadInvoices === 'function') loadInvoices();
                     console.log(`[deleteInvoice] Successfully deleted invoice ID: ${id}`);
@@ -1259,6 +1463,10 @@ function viewScheduleEvent(id) {
             throw new Error('Invalid schedule event ID provided');
         }
 
+        if (!checkPermission('viewScheduleEvent', id)) {
+            return;
+        }
+
         const event = AdminCRUD.getScheduleEvent(id);
         if (!event) {
             AdminActionButtons.showToast('Event not found', 'error');
@@ -1270,14 +1478,14 @@ function viewScheduleEvent(id) {
         AdminActionButtons.showModal(
             `<i class="fas fa-calendar-alt me-2"></i>View Event: ${event.title}`,
             content,
-            [
+            hasPermission('editScheduleEvent', id) ? [
                 {
                     label: 'Edit',
                     class: 'btn-warning',
                     icon: 'fas fa-edit',
                     onclick: `editScheduleEvent(${id}); document.getElementById('dynamicActionModal').querySelector('[data-bs-dismiss]').click();`
                 }
-            ]
+            ] : []
         );
         
         console.log(`[viewScheduleEvent] Successfully displayed schedule event: ${event.title}`);
@@ -1295,6 +1503,10 @@ function editScheduleEvent(id) {
             throw new Error('Invalid schedule event ID provided');
         }
 
+        if (!checkPermission('editScheduleEvent', id)) {
+            return;
+        }
+
         // Use modal form or fallback to prompt-based editing
         useModalOrFallback('openEditScheduleEventModal', id, () => {
             // Fallback handler
@@ -1313,7 +1525,7 @@ function editScheduleEvent(id) {
             );
             
             if (title !== null) {
-                AdminCRUD.updateScheduleEvent(id, { title });
+                assertSaved(AdminCRUD.updateScheduleEvent(id, { title }));
                 AdminActionButtons.showToast('Event updated successfully!');
                 if (typeof loadSchedule === 'function') loadSchedule();
                 console.log(`[editScheduleEvent] Successfully updated schedule event ID: ${id} using fallback`);
@@ -1333,11 +1545,15 @@ function deleteScheduleEvent(id) {
             throw new Error('Invalid schedule event ID provided');
         }
 
+        if (!checkPermission('deleteScheduleEvent', id)) {
+            return;
+        }
+
         AdminActionButtons.confirmAction(
             'Are you sure you want to delete this event?',
             () => {
                 try {
-                    AdminCRUD.deleteScheduleEvent(id);
+                    assertSaved(AdminCRUD.deleteScheduleEvent(id));
                     AdminActionButtons.showToast('Event deleted successfully!');
                     if (typeof loadSchedule === 'function') loadSchedule();
                     console.log(`[deleteScheduleEvent] Successfully deleted schedule event ID: ${id}`);
@@ -1405,7 +1621,11 @@ window.AdminActionHandlers = {
     // Schedule
     viewScheduleEvent,
     editScheduleEvent,
-    deleteScheduleEvent
+    deleteScheduleEvent,
+    
+    // Permissions
+    hasPermission,
+    applyActionButtonPermissions
 };
 
 DebugLogger.log('REGISTRATION', 'AdminActionHandlers namespace created with all handlers');
@@ -1486,3 +1706,21 @@ DebugLogger.logInit('AdminActionHandlers', failureCount === 0, {
     failureCount,
     timestamp: new Date().toISOString()
 });
+
+// Hide unauthorized action buttons, including in tables rendered later
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        applyActionButtonPermissions();
+
+        let scheduled = false;
+        const observer = new MutationObserver(() => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                applyActionButtonPermissions();
+            });
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+    });
+}
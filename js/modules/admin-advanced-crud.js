@@ -45,6 +45,8 @@ const AdminAdvancedCRUD = {
     },
 
     addDocument(docData) {
+        this.authorize('documents:create', docData);
+
         const docs = this.getDocuments();
         const newId = docs.length > 0 ? Math.max(...docs.map(d => d.id)) + 1 : 1;
         
@@ -66,6 +68,8 @@ const AdminAdvancedCRUD = {
     },
 
     updateDocument(id, updates) {
+        this.authorize('documents:update', this.getDocuments().find(d => d.id === id));
+
         const docs = this.getDocuments();
         const index = docs.findIndex(d => d.id === id);
         
@@ -79,6 +83,8 @@ const AdminAdvancedCRUD = {
     },
 
     deleteDocument(id) {
+        this.authorize('documents:delete', this.getDocuments().find(d => d.id === id));
+
         const docs = this.getDocuments();
         const filtered = docs.filter(d => d.id !== id);
         StorageUtil.set(this.STORAGE_KEYS.DOCUMENTS, filtered);
@@ -106,6 +112,8 @@ const AdminAdvancedCRUD = {
     },
 
     addTask(taskData) {
+        this.authorize('tasks:create', taskData);
+
         const tasks = this.getTasks();
         const newId = tasks.length > 0 ? Math.max(...tasks.map(t => t.id)) + 1 : 1;
         
@@ -129,6 +137,8 @@ const AdminAdvancedCRUD = {
     },
 
     updateTask(id, updates) {
+        this.authorize('tasks:update', this.getTasks().find(t => t.id === id));
+
         const tasks = this.getTasks();
         const index = tasks.findIndex(t => t.id === id);
         
@@ -145,6 +155,8 @@ const AdminAdvancedCRUD = {
     },
 
     deleteTask(id) {
+        this.authorize('tasks:delete', this.getTasks().find(t => t.id === id));
+
         const tasks = this.getTasks();
         const filtered = tasks.filter(t => t.id !== id);
         StorageUtil.set(this.STORAGE_KEYS.TASKS, filtered);
@@ -172,6 +184,8 @@ const AdminAdvancedCRUD = {
     },
 
     addNote(noteData) {
+        this.authorize('notes:create', noteData);
+
         const notes = this.getNotes();
         const newId = notes.length > 0 ? Math.max(...notes.map(n => n.id)) + 1 : 1;
         
@@ -194,6 +208,8 @@ const AdminAdvancedCRUD = {
     },
 
     updateNote(id, updates) {
+        this.authorize('notes:update', this.getNotes().find(n => n.id === id));
+
         const notes = this.getNotes();
         const index = notes.findIndex(n => n.id === id);
         
@@ -208,6 +224,8 @@ const AdminAdvancedCRUD = {
     },
 
     deleteNote(id) {
+        this.authorize('notes:delete', this.getNotes().find(n => n.id === id));
+
         const notes = this.getNotes();
         const filtered = notes.filter(n => n.id !== id);
         StorageUtil.set(this.STORAGE_KEYS.NOTES, filtered);
@@ -236,6 +254,8 @@ const AdminAdvancedCRUD = {
     },
 
     addCategory(categoryData) {
+        this.authorize('categories:create', categoryData);
+
         const categories = this.getCategories();
         const newId = categories.length > 0 ? Math.max(...categories.map(c => c.id)) + 1 : 1;
         
@@ -255,6 +275,8 @@ const AdminAdvancedCRUD = {
     },
 
     updateCategory(id, updates) {
+        this.authorize('categories:update', this.getCategories().find(c => c.id === id));
+
         const categories = this.getCategories();
         const index = categories.findIndex(c => c.id === id);
         
@@ -268,6 +290,8 @@ const AdminAdvancedCRUD = {
     },
 
     deleteCategory(id) {
+        this.authorize('categories:delete', this.getCategories().find(c => c.id === id));
+
         const categories = this.getCategories();
         const filtered = categories.filter(c => c.id !== id);
         StorageUtil.set(this.STORAGE_KEYS.CATEGORIES, filtered);
@@ -364,6 +388,8 @@ const AdminAdvancedCRUD = {
     },
 
     updateSettings(section, updates) {
+        this.authorize('settings:update');
+
         const settings = this.getSettings();
         if (settings[section]) {
             settings[section] = { ...settings[section], ...updates };
@@ -453,6 +479,16 @@ const AdminAdvancedCRUD = {
     // UTILITY FUNCTIONS
     // ============================================
 
+    /**
+     * Enforce a capability for the current user (skipped without PermissionUtil)
+     * @throws {PermissionError}
+     */
+    authorize(permission, record = null) {
+        if (typeof PermissionUtil !== 'undefined') {
+            PermissionUtil.assert(permission, record);
+        }
+    },
+
     logAction(action, targetType, targetId, details = {}) {
         if (typeof AuditLog !== 'undefined') {
             AuditLog.logAction(action, targetType, targetId, details);
@@ -512,6 +548,8 @@ const AdminAdvancedCRUD = {
 
     // Backup all data
     backupAllData() {
+        this.authorize('data:export');
+
         const backup = {
             timestamp: new Date().toISOString(),
             projects: AdminCRUD.getProjects(),
@@ -526,7 +564,8 @@ const AdminAdvancedCRUD = {
             tasks: this.getTasks(),
             notes: this.getNotes(),
             categories: this.getCategories(),
-            settings: this.getSettings()
+            settings: this.getSettings(),
+            schemaVersions: typeof AdminSchema !== 'undefined' ? AdminSchema.getAppliedVersions() : {}
         };
 
         const json = JSON.stringify(backup, null, 2);
@@ -543,6 +582,8 @@ const AdminAdvancedCRUD = {
 
     // Restore from backup
     restoreFromBackup(backupData) {
+        this.authorize('data:import');
+
         if (confirm('This will replace all current data. Are you sure?')) {
             try {
                 if (backupData.projects) StorageUtil.set(AdminCRUD.STORAGE_KEYS.PROJECTS, backupData.projects);
@@ -559,6 +600,11 @@ const AdminAdvancedCRUD = {
                 if (backupData.categories) StorageUtil.set(this.STORAGE_KEYS.CATEGORIES, backupData.categories);
                 if (backupData.settings) StorageUtil.set(this.STORAGE_KEYS.SETTINGS, backupData.settings);
 
+                // Older backups are re-migrated by AdminCRUD.init() after the reload
+                if (typeof AdminSchema !== 'undefined') {
+                    AdminSchema.resetVersions(backupData.schemaVersions || {});
+                }
+
                 alert('✅ Data restored successfully!');
                 window.location.reload();
                 return true;
@@ -32,6 +32,11 @@ const AdminCRUD = {
         this.initQuotes();
         this.initTestimonials();
         this.initServices();
+
+        // Bring stored records up to the current schema version
+        if (typeof AdminSchema !== 'undefined') {
+            AdminSchema.migrateAll();
+        }
     },
 
     /**
@@ -39,9 +44,9 @@ const AdminCRUD = {
      */
     initProjects() {
         const defaultProjects = [
-            { id: 1, name: 'Addis Ababa Commercial Tower', client: 'ABC Corporation', type: 'Commercial', location: 'Addis Ababa', budget: '15M ETB', status: 'Active', progress: 75, startDate: 'Jan 15, 2024' },
-            { id: 2, name: 'Sheger General Hospital', client: 'Ministry of Health', type: 'Healthcare', location: 'Addis Ababa', budget: '25M ETB', status: 'In Progress', progress: 45, startDate: 'Mar 10, 2024' },
-            { id: 3, name: 'Adama Residential Complex', client: 'Real Estate Group', type: 'Residential', location: 'Adama', budget: '8M ETB', status: 'Planning', progress: 20, startDate: 'May 01, 2024' }
+            { id: 1, projectId: 'proj-001', name: 'Addis Ababa Commercial Tower', client: 'ABC Corporation', type: 'Commercial', location: 'Addis Ababa', budget: 15000000, status: 'Active', progress: 75, startDate: '2024-01-15' },
+            { id: 2, projectId: 'proj-006', name: 'Sheger General Hospital', client: 'Ministry of Health', type: 'Healthcare', location: 'Addis Ababa', budget: 25000000, status: 'In Progress', progress: 45, startDate: '2024-03-10' },
+            { id: 3, projectId: 'proj-008', name: 'Adama Residential Complex', client: 'Real Estate Group', type: 'Residential', location: 'Adama', budget: 8000000, status: 'Planning', progress: 20, startDate: '2024-05-01' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.PROJECTS)) {
@@ -54,9 +59,9 @@ const AdminCRUD = {
      */
     initClients() {
         const defaultClients = [
-            { id: 1, name: 'ABC Corporation', email: 'contact@abc.com', phone: '+251-911-123-456', type: 'Corporate', projects: 3, value: '35M ETB', status: 'Active' },
-            { id: 2, name: 'Ministry of Health', email: 'info@moh.gov.et', phone: '+251-911-234-567', type: 'Government', projects: 2, value: '45M ETB', status: 'Active' },
-            { id: 3, name: 'Real Estate Group', email: 'contact@regroup.com', phone: '+251-911-345-678', type: 'Corporate', projects: 5, value: '52M ETB', status: 'Active' }
+            { id: 1, name: 'ABC Corporation', email: 'contact@abc.com', phone: '+251-911-123-456', type: 'Corporate', projects: 3, value: 35000000, status: 'Active' },
+            { id: 2, name: 'Ministry of Health', email: 'info@moh.gov.et', phone: '+251-911-234-567', type: 'Government', projects: 2, value: 45000000, status: 'Active' },
+            { id: 3, name: 'Real Estate Group', email: 'contact@regroup.com', phone: '+251-911-345-678', type: 'Corporate', projects: 5, value: 52000000, status: 'Active' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.CLIENTS)) {
@@ -69,9 +74,9 @@ const AdminCRUD = {
      */
     initTeamMembers() {
         const defaultTeam = [
-            { id: 1, name: 'ENG. DALE MELAKU', position: 'General Manager', email: 'dale@dbconstruction.com', phone: '+251-911-590-12', experience: '15 Years', status: 'Active', image: 'Images/dale.png' },
-            { id: 2, name: 'MOTI ELIAS', position: 'Site Engineer', email: 'moti@dbconstruction.com', phone: '+251-911-590-13', experience: '10 Years', status: 'Active', image: 'Images/Construction Team.jpg' },
-            { id: 3, name: 'MOTI TOLA', position: 'Project Manager', email: 'tola@dbconstruction.com', phone: '+251-911-590-14', experience: '12 Years', status: 'Active', image: 'Images/card2.jpg' }
+            { id: 1, name: 'ENG. DALE MELAKU', position: 'General Manager', email: 'dale@dbconstruction.com', phone: '+251-911-590-12', experience: '15 Years', status: 'Active', photo: 'Images/dale.png' },
+            { id: 2, name: 'MOTI ELIAS', position: 'Site Engineer', email: 'moti@dbconstruction.com', phone: '+251-911-590-13', experience: '10 Years', status: 'Active', photo: 'Images/Construction Team.jpg' },
+            { id: 3, name: 'MOTI TOLA', position: 'Project Manager', email: 'tola@dbconstruction.com', phone: '+251-911-590-14', experience: '12 Years', status: 'Active', photo: 'Images/card2.jpg' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS)) {
@@ -84,8 +89,8 @@ const AdminCRUD = {
      */
     initInquiries() {
         const defaultInquiries = [
-            { id: 1, name: 'Temesgen Dereje', email: 'temed2025@gmail.com', phone: '+251-911-111-111', subject: 'New Project Inquiry', message: 'Interested in commercial construction', date: 'Dec 03, 2025', priority: 'High', status: 'Pending' },
-            { id: 2, name: 'Jafar Tule', email: 'jaft@gmail.com', phone: '+251-911-222-222', subject: 'Cost Estimate Request', message: 'Need estimate for residential project', date: 'Dec 02, 2025', priority: 'Medium', status: 'Responded' }
+            { id: 1, name: 'Temesgen Dereje', email: 'temed2025@gmail.com', phone: '+251-911-111-111', subject: 'New Project Inquiry', message: 'Interested in commercial construction', date: '2025-12-03', priority: 'High', status: 'Pending' },
+            { id: 2, name: 'Jafar Tule', email: 'jaft@gmail.com', phone: '+251-911-222-222', subject: 'Cost Estimate Request', message: 'Need estimate for residential project', date: '2025-12-02', priority: 'Medium', status: 'Responded' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.INQUIRIES)) {
@@ -98,8 +103,8 @@ const AdminCRUD = {
      */
     initBlogPosts() {
         const defaultPosts = [
-            { id: 1, title: 'Top 10 Construction Safety Practices', category: 'Construction Tips', content: 'Safety first...', date: 'Nov 25, 2025', views: 1200, status: 'Published', image: 'Images/gallery1.jpg' },
-            { id: 2, title: 'Sheger Hospital Project Progress', category: 'Project Updates', content: 'Great progress...', date: 'Nov 20, 2025', views: 856, status: 'Published', image: 'Images/gallery3.jpg' }
+            { id: 1, title: 'Top 10 Construction Safety Practices', category: 'Construction Tips', content: 'Safety first...', date: '2025-11-25', views: 1200, status: 'Published', image: 'Images/gallery1.jpg' },
+            { id: 2, title: 'Sheger Hospital Project Progress', category: 'Project Updates', content: 'Great progress...', date: '2025-11-20', views: 856, status: 'Published', image: 'Images/gallery3.jpg' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS)) {
@@ -112,8 +117,8 @@ const AdminCRUD = {
      */
     initInvoices() {
         const defaultInvoices = [
-            { id: 1, client: 'ABC Corporation', project: 'Commercial Tower', amount: '5M ETB', date: 'Dec 01, 2025', dueDate: 'Dec 31, 2025', status: 'Paid' },
-            { id: 2, name: 'Ministry of Health', project: 'Sheger Hospital', amount: '8M ETB', date: 'Nov 25, 2025', dueDate: 'Dec 25, 2025', status: 'Pending' }
+            { id: 1, client: 'ABC Corporation', project: 'Commercial Tower', projectId: 'proj-001', amount: 5000000, date: '2025-12-01', dueDate: '2025-12-31', status: 'Paid' },
+            { id: 2, client: 'Ministry of Health', project: 'Sheger Hospital', projectId: 'proj-006', amount: 8000000, date: '2025-11-25', dueDate: '2025-12-25', status: 'Pending' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.INVOICES)) {
@@ -126,8 +131,8 @@ const AdminCRUD = {
      */
     initSchedule() {
         const defaultSchedule = [
-            { id: 1, title: 'Site Inspection - Commercial Tower', date: '2025-12-10', time: '09:00 AM', location: 'Addis Ababa', type: 'Inspection' },
-            { id: 2, title: 'Client Meeting - Hospital Project', date: '2025-12-11', time: '02:00 PM', location: 'Office', type: 'Meeting' }
+            { id: 1, title: 'Site Inspection - Commercial Tower', date: '2025-12-10', time: '09:00', location: 'Addis Ababa', type: 'Inspection' },
+            { id: 2, title: 'Client Meeting - Hospital Project', date: '2025-12-11', time: '14:00', location: 'Office', type: 'Meeting' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.SCHEDULE)) {
@@ -140,7 +145,7 @@ const AdminCRUD = {
      */
     initQuotes() {
         const defaultQuotes = [
-            { id: 1, name: 'Ahmed Hassan', email: 'ahmed@example.com', phone: '+251-911-333-333', projectType: 'Residential', budget: '5M ETB', description: 'New house construction', date: 'Dec 01, 2025', status: 'Pending' }
+            { id: 1, name: 'Ahmed Hassan', email: 'ahmed@example.com', phone: '+251-911-333-333', projectType: 'Residential', budget: 5000000, description: 'New house construction', date: '2025-12-01', status: 'Pending' }
         ];
         
         if (!StorageUtil.get(this.STORAGE_KEYS.QUOTES)) {
@@ -153,38 +158,41 @@ const AdminCRUD = {
     // ============================================
 
     getProjects() {
-        return StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []);
+        return this.visible('projects', StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []));
     },
 
     addProject(projectData) {
         try {
+            this.authorize('projects:create', projectData);
+
             // Validate required fields
             if (!projectData || !projectData.name) {
                 throw new Error('Project name is required');
             }
 
-            const projects = this.getProjects();
+            const projects = StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []);
             const newId = projects.length > 0 ? Math.max(...projects.map(p => p.id)) + 1 : 1;
             
-            const newProject = {
+            const newProject = this.normalize('projects', {
                 id: newId,
+                projectId: projectData.projectId || this.generateProjectId(projects),
                 name: projectData.name,
                 client: projectData.client || 'N/A',
                 type: projectData.type || 'General',
                 location: projectData.location || 'N/A',
-                budget: projectData.budget || '0 ETB',
+                budget: projectData.budget || 0,
                 status: projectData.status || 'Planning',
                 progress: projectData.progress || 0,
-                startDate: projectData.startDate || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
+                startDate: projectData.startDate || new Date().toISOString().split('T')[0],
                 // Support additional fields from modal forms
                 description: projectData.description || '',
                 category: projectData.category || [],
                 completionDate: projectData.completionDate || '',
                 size: projectData.size || '',
-                cost: projectData.cost || projectData.budget || '0 ETB',
+                cost: projectData.cost || projectData.budget || 0,
                 images: projectData.images || [],
                 featuredImage: projectData.featuredImage || ''
-            };
+            });
             
             projects.push(newProject);
             StorageUtil.set(this.STORAGE_KEYS.PROJECTS, projects);
@@ -192,39 +200,47 @@ const AdminCRUD = {
             return newProject;
         } catch (error) {
             console.error('Error adding project:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     updateProject(id, updates) {
         try {
+            this.authorize('projects:update', this.findRecord(this.STORAGE_KEYS.PROJECTS, id));
+
             if (!id) {
                 throw new Error('Project ID is required');
             }
 
-            const projects = this.getProjects();
+            const projects = StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []);
             const index = projects.findIndex(p => p.id === id);
             
             if (index === -1) {
                 throw new Error(`Project with ID ${id} not found`);
             }
 
-            projects[index] = { ...projects[index], ...updates };
+            projects[index] = { ...projects[index], ...this.normalize('projects', updates) };
             StorageUtil.set(this.STORAGE_KEYS.PROJECTS, projects);
             this.logAction('update', 'project', id, updates);
             return projects[index];
         } catch (error) {
             console.error('Error updating project:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     deleteProject(id) {
-        const projects = this.getProjects();
-        const filtered = projects.filter(p => p.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.PROJECTS, filtered);
-        this.logAction('delete', 'project', id);
-        return true;
+        try {
+            this.authorize('projects:delete', this.findRecord(this.STORAGE_KEYS.PROJECTS, id));
+
+            const projects = StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []);
+            const filtered = projects.filter(p => p.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.PROJECTS, filtered);
+            this.logAction('delete', 'project', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getProject(id) {
@@ -237,49 +253,67 @@ const AdminCRUD = {
     // ============================================
 
     getClients() {
-        return StorageUtil.get(this.STORAGE_KEYS.CLIENTS, []);
+        return this.visible('clients', StorageUtil.get(this.STORAGE_KEYS.CLIENTS, []));
     },
 
     addClient(clientData) {
-        const clients = this.getClients();
-        const newId = clients.length > 0 ? Math.max(...clients.map(c => c.id)) + 1 : 1;
+        try {
+            this.authorize('clients:create', clientData);
+
+            const clients = StorageUtil.get(this.STORAGE_KEYS.CLIENTS, []);
+            const newId = clients.length > 0 ? Math.max(...clients.map(c => c.id)) + 1 : 1;
         
-        const newClient = {
-            id: newId,
-            name: clientData.name,
-            email: clientData.email || 'N/A',
-            phone: clientData.phone || 'N/A',
-            type: clientData.type || 'Individual',
-            projects: clientData.projects || 0,
-            value: clientData.value || '0 ETB',
-            status: clientData.status || 'Active'
-        };
+            const newClient = this.normalize('clients', {
+                id: newId,
+                name: clientData.name,
+                email: clientData.email || 'N/A',
+                phone: clientData.phone || 'N/A',
+                type: clientData.type || 'Individual',
+                projects: clientData.projects || 0,
+                value: clientData.value || 0,
+                status: clientData.status || 'Active'
+            });
         
-        clients.push(newClient);
-        StorageUtil.set(this.STORAGE_KEYS.CLIENTS, clients);
-        this.logAction('create', 'client', newId, newClient);
-        return newClient;
+            clients.push(newClient);
+            StorageUtil.set(this.STORAGE_KEYS.CLIENTS, clients);
+            this.logAction('create', 'client', newId, newClient);
+            return newClient;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     updateClient(id, updates) {
-        const clients = this.getClients();
-        const index = clients.findIndex(c => c.id === id);
+        try {
+            this.authorize('clients:update', this.findRecord(this.STORAGE_KEYS.CLIENTS, id));
+
+            const clients = StorageUtil.get(this.STORAGE_KEYS.CLIENTS, []);
+            const index = clients.findIndex(c => c.id === id);
         
-        if (index !== -1) {
-            clients[index] = { ...clients[index], ...updates };
-            StorageUtil.set(this.STORAGE_KEYS.CLIENTS, clients);
-            this.logAction('update', 'client', id, updates);
-            return clients[index];
+            if (index !== -1) {
+                clients[index] = { ...clients[index], ...this.normalize('clients', updates) };
+                StorageUtil.set(this.STORAGE_KEYS.CLIENTS, clients);
+                this.logAction('update', 'client', id, updates);
+                return clients[index];
+            }
+            return null;
+        } catch (error) {
+            return this.denied(error);
         }
-        return null;
     },
 
     deleteClient(id) {
-        const clients = this.getClients();
-        const filtered = clients.filter(c => c.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.CLIENTS, filtered);
-        this.logAction('delete', 'client', id);
-        return true;
+        try {
+            this.authorize('clients:delete', this.findRecord(this.STORAGE_KEYS.CLIENTS, id));
+
+            const clients = StorageUtil.get(this.STORAGE_KEYS.CLIENTS, []);
+            const filtered = clients.filter(c => c.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.CLIENTS, filtered);
+            this.logAction('delete', 'client', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getClient(id) {
@@ -292,20 +326,22 @@ const AdminCRUD = {
     // ============================================
 
     getTeamMembers() {
-        return StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS, []);
+        return this.visible('team', StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS, []));
     },
 
     addTeamMember(memberData) {
         try {
+            this.authorize('team:create', memberData);
+
             // Validate required fields
             if (!memberData || !memberData.name) {
                 throw new Error('Team member name is required');
             }
 
-            const members = this.getTeamMembers();
+            const members = StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS, []);
             const newId = members.length > 0 ? Math.max(...members.map(m => m.id)) + 1 : 1;
             
-            const newMember = {
+            const newMember = this.normalize('team', {
                 id: newId,
                 name: memberData.name,
                 position: memberData.position || 'Staff',
@@ -313,16 +349,15 @@ const AdminCRUD = {
                 phone: memberData.phone || 'N/A',
                 experience: memberData.experience || '0 Years',
                 status: memberData.status || 'Active',
-                image: memberData.image || 'Images/card2.jpg',
                 // Support additional fields from modal forms
                 bio: memberData.bio || '',
-                photo: memberData.photo || memberData.image,
+                photo: memberData.photo || memberData.image || 'Images/card2.jpg',
                 socialLinks: memberData.socialLinks || {},
                 linkedin: memberData.linkedin || memberData.socialLinks?.linkedin || '',
                 twitter: memberData.twitter || memberData.socialLinks?.twitter || '',
                 displayOrder: memberData.displayOrder || 0,
                 active: memberData.active !== undefined ? memberData.active : true
-            };
+            });
             
             members.push(newMember);
             StorageUtil.set(this.STORAGE_KEYS.TEAM_MEMBERS, members);
@@ -330,39 +365,47 @@ const AdminCRUD = {
             return newMember;
         } catch (error) {
             console.error('Error adding team member:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     updateTeamMember(id, updates) {
         try {
+            this.authorize('team:update', this.findRecord(this.STORAGE_KEYS.TEAM_MEMBERS, id));
+
             if (!id) {
                 throw new Error('Team member ID is required');
             }
 
-            const members = this.getTeamMembers();
+            const members = StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS, []);
             const index = members.findIndex(m => m.id === id);
             
             if (index === -1) {
                 throw new Error(`Team member with ID ${id} not found`);
             }
 
-            members[index] = { ...members[index], ...updates };
+            members[index] = { ...members[index], ...this.normalize('team', updates) };
             StorageUtil.set(this.STORAGE_KEYS.TEAM_MEMBERS, members);
             this.logAction('update', 'team_member', id, updates);
             return members[index];
         } catch (error) {
             console.error('Error updating team member:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     deleteTeamMember(id) {
-        const members = this.getTeamMembers();
-        const filtered = members.filter(m => m.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.TEAM_MEMBERS, filtered);
-        this.logAction('delete', 'team_member', id);
-        return true;
+        try {
+            this.authorize('team:delete', this.findRecord(this.STORAGE_KEYS.TEAM_MEMBERS, id));
+
+            const members = StorageUtil.get(this.STORAGE_KEYS.TEAM_MEMBERS, []);
+            const filtered = members.filter(m => m.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.TEAM_MEMBERS, filtered);
+            this.logAction('delete', 'team_member', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getTeamMember(id) {
@@ -375,50 +418,68 @@ const AdminCRUD = {
     // ============================================
 
     getInquiries() {
-        return StorageUtil.get(this.STORAGE_KEYS.INQUIRIES, []);
+        return this.visible('inquiries', StorageUtil.get(this.STORAGE_KEYS.INQUIRIES, []));
     },
 
     addInquiry(inquiryData) {
-        const inquiries = this.getInquiries();
-        const newId = inquiries.length > 0 ? Math.max(...inquiries.map(i => i.id)) + 1 : 1;
+        try {
+            this.authorize('inquiries:create', inquiryData);
+
+            const inquiries = StorageUtil.get(this.STORAGE_KEYS.INQUIRIES, []);
+            const newId = inquiries.length > 0 ? Math.max(...inquiries.map(i => i.id)) + 1 : 1;
         
-        const newInquiry = {
-            id: newId,
-            name: inquiryData.name,
-            email: inquiryData.email || 'N/A',
-            phone: inquiryData.phone || 'N/A',
-            subject: inquiryData.subject || 'General Inquiry',
-            message: inquiryData.message || '',
-            date: inquiryData.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
-            priority: inquiryData.priority || 'Medium',
-            status: inquiryData.status || 'Pending'
-        };
+            const newInquiry = this.normalize('inquiries', {
+                id: newId,
+                name: inquiryData.name,
+                email: inquiryData.email || 'N/A',
+                phone: inquiryData.phone || 'N/A',
+                subject: inquiryData.subject || 'General Inquiry',
+                message: inquiryData.message || '',
+                date: inquiryData.date || new Date().toISOString().split('T')[0],
+                priority: inquiryData.priority || 'Medium',
+                status: inquiryData.status || 'Pending'
+            });
         
-        inquiries.push(newInquiry);
-        StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, inquiries);
-        this.logAction('create', 'inquiry', newId, newInquiry);
-        return newInquiry;
+            inquiries.push(newInquiry);
+            StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, inquiries);
+            this.logAction('create', 'inquiry', newId, newInquiry);
+            return newInquiry;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     updateInquiry(id, updates) {
-        const inquiries = this.getInquiries();
-        const index = inquiries.findIndex(i => i.id === id);
+        try {
+            this.authorize(this.isResponse(updates) ? 'inquiries:respond' : 'inquiries:update', this.findRecord(this.STORAGE_KEYS.INQUIRIES, id));
+
+            const inquiries = StorageUtil.get(this.STORAGE_KEYS.INQUIRIES, []);
+            const index = inquiries.findIndex(i => i.id === id);
         
-        if (index !== -1) {
-            inquiries[index] = { ...inquiries[index], ...updates };
-            StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, inquiries);
-            this.logAction('update', 'inquiry', id, updates);
-            return inquiries[index];
+            if (index !== -1) {
+                inquiries[index] = { ...inquiries[index], ...this.normalize('inquiries', updates) };
+                StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, inquiries);
+                this.logAction('update', 'inquiry', id, updates);
+                return inquiries[index];
+            }
+            return null;
+        } catch (error) {
+            return this.denied(error);
         }
-        return null;
     },
 
     deleteInquiry(id) {
-        const inquiries = this.getInquiries();
-        const filtered = inquiries.filter(i => i.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, filtered);
-        this.logAction('delete', 'inquiry', id);
-        return true;
+        try {
+            this.authorize('inquiries:delete', this.findRecord(this.STORAGE_KEYS.INQUIRIES, id));
+
+            const inquiries = StorageUtil.get(this.STORAGE_KEYS.INQUIRIES, []);
+            const filtered = inquiries.filter(i => i.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.INQUIRIES, filtered);
+            this.logAction('delete', 'inquiry', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getInquiry(id) {
@@ -431,25 +492,27 @@ const AdminCRUD = {
     // ============================================
 
     getBlogPosts() {
-        return StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS, []);
+        return this.visible('blog', StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS, []));
     },
 
     addBlogPost(postData) {
         try {
+            this.authorize('blog:create', postData);
+
             // Validate required fields
             if (!postData || !postData.title) {
                 throw new Error('Blog post title is required');
             }
 
-            const posts = this.getBlogPosts();
+            const posts = StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS, []);
             const newId = posts.length > 0 ? Math.max(...posts.map(p => p.id)) + 1 : 1;
             
-            const newPost = {
+            const newPost = this.normalize('blog', {
                 id: newId,
                 title: postData.title,
                 category: postData.category || 'General',
                 content: postData.content || '',
-                date: postData.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
+                date: postData.date || new Date().toISOString().split('T')[0],
                 views: postData.views || 0,
                 status: postData.status || 'Draft',
                 image: postData.image || 'Images/gallery1.jpg',
@@ -460,7 +523,7 @@ const AdminCRUD = {
                 featuredImage: postData.featuredImage || postData.image,
                 excerpt: postData.excerpt || '',
                 featured: postData.featured || false
-            };
+            });
             
             posts.push(newPost);
             StorageUtil.set(this.STORAGE_KEYS.BLOG_POSTS, posts);
@@ -468,39 +531,47 @@ const AdminCRUD = {
             return newPost;
         } catch (error) {
             console.error('Error adding blog post:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     updateBlogPost(id, updates) {
         try {
+            this.authorize('blog:update', this.findRecord(this.STORAGE_KEYS.BLOG_POSTS, id));
+
             if (!id) {
                 throw new Error('Blog post ID is required');
             }
 
-            const posts = this.getBlogPosts();
+            const posts = StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS, []);
             const index = posts.findIndex(p => p.id === id);
             
             if (index === -1) {
                 throw new Error(`Blog post with ID ${id} not found`);
             }
 
-            posts[index] = { ...posts[index], ...updates };
+            posts[index] = { ...posts[index], ...this.normalize('blog', updates) };
             StorageUtil.set(this.STORAGE_KEYS.BLOG_POSTS, posts);
             this.logAction('update', 'blog_post', id, updates);
             return posts[index];
         } catch (error) {
             console.error('Error updating blog post:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     deleteBlogPost(id) {
-        const posts = this.getBlogPosts();
-        const filtered = posts.filter(p => p.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.BLOG_POSTS, filtered);
-        this.logAction('delete', 'blog_post', id);
-        return true;
+        try {
+            this.authorize('blog:delete', this.findRecord(this.STORAGE_KEYS.BLOG_POSTS, id));
+
+            const posts = StorageUtil.get(this.STORAGE_KEYS.BLOG_POSTS, []);
+            const filtered = posts.filter(p => p.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.BLOG_POSTS, filtered);
+            this.logAction('delete', 'blog_post', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getBlogPost(id) {
@@ -513,48 +584,66 @@ const AdminCRUD = {
     // ============================================
 
     getInvoices() {
-        return StorageUtil.get(this.STORAGE_KEYS.INVOICES, []);
+        return this.visible('invoices', StorageUtil.get(this.STORAGE_KEYS.INVOICES, []));
     },
 
     addInvoice(invoiceData) {
-        const invoices = this.getInvoices();
-        const newId = invoices.length > 0 ? Math.max(...invoices.map(i => i.id)) + 1 : 1;
+        try {
+            this.authorize('invoices:create', invoiceData);
+
+            const invoices = StorageUtil.get(this.STORAGE_KEYS.INVOICES, []);
+            const newId = invoices.length > 0 ? Math.max(...invoices.map(i => i.id)) + 1 : 1;
         
-        const newInvoice = {
-            id: newId,
-            client: invoiceData.client,
-            project: invoiceData.project || 'N/A',
-            amount: invoiceData.amount || '0 ETB',
-            date: invoiceData.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
-            dueDate: invoiceData.dueDate || 'N/A',
-            status: invoiceData.status || 'Pending'
-        };
+            const newInvoice = this.normalize('invoices', {
+                id: newId,
+                client: invoiceData.client || invoiceData.name,
+                project: invoiceData.project || 'N/A',
+                amount: invoiceData.amount || 0,
+                date: invoiceData.date || new Date().toISOString().split('T')[0],
+                dueDate: invoiceData.dueDate || null,
+                status: invoiceData.status || 'Pending'
+            });
         
-        invoices.push(newInvoice);
-        StorageUtil.set(this.STORAGE_KEYS.INVOICES, invoices);
-        this.logAction('create', 'invoice', newId, newInvoice);
-        return newInvoice;
+            invoices.push(newInvoice);
+            StorageUtil.set(this.STORAGE_KEYS.INVOICES, invoices);
+            this.logAction('create', 'invoice', newId, newInvoice);
+            return newInvoice;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     updateInvoice(id, updates) {
-        const invoices = this.getInvoices();
-        const index = invoices.findIndex(i => i.id === id);
+        try {
+            this.authorize('invoices:update', this.findRecord(this.STORAGE_KEYS.INVOICES, id));
+
+            const invoices = StorageUtil.get(this.STORAGE_KEYS.INVOICES, []);
+            const index = invoices.findIndex(i => i.id === id);
         
-        if (index !== -1) {
-            invoices[index] = { ...invoices[index], ...updates };
-            StorageUtil.set(this.STORAGE_KEYS.INVOICES, invoices);
-            this.logAction('update', 'invoice', id, updates);
-            return invoices[index];
+            if (index !== -1) {
+                invoices[index] = { ...invoices[index], ...this.normalize('invoices', updates) };
+                StorageUtil.set(this.STORAGE_KEYS.INVOICES, invoices);
+                this.logAction('update', 'invoice', id, updates);
+                return invoices[index];
+            }
+            return null;
+        } catch (error) {
+            return this.denied(error);
         }
-        return null;
     },
 
     deleteInvoice(id) {
-        const invoices = this.getInvoices();
-        const filtered = invoices.filter(i => i.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.INVOICES, filtered);
-        this.logAction('delete', 'invoice', id);
-        return true;
+        try {
+            this.authorize('invoices:delete', this.findRecord(this.STORAGE_KEYS.INVOICES, id));
+
+            const invoices = StorageUtil.get(this.STORAGE_KEYS.INVOICES, []);
+            const filtered = invoices.filter(i => i.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.INVOICES, filtered);
+            this.logAction('delete', 'invoice', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getInvoice(id) {
@@ -567,47 +656,65 @@ const AdminCRUD = {
     // ============================================
 
     getScheduleEvents() {
-        return StorageUtil.get(this.STORAGE_KEYS.SCHEDULE, []);
+        return this.visible('schedule', StorageUtil.get(this.STORAGE_KEYS.SCHEDULE, []));
     },
 
     addScheduleEvent(eventData) {
-        const events = this.getScheduleEvents();
-        const newId = events.length > 0 ? Math.max(...events.map(e => e.id)) + 1 : 1;
+        try {
+            this.authorize('schedule:create', eventData);
+
+            const events = StorageUtil.get(this.STORAGE_KEYS.SCHEDULE, []);
+            const newId = events.length > 0 ? Math.max(...events.map(e => e.id)) + 1 : 1;
         
-        const newEvent = {
-            id: newId,
-            title: eventData.title,
-            date: eventData.date || new Date().toISOString().split('T')[0],
-            time: eventData.time || '09:00 AM',
-            location: eventData.location || 'TBD',
-            type: eventData.type || 'Meeting'
-        };
+            const newEvent = this.normalize('schedule', {
+                id: newId,
+                title: eventData.title,
+                date: eventData.date || new Date().toISOString().split('T')[0],
+                time: eventData.time || '09:00',
+                location: eventData.location || 'TBD',
+                type: eventData.type || 'Meeting'
+            });
         
-        events.push(newEvent);
-        StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, events);
-        this.logAction('create', 'schedule_event', newId, newEvent);
-        return newEvent;
+            events.push(newEvent);
+            StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, events);
+            this.logAction('create', 'schedule_event', newId, newEvent);
+            return newEvent;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     updateScheduleEvent(id, updates) {
-        const events = this.getScheduleEvents();
-        const index = events.findIndex(e => e.id === id);
+        try {
+            this.authorize('schedule:update', this.findRecord(this.STORAGE_KEYS.SCHEDULE, id));
+
+            const events = StorageUtil.get(this.STORAGE_KEYS.SCHEDULE, []);
+            const index = events.findIndex(e => e.id === id);
         
-        if (index !== -1) {
-            events[index] = { ...events[index], ...updates };
-            StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, events);
-            this.logAction('update', 'schedule_event', id, updates);
-            return events[index];
+            if (index !== -1) {
+                events[index] = { ...events[index], ...this.normalize('schedule', updates) };
+                StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, events);
+                this.logAction('update', 'schedule_event', id, updates);
+                return events[index];
+            }
+            return null;
+        } catch (error) {
+            return this.denied(error);
         }
-        return null;
     },
 
     deleteScheduleEvent(id) {
-        const events = this.getScheduleEvents();
-        const filtered = events.filter(e => e.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, filtered);
-        this.logAction('delete', 'schedule_event', id);
-        return true;
+        try {
+            this.authorize('schedule:delete', this.findRecord(this.STORAGE_KEYS.SCHEDULE, id));
+
+            const events = StorageUtil.get(this.STORAGE_KEYS.SCHEDULE, []);
+            const filtered = events.filter(e => e.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.SCHEDULE, filtered);
+            this.logAction('delete', 'schedule_event', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getScheduleEvent(id) {
@@ -620,50 +727,68 @@ const AdminCRUD = {
     // ============================================
 
     getQuotes() {
-        return StorageUtil.get(this.STORAGE_KEYS.QUOTES, []);
+        return this.visible('quotes', StorageUtil.get(this.STORAGE_KEYS.QUOTES, []));
     },
 
     addQuote(quoteData) {
-        const quotes = this.getQuotes();
-        const newId = quotes.length > 0 ? Math.max(...quotes.map(q => q.id)) + 1 : 1;
+        try {
+            this.authorize('quotes:create', quoteData);
+
+            const quotes = StorageUtil.get(this.STORAGE_KEYS.QUOTES, []);
+            const newId = quotes.length > 0 ? Math.max(...quotes.map(q => q.id)) + 1 : 1;
         
-        const newQuote = {
-            id: newId,
-            name: quoteData.name,
-            email: quoteData.email || 'N/A',
-            phone: quoteData.phone || 'N/A',
-            projectType: quoteData.projectType || 'General',
-            budget: quoteData.budget || 'N/A',
-            description: quoteData.description || '',
-            date: quoteData.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
-            status: quoteData.status || 'Pending'
-        };
+            const newQuote = this.normalize('quotes', {
+                id: newId,
+                name: quoteData.name,
+                email: quoteData.email || 'N/A',
+                phone: quoteData.phone || 'N/A',
+                projectType: quoteData.projectType || 'General',
+                budget: quoteData.budget || null,
+                description: quoteData.description || '',
+                date: quoteData.date || new Date().toISOString().split('T')[0],
+                status: quoteData.status || 'Pending'
+            });
         
-        quotes.push(newQuote);
-        StorageUtil.set(this.STORAGE_KEYS.QUOTES, quotes);
-        this.logAction('create', 'quote', newId, newQuote);
-        return newQuote;
+            quotes.push(newQuote);
+            StorageUtil.set(this.STORAGE_KEYS.QUOTES, quotes);
+            this.logAction('create', 'quote', newId, newQuote);
+            return newQuote;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     updateQuote(id, updates) {
-        const quotes = this.getQuotes();
-        const index = quotes.findIndex(q => q.id === id);
+        try {
+            this.authorize(this.isResponse(updates) ? 'quotes:respond' : 'quotes:update', this.findRecord(this.STORAGE_KEYS.QUOTES, id));
+
+            const quotes = StorageUtil.get(this.STORAGE_KEYS.QUOTES, []);
+            const index = quotes.findIndex(q => q.id === id);
         
-        if (index !== -1) {
-            quotes[index] = { ...quotes[index], ...updates };
-            StorageUtil.set(this.STORAGE_KEYS.QUOTES, quotes);
-            this.logAction('update', 'quote', id, updates);
-            return quotes[index];
+            if (index !== -1) {
+                quotes[index] = { ...quotes[index], ...this.normalize('quotes', updates) };
+                StorageUtil.set(this.STORAGE_KEYS.QUOTES, quotes);
+                this.logAction('update', 'quote', id, updates);
+                return quotes[index];
+            }
+            return null;
+        } catch (error) {
+            return this.denied(error);
         }
-        return null;
     },
 
     deleteQuote(id) {
-        const quotes = this.getQuotes();
-        const filtered = quotes.filter(q => q.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.QUOTES, filtered);
-        this.logAction('delete', 'quote', id);
-        return true;
+        try {
+            this.authorize('quotes:delete', this.findRecord(this.STORAGE_KEYS.QUOTES, id));
+
+            const quotes = StorageUtil.get(this.STORAGE_KEYS.QUOTES, []);
+            const filtered = quotes.filter(q => q.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.QUOTES, filtered);
+            this.logAction('delete', 'quote', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getQuote(id) {
@@ -689,7 +814,7 @@ const AdminCRUD = {
                 rating: 5,
                 projectRef: 'Addis Ababa Commercial Tower',
                 photo: 'Images/cust1.jpg',
-                date: 'Nov 15, 2025',
+                date: '2025-11-15',
                 dateReceived: '2025-11-15',
                 featured: true,
                 displayHomepage: true
@@ -703,7 +828,7 @@ const AdminCRUD = {
                 rating: 5,
                 projectRef: 'Sheger General Hospital',
                 photo: 'Images/cust1.png',
-                date: 'Oct 20, 2025',
+                date: '2025-10-20',
                 dateReceived: '2025-10-20',
                 featured: true,
                 displayHomepage: true
@@ -716,11 +841,13 @@ const AdminCRUD = {
     },
 
     getTestimonials() {
-        return StorageUtil.get(this.STORAGE_KEYS.TESTIMONIALS, []);
+        return this.visible('testimonials', StorageUtil.get(this.STORAGE_KEYS.TESTIMONIALS, []));
     },
 
     addTestimonial(testimonialData) {
         try {
+            this.authorize('testimonials:create', testimonialData);
+
             // Validate required fields
             if (!testimonialData || !testimonialData.clientName) {
                 throw new Error('Client name is required');
@@ -729,10 +856,10 @@ const AdminCRUD = {
                 throw new Error('Testimonial text is required');
             }
 
-            const testimonials = this.getTestimonials();
+            const testimonials = StorageUtil.get(this.STORAGE_KEYS.TESTIMONIALS, []);
             const newId = testimonials.length > 0 ? Math.max(...testimonials.map(t => t.id)) + 1 : 1;
             
-            const newTestimonial = {
+            const newTestimonial = this.normalize('testimonials', {
                 id: newId,
                 clientName: testimonialData.clientName,
                 company: testimonialData.company || '',
@@ -741,11 +868,11 @@ const AdminCRUD = {
                 rating: testimonialData.rating || 5,
                 projectRef: testimonialData.projectRef || '',
                 photo: testimonialData.photo || 'Images/cust1.jpg',
-                date: testimonialData.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' }),
+                date: testimonialData.date || new Date().toISOString().split('T')[0],
                 dateReceived: testimonialData.dateReceived || new Date().toISOString().split('T')[0],
                 featured: testimonialData.featured || false,
                 displayHomepage: testimonialData.displayHomepage || false
-            };
+            });
             
             testimonials.push(newTestimonial);
             StorageUtil.set(this.STORAGE_KEYS.TESTIMONIALS, testimonials);
@@ -753,39 +880,47 @@ const AdminCRUD = {
             return newTestimonial;
         } catch (error) {
             console.error('Error adding testimonial:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     updateTestimonial(id, updates) {
         try {
+            this.authorize('testimonials:update', this.findRecord(this.STORAGE_KEYS.TESTIMONIALS, id));
+
             if (!id) {
                 throw new Error('Testimonial ID is required');
             }
 
-            const testimonials = this.getTestimonials();
+            const testimonials = StorageUtil.get(this.STORAGE_KEYS.TESTIMONIALS, []);
             const index = testimonials.findIndex(t => t.id === id);
             
             if (index === -1) {
                 throw new Error(`Testimonial with ID ${id} not found`);
             }
 
-            testimonials[index] = { ...testimonials[index], ...updates };
+            testimonials[index] = { ...testimonials[index], ...this.normalize('testimonials', updates) };
             StorageUtil.set(this.STORAGE_KEYS.TESTIMONIALS, testimonials);
             this.logAction('update', 'testimonial', id, updates);
             return testimonials[index];
         } catch (error) {
             console.error('Error updating testimonial:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     deleteTestimonial(id) {
-        const testimonials = this.getTestimonials();
-        const filtered = testimonials.filter(t => t.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.TESTIMONIALS, filtered);
-        this.logAction('delete', 'testimonial', id);
-        return true;
+        try {
+            this.authorize('testimonials:delete', this.findRecord(this.STORAGE_KEYS.TESTIMONIALS, id));
+
+            const testimonials = StorageUtil.get(this.STORAGE_KEYS.TESTIMONIALS, []);
+            const filtered = testimonials.filter(t => t.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.TESTIMONIALS, filtered);
+            this.logAction('delete', 'testimonial', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getTestimonial(id) {
@@ -864,20 +999,22 @@ const AdminCRUD = {
     },
 
     getServices() {
-        return StorageUtil.get(this.STORAGE_KEYS.SERVICES, []);
+        return this.visible('services', StorageUtil.get(this.STORAGE_KEYS.SERVICES, []));
     },
 
     addService(serviceData) {
         try {
+            this.authorize('services:create', serviceData);
+
             // Validate required fields
             if (!serviceData || (!serviceData.serviceName && !serviceData.name)) {
                 throw new Error('Service name is required');
             }
 
-            const services = this.getServices();
+            const services = StorageUtil.get(this.STORAGE_KEYS.SERVICES, []);
             const newId = services.length > 0 ? Math.max(...services.map(s => s.id)) + 1 : 1;
             
-            const newService = {
+            const newService = this.normalize('services', {
                 id: newId,
                 serviceName: serviceData.serviceName || serviceData.name,
                 name: serviceData.serviceName || serviceData.name,
@@ -894,7 +1031,7 @@ const AdminCRUD = {
                 displayOrder: serviceData.displayOrder || 0,
                 active: serviceData.active !== undefined ? serviceData.active : true,
                 status: serviceData.status || (serviceData.active ? 'Active' : 'Inactive')
-            };
+            });
             
             services.push(newService);
             StorageUtil.set(this.STORAGE_KEYS.SERVICES, services);
@@ -902,17 +1039,19 @@ const AdminCRUD = {
             return newService;
         } catch (error) {
             console.error('Error adding service:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     updateService(id, updates) {
         try {
+            this.authorize('services:update', this.findRecord(this.STORAGE_KEYS.SERVICES, id));
+
             if (!id) {
                 throw new Error('Service ID is required');
             }
 
-            const services = this.getServices();
+            const services = StorageUtil.get(this.STORAGE_KEYS.SERVICES, []);
             const index = services.findIndex(s => s.id === id);
             
             if (index === -1) {
@@ -950,22 +1089,28 @@ const AdminCRUD = {
                 updates.duration = updates.timeline;
             }
             
-            services[index] = { ...services[index], ...updates };
+            services[index] = { ...services[index], ...this.normalize('services', updates) };
             StorageUtil.set(this.STORAGE_KEYS.SERVICES, services);
             this.logAction('update', 'service', id, updates);
             return services[index];
         } catch (error) {
             console.error('Error updating service:', error);
-            throw error;
+            return this.denied(error);
         }
     },
 
     deleteService(id) {
-        const services = this.getServices();
-        const filtered = services.filter(s => s.id !== id);
-        StorageUtil.set(this.STORAGE_KEYS.SERVICES, filtered);
-        this.logAction('delete', 'service', id);
-        return true;
+        try {
+            this.authorize('services:delete', this.findRecord(this.STORAGE_KEYS.SERVICES, id));
+
+            const services = StorageUtil.get(this.STORAGE_KEYS.SERVICES, []);
+            const filtered = services.filter(s => s.id !== id);
+            StorageUtil.set(this.STORAGE_KEYS.SERVICES, filtered);
+            this.logAction('delete', 'service', id);
+            return true;
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     getService(id) {
@@ -977,6 +1122,98 @@ const AdminCRUD = {
     // UTILITY FUNCTIONS
     // ============================================
 
+    /**
+     * Normalize a record or partial update to the current collection schema
+     */
+    normalize(collection, record) {
+        if (typeof AdminSchema !== 'undefined') {
+            return AdminSchema.normalizeRecord(collection, record);
+        }
+        return record;
+    },
+
+    /**
+     * Enforce a capability for the current user (skipped without PermissionUtil)
+     * @throws {PermissionError}
+     */
+    authorize(permission, record = null) {
+        if (typeof PermissionUtil !== 'undefined') {
+            PermissionUtil.assert(permission, record);
+        }
+    },
+
+    /**
+     * Keep the records the current user may view (all of them without PermissionUtil)
+     * Staff and clients with `:own` grants see only their projects' records.
+     */
+    visible(resource, records) {
+        if (typeof PermissionUtil !== 'undefined') {
+            return PermissionUtil.filter(`${resource}:view`, records);
+        }
+        return records;
+    },
+
+    /**
+     * Next free shared project id (proj-###), the id users' `projectIds` refer to
+     * Ids already assigned to a user count as taken.
+     */
+    generateProjectId(projects) {
+        const users = typeof CONFIG !== 'undefined' ? StorageUtil.get(CONFIG.STORAGE_KEYS.USERS, []) : [];
+        const taken = [
+            ...projects.map(p => p.projectId),
+            ...users.flatMap(u => u.projectIds || [])
+        ];
+        const highest = taken.reduce((max, id) => {
+            const match = /^proj-(\d+)$/.exec(id || '');
+            return match ? Math.max(max, parseInt(match[1], 10)) : max;
+        }, 0);
+        return `proj-${String(highest + 1).padStart(3, '0')}`;
+    },
+
+    /**
+     * Shared project id for a project name, as invoices store it
+     * Matches the full name, or part of it ("Commercial Tower").
+     * @returns {string|null}
+     */
+    findProjectId(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        if (!wanted) {
+            return null;
+        }
+
+        const projects = StorageUtil.get(this.STORAGE_KEYS.PROJECTS, []).filter(p => p.projectId && p.name);
+        const project = projects.find(p => p.name.toLowerCase() === wanted) ||
+            projects.find(p => p.name.toLowerCase().includes(wanted));
+        return project ? project.projectId : null;
+    },
+
+    /**
+     * Find a stored record by ID, visible or not, to authorize an action on it
+     */
+    findRecord(storageKey, id) {
+        return StorageUtil.get(storageKey, []).find(record => record.id === id);
+    },
+
+    /**
+     * Report a permission denial as a failed result; other errors are rethrown
+     * @returns {{success: false, error: string, permission: string, message: string}}
+     */
+    denied(error) {
+        if (error && error.name === 'PermissionError') {
+            return { success: false, error: 'permission_denied', permission: error.permission, message: error.message };
+        }
+        throw error;
+    },
+
+    /**
+     * Whether an update only records a response (status, reply, notes),
+     * which the narrower `respond` capability allows
+     */
+    isResponse(updates) {
+        const responseFields = ['status', 'response', 'notes', 'respondedAt'];
+        return Object.keys(updates || {}).every(field => responseFields.includes(field));
+    },
+
     /**
      * Log admin action for audit trail
      */
@@ -990,29 +1227,35 @@ const AdminCRUD = {
      * Export data to JSON
      */
     exportToJSON(dataType) {
-        let data;
-        switch(dataType) {
-            case 'projects': data = this.getProjects(); break;
-            case 'clients': data = this.getClients(); break;
-            case 'team': data = this.getTeamMembers(); break;
-            case 'inquiries': data = this.getInquiries(); break;
-            case 'blog': data = this.getBlogPosts(); break;
-            case 'invoices': data = this.getInvoices(); break;
-            case 'schedule': data = this.getScheduleEvents(); break;
-            case 'quotes': data = this.getQuotes(); break;
-            case 'testimonials': data = this.getTestimonials(); break;
-            case 'services': data = this.getServices(); break;
-            default: return null;
-        }
+        try {
+            this.authorize('data:export');
+
+            let data;
+            switch(dataType) {
+                case 'projects': data = this.getProjects(); break;
+                case 'clients': data = this.getClients(); break;
+                case 'team': data = this.getTeamMembers(); break;
+                case 'inquiries': data = this.getInquiries(); break;
+                case 'blog': data = this.getBlogPosts(); break;
+                case 'invoices': data = this.getInvoices(); break;
+                case 'schedule': data = this.getScheduleEvents(); break;
+                case 'quotes': data = this.getQuotes(); break;
+                case 'testimonials': data = this.getTestimonials(); break;
+                case 'services': data = this.getServices(); break;
+                default: return null;
+            }
         
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${dataType}_${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+            const json = JSON.stringify(data, null, 2);
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${dataType}_${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            return this.denied(error);
+        }
     },
 
     /**
@@ -1021,15 +1264,21 @@ const AdminCRUD = {
      * This is a critical operation that requires explicit user confirmation
      */
     clearAllData() {
-        // Legitimate use of confirm() - warns user about destructive action
-        if (confirm('Are you sure you want to clear ALL admin data? This cannot be undone!')) {
-            Object.values(this.STORAGE_KEYS).forEach(key => {
-                localStorage.removeItem(key);
-            });
-            this.init(); // Reinitialize with defaults
-            return true;
+        try {
+            this.authorize('data:clear');
+
+            // Legitimate use of confirm() - warns user about destructive action
+            if (confirm('Are you sure you want to clear ALL admin data? This cannot be undone!')) {
+                Object.values(this.STORAGE_KEYS).forEach(key => {
+                    StorageUtil.remove(key);
+                });
+                this.init(); // Reinitialize with defaults
+                return true;
+            }
+            return false;
+        } catch (error) {
+            return this.denied(error);
         }
-        return false;
     }
 };
 
@@ -11,6 +11,8 @@ const AdminDashboard = {
     this.loadMetrics();
     this.loadRecentActivities();
     this.setupAutoRefresh();
+    this.setupSyncStatus();
+    this.setupEstimatesDrillThrough();
   },
 
   /**
@@ -77,7 +79,10 @@ const AdminDashboard = {
       subscribers = StorageUtil.get(CONFIG.STORAGE_KEYS.NEWSLETTER_SUBS, []);
     }
     
-    const estimates = StorageUtil.get(CONFIG.STORAGE_KEYS.ESTIMATES, []);
+    // Saved estimates from the API and local storage
+    const estimates = typeof EstimateHistory !== 'undefined'
+      ? await EstimateHistory.getEstimates()
+      : StorageUtil.get(CONFIG.STORAGE_KEYS.ESTIMATES, []);
     
     // Calculate active projects
     const activeProjects = projects.filter(p => 
@@ -130,6 +135,43 @@ const AdminDashboard = {
       // Revenue
       statCards[3].querySelector('h3').textContent = this.formatCurrency(metrics.revenue);
     }
+
+    const estimatesCount = document.getElementById('totalEstimatesCount');
+    if (estimatesCount) {
+      estimatesCount.textContent = metrics.totalEstimates;
+    }
+  },
+
+  /**
+   * Open the saved estimates list from the total estimates metric
+   */
+  setupEstimatesDrillThrough() {
+    const card = document.getElementById('totalEstimatesCard');
+    if (!card) {
+      return;
+    }
+
+    card.style.cursor = 'pointer';
+    card.addEventListener('click', () => this.showEstimates());
+  },
+
+  /**
+   * List every saved estimate, optionally pre-filtered
+   * @param {object} filters - { region, projectType }
+   */
+  async showEstimates(filters = {}) {
+    if (typeof EstimateHistory === 'undefined') {
+      console.error('EstimateHistory is not loaded');
+      return;
+    }
+
+    const section = document.getElementById('adminEstimatesSection');
+    if (section) {
+      section.classList.remove('d-none');
+      section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    await EstimateHistory.init('adminEstimatesContainer', { admin: true, filters });
   },
 
   /**
@@ -197,17 +239,12 @@ const AdminDashboard = {
   },
 
   /**
-   * Format number as currency
-   * @param {number} amount - Amount to format
+   * Format an ETB amount in the user's display currency, abbreviated (e.g. "ETB 15.3M")
+   * @param {number} amount - Amount in ETB
    * @returns {string} - Formatted currency string
    */
   formatCurrency(amount) {
-    if (amount >= 1000000) {
-      return (amount / 1000000).toFixed(1) + 'M ETB';
-    } else if (amount >= 1000) {
-      return (amount / 1000).toFixed(1) + 'K ETB';
-    }
-    return amount.toFixed(0) + ' ETB';
+    return LocaleUtil.formatMoney(amount, { compact: true });
   },
 
   /**
@@ -271,6 +308,25 @@ const AdminDashboard = {
     }, 5 * 60 * 1000);
   },
 
+  /**
+   * Show offline sync queue status (e.g. "3 changes pending sync")
+   */
+  setupSyncStatus() {
+    const statusEl = document.getElementById('syncStatus');
+    if (!statusEl || typeof API === 'undefined' || !API.sync) {
+      return;
+    }
+
+    const render = (status) => {
+      const hasIssues = status.conflicts > 0 || status.failed > 0;
+      statusEl.textContent = status.syncing ? 'Syncing changes...' : API.sync.getStatusText();
+      statusEl.className = hasIssues ? 'text-danger' : (status.pending > 0 ? 'text-warning' : 'text-success');
+    };
+
+    render(API.sync.getStatus());
+    API.sync.on('change', render);
+  },
+
   /**
    * Log admin action for audit trail
    * @param {string} action - Action type
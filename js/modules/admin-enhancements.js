@@ -219,17 +219,22 @@ const AdminEnhancements = {
 
         if (!confirm(`Delete ${count} selected items?`)) return;
 
+        let denied = 0;
         this.selectedItems[type].forEach(id => {
+            let result;
             switch(type) {
-                case 'projects': AdminCRUD.deleteProject(id); break;
-                case 'clients': AdminCRUD.deleteClient(id); break;
-                case 'quotes': AdminCRUD.deleteQuote(id); break;
+                case 'projects': result = AdminCRUD.deleteProject(id); break;
+                case 'clients': result = AdminCRUD.deleteClient(id); break;
+                case 'quotes': result = AdminCRUD.deleteQuote(id); break;
             }
+            if (result && result.success === false) denied++;
         });
 
         this.selectedItems[type] = [];
         this.refreshSection(type);
-        alert(`✅ ${count} items deleted successfully!`);
+        alert(denied > 0
+            ? `⚠️ ${count - denied} items deleted, ${denied} not permitted`
+            : `✅ ${count} items deleted successfully!`);
     },
 
     /**
@@ -242,20 +247,25 @@ const AdminEnhancements = {
             return;
         }
 
+        let denied = 0;
         this.selectedItems[type].forEach(id => {
+            let result;
             switch(type) {
                 case 'projects': 
-                    AdminCRUD.updateProject(id, { status: newStatus }); 
+                    result = AdminCRUD.updateProject(id, { status: newStatus }); 
                     break;
                 case 'quotes': 
-                    AdminCRUD.updateQuote(id, { status: newStatus }); 
+                    result = AdminCRUD.updateQuote(id, { status: newStatus }); 
                     break;
             }
+            if (result && result.success === false) denied++;
         });
 
         this.selectedItems[type] = [];
         this.refreshSection(type);
-        alert(`✅ ${count} items updated to ${newStatus}!`);
+        alert(denied > 0
+            ? `⚠️ ${count - denied} items updated to ${newStatus}, ${denied} not permitted`
+            : `✅ ${count} items updated to ${newStatus}!`);
     },
 
     /**
@@ -357,12 +367,49 @@ const AdminEnhancements = {
         alert('Exported as CSV. For Excel format, you can open the CSV file in Excel.');
     },
 
+    // Columns for PDF exports: [label, field]
+    PDF_COLUMNS: {
+        projects: [['ID', 'id'], ['Name', 'name'], ['Client', 'client'], ['Type', 'type'], ['Location', 'location'], ['Budget', 'budget'], ['Status', 'status'], ['Progress', 'progress'], ['Start Date', 'startDate']],
+        clients: [['ID', 'id'], ['Name', 'name'], ['Email', 'email'], ['Phone', 'phone'], ['Type', 'type'], ['Projects', 'projects'], ['Value', 'value'], ['Status', 'status']],
+        quotes: [['ID', 'id'], ['Name', 'name'], ['Email', 'email'], ['Phone', 'phone'], ['Project Type', 'projectType'], ['Budget', 'budget'], ['Date', 'date'], ['Status', 'status']],
+        invoices: [['ID', 'id'], ['Client', 'client'], ['Project', 'project'], ['Amount', 'amount'], ['Date', 'date'], ['Due Date', 'dueDate'], ['Status', 'status']]
+    },
+
     /**
      * Export to PDF
      */
     exportToPDF(type) {
-        alert('PDF export requires a PDF library. For now, use Print to PDF from your browser.');
-        window.print();
+        const columns = this.PDF_COLUMNS[type];
+        if (!columns || typeof PDFGenerator === 'undefined') {
+            alert('PDF export is not available for this table.');
+            return;
+        }
+
+        const getters = {
+            projects: () => AdminCRUD.getProjects(),
+            clients: () => AdminCRUD.getClients(),
+            quotes: () => AdminCRUD.getQuotes(),
+            invoices: () => AdminCRUD.getInvoices()
+        };
+        const rows = getters[type]().map(item => columns.map(([, field]) => item[field]));
+        const title = type.charAt(0).toUpperCase() + type.slice(1);
+
+        const blob = PDFGenerator.table(`${title} Report`, columns.map(([label]) => label), rows);
+        PDFGenerator.download(blob, `${type}_${new Date().toISOString().split('T')[0]}.pdf`);
+    },
+
+    /**
+     * Download a single invoice as PDF
+     */
+    exportInvoicePDF(id) {
+        const invoice = AdminCRUD.getInvoice(id);
+        if (!invoice || typeof PDFGenerator === 'undefined') {
+            alert('Invoice could not be exported.');
+            return;
+        }
+
+        const blob = PDFGenerator.invoice(invoice);
+        PDFGenerator.download(blob, `Invoice-${String(invoice.id).padStart(5, '0')}.pdf`);
     },
 
     // ============================================
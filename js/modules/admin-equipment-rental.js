@@ -0,0 +1,344 @@
+/**
+ * Admin Equipment Rental Module
+ * Booking approvals, availability calendar and fleet units for equipment
+ * rentals (see EquipmentRental)
+ */
+
+const AdminEquipmentRental = {
+    containerId: 'equipmentRentalContainer',
+    statusFilter: 'pending',
+    calendarType: null,
+    calendarMonth: null,
+
+    STATUS_BADGES: {
+        pending: 'bg-warning text-dark',
+        approved: 'bg-success',
+        completed: 'bg-secondary',
+        rejected: 'bg-danger',
+        cancelled: 'bg-light text-dark'
+    },
+
+    /**
+     * Initialize the equipment rental screen
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container || typeof EquipmentRental === 'undefined') {
+            return;
+        }
+
+        const today = new Date();
+        const equipment = PricingService.getEquipment();
+        this.calendarType = equipment.length > 0 ? equipment[0].id : null;
+        this.calendarMonth = { year: today.getFullYear(), month: today.getMonth() + 1 };
+        this.render();
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('change', (e) => this.handleChange(e));
+
+        // Bookings made on other devices come from the API
+        EquipmentRental.onChange(() => this.render());
+        EquipmentRental.sync();
+    },
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        this.container.innerHTML = `
+            <div class="equipment-rental-admin">
+                ${this.renderBookings()}
+                <div class="row mt-4">
+                    <div class="col-lg-7">${this.renderCalendar()}</div>
+                    <div class="col-lg-5">${this.renderFleet()}</div>
+                </div>
+            </div>
+        `;
+
+        if (typeof PermissionUtil !== 'undefined') {
+            PermissionUtil.applyToDOM(this.container);
+        }
+    },
+
+    renderBookings() {
+        const bookings = EquipmentRental.getBookings()
+            .filter(booking => !this.statusFilter || booking.status === this.statusFilter)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+        return `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h5 class="mb-0">Rental Bookings</h5>
+                <select class="form-select form-select-sm w-auto" data-rental-filter="status">
+                    <option value="">All statuses</option>
+                    ${Object.keys(this.STATUS_BADGES).map(status => `
+                        <option value="${status}" ${this.statusFilter === status ? 'selected' : ''}>${this.titleCase(status)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            ${bookings.length === 0 ? '<p class="text-muted">No bookings.</p>' : `
+                <div class="table-responsive">
+                    <table class="table table-hover align-middle">
+                        <thead>
+                            <tr>
+                                <th>Booking</th>
+                                <th>Equipment</th>
+                                <th>Dates</th>
+                                <th>Customer</th>
+                                <th class="text-end">Total</th>
+                                <th>Status</th>
+                                <th class="text-end">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${bookings.map(booking => this.renderBooking(booking)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    },
+
+    renderBooking(booking) {
+        const invoiceButton = (id, label) => id ? `
+            <button class="btn btn-sm btn-outline-secondary" data-rental-action="invoice" data-id="${id}" title="${label} invoice PDF">
+                <i class="fas fa-file-invoice"></i> ${label}
+            </button>
+        ` : '';
+
+        return `
+            <tr>
+                <td>${booking.reference}<br><small class="text-muted">${new Date(booking.createdAt).toLocaleDateString()}</small></td>
+                <td>
+                    ${this.escape(booking.equipmentName)} <span class="badge bg-light text-dark">${booking.unitId}</span>
+                    ${booking.includeOperator ? '<br><small class="text-muted">With operator</small>' : ''}
+                </td>
+                <td>${booking.startDate} → ${booking.endDate}<br><small class="text-muted">${booking.days} day(s)</small></td>
+                <td>
+                    ${this.escape(booking.customer.name)}<br>
+                    <small class="text-muted">${this.escape(booking.customer.email)}${booking.customer.phone ? ` · ${this.escape(booking.customer.phone)}` : ''}</small>
+                    ${booking.location ? `<br><small class="text-muted">${this.escape(booking.location)}</small>` : ''}
+                </td>
+                <td class="text-end">
+                    ${PricingService.formatCurrency(booking.price.total)}<br>
+                    <small class="text-muted">Deposit ${PricingService.formatCurrency(booking.price.deposit)}</small>
+                </td>
+                <td>
+                    <span class="badge ${this.STATUS_BADGES[booking.status]}">${this.titleCase(booking.status)}</span>
+                    ${booking.pendingSync ? '<br><small class="text-muted">Not yet synced</small>' : ''}
+                </td>
+                <td class="text-end">
+                    ${booking.status === 'pending' ? `
+                        <button class="btn btn-sm btn-success" data-rental-action="approve" data-id="${booking.id}" data-permission="equipment:approve">Approve</button>
+                        <button class="btn btn-sm btn-outline-danger" data-rental-action="reject" data-id="${booking.id}" data-permission="equipment:approve">Reject</button>
+                    ` : ''}
+                    ${booking.status === 'approved' ? `
+                        <button class="btn btn-sm btn-primary" data-rental-action="complete" data-id="${booking.id}" data-permission="equipment:approve">Returned</button>
+                    ` : ''}
+                    ${['pending', 'approved'].includes(booking.status) ? `
+                        <button class="btn btn-sm btn-outline-secondary" data-rental-action="cancel" data-id="${booking.id}" data-permission="equipment:approve">Cancel</button>
+                    ` : ''}
+                    ${invoiceButton(booking.invoices.deposit, 'Deposit')}
+                    ${invoiceButton(booking.invoices.balance, 'Balance')}
+                </td>
+            </tr>
+        `;
+    },
+
+    renderCalendar() {
+        const { year, month } = this.calendarMonth;
+        const calendar = EquipmentRental.getCalendar(this.calendarType, year, month);
+        const title = new Date(year, month - 1, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+        // Monday-first grid
+        const offset = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+        const cells = [...Array(offset).fill(null), ...calendar];
+
+        return `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <h6 class="mb-0">Availability</h6>
+                <div class="d-flex gap-2">
+                    <select class="form-select form-select-sm w-auto" data-rental-filter="calendarType">
+                        ${PricingService.getEquipment().map(equipment => `
+                            <option value="${equipment.id}" ${equipment.id === this.calendarType ? 'selected' : ''}>${this.escape(equipment.name)}</option>
+                        `).join('')}
+                    </select>
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-secondary" data-rental-action="calendar-prev">&lsaquo;</button>
+                        <span class="btn btn-outline-secondary disabled">${title}</span>
+                        <button class="btn btn-outline-secondary" data-rental-action="calendar-next">&rsaquo;</button>
+                    </div>
+                </div>
+            </div>
+            <table class="table table-bordered table-sm text-center small">
+                <thead>
+                    <tr>${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<th>${day}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${Array.from({ length: Math.ceil(cells.length / 7) }, (_, week) => `
+                        <tr>
+                            ${cells.slice(week * 7, week * 7 + 7).map(day => day ? `
+                                <td class="${day.free === 0 ? 'table-danger' : day.free < day.total ? 'table-warning' : ''}"
+                                    title="${day.bookings.map(b => `${b.reference} (${b.unitId}, ${b.status})`).join('\n')}">
+                                    <div class="fw-bold">${Number(day.date.slice(8))}</div>
+                                    <div>${day.free}/${day.total}</div>
+                                </td>
+                            ` : '<td></td>').join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <small class="text-muted">Units free / in service each day; pending requests hold their unit.</small>
+        `;
+    },
+
+    renderFleet() {
+        const equipment = EquipmentRental.getCatalogue().find(item => item.id === this.calendarType);
+        if (!equipment) {
+            return '';
+        }
+
+        return `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <h6 class="mb-0">${this.escape(equipment.name)} Units</h6>
+                <button class="btn btn-sm btn-outline-primary" data-rental-action="add-unit" data-type="${equipment.id}" data-permission="equipment:update">
+                    <i class="fas fa-plus me-1"></i>Add Unit
+                </button>
+            </div>
+            <ul class="list-group">
+                ${equipment.units.map(unit => `
+                    <li class="list-group-item d-flex justify-content-between align-items-center">
+                        <span>${unit.id} ${unit.status === 'maintenance' ? '<span class="badge bg-secondary ms-1">Maintenance</span>' : ''}</span>
+                        <button class="btn btn-sm btn-outline-secondary" data-rental-action="unit-status" data-id="${unit.id}"
+                                data-status="${unit.status === 'active' ? 'maintenance' : 'active'}" data-permission="equipment:update">
+                            ${unit.status === 'active' ? 'Take out of service' : 'Return to service'}
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            <small class="text-muted">
+                ${PricingService.formatCurrency(equipment.dayRate)}/day, operator +${PricingService.formatCurrency(equipment.operatorRate)}/day
+            </small>
+        `;
+    },
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-rental-action]');
+        if (!button) {
+            return;
+        }
+
+        const id = button.getAttribute('data-id');
+        const action = button.getAttribute('data-rental-action');
+
+        try {
+            switch (action) {
+                case 'approve': {
+                    const booking = await EquipmentRental.approveBooking(id);
+                    this.notify(`${booking.reference} approved; deposit invoice #${booking.invoices.deposit} created`);
+                    break;
+                }
+                case 'reject': {
+                    const reason = prompt('Reason for rejecting this booking (sent to the customer):', '');
+                    if (reason === null) {
+                        return;
+                    }
+                    await EquipmentRental.rejectBooking(id, reason);
+                    this.notify('Booking rejected');
+                    break;
+                }
+                case 'cancel':
+                    if (!confirm('Cancel this booking? Its deposit invoice is cancelled and the unit released.')) {
+                        return;
+                    }
+                    await EquipmentRental.cancelBooking(id);
+                    this.notify('Booking cancelled');
+                    break;
+                case 'complete': {
+                    const booking = await EquipmentRental.completeBooking(id);
+                    this.notify(booking.invoices.balance
+                        ? `${booking.reference} completed; balance invoice #${booking.invoices.balance} created`
+                        : `${booking.reference} completed`);
+                    break;
+                }
+                case 'invoice':
+                    if (typeof AdminEnhancements !== 'undefined') {
+                        AdminEnhancements.exportInvoicePDF(Number(id));
+                    }
+                    return;
+                case 'calendar-prev':
+                case 'calendar-next': {
+                    const date = new Date(this.calendarMonth.year, this.calendarMonth.month - 1 + (action === 'calendar-next' ? 1 : -1), 1);
+                    this.calendarMonth = { year: date.getFullYear(), month: date.getMonth() + 1 };
+                    break;
+                }
+                case 'add-unit': {
+                    const unit = await EquipmentRental.addUnit(button.getAttribute('data-type'));
+                    this.notify(`Unit ${unit.id} added`);
+                    break;
+                }
+                case 'unit-status':
+                    await EquipmentRental.setUnitStatus(id, button.getAttribute('data-status'));
+                    break;
+            }
+        } catch (error) {
+            console.error('Equipment rental action failed:', error);
+            this.notify(error.message, 'error');
+            return;
+        }
+
+        this.render();
+    },
+
+    handleChange(e) {
+        const filter = e.target.getAttribute('data-rental-filter');
+        if (filter === 'status') {
+            this.statusFilter = e.target.value;
+        } else if (filter === 'calendarType') {
+            this.calendarType = e.target.value;
+        } else {
+            return;
+        }
+        this.render();
+    },
+
+    notify(message, type = 'success') {
+        if (typeof AdminActionButtons !== 'undefined' && AdminActionButtons.showToast) {
+            AdminActionButtons.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    },
+
+    titleCase(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminEquipmentRental;
+}
+
+if (typeof window !== 'undefined') {
+    window.AdminEquipmentRental = AdminEquipmentRental;
+}
+
+// Auto-initialize
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (window.location.pathname.includes('admin-dashboard')) {
+            AdminEquipmentRental.init();
+        }
+    });
+}
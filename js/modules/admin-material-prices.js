@@ -0,0 +1,273 @@
+/**
+ * Admin Material Prices Module
+ * Price entry and history for the Live Material Cost Tracker
+ * (see MaterialPrices)
+ */
+
+const AdminMaterialPrices = {
+    containerId: 'materialPricesContainer',
+    region: null,
+    material: null,
+
+    /**
+     * Initialize the material prices screen
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container || typeof MaterialPrices === 'undefined') {
+            return;
+        }
+
+        this.region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION;
+        this.material = MaterialPrices.getMaterials()[0].id;
+        this.render();
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('change', (e) => this.handleChange(e));
+        this.container.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        // Show the shared history once it has loaded (and after queued changes sync)
+        MaterialPrices.onChange(() => this.render());
+        MaterialPrices.sync();
+    },
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        this.container.innerHTML = `
+            <div class="material-prices-admin">
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h5 class="mb-0">Material Prices</h5>
+                    <select class="form-select form-select-sm w-auto" data-material-filter="region">
+                        ${MaterialPrices.getRegions().map(region => `
+                            <option value="${region}" ${region === this.region ? 'selected' : ''}>${MaterialPrices.regionName(region)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                ${this.renderCurrent()}
+                <div class="row mt-4">
+                    <div class="col-lg-5">${this.renderForm()}</div>
+                    <div class="col-lg-7" data-material-history>${this.renderHistory()}</div>
+                </div>
+            </div>
+        `;
+
+        if (typeof PermissionUtil !== 'undefined') {
+            PermissionUtil.applyToDOM(this.container);
+        }
+    },
+
+    renderCurrent() {
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr>
+                            <th>Material</th>
+                            <th>Current price (ETB)</th>
+                            <th>Recorded</th>
+                            <th>This week</th>
+                            <th>Trend (${CONFIG.MATERIAL_PRICES.HISTORY_DAYS} days)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${MaterialPrices.getSummary(this.region).map(material => `
+                            <tr class="${material.id === this.material ? 'table-active' : ''}">
+                                <td>
+                                    <a href="#" data-material-action="select" data-id="${material.id}">${material.name}</a>
+                                    <small class="text-muted">per ${material.unit}</small>
+                                </td>
+                                <td>${material.current ? MaterialPrices.formatRange(material.current, 'ETB') : '<span class="text-muted">No price</span>'}</td>
+                                <td>${material.current ? material.current.date : ''}</td>
+                                <td>${MaterialPrices.changeBadge(material.change)}</td>
+                                <td class="text-primary">${MaterialPrices.sparkline(material.history)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderForm() {
+        const today = RateLibrary.toDateKey(new Date());
+
+        return `
+            <form data-material-form="price" data-permission="materials:update">
+                <h6>Record a price</h6>
+                <div class="mb-2">
+                    <label class="form-label small">Material</label>
+                    <select class="form-select form-select-sm" name="material">
+                        ${MaterialPrices.getMaterials().map(material => `
+                            <option value="${material.id}" ${material.id === this.material ? 'selected' : ''}>
+                                ${material.name} (per ${material.unit})
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="row g-2 mb-2">
+                    <div class="col-4">
+                        <label class="form-label small">Date</label>
+                        <input type="date" class="form-control form-control-sm" name="date" value="${today}" max="${today}" required>
+                    </div>
+                    <div class="col-4">
+                        <label class="form-label small">Lowest (ETB)</label>
+                        <input type="number" class="form-control form-control-sm" name="min" min="0" step="0.01" required>
+                    </div>
+                    <div class="col-4">
+                        <label class="form-label small">Highest (ETB)</label>
+                        <input type="number" class="form-control form-control-sm" name="max" min="0" step="0.01">
+                    </div>
+                </div>
+                <small class="text-muted d-block mb-2">
+                    For ${MaterialPrices.regionName(this.region)}. Leave the highest price empty for a single price.
+                    A second price on the same date replaces the first.
+                </small>
+                <button type="submit" class="btn btn-sm btn-primary">
+                    <i class="fas fa-save me-1"></i>Record price
+                </button>
+            </form>
+        `;
+    },
+
+    renderHistory() {
+        const material = MaterialPrices.getMaterial(this.material);
+        const prices = MaterialPrices.getAllPrices()
+            .filter(price => price.material === this.material && price.region === this.region)
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        return `
+            <h6>${material.name} price history</h6>
+            ${MaterialPrices.trendChart(MaterialPrices.getHistory(this.material, this.region), { currency: 'ETB' })}
+            <ul class="list-group mt-2">
+                ${prices.length === 0 ? '<li class="list-group-item text-muted">No prices recorded</li>' : ''}
+                ${prices.map(price => `
+                    <li class="list-group-item d-flex justify-content-between align-items-center">
+                        <span>
+                            ${price.date}: <strong>${MaterialPrices.formatRange(price, 'ETB')} ETB</strong>
+                            ${price.recordedBy ? `<small class="text-muted">by ${this.escape(price.recordedBy)}</small>` : ''}
+                        </span>
+                        <button class="btn btn-sm btn-outline-danger" data-material-action="delete" data-id="${price.id}"
+                                data-permission="materials:update" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    },
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    async handleSubmit(e) {
+        const form = e.target.closest('[data-material-form="price"]');
+        if (!form) {
+            return;
+        }
+        e.preventDefault();
+
+        const data = new FormData(form);
+        try {
+            const price = await MaterialPrices.recordPrice({
+                material: data.get('material'),
+                region: this.region,
+                date: data.get('date'),
+                min: data.get('min'),
+                max: data.get('max')
+            });
+            this.material = price.material;
+            this.notify(price.pending
+                ? 'Saved offline. The price will sync when the connection returns.'
+                : `${MaterialPrices.getMaterial(price.material).name} price recorded for ${price.date}`);
+        } catch (error) {
+            console.error('Recording material price failed:', error);
+            this.notify(error.message, 'error');
+            return;
+        }
+
+        this.render();
+    },
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-material-action]');
+        if (!button) {
+            return;
+        }
+        e.preventDefault();
+
+        const id = button.getAttribute('data-id');
+        try {
+            switch (button.getAttribute('data-material-action')) {
+                case 'select':
+                    this.material = id;
+                    break;
+                case 'delete':
+                    if (!confirm('Delete this price? The tracker and price index will use the remaining history.')) {
+                        return;
+                    }
+                    await MaterialPrices.deletePrice(id);
+                    this.notify('Price deleted');
+                    break;
+            }
+        } catch (error) {
+            console.error('Material price action failed:', error);
+            this.notify(error.message, 'error');
+            return;
+        }
+
+        this.render();
+    },
+
+    handleChange(e) {
+        if (e.target.getAttribute('data-material-filter') === 'region') {
+            this.region = e.target.value;
+            this.render();
+        } else if (e.target.name === 'material' && e.target.closest('[data-material-form]')) {
+            // Keep what's been typed into the form; only the history follows the material
+            this.material = e.target.value;
+            const history = this.container.querySelector('[data-material-history]');
+            if (history) {
+                history.innerHTML = this.renderHistory();
+                if (typeof PermissionUtil !== 'undefined') {
+                    PermissionUtil.applyToDOM(history);
+                }
+            }
+        }
+    },
+
+    notify(message, type = 'success') {
+        if (typeof AdminActionButtons !== 'undefined' && AdminActionButtons.showToast) {
+            AdminActionButtons.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminMaterialPrices;
+}
+
+if (typeof window !== 'undefined') {
+    window.AdminMaterialPrices = AdminMaterialPrices;
+}
+
+// Auto-initialize
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (window.location.pathname.includes('admin-dashboard')) {
+            AdminMaterialPrices.init();
+        }
+    });
+}
@@ -1905,7 +1905,7 @@ function saveProject() {
             result = AdminCRUD.addProject(projectData);
         }
         
-        if (result) {
+        if (result && result.success !== false) {
             // Display success notification
             // Requirements: 1.4, 2.3 - Display success notification
             const action = projectId ? 'updated' : 'created';
@@ -1927,7 +1927,7 @@ function saveProject() {
                 }
             }
         } else {
-            throw new Error('Failed to save project - operation returned false');
+            throw new Error((result && result.message) || 'Failed to save project - operation returned false');
         }
     } catch (error) {
         // Requirements: 1.4, 2.3 - Catch errors from CRUD operations
@@ -2279,7 +2279,7 @@ function saveBlogPost() {
             result = AdminCRUD.addBlogPost(blogPostData);
         }
         
-        if (result) {
+        if (result && result.success !== false) {
             // Display success notification
             // Requirements: 1.4, 2.3 - Display success notification
             const action = blogPostId ? 'updated' : 'created';
@@ -2298,7 +2298,7 @@ function saveBlogPost() {
                 showSection('blog');
             }
         } else {
-            throw new Error('Failed to save blog post - operation returned false');
+            throw new Error((result && result.message) || 'Failed to save blog post - operation returned false');
         }
     } catch (error) {
         // Requirements: 1.4, 2.3 - Catch errors from CRUD operations
@@ -2638,7 +2638,7 @@ function saveTeamMember() {
             result = AdminCRUD.addTeamMember(teamMemberData);
         }
         
-        if (result) {
+        if (result && result.success !== false) {
             // Display success notification
             // Requirements: 1.4, 2.3 - Display success notification
             const action = teamMemberId ? 'updated' : 'created';
@@ -2660,7 +2660,7 @@ function saveTeamMember() {
                 }
             }
         } else {
-            throw new Error('Failed to save team member - operation returned false');
+            throw new Error((result && result.message) || 'Failed to save team member - operation returned false');
         }
     } catch (error) {
         // Requirements: 1.4, 2.3 - Catch errors from CRUD operations
@@ -3055,7 +3055,7 @@ function saveTestimonial() {
             result = AdminCRUD.addTestimonial(testimonialData);
         }
         
-        if (result) {
+        if (result && result.success !== false) {
             // Display success notification
             // Requirements: 1.4, 2.3 - Display success notification
             const action = testimonialId ? 'updated' : 'created';
@@ -3077,7 +3077,7 @@ function saveTestimonial() {
                 }
             }
         } else {
-            throw new Error('Failed to save testimonial - operation returned false');
+            throw new Error((result && result.message) || 'Failed to save testimonial - operation returned false');
         }
     } catch (error) {
         // Requirements: 1.4, 2.3 - Catch errors from CRUD operations
@@ -3553,7 +3553,7 @@ function saveService() {
             result = AdminCRUD.addService(serviceData);
         }
         
-        if (result) {
+        if (result && result.success !== false) {
             // Display success notification
             // Requirements: 1.4, 2.3 - Display success notification
             const action = serviceId ? 'updated' : 'created';
@@ -3575,7 +3575,7 @@ function saveService() {
                 }
             }
         } else {
-            throw new Error('Failed to save service - operation returned false');
+            throw new Error((result && result.message) || 'Failed to save service - operation returned false');
         }
     } catch (error) {
         // Requirements: 1.4, 2.3 - Catch errors from CRUD operations
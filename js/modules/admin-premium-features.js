@@ -428,17 +428,21 @@ const AdminPremiumFeatures = {
 
         data.forEach(item => {
             try {
+                let result;
                 switch(type) {
                     case 'projects':
-                        AdminCRUD.addProject(item);
+                        result = AdminCRUD.addProject(item);
                         break;
                     case 'clients':
-                        AdminCRUD.addClient(item);
+                        result = AdminCRUD.addClient(item);
                         break;
                     case 'quotes':
-                        AdminCRUD.addQuote(item);
+                        result = AdminCRUD.addQuote(item);
                         break;
                 }
+                if (result && result.success === false) {
+                    throw new Error(result.message);
+                }
                 imported++;
             } catch (error) {
                 failed++;
@@ -531,11 +535,9 @@ const AdminPremiumFeatures = {
         return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     },
 
-    formatCurrency(amount, currency = 'ETB') {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency === 'ETB' ? 'USD' : currency
-        }).format(amount).replace('$', currency + ' ');
+    // Amounts are in ETB; shown in the user's display currency unless `currency` is given
+    formatCurrency(amount, currency = null) {
+        return LocaleUtil.formatMoney(amount, currency ? { currency } : {});
     },
 
     formatDate(date, format = 'short') {
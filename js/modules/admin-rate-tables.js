@@ -0,0 +1,411 @@
+/**
+ * Admin Rate Tables Module
+ * Rate management screen: versions of the cost calculator rate tables with
+ * effective dates, draft editing and publishing (see RateLibrary), and the
+ * exchange rates used to show prices in other currencies (see LocaleUtil)
+ */
+
+const AdminRateTables = {
+    containerId: 'rateTablesContainer',
+    selectedId: null,
+
+    // Labels for the flat tables shown in the editor
+    TABLES: [
+        { key: 'baseCosts', label: 'Base Cost per m² (ETB)' },
+        { key: 'regionalMultipliers', label: 'Regional Multipliers' },
+        { key: 'materialPremiums', label: 'Material Premiums' },
+        { key: 'tierFloors', label: 'Service Tier Floors (ETB)' }
+    ],
+
+    /**
+     * Initialize the rate management screen
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container || typeof RateLibrary === 'undefined') {
+            return;
+        }
+
+        const active = RateLibrary.getActiveVersion();
+        this.selectedId = active ? active.id : null;
+        this.render();
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    },
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        this.container.innerHTML = `
+            <div class="rate-tables">
+                ${this.renderVersionList()}
+                <div class="rate-table-editor mt-4">
+                    ${this.renderEditor(RateLibrary.getVersion(this.selectedId))}
+                </div>
+                ${typeof LocaleUtil !== 'undefined' ? this.renderExchangeRates() : ''}
+            </div>
+        `;
+
+        if (typeof PermissionUtil !== 'undefined') {
+            PermissionUtil.applyToDOM(this.container);
+        }
+    },
+
+    renderVersionList() {
+        const active = RateLibrary.getActiveVersion();
+        const versions = [...RateLibrary.getVersions()].sort((a, b) => b.version - a.version);
+
+        return `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h5 class="mb-0">Rate Table Versions</h5>
+                <span class="text-muted small">In force today: version ${active ? active.version : '—'}</span>
+            </div>
+            <div class="table-responsive">
+                <table class="table table-hover align-middle">
+                    <thead>
+                        <tr>
+                            <th>Version</th>
+                            <th>Effective From</th>
+                            <th>Status</th>
+                            <th>Notes</th>
+                            <th class="text-end">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${versions.map(version => `
+                            <tr class="${version.id === this.selectedId ? 'table-active' : ''}">
+                                <td>v${version.version}</td>
+                                <td>${version.effectiveFrom}</td>
+                                <td>${this.renderStatus(version, active)}</td>
+                                <td>${this.escape(version.notes || '')}</td>
+                                <td class="text-end">
+                                    <button class="btn btn-sm btn-outline-secondary" data-rate-action="select" data-id="${version.id}">
+                                        ${version.status === 'draft' ? 'Edit' : 'View'}
+                                    </button>
+                                    <button class="btn btn-sm btn-outline-primary" data-rate-action="duplicate" data-id="${version.id}" data-permission="rates:update">
+                                        New Draft
+                                    </button>
+                                    ${version.status === 'draft' ? `
+                                        <button class="btn btn-sm btn-success" data-rate-action="publish" data-id="${version.id}" data-permission="rates:update">Publish</button>
+                                        <button class="btn btn-sm btn-outline-danger" data-rate-action="delete" data-id="${version.id}" data-permission="rates:update">Delete</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderStatus(version, active) {
+        if (version.status === 'draft') {
+            return '<span class="badge bg-secondary">Draft</span>';
+        }
+        if (active && version.id === active.id) {
+            return '<span class="badge bg-success">In force</span>';
+        }
+        if (version.effectiveFrom > RateLibrary.toDateKey(new Date())) {
+            return '<span class="badge bg-info">Scheduled</span>';
+        }
+        return '<span class="badge bg-light text-dark">Superseded</span>';
+    },
+
+    renderEditor(version) {
+        if (!version) {
+            return '';
+        }
+
+        const readonly = version.status !== 'draft';
+        const disabled = readonly ? 'disabled' : '';
+        const tables = version.tables;
+
+        return `
+            <form id="rateVersionForm" data-id="${version.id}">
+                <h5>Version ${version.version} ${readonly ? '<small class="text-muted">(published, read-only)</small>' : ''}</h5>
+                <div class="row g-3 mb-3">
+                    <div class="col-md-3">
+                        <label class="form-label">Effective From</label>
+                        <input type="date" class="form-control" name="effectiveFrom" value="${version.effectiveFrom}" ${disabled}>
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label">Floor Increment</label>
+                        <input type="number" step="0.01" min="0" class="form-control" name="floorIncrement" value="${tables.floorIncrement}" ${disabled}>
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label">Contingency Rate</label>
+                        <input type="number" step="0.01" min="0" class="form-control" name="contingencyRate" value="${tables.contingencyRate}" ${disabled}>
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label">Notes</label>
+                        <input type="text" class="form-control" name="notes" value="${this.escape(version.notes || '')}" ${disabled}>
+                    </div>
+                    <div class="col-md-6">
+                        <label class="form-label">Price Area Estimates From</label>
+                        <select class="form-select" name="areaPricing" ${disabled}>
+                            ${Object.entries(RateLibrary.AREA_PRICING).map(([value, label]) => `
+                                <option value="${value}" ${tables.areaPricing === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <div class="form-text">Bill of quantities rates keep quick and itemized estimates in agreement; the per-m² tables below apply only with base cost per m².</div>
+                    </div>
+                </div>
+
+                <div class="row g-3">
+                    ${this.TABLES.map(table => `
+                        <div class="col-md-3">
+                            <h6>${table.label}</h6>
+                            ${Object.entries(tables[table.key]).map(([key, value]) => `
+                                <div class="input-group input-group-sm mb-1">
+                                    <span class="input-group-text" style="min-width: 110px;">${key}</span>
+                                    <input type="number" step="any" min="0" class="form-control"
+                                           data-table="${table.key}" data-key="${key}" value="${value}" ${disabled}>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+
+                <h6 class="mt-4">Bill of Quantities Rates (ETB per unit)</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Code</th>
+                                <th>Description</th>
+                                <th>Unit</th>
+                                <th>Materials</th>
+                                <th>Labor</th>
+                                <th>Equipment</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.entries(tables.boqRates).map(([code, rate]) => `
+                                <tr>
+                                    <td>${code}</td>
+                                    <td>${this.escape(rate.description)}</td>
+                                    <td>${rate.unit}</td>
+                                    ${rate.unit === '%' ? `
+                                        <td colspan="3">
+                                            <input type="number" step="any" min="0" class="form-control form-control-sm"
+                                                   data-table="boqRates" data-key="${code}" data-field="rate" value="${rate.rate}" ${disabled}>
+                                        </td>
+                                    ` : ['materials', 'labor', 'equipment'].map(field => `
+                                        <td>
+                                            <input type="number" step="any" min="0" class="form-control form-control-sm"
+                                                   data-table="boqRates" data-key="${code}" data-field="${field}" value="${rate[field]}" ${disabled}>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <h6 class="mt-4">Equipment Rental (ETB per day)</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Equipment</th>
+                                <th>Day Rate</th>
+                                <th>Operator Surcharge</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.entries(tables.equipmentRates).map(([id, rate]) => `
+                                <tr>
+                                    <td>${this.escape(rate.name)}</td>
+                                    ${['dayRate', 'operatorRate'].map(field => `
+                                        <td>
+                                            <input type="number" step="any" min="0" class="form-control form-control-sm"
+                                                   data-table="equipmentRates" data-key="${id}" data-field="${field}" value="${rate[field]}" ${disabled}>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                ${readonly ? '' : `
+                    <button type="button" class="btn btn-primary" data-rate-action="save" data-id="${version.id}" data-permission="rates:update">
+                        Save Draft
+                    </button>
+                `}
+            </form>
+        `;
+    },
+
+    /**
+     * Exchange rates for display currencies; estimates are always priced in ETB
+     */
+    renderExchangeRates() {
+        const today = RateLibrary.toDateKey(new Date());
+        const currencies = Object.keys(CONFIG.LOCALE.CURRENCIES).filter(code => code !== CONFIG.LOCALE.BASE_CURRENCY);
+
+        return `
+            <div class="exchange-rates mt-4">
+                <h5>Exchange Rates</h5>
+                <p class="text-muted small">
+                    ETB per unit of each display currency. Prices are calculated in ETB and converted only for display.
+                </p>
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr>
+                            <th>Currency</th>
+                            <th class="text-end">ETB per unit today</th>
+                            <th>New rate</th>
+                            <th>Effective from</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${currencies.map(code => `
+                            <tr>
+                                <td>${code} <small class="text-muted">${CONFIG.LOCALE.CURRENCIES[code].name}</small></td>
+                                <td class="text-end">${LocaleUtil.getExchangeRate(code)}</td>
+                                <td><input type="number" class="form-control form-control-sm" min="0" step="0.01" data-exchange-rate="${code}"></td>
+                                <td><input type="date" class="form-control form-control-sm" value="${today}" data-exchange-date="${code}"></td>
+                                <td class="text-end">
+                                    <button class="btn btn-sm btn-outline-primary" data-rate-action="exchange-rate" data-id="${code}" data-permission="rates:update">
+                                        Save
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    handleClick(e) {
+        const button = e.target.closest('[data-rate-action]');
+        if (!button) {
+            return;
+        }
+
+        const id = button.getAttribute('data-id');
+        const action = button.getAttribute('data-rate-action');
+
+        try {
+            switch (action) {
+                case 'select':
+                    this.selectedId = id;
+                    break;
+                case 'duplicate': {
+                    const draft = RateLibrary.createVersion({ basedOn: id, notes: `Copy of v${RateLibrary.getVersion(id).version}` });
+                    this.selectedId = draft.id;
+                    this.notify(`Draft version ${draft.version} created`);
+                    break;
+                }
+                case 'save':
+                    RateLibrary.updateVersion(id, this.readForm());
+                    this.notify('Draft saved');
+                    break;
+                case 'publish': {
+                    const version = RateLibrary.getVersion(id);
+                    if (!confirm(`Publish version ${version.version}? It applies to estimates dated from ${version.effectiveFrom} and cannot be edited afterwards.`)) {
+                        return;
+                    }
+                    RateLibrary.publishVersion(id);
+                    this.notify(`Version ${version.version} published`);
+                    break;
+                }
+                case 'delete':
+                    if (!confirm('Delete this draft?')) {
+                        return;
+                    }
+                    RateLibrary.deleteVersion(id);
+                    this.selectedId = RateLibrary.getActiveVersion() ? RateLibrary.getActiveVersion().id : null;
+                    this.notify('Draft deleted');
+                    break;
+                case 'exchange-rate': {
+                    const rate = this.container.querySelector(`[data-exchange-rate="${id}"]`).value;
+                    const date = this.container.querySelector(`[data-exchange-date="${id}"]`).value;
+                    const entry = LocaleUtil.setExchangeRate(id, rate, date || new Date());
+                    this.notify(`1 ${id} = ${entry.rate} ETB from ${entry.effectiveFrom}`);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Rate table action failed:', error);
+            this.notify(error.message, 'error');
+            return;
+        }
+
+        this.render();
+    },
+
+    /**
+     * Collect the editor form into RateLibrary.updateVersion() changes
+     * @returns {object} - { effectiveFrom, notes, tables }
+     */
+    readForm() {
+        const form = this.container.querySelector('#rateVersionForm');
+        const tables = {
+            floorIncrement: form.elements.floorIncrement.value,
+            areaPricing: form.elements.areaPricing.value,
+            contingencyRate: form.elements.contingencyRate.value
+        };
+
+        form.querySelectorAll('[data-table]').forEach(input => {
+            const table = input.getAttribute('data-table');
+            const key = input.getAttribute('data-key');
+            const field = input.getAttribute('data-field');
+            const value = input.value === '' ? '' : Number(input.value);
+
+            tables[table] = tables[table] || {};
+            if (field) {
+                tables[table][key] = { ...tables[table][key], [field]: value };
+            } else {
+                tables[table][key] = value;
+            }
+        });
+
+        return {
+            effectiveFrom: form.elements.effectiveFrom.value,
+            notes: form.elements.notes.value,
+            tables
+        };
+    },
+
+    notify(message, type = 'success') {
+        if (typeof AdminActionButtons !== 'undefined' && AdminActionButtons.showToast) {
+            AdminActionButtons.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminRateTables;
+}
+
+if (typeof window !== 'undefined') {
+    window.AdminRateTables = AdminRateTables;
+}
+
+// Auto-initialize
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (window.location.pathname.includes('admin-dashboard')) {
+            AdminRateTables.init();
+        }
+    });
+}
@@ -0,0 +1,491 @@
+/**
+ * Admin Schema Module
+ * Versioned schema registry and ordered data migrations for AdminCRUD collections
+ */
+
+const AdminSchema = {
+    // Applied schema version per collection
+    VERSIONS_KEY: 'db_admin_schema_versions',
+
+    /**
+     * Schema registry
+     * Each collection maps to its AdminCRUD storage key and an ordered list of
+     * migrations. A migration receives one record and returns the upgraded
+     * record; it must only touch fields that are present so it can also be
+     * applied to partial updates.
+     */
+    collections: {
+        projects: {
+            storageKey: 'PROJECTS',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Numeric ETB budget/cost and ISO dates',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            budget: AdminSchema.toAmount,
+                            cost: AdminSchema.toAmount,
+                            progress: AdminSchema.toNumber,
+                            startDate: AdminSchema.toISODate,
+                            completionDate: AdminSchema.toISODate
+                        });
+                    }
+                },
+                {
+                    version: 2,
+                    description: 'Shared project id (proj-###) that user projectIds refer to',
+                    up(record) {
+                        // The projects AdminCRUD seeded before records carried one
+                        const seeded = {
+                            'Addis Ababa Commercial Tower': 'proj-001',
+                            'Sheger General Hospital': 'proj-006',
+                            'Adama Residential Complex': 'proj-008'
+                        };
+                        if (record.projectId === undefined && seeded[record.name]) {
+                            record.projectId = seeded[record.name];
+                        }
+                        return record;
+                    }
+                }
+            ]
+        },
+        clients: {
+            storageKey: 'CLIENTS',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Numeric ETB value and project count',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            value: AdminSchema.toAmount,
+                            projects: AdminSchema.toNumber
+                        });
+                    }
+                }
+            ]
+        },
+        team: {
+            storageKey: 'TEAM_MEMBERS',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Canonical photo field and numeric display order',
+                    up(record) {
+                        const migrated = AdminSchema.renameField(record, 'image', 'photo');
+                        return AdminSchema.transform(migrated, {
+                            displayOrder: AdminSchema.toNumber
+                        });
+                    }
+                }
+            ]
+        },
+        inquiries: {
+            storageKey: 'INQUIRIES',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'ISO dates',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            date: AdminSchema.toISODate
+                        });
+                    }
+                }
+            ]
+        },
+        blog: {
+            storageKey: 'BLOG_POSTS',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'ISO dates and numeric view count',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            date: AdminSchema.toISODate,
+                            publishDate: AdminSchema.toISODate,
+                            views: AdminSchema.toNumber
+                        });
+                    }
+                }
+            ]
+        },
+        invoices: {
+            storageKey: 'INVOICES',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Canonical client field, numeric ETB amount and ISO dates',
+                    up(record) {
+                        const migrated = AdminSchema.renameField(record, 'name', 'client');
+                        return AdminSchema.transform(migrated, {
+                            amount: AdminSchema.toAmount,
+                            date: AdminSchema.toISODate,
+                            dueDate: AdminSchema.toISODate
+                        });
+                    }
+                },
+                {
+                    version: 2,
+                    description: 'Shared project id, looked up from the project name',
+                    up(record) {
+                        if (record.projectId === undefined && record.project && typeof AdminCRUD !== 'undefined') {
+                            const projectId = AdminCRUD.findProjectId(record.project);
+                            if (projectId) {
+                                record.projectId = projectId;
+                            }
+                        }
+                        return record;
+                    }
+                }
+            ]
+        },
+        schedule: {
+            storageKey: 'SCHEDULE',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'ISO dates and 24-hour times',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            date: AdminSchema.toISODate,
+                            time: AdminSchema.toTime
+                        });
+                    }
+                }
+            ]
+        },
+        quotes: {
+            storageKey: 'QUOTES',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Numeric ETB budget and ISO dates',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            budget: AdminSchema.toAmount,
+                            date: AdminSchema.toISODate
+                        });
+                    }
+                }
+            ]
+        },
+        testimonials: {
+            storageKey: 'TESTIMONIALS',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'ISO dates and numeric rating',
+                    up(record) {
+                        return AdminSchema.transform(record, {
+                            date: AdminSchema.toISODate,
+                            dateReceived: AdminSchema.toISODate,
+                            rating: AdminSchema.toNumber
+                        });
+                    }
+                }
+            ]
+        },
+        services: {
+            storageKey: 'SERVICES',
+            migrations: [
+                {
+                    version: 1,
+                    description: 'Boolean active flag consistent with status',
+                    up(record) {
+                        const migrated = AdminSchema.transform(record, {
+                            displayOrder: AdminSchema.toNumber
+                        });
+                        if (migrated.status !== undefined && migrated.active === undefined) {
+                            migrated.active = migrated.status === 'Active';
+                        }
+                        return migrated;
+                    }
+                }
+            ]
+        }
+    },
+
+    // ============================================
+    // REGISTRY
+    // ============================================
+
+    /**
+     * Register an additional migration for a collection
+     * @param {string} collection - Collection name (e.g. 'projects')
+     * @param {object} migration - { version, description, up(record) }
+     */
+    registerMigration(collection, migration) {
+        const schema = this.collections[collection];
+        if (!schema) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        if (!migration || typeof migration.up !== 'function' || !Number.isInteger(migration.version)) {
+            throw new Error('Migration requires an integer version and an up() function');
+        }
+        if (schema.migrations.some(m => m.version === migration.version)) {
+            throw new Error(`Migration ${migration.version} already registered for ${collection}`);
+        }
+
+        schema.migrations.push(migration);
+        schema.migrations.sort((a, b) => a.version - b.version);
+    },
+
+    /**
+     * Get the latest schema version defined for a collection
+     * @param {string} collection - Collection name
+     * @returns {number} - Latest version (0 if none)
+     */
+    getLatestVersion(collection) {
+        const migrations = this.collections[collection]?.migrations || [];
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    },
+
+    /**
+     * Get the applied schema versions
+     * @returns {object} - Map of collection name to applied version
+     */
+    getAppliedVersions() {
+        return StorageUtil.get(this.VERSIONS_KEY, {});
+    },
+
+    /**
+     * Get the applied schema version for a collection
+     * @param {string} collection - Collection name
+     * @returns {number} - Applied version (0 if never migrated)
+     */
+    getAppliedVersion(collection) {
+        return this.getAppliedVersions()[collection] || 0;
+    },
+
+    /**
+     * Record the applied schema version for a collection
+     * @param {string} collection - Collection name
+     * @param {number} version - Version number
+     */
+    setAppliedVersion(collection, version) {
+        const versions = this.getAppliedVersions();
+        versions[collection] = version;
+        StorageUtil.set(this.VERSIONS_KEY, versions);
+    },
+
+    /**
+     * Reset applied versions so migrations run again (e.g. after a restore)
+     * @param {object} versions - Versions to set (defaults to none applied)
+     */
+    resetVersions(versions = {}) {
+        StorageUtil.set(this.VERSIONS_KEY, versions);
+    },
+
+    // ============================================
+    // MIGRATION
+    // ============================================
+
+    /**
+     * Run pending migrations for every registered collection
+     * @returns {object} - Map of collection name to { from, to, records }
+     */
+    migrateAll() {
+        const results = {};
+        Object.keys(this.collections).forEach(collection => {
+            try {
+                results[collection] = this.migrateCollection(collection);
+            } catch (error) {
+                console.error(`Schema migration failed for ${collection}:`, error);
+                results[collection] = { error: error.message };
+            }
+        });
+        return results;
+    },
+
+    /**
+     * Run pending migrations for one collection
+     * Stored data is only written once every migration has succeeded.
+     * @param {string} collection - Collection name
+     * @returns {object} - { from, to, records }
+     */
+    migrateCollection(collection) {
+        const schema = this.collections[collection];
+        if (!schema) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+
+        const from = this.getAppliedVersion(collection);
+        const pending = schema.migrations.filter(m => m.version > from);
+        if (pending.length === 0) {
+            return { from, to: from, records: 0 };
+        }
+
+        const storageKey = AdminCRUD.STORAGE_KEYS[schema.storageKey];
+        let records = StorageUtil.get(storageKey, []);
+
+        pending.forEach(migration => {
+            records = records.map(record => migration.up({ ...record }));
+        });
+
+        const to = pending[pending.length - 1].version;
+        StorageUtil.set(storageKey, records);
+        this.setAppliedVersion(collection, to);
+
+        if (typeof AuditLog !== 'undefined') {
+            AuditLog.logAction('migrate', 'schema', collection, { from, to, records: records.length });
+        }
+
+        console.log(`Migrated ${collection} schema v${from} → v${to} (${records.length} records)`);
+        return { from, to, records: records.length };
+    },
+
+    /**
+     * Upgrade a single record (or partial update) to the latest schema
+     * Used by AdminCRUD so new writes always have the canonical shape.
+     * @param {string} collection - Collection name
+     * @param {object} record - Record or update object
+     * @returns {object} - Upgraded copy
+     */
+    normalizeRecord(collection, record) {
+        const schema = this.collections[collection];
+        if (!schema || !record) {
+            return record;
+        }
+        return schema.migrations.reduce((current, migration) => migration.up({ ...current }), record);
+    },
+
+    // ============================================
+    // FIELD CONVERTERS
+    // ============================================
+
+    /**
+     * Apply converters to the fields present on a record
+     * @param {object} record - Record to transform
+     * @param {object} converters - Map of field name to converter function
+     * @returns {object} - Transformed record
+     */
+    transform(record, converters) {
+        Object.entries(converters).forEach(([field, convert]) => {
+            if (record[field] !== undefined) {
+                record[field] = convert(record[field]);
+            }
+        });
+        return record;
+    },
+
+    /**
+     * Rename a legacy field, keeping the canonical one if both exist
+     * @param {object} record - Record to update
+     * @param {string} from - Legacy field name
+     * @param {string} to - Canonical field name
+     * @returns {object} - Updated record
+     */
+    renameField(record, from, to) {
+        if (record[from] !== undefined) {
+            if (record[to] === undefined || record[to] === '') {
+                record[to] = record[from];
+            }
+            delete record[from];
+        }
+        return record;
+    },
+
+    /**
+     * Convert money values ("15M ETB", "5,000 ETB", "250K", "1,500 Birr") to a numeric ETB amount
+     * @param {*} value - Raw value
+     * @returns {number|null} - Amount in ETB or null if unknown
+     */
+    toAmount(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        const str = value.toString().toUpperCase().replace(/,/g, '');
+        // The suffix must stand alone, so the B of "BIRR" isn't read as billions
+        const match = str.match(/(-?[\d.]+)\s*(?:([KMB])\b)?/);
+        if (!match) {
+            return null;
+        }
+
+        let amount = parseFloat(match[1]);
+        if (Number.isNaN(amount)) {
+            return null;
+        }
+
+        const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+        if (match[2]) {
+            amount *= multipliers[match[2]];
+        }
+
+        return Math.round(amount * 100) / 100;
+    },
+
+    /**
+     * Convert a value to a number, keeping null for non-numeric values
+     * @param {*} value - Raw value
+     * @returns {number|null}
+     */
+    toNumber(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const parsed = parseFloat(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    },
+
+    /**
+     * Convert a date ("Jan 15, 2024", Date, ISO) to an ISO date string (YYYY-MM-DD)
+     * @param {*} value - Raw value
+     * @returns {string|null} - ISO date or null if not a date
+     */
+    toISODate(value) {
+        if (!value || value === 'N/A') {
+            return null;
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return value;
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+
+        // Use local calendar fields so "Jan 15, 2024" doesn't shift across UTC
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    },
+
+    /**
+     * Convert a time ("02:00 PM") to 24-hour HH:MM
+     * @param {*} value - Raw value
+     * @returns {string|null}
+     */
+    toTime(value) {
+        if (!value) {
+            return null;
+        }
+
+        const match = value.toString().trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+        if (!match) {
+            return value;
+        }
+
+        let hours = parseInt(match[1], 10);
+        const period = match[3] ? match[3].toUpperCase() : null;
+        if (period === 'PM' && hours < 12) hours += 12;
+        if (period === 'AM' && hours === 12) hours = 0;
+
+        return `${String(hours).padStart(2, '0')}:${match[2]}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminSchema;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AdminSchema = AdminSchema;
+}
@@ -4,20 +4,30 @@
  */
 
 const AuditLog = {
+  // Recorded when nobody can be identified; the entry is still written
+  UNKNOWN_ACTOR: { id: null, name: 'Unknown user', email: null },
+
+  /**
+   * User an entry is attributed to: the signed-in user, else the project
+   * dashboard's user (see AuthUtil.getActingUser), else `fallback`
+   * @param {object} fallback - e.g. the customer behind a public request
+   * @returns {object}
+   */
+  getActor(fallback = null) {
+    return AuthUtil.getActingUser() || fallback || this.UNKNOWN_ACTOR;
+  },
+
   /**
    * Log an admin action
    * @param {string} action - Action type (create, update, delete, etc.)
    * @param {string} targetType - Type of target (project, user, content, etc.)
    * @param {string} targetId - ID of the target
    * @param {object} details - Additional details about the action
+   * @param {object} actor - User to record instead of getActor() (e.g. login attempts)
    * @returns {object} - The created log entry
    */
-  logAction(action, targetType, targetId, details = {}) {
-    const currentUser = AuthUtil.getCurrentUser();
-    if (!currentUser) {
-      console.warn('Cannot log action: No authenticated user');
-      return null;
-    }
+  logAction(action, targetType, targetId, details = {}, actor = null) {
+    const currentUser = actor || this.getActor();
 
     const auditLog = StorageUtil.get(CONFIG.STORAGE_KEYS.AUDIT_LOG, []);
     
@@ -663,6 +673,14 @@ const AuditLog = {
   }
 };
 
+// Entries logged before a stored log had loaded are added to it, not lost
+if (typeof StorageUtil !== 'undefined' && typeof CONFIG !== 'undefined') {
+  StorageUtil.onConflict(CONFIG.STORAGE_KEYS.AUDIT_LOG, (stored, pending) => {
+    const ids = new Set((stored || []).map(entry => entry.id));
+    return [...(pending || []).filter(entry => !ids.has(entry.id)), ...(stored || [])].slice(0, 1000);
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = AuditLog;
@@ -0,0 +1,283 @@
+/**
+ * Bill of Quantities Module
+ * Breaks a project into work sections with quantities derived from its size and
+ * floors, prices each line from the RateLibrary and rolls the lines up into the
+ * CostCalculator breakdown (materials, labor, equipment, permits)
+ */
+
+// Geometry assumptions used to derive quantities
+const BOQ_ASSUMPTIONS = {
+  storeyHeight: 3.0,          // m
+  internalWallRatio: 0.6,     // internal wall length relative to the perimeter
+  foundationCoverage: 0.35,   // share of the footprint under footings
+  foundationDepth: 1.5,       // m, plus 0.1 m per extra floor
+  frameConcrete: 0.22,        // m³ of frame concrete per m² of floor area
+  openingRatio: 0.15,         // doors and windows per m² of floor area
+  roofPitchFactor: 1.15,      // sloped roof area relative to the footprint
+  accuracy: 0.10              // ± range around the total
+};
+
+// How each project type changes the work sections
+const BOQ_PROJECT_TYPES = {
+  residential: { structure: 1.0, roof: 1.0, finishes: 1.0, services: 1.0, hvac: false, newBuild: true },
+  commercial: { structure: 1.1, roof: 1.0, finishes: 1.1, services: 1.0, hvac: true, newBuild: true },
+  industrial: { structure: 1.25, roof: 1.0, finishes: 0.6, services: 1.0, hvac: true, newBuild: true },
+  renovation: { structure: 0.25, roof: 0.5, finishes: 1.0, services: 0.6, hvac: false, newBuild: false }
+};
+
+// Work sections and their line items
+// quantity(g) receives the derived geometry; variants swap the rate when a material is selected
+const BOQ_SECTIONS = [
+  {
+    code: 'excavation',
+    name: 'Site Preparation & Earthworks',
+    items: [
+      { rate: 'REN-01', when: t => !t.newBuild, quantity: g => g.grossArea },
+      { rate: 'EXC-01', when: t => t.newBuild, quantity: g => g.footprint * 1.2 },
+      { rate: 'EXC-02', when: t => t.newBuild, quantity: g => g.excavation },
+      { rate: 'EXC-03', when: t => t.newBuild, quantity: g => g.excavation * 0.6 },
+      { rate: 'EXC-04', when: t => t.newBuild, quantity: g => g.excavation * 0.4 }
+    ]
+  },
+  {
+    code: 'foundation',
+    name: 'Foundation',
+    items: [
+      { rate: 'FND-01', when: t => t.newBuild, quantity: g => g.footprint * BOQ_ASSUMPTIONS.foundationCoverage * 0.05 },
+      { rate: 'FND-02', when: t => t.newBuild, quantity: g => g.footingConcrete },
+      { rate: 'FND-03', when: t => t.newBuild, quantity: g => g.footingConcrete * 90 },
+      { rate: 'FND-04', when: t => t.newBuild, quantity: g => g.footprint }
+    ]
+  },
+  {
+    code: 'superstructure',
+    name: 'Superstructure',
+    items: [
+      { rate: 'SUP-01', quantity: g => g.frameConcrete },
+      { rate: 'SUP-02', quantity: g => g.frameConcrete * 110 },
+      { rate: 'SUP-03', quantity: g => g.frameConcrete * 8 },
+      { rate: 'SUP-04', variants: { brick: 'SUP-04B' }, quantity: g => g.wallArea * g.type.structure }
+    ]
+  },
+  {
+    code: 'roofing',
+    name: 'Roofing',
+    items: [
+      { rate: 'ROF-01', variants: { steel: 'ROF-01S' }, quantity: g => g.roofArea * g.type.roof },
+      { rate: 'ROF-02', quantity: g => g.roofArea * g.type.roof },
+      { rate: 'ROF-03', quantity: g => g.perimeter * g.type.roof }
+    ]
+  },
+  {
+    code: 'finishes',
+    name: 'Finishes',
+    items: [
+      { rate: 'FIN-01', quantity: g => g.wallArea * 2 * g.type.finishes },
+      { rate: 'FIN-02', variants: { marble: 'FIN-02M' }, quantity: g => g.grossArea * g.type.finishes },
+      { rate: 'FIN-03', quantity: g => g.wallArea * 2 * g.type.finishes },
+      { rate: 'FIN-04', variants: { glass: 'FIN-04G', wood: 'FIN-04W' }, quantity: g => g.grossArea * BOQ_ASSUMPTIONS.openingRatio }
+    ]
+  },
+  {
+    code: 'mep',
+    name: 'Mechanical, Electrical & Plumbing',
+    items: [
+      { rate: 'MEP-01', quantity: g => g.grossArea * g.type.services },
+      { rate: 'MEP-02', quantity: g => g.grossArea * g.type.services },
+      { rate: 'MEP-03', when: t => t.hvac, quantity: g => g.grossArea }
+    ]
+  },
+  {
+    code: 'permits',
+    name: 'Permits & Fees',
+    items: [
+      { rate: 'PRM-01' },
+      { rate: 'PRM-02' }
+    ]
+  }
+];
+
+class BillOfQuantities {
+  /**
+   * @param {object} projectData - CostCalculator form data
+   * @param {number} sizeInSqm - Gross floor area in m²
+   * @param {object} rateVersion - RateLibrary version to price with (defaults to today's)
+   */
+  constructor(projectData, sizeInSqm, rateVersion = RateLibrary.getActiveVersion()) {
+    this.projectData = projectData;
+    this.sizeInSqm = sizeInSqm;
+    this.rateVersion = rateVersion;
+    this.rates = RateLibrary.getRates(rateVersion);
+    this.regionalFactor = RateLibrary.getRegionalFactor(projectData.region, rateVersion);
+    // Movement in material prices since the rates took effect (see MaterialPrices.getIndex)
+    this.materialIndex = projectData.materialIndex || 1;
+    this.type = BOQ_PROJECT_TYPES[projectData.projectType] || BOQ_PROJECT_TYPES.residential;
+  }
+
+  /**
+   * Derive quantities from the project size and floors
+   * A square plan is assumed: footprint = area / floors, perimeter = 4√footprint.
+   * @returns {object} - Geometry used by the line item formulas
+   */
+  getGeometry() {
+    const floors = Math.max(1, this.projectData.floors || 1);
+    const grossArea = this.sizeInSqm;
+    const footprint = grossArea / floors;
+    const perimeter = 4 * Math.sqrt(footprint);
+    const depth = BOQ_ASSUMPTIONS.foundationDepth + 0.1 * (floors - 1);
+
+    return {
+      type: this.type,
+      floors,
+      grossArea,
+      footprint,
+      perimeter,
+      excavation: footprint * BOQ_ASSUMPTIONS.foundationCoverage * depth,
+      footingConcrete: footprint * BOQ_ASSUMPTIONS.foundationCoverage * 0.5 * (1 + 0.08 * (floors - 1)),
+      frameConcrete: grossArea * BOQ_ASSUMPTIONS.frameConcrete * this.type.structure,
+      wallArea: perimeter * (1 + BOQ_ASSUMPTIONS.internalWallRatio) * BOQ_ASSUMPTIONS.storeyHeight * floors,
+      roofArea: footprint * BOQ_ASSUMPTIONS.roofPitchFactor
+    };
+  }
+
+  /**
+   * Build the priced bill of quantities
+   * @returns {object} - { sections, breakdown, subtotal, contingency, total, assumptions }
+   */
+  calculate() {
+    const geometry = this.getGeometry();
+    const materials = this.projectData.materials || [];
+    const breakdown = { materials: 0, labor: 0, equipment: 0, permits: 0 };
+
+    const sections = BOQ_SECTIONS.map(section => ({
+      code: section.code,
+      name: section.name,
+      items: section.items
+        .filter(item => !item.when || item.when(this.type))
+        .map(item => ({ ...item, rate: this.selectRate(item, materials) })),
+      subtotal: 0
+    }));
+
+    // Priced lines first: percentage items are charged on the works total
+    sections.forEach(section => {
+      section.items = section.items.map(item => {
+        if (item.rate.unit === '%') {
+          return item;
+        }
+        const line = this.priceLine(item.rate, item.quantity(geometry));
+        breakdown.materials += line.materials;
+        breakdown.labor += line.labor;
+        breakdown.equipment += line.equipment;
+        return line;
+      });
+    });
+
+    const works = breakdown.materials + breakdown.labor + breakdown.equipment;
+
+    sections.forEach(section => {
+      section.items = section.items.map(item => {
+        if (item.rate && item.rate.unit === '%') {
+          const line = this.pricePercentage(item.rate, works);
+          breakdown.permits += line.amount;
+          return line;
+        }
+        return item;
+      });
+      section.subtotal = Math.round(section.items.reduce((sum, line) => sum + line.amount, 0));
+    });
+
+    const subtotal = breakdown.materials + breakdown.labor + breakdown.equipment + breakdown.permits;
+    const contingency = subtotal * this.rateVersion.tables.contingencyRate;
+
+    return {
+      sections: sections.filter(section => section.items.length > 0),
+      breakdown,
+      subtotal,
+      contingency,
+      total: subtotal + contingency,
+      assumptions: {
+        regionalFactor: this.regionalFactor,
+        materialIndex: this.materialIndex,
+        floors: geometry.floors,
+        grossArea: Math.round(geometry.grossArea),
+        footprint: Math.round(geometry.footprint),
+        perimeter: Math.round(geometry.perimeter),
+        storeyHeight: BOQ_ASSUMPTIONS.storeyHeight,
+        accuracy: BOQ_ASSUMPTIONS.accuracy
+      }
+    };
+  }
+
+  /**
+   * Pick the rate for a line, using a material variant when one was selected
+   * @param {object} item - Section item definition
+   * @param {array} materials - Selected materials
+   * @returns {object} - Rate from the library
+   */
+  selectRate(item, materials) {
+    const variant = Object.keys(item.variants || {}).find(material => materials.includes(material));
+    const code = variant ? item.variants[variant] : item.rate;
+    const rate = this.rates[code];
+
+    if (!rate) {
+      throw new Error(`Rate ${code} is missing from the rate library`);
+    }
+    return rate;
+  }
+
+  /**
+   * Price a measured line
+   * @param {object} rate - Rate from the library
+   * @param {number} quantity - Measured quantity
+   * @returns {object} - Line item
+   */
+  priceLine(rate, quantity) {
+    const qty = Math.round(quantity * 100) / 100;
+    const materials = qty * rate.materials * this.regionalFactor * this.materialIndex;
+    const labor = qty * rate.labor * this.regionalFactor;
+    const equipment = qty * rate.equipment * this.regionalFactor;
+
+    return {
+      code: rate.code,
+      description: rate.description,
+      unit: rate.unit,
+      quantity: qty,
+      rate: Math.round((rate.materials * this.materialIndex + rate.labor + rate.equipment) * this.regionalFactor),
+      materials: Math.round(materials),
+      labor: Math.round(labor),
+      equipment: Math.round(equipment),
+      amount: Math.round(materials + labor + equipment)
+    };
+  }
+
+  /**
+   * Price a percentage line (permits and fees)
+   * @param {object} rate - Rate with unit '%'
+   * @param {number} base - Construction works total
+   * @returns {object} - Line item
+   */
+  pricePercentage(rate, base) {
+    const amount = base * rate.rate / 100;
+    return {
+      code: rate.code,
+      description: rate.description,
+      unit: '%',
+      quantity: rate.rate,
+      rate: Math.round(base),
+      materials: 0,
+      labor: 0,
+      equipment: 0,
+      amount: Math.round(amount)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BillOfQuantities, BOQ_SECTIONS, BOQ_ASSUMPTIONS, BOQ_PROJECT_TYPES };
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.BillOfQuantities = BillOfQuantities;
+}
@@ -0,0 +1,423 @@
+/**
+ * Change Orders Module
+ * Scope changes to ProjectTracker projects. A change order carries a cost impact
+ * on one cost code (ProjectBudget) and a schedule impact on one task
+ * (ProjectSchedule) and moves through:
+ *
+ *   draft -> submitted -> approved | rejected
+ *   approved -> implemented
+ *
+ * Staff raise and submit change orders; the project's client (or an admin)
+ * approves or rejects them. Approval applies both impacts to the project and
+ * re-baselines its schedule. Every step is written to the audit log and posted
+ * to the project updates.
+ */
+
+const ChangeOrders = {
+  STATUSES: {
+    draft: { label: 'Draft', badge: 'bg-secondary' },
+    submitted: { label: 'Awaiting approval', badge: 'bg-warning text-dark' },
+    approved: { label: 'Approved', badge: 'bg-success' },
+    rejected: { label: 'Rejected', badge: 'bg-danger' },
+    implemented: { label: 'Implemented', badge: 'bg-primary' }
+  },
+
+  // Allowed next statuses
+  TRANSITIONS: {
+    draft: ['submitted'],
+    submitted: ['approved', 'rejected'],
+    approved: ['implemented'],
+    rejected: [],
+    implemented: []
+  },
+
+  // ============================================
+  // CHANGE ORDERS
+  // ============================================
+
+  /**
+   * Change orders of a project, latest first
+   * @param {object} project - ProjectTracker project
+   * @returns {array}
+   */
+  getChangeOrders(project) {
+    return [...(project.changeOrders || [])].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  getChangeOrder(project, id) {
+    const order = (project.changeOrders || []).find(existing => existing.id === id);
+    if (!order) {
+      throw new Error('Change order not found');
+    }
+    return order;
+  },
+
+  /**
+   * Change orders waiting for the client
+   */
+  getPending(project) {
+    return this.getChangeOrders(project).filter(order => order.status === 'submitted');
+  },
+
+  /**
+   * Raise a draft change order (requires change-orders:create)
+   * @param {object} project
+   * @param {object} data - { title, description, costImpact: { code, amount }, scheduleImpact: { taskId, days } }
+   * @returns {object} - The change order
+   */
+  create(project, data) {
+    this.authorize('change-orders:create', project);
+
+    const order = {
+      id: 'co' + Date.now(),
+      projectId: project.id,
+      number: this.nextNumber(project),
+      ...this.normalize(project, data),
+      status: 'draft',
+      createdBy: this.currentUserName(),
+      createdAt: new Date().toISOString(),
+      history: []
+    };
+    this.record(order, 'draft');
+
+    project.changeOrders = [...(project.changeOrders || []), order];
+    this.logAction('create', order, { title: order.title });
+    return order;
+  },
+
+  /**
+   * Edit a draft (requires change-orders:update)
+   * @returns {object} - The change order
+   */
+  update(project, id, data) {
+    this.authorize('change-orders:update', project);
+
+    const order = this.getChangeOrder(project, id);
+    if (order.status !== 'draft') {
+      throw new Error('Only draft change orders can be edited');
+    }
+
+    Object.assign(order, this.normalize(project, { ...order, ...data }));
+    this.logAction('update', order, { title: order.title });
+    return order;
+  },
+
+  /**
+   * Delete a draft (requires change-orders:update)
+   */
+  remove(project, id) {
+    this.authorize('change-orders:update', project);
+
+    const order = this.getChangeOrder(project, id);
+    if (order.status !== 'draft') {
+      throw new Error('Only draft change orders can be deleted');
+    }
+
+    project.changeOrders = project.changeOrders.filter(existing => existing !== order);
+    this.logAction('delete', order, { title: order.title });
+    return true;
+  },
+
+  /**
+   * Send a draft to the client for approval (requires change-orders:update)
+   */
+  submit(project, id) {
+    this.authorize('change-orders:update', project);
+
+    const order = this.getChangeOrder(project, id);
+    this.transition(order, 'submitted');
+    this.postUpdate(project, `Change Order ${order.number} Awaiting Approval`, `${order.title}. ${this.describeImpact(project, order)}.`);
+    this.logAction('submit', order);
+    return order;
+  },
+
+  /**
+   * Approve a submitted change order (requires change-orders:approve)
+   * The cost impact is added to the cost code's budget, the task is lengthened
+   * (slipping the tasks after it) and the schedule is re-baselined. Both impacts
+   * and the status change land together: if any step fails, the project is put
+   * back as it was and the order stays submitted, so approving again is safe.
+   * @param {object} project
+   * @param {string} id
+   * @param {string} note - Optional comment
+   * @returns {object} - The change order, with `applied: { budget, schedule }`
+   */
+  approve(project, id, note = '') {
+    this.authorize('change-orders:approve', project);
+
+    const order = this.getChangeOrder(project, id);
+    this.assertTransition(order, 'approved');
+
+    const snapshot = JSON.parse(JSON.stringify(project));
+    try {
+      order.applied = this.applyImpact(project, order);
+      this.transition(order, 'approved', note);
+    } catch (error) {
+      this.restore(project, snapshot);
+      throw error;
+    }
+
+    const applied = [];
+    if (order.applied.budget) {
+      applied.push(`${order.applied.budget.name} budget now ${LocaleUtil.formatMoney(order.applied.budget.to)}`);
+    }
+    if (order.applied.schedule && order.applied.schedule.finishTo !== order.applied.schedule.finishFrom) {
+      applied.push(`estimated completion moved from ${order.applied.schedule.finishFrom} to ${order.applied.schedule.finishTo}`);
+    }
+    this.postUpdate(project, `Change Order ${order.number} Approved`,
+      `${order.title}. ${applied.length > 0 ? this.capitalize(applied.join('; ')) : 'No cost or schedule change'}.${note ? ` ${note}` : ''}`);
+
+    this.logAction('approve', order, { note, applied: order.applied });
+    return order;
+  },
+
+  /**
+   * Reject a submitted change order (requires change-orders:approve)
+   * @param {string} reason - Required
+   */
+  reject(project, id, reason) {
+    this.authorize('change-orders:approve', project);
+
+    const text = String(reason || '').trim();
+    if (!text) {
+      throw new Error('A reason is required to reject a change order');
+    }
+
+    const order = this.getChangeOrder(project, id);
+    this.transition(order, 'rejected', text);
+    this.postUpdate(project, `Change Order ${order.number} Rejected`, `${order.title}. ${text}`);
+    this.logAction('reject', order, { reason: text });
+    return order;
+  },
+
+  /**
+   * Mark an approved change as carried out on site (requires change-orders:update)
+   */
+  implement(project, id, note = '') {
+    this.authorize('change-orders:update', project);
+
+    const order = this.getChangeOrder(project, id);
+    this.transition(order, 'implemented', note);
+    this.postUpdate(project, `Change Order ${order.number} Implemented`, `${order.title}.${note ? ` ${note}` : ''}`);
+    this.logAction('implement', order, { note });
+    return order;
+  },
+
+  /**
+   * Approved and implemented changes added up
+   * @returns {object} - { cost, days, pending }
+   */
+  getTotals(project) {
+    return this.getChangeOrders(project).reduce((totals, order) => {
+      if (order.status === 'approved' || order.status === 'implemented') {
+        totals.cost += order.costImpact.amount;
+        totals.days += order.scheduleImpact.days;
+      }
+      if (order.status === 'submitted') {
+        totals.pending++;
+      }
+      return totals;
+    }, { cost: 0, days: 0, pending: 0 });
+  },
+
+  // ============================================
+  // WORKFLOW
+  // ============================================
+
+  assertTransition(order, status) {
+    if (!this.TRANSITIONS[order.status].includes(status)) {
+      throw new Error(`${order.number} is ${this.STATUSES[order.status].label.toLowerCase()} and can't be ${this.STATUSES[status].label.toLowerCase()}`);
+    }
+  },
+
+  transition(order, status, note = '') {
+    this.assertTransition(order, status);
+    order.status = status;
+    this.record(order, status, note);
+  },
+
+  record(order, status, note = '') {
+    order.history.push({ status, date: new Date().toISOString(), by: this.currentUserName(), note: String(note || '').trim() });
+  },
+
+  /**
+   * Check both impacts, then apply them
+   * The schedule change is tried on a copy of the project first, so a task that
+   * can't move fails before the budget is touched.
+   * @returns {object} - { budget: { code, name, from, to }, schedule: { taskId, title, from, to, finishFrom, finishTo, moved } }
+   */
+  applyImpact(project, order) {
+    const { costImpact, scheduleImpact } = order;
+    const applied = { budget: null, schedule: null };
+
+    let costCode = null;
+    if (costImpact.amount !== 0) {
+      costCode = ProjectBudget.findCode(project, costImpact.code);
+      if (costCode.budget + costImpact.amount < 0) {
+        throw new Error(`${order.number} would take the ${costCode.name} budget below zero`);
+      }
+    }
+
+    let task = null;
+    const taskChanges = {};
+    if (scheduleImpact.days !== 0) {
+      task = this.findOpenTask(project, scheduleImpact.taskId);
+      taskChanges.duration = Math.max(task.duration + scheduleImpact.days, 1);
+      ProjectSchedule.applyTaskChanges(JSON.parse(JSON.stringify(project)), task.id, taskChanges);
+    }
+
+    if (costCode) {
+      const from = costCode.budget;
+      ProjectBudget.applyBudget(project, costCode.code, from + costImpact.amount);
+      applied.budget = { code: costCode.code, name: costCode.name, from, to: costCode.budget };
+    }
+
+    if (task) {
+      const finishFrom = ProjectSchedule.analyze(ProjectSchedule.getTasks(project)).finish;
+      const { task: changed, moved } = ProjectSchedule.applyTaskChanges(project, task.id, taskChanges);
+      applied.schedule = {
+        taskId: task.id,
+        title: task.title,
+        from: task.end,
+        to: changed.end,
+        finishFrom,
+        finishTo: ProjectSchedule.analyze(ProjectSchedule.getTasks(project)).finish,
+        moved: moved.length
+      };
+
+      // The approved change is the new plan
+      if (ProjectSchedule.getBaseline(project)) {
+        ProjectSchedule.captureBaseline(project, `Change order ${order.number} approved: ${order.title}`);
+      }
+    }
+
+    return applied;
+  },
+
+  /**
+   * Put a project back to a snapshot taken before a failed approval
+   */
+  restore(project, snapshot) {
+    Object.keys(project).forEach(key => {
+      if (!(key in snapshot)) {
+        delete project[key];
+      }
+    });
+    Object.assign(project, snapshot);
+  },
+
+  findOpenTask(project, taskId) {
+    const task = ProjectSchedule.getTasks(project).find(existing => existing.id === taskId);
+    if (!task) {
+      throw new Error('Choose the task the schedule impact applies to');
+    }
+    if (task.progress >= 100) {
+      throw new Error(`${task.title} is already complete`);
+    }
+    return task;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Validate and clean up change order fields
+   */
+  normalize(project, data) {
+    const title = String(data.title || '').trim();
+    if (!title) {
+      throw new Error('Change order title is required');
+    }
+
+    const cost = data.costImpact || {};
+    const schedule = data.scheduleImpact || {};
+    const amount = ProjectBudget.parseAmount(cost.amount);
+    const days = parseInt(schedule.days, 10) || 0;
+
+    if (amount !== 0) {
+      ProjectBudget.findCode(project, cost.code);
+    }
+    if (days !== 0) {
+      this.findOpenTask(project, schedule.taskId);
+    }
+
+    return {
+      title,
+      description: String(data.description || '').trim(),
+      costImpact: { code: amount !== 0 ? cost.code : null, amount },
+      scheduleImpact: { taskId: days !== 0 ? schedule.taskId : null, days }
+    };
+  },
+
+  nextNumber(project) {
+    const last = (project.changeOrders || []).reduce((max, order) => Math.max(max, parseInt(order.number.slice(3), 10) || 0), 0);
+    return `CO-${String(last + 1).padStart(3, '0')}`;
+  },
+
+  /**
+   * One-line cost and schedule impact, e.g. "+ETB 120,000 on Structure, +10 days on Roofing"
+   */
+  describeImpact(project, order) {
+    const parts = [];
+    if (order.costImpact.amount !== 0) {
+      const costCode = ProjectBudget.getControl(project).codes.find(existing => existing.code === order.costImpact.code);
+      parts.push(`${order.costImpact.amount > 0 ? '+' : '-'}${LocaleUtil.formatMoney(Math.abs(order.costImpact.amount))} on ${costCode ? costCode.name : order.costImpact.code}`);
+    }
+    if (order.scheduleImpact.days !== 0) {
+      const task = ProjectSchedule.getTasks(project).find(existing => existing.id === order.scheduleImpact.taskId);
+      const days = order.scheduleImpact.days;
+      parts.push(`${days > 0 ? '+' : ''}${days} day${Math.abs(days) !== 1 ? 's' : ''} on ${task ? task.title : order.scheduleImpact.taskId}`);
+    }
+    return parts.length > 0 ? this.capitalize(parts.join(', ')) : 'No cost or schedule impact';
+  },
+
+  postUpdate(project, title, description) {
+    project.updates = [{
+      id: 'u' + Date.now(),
+      date: new Date().toISOString(),
+      title,
+      description,
+      author: this.currentUserName()
+    }, ...(project.updates || [])];
+  },
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  currentUserName() {
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    return user ? (user.name || user.username || user.email) : 'Project Manager';
+  },
+
+  /**
+   * Whether the current user may act on a project's change orders
+   * @param {string} action - 'create', 'update' or 'approve'
+   */
+  can(action, project) {
+    return typeof PermissionUtil === 'undefined' || PermissionUtil.can(`change-orders:${action}`, { projectId: project.id });
+  },
+
+  authorize(permission, project) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert(permission, { id: project.id, projectId: project.id });
+    }
+  },
+
+  logAction(action, order, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, 'change_order', order.id, { project: order.projectId, number: order.number, status: order.status, ...details });
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChangeOrders;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ChangeOrders = ChangeOrders;
+}
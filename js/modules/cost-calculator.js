@@ -12,9 +12,25 @@ class CostCalculator {
     this.errorMessage = this.container.querySelector('#errorMessage');
     this.currentEstimate = null;
 
+    // Named what-if estimates from this session
+    this.scenarios = typeof EstimateScenarios !== 'undefined' ? new EstimateScenarios() : null;
+
     this.init();
   }
 
+  /**
+   * Calculator without a form, for pricing only (e.g. re-pricing saved estimates)
+   * @returns {CostCalculator}
+   */
+  static headless() {
+    const calculator = Object.create(CostCalculator.prototype);
+    calculator.container = null;
+    calculator.form = null;
+    calculator.currentEstimate = null;
+    calculator.scenarios = null;
+    return calculator;
+  }
+
   /**
    * Initialize the calculator
    */
@@ -51,18 +67,56 @@ class CostCalculator {
       downloadPdfBtn.addEventListener('click', () => this.downloadPdf());
     }
 
+    // Finance this estimate button
+    const financeBtn = document.getElementById('financeEstimateBtn');
+    if (financeBtn) {
+      financeBtn.addEventListener('click', () => this.financeEstimate());
+    }
+
     // Send email button in modal
     const sendEmailBtn = document.getElementById('sendEmailBtn');
     if (sendEmailBtn) {
       sendEmailBtn.addEventListener('click', () => this.emailEstimate());
     }
 
+    // Scenario buttons and comparison table
+    const addScenarioBtn = document.getElementById('addScenarioBtn');
+    if (addScenarioBtn) {
+      addScenarioBtn.addEventListener('click', () => this.addScenario());
+    }
+
+    const saveScenariosBtn = document.getElementById('saveScenariosBtn');
+    if (saveScenariosBtn) {
+      saveScenariosBtn.addEventListener('click', () => this.saveScenarios());
+    }
+
+    const scenarioComparison = document.getElementById('scenarioComparison');
+    if (scenarioComparison) {
+      scenarioComparison.addEventListener('click', (e) => this.handleScenarioAction(e));
+    }
+
+    const scenarioQuoteForm = document.getElementById('scenarioQuoteForm');
+    if (scenarioQuoteForm) {
+      scenarioQuoteForm.addEventListener('submit', (e) => this.handleScenarioQuoteSubmit(e));
+    }
+
     // Project type change handler (for conditional fields)
     const projectTypeSelect = document.getElementById('projectType');
     if (projectTypeSelect) {
       projectTypeSelect.addEventListener('change', (e) => this.handleProjectTypeChange(e));
     }
 
+    // Start in the visitor's preferred size unit
+    if (this.form.elements.sizeUnit) {
+      this.form.elements.sizeUnit.value = LocaleUtil.getSizeUnit();
+    }
+
+    // Reopen a saved estimate linked from "My Estimates" (?estimate=<id>)
+    const savedId = new URLSearchParams(window.location.search).get('estimate');
+    if (savedId) {
+      this.openSavedEstimate(savedId);
+    }
+
     console.log('Cost Calculator initialized');
   }
 
@@ -136,7 +190,10 @@ class CostCalculator {
       region: formData.get('region'),
       city: formData.get('city'),
       materials: materials,
-      notes: formData.get('notes') || ''
+      notes: formData.get('notes') || '',
+      estimateMode: formData.get('estimateMode') || 'quick',
+      estimateDate: formData.get('estimateDate') || null,
+      useMaterialPrices: formData.get('useMaterialPrices') === 'on'
     };
   }
 
@@ -180,129 +237,176 @@ class CostCalculator {
    * @returns {Promise<object>} - Cost estimate with breakdown
    */
   async calculateEstimate(projectData) {
-    // Convert size to square meters if needed
-    let sizeInSqm = projectData.projectSize;
-    if (projectData.sizeUnit === 'sqft') {
-      sizeInSqm = projectData.projectSize * 0.092903; // Convert sqft to sqm
-    }
-
-    // Base cost per square meter by project type (in ETB)
-    const baseCosts = {
-      residential: 8000,
-      commercial: 12000,
-      industrial: 10000,
-      renovation: 6000
-    };
+    // Prices are per m²
+    const sizeInSqm = LocaleUtil.toSqm(projectData.projectSize, projectData.sizeUnit || CONFIG.LOCALE.DEFAULT_SIZE_UNIT);
 
-    const baseCostPerSqm = baseCosts[projectData.projectType] || 8000;
-
-    // Regional cost multipliers
-    const regionalMultipliers = {
-      'addis-ababa': 1.2,
-      'oromia': 1.0,
-      'amhara': 0.95,
-      'tigray': 0.9,
-      'somali': 0.85,
-      'afar': 0.85,
-      'southern': 0.9,
-      'other': 0.9
-    };
+    // Rates in force on the estimate date, or the exact version being reproduced
+    const rateVersion = this.getRateVersion(projectData);
 
-    const regionalMultiplier = regionalMultipliers[projectData.region] || 1.0;
-
-    // Floor multiplier (more floors = slightly higher cost per sqm)
-    const floorMultiplier = 1 + (projectData.floors - 1) * 0.05;
-
-    // Material premium multipliers
-    const materialPremiums = {
-      concrete: 1.0,
-      steel: 1.3,
-      brick: 0.9,
-      wood: 1.1,
-      tiles: 1.0,
-      marble: 1.5,
-      glass: 1.4,
-      paint: 1.0
-    };
+    // Adjust materials for price movements since the rates took effect (kept in the inputs)
+    projectData = { ...projectData, materialIndex: this.getMaterialIndex(projectData, rateVersion) };
 
-    let materialMultiplier = 1.0;
-    if (projectData.materials.length > 0) {
-      const premiums = projectData.materials.map(m => materialPremiums[m] || 1.0);
-      materialMultiplier = premiums.reduce((a, b) => a + b, 0) / premiums.length;
+    // Itemized bill of quantities instead of a single per-m² rate
+    if (projectData.estimateMode === 'boq' && typeof BillOfQuantities !== 'undefined') {
+      return this.calculateBoqEstimate(projectData, sizeInSqm, rateVersion);
     }
 
-    // Calculate base cost
-    const adjustedCostPerSqm = baseCostPerSqm * regionalMultiplier * floorMultiplier * materialMultiplier;
-    const totalBaseCost = adjustedCostPerSqm * sizeInSqm;
+    // Per-m² pricing shared with the other price widgets on the site
+    const priced = PricingService.priceArea(projectData, sizeInSqm, rateVersion);
 
-    // Calculate breakdown by category
-    const breakdown = this.calculateBreakdown(totalBaseCost, projectData);
-
-    // Calculate total with contingency
-    const subtotal = breakdown.materials + breakdown.labor + breakdown.equipment + breakdown.permits;
-    const contingency = subtotal * 0.15; // 15% contingency
-    const total = subtotal + contingency;
+    return {
+      id: this.generateEstimateId(),
+      mode: 'quick',
+      estimateDate: RateLibrary.toDateKey(projectData.estimateDate || new Date()),
+      rateVersion: this.describeRateVersion(rateVersion),
+      inputs: this.getEstimateInputs(projectData),
+      projectType: projectData.projectType,
+      size: projectData.projectSize,
+      sizeUnit: projectData.sizeUnit,
+      location: `${projectData.city}, ${projectData.region}`,
+      materials: projectData.materials,
+      estimatedCost: {
+        min: Math.round(priced.min),
+        max: Math.round(priced.max)
+      },
+      breakdown: {
+        materials: Math.round(priced.breakdown.materials),
+        labor: Math.round(priced.breakdown.labor),
+        equipment: Math.round(priced.breakdown.equipment),
+        permits: Math.round(priced.breakdown.permits),
+        contingency: Math.round(priced.contingency)
+      },
+      total: Math.round(priced.total),
+      createdAt: new Date().toISOString(),
+      userEmail: null
+    };
+  }
 
-    // Calculate cost range (min/max)
-    const minCost = total * 0.85; // -15%
-    const maxCost = total * 1.15; // +15%
+  /**
+   * Calculate an itemized estimate from the bill of quantities
+   * Line items roll up into the same breakdown the result card displays.
+   * @param {object} projectData - Project data
+   * @param {number} sizeInSqm - Gross floor area in m²
+   * @param {object} rateVersion - RateLibrary version to price with
+   * @returns {object} - Cost estimate with breakdown and BOQ sections
+   */
+  calculateBoqEstimate(projectData, sizeInSqm, rateVersion) {
+    const boq = new BillOfQuantities(projectData, sizeInSqm, rateVersion).calculate();
+    const accuracy = boq.assumptions.accuracy;
 
     return {
       id: this.generateEstimateId(),
+      mode: 'boq',
+      estimateDate: RateLibrary.toDateKey(projectData.estimateDate || new Date()),
+      rateVersion: this.describeRateVersion(rateVersion),
+      inputs: this.getEstimateInputs(projectData),
       projectType: projectData.projectType,
       size: projectData.projectSize,
       sizeUnit: projectData.sizeUnit,
+      floors: projectData.floors,
       location: `${projectData.city}, ${projectData.region}`,
       materials: projectData.materials,
       estimatedCost: {
-        min: Math.round(minCost),
-        max: Math.round(maxCost)
+        min: Math.round(boq.total * (1 - accuracy)),
+        max: Math.round(boq.total * (1 + accuracy))
       },
       breakdown: {
-        materials: Math.round(breakdown.materials),
-        labor: Math.round(breakdown.labor),
-        equipment: Math.round(breakdown.equipment),
-        permits: Math.round(breakdown.permits),
-        contingency: Math.round(contingency)
+        materials: Math.round(boq.breakdown.materials),
+        labor: Math.round(boq.breakdown.labor),
+        equipment: Math.round(boq.breakdown.equipment),
+        permits: Math.round(boq.breakdown.permits),
+        contingency: Math.round(boq.contingency)
+      },
+      boq: {
+        sections: boq.sections,
+        assumptions: boq.assumptions
       },
-      total: Math.round(total),
+      total: Math.round(boq.total),
       createdAt: new Date().toISOString(),
       userEmail: null
     };
   }
 
   /**
-   * Calculate cost breakdown by category
-   * @param {number} totalBaseCost - Total base cost
-   * @param {object} projectData - Project data
-   * @returns {object} - Cost breakdown
-   */
-  calculateBreakdown(totalBaseCost, projectData) {
-    // Standard breakdown percentages
-    let materialsPercent = 0.40; // 40% materials
-    let laborPercent = 0.35;     // 35% labor
-    let equipmentPercent = 0.15; // 15% equipment
-    let permitsPercent = 0.10;   // 10% permits
-
-    // Adjust based on project type
-    if (projectData.projectType === 'industrial') {
-      equipmentPercent = 0.25;
-      materialsPercent = 0.35;
-      laborPercent = 0.30;
-    } else if (projectData.projectType === 'renovation') {
-      laborPercent = 0.45;
-      materialsPercent = 0.35;
-      equipmentPercent = 0.10;
+   * Pick the rate table version for an estimate
+   * @param {object} projectData - Project data ({ rateVersionId } pins a version)
+   * @returns {object} - RateLibrary version
+   */
+  getRateVersion(projectData) {
+    if (projectData.rateVersionId) {
+      const version = RateLibrary.getVersion(projectData.rateVersionId);
+      if (!version) {
+        throw new Error(`Rate table version not found: ${projectData.rateVersionId}`);
+      }
+      return version;
+    }
+
+    const version = RateLibrary.getActiveVersion(projectData.estimateDate || new Date());
+    if (!version) {
+      throw new Error('No rate table is in force for the estimate date');
+    }
+    return version;
+  }
+
+  /**
+   * Material price index for an estimate
+   * Saved estimates keep their index, so reproducing them gives the same figures.
+   * @param {object} projectData - Project data ({ useMaterialPrices } applies the latest prices)
+   * @param {object} rateVersion - RateLibrary version being priced with
+   * @returns {number} - 1 when material prices aren't used
+   */
+  getMaterialIndex(projectData, rateVersion) {
+    if (typeof projectData.materialIndex === 'number') {
+      return projectData.materialIndex;
     }
+    if (!projectData.useMaterialPrices || typeof MaterialPrices === 'undefined') {
+      return 1;
+    }
+
+    return MaterialPrices.getIndex(
+      projectData.region,
+      rateVersion.effectiveFrom,
+      projectData.estimateDate || new Date()
+    ).index;
+  }
 
+  /**
+   * Summary of the rate version stored with an estimate
+   */
+  describeRateVersion(rateVersion) {
     return {
-      materials: totalBaseCost * materialsPercent,
-      labor: totalBaseCost * laborPercent,
-      equipment: totalBaseCost * equipmentPercent,
-      permits: totalBaseCost * permitsPercent
+      id: rateVersion.id,
+      version: rateVersion.version,
+      effectiveFrom: rateVersion.effectiveFrom
     };
   }
 
+  /**
+   * Inputs stored with an estimate so it can be recalculated
+   */
+  getEstimateInputs(projectData) {
+    const { rateVersionId, ...inputs } = projectData;
+    return { ...inputs, materials: [...(projectData.materials || [])] };
+  }
+
+  /**
+   * Recalculate a saved estimate with the rate version it was priced with
+   * @param {object} estimate - Saved estimate (with inputs and rateVersion)
+   * @returns {Promise<object>} - Identical estimate
+   */
+  async reproduceEstimate(estimate) {
+    if (!estimate.inputs || !estimate.rateVersion) {
+      throw new Error('Estimate was saved without its inputs and rate version');
+    }
+
+    const repriced = await this.calculateEstimate({
+      ...estimate.inputs,
+      rateVersionId: estimate.rateVersion.id
+    });
+
+    return { ...repriced, id: estimate.id, createdAt: estimate.createdAt, userEmail: estimate.userEmail };
+  }
+
   /**
    * Display calculation results
    * @param {object} estimate - Cost estimate
@@ -311,16 +415,19 @@ class CostCalculator {
     // Update cost range
     const costRangeEl = document.getElementById('costRange');
     if (costRangeEl) {
-      costRangeEl.textContent = `ETB ${this.formatCurrency(estimate.estimatedCost.min)} - ETB ${this.formatCurrency(estimate.estimatedCost.max)}`;
+      costRangeEl.textContent = `${this.formatCurrency(estimate.estimatedCost.min)} - ${this.formatCurrency(estimate.estimatedCost.max)}`;
     }
 
     // Update breakdown
-    document.getElementById('costMaterials').textContent = `ETB ${this.formatCurrency(estimate.breakdown.materials)}`;
-    document.getElementById('costLabor').textContent = `ETB ${this.formatCurrency(estimate.breakdown.labor)}`;
-    document.getElementById('costEquipment').textContent = `ETB ${this.formatCurrency(estimate.breakdown.equipment)}`;
-    document.getElementById('costPermits').textContent = `ETB ${this.formatCurrency(estimate.breakdown.permits)}`;
-    document.getElementById('costContingency').textContent = `ETB ${this.formatCurrency(estimate.breakdown.contingency)}`;
-    document.getElementById('costTotal').textContent = `ETB ${this.formatCurrency(estimate.total)}`;
+    document.getElementById('costMaterials').textContent = this.formatCurrency(estimate.breakdown.materials);
+    document.getElementById('costLabor').textContent = this.formatCurrency(estimate.breakdown.labor);
+    document.getElementById('costEquipment').textContent = this.formatCurrency(estimate.breakdown.equipment);
+    document.getElementById('costPermits').textContent = this.formatCurrency(estimate.breakdown.permits);
+    document.getElementById('costContingency').textContent = this.formatCurrency(estimate.breakdown.contingency);
+    document.getElementById('costTotal').textContent = this.formatCurrency(estimate.total);
+
+    // Line items for bill-of-quantities estimates
+    this.renderBillOfQuantities(estimate);
 
     // Show result card
     this.resultCard.classList.add('show');
@@ -329,6 +436,65 @@ class CostCalculator {
     this.resultCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
 
+  /**
+   * Render BOQ line items grouped by work section
+   * @param {object} estimate - Cost estimate
+   */
+  renderBillOfQuantities(estimate) {
+    const container = document.getElementById('boqDetails');
+    if (!container) {
+      return;
+    }
+
+    if (!estimate.boq) {
+      container.innerHTML = '';
+      container.classList.add('d-none');
+      return;
+    }
+
+    container.innerHTML = `
+      <h6 class="mt-3">Bill of Quantities</h6>
+      <div class="table-responsive">
+        <table class="table table-sm boq-table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Description</th>
+              <th class="text-end">Qty</th>
+              <th>Unit</th>
+              <th class="text-end">Rate</th>
+              <th class="text-end">Amount (${LocaleUtil.currencyLabel()})</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${estimate.boq.sections.map(section => `
+              <tr class="table-light">
+                <th colspan="5">${section.name}</th>
+                <th class="text-end">${LocaleUtil.formatAmount(section.subtotal)}</th>
+              </tr>
+              ${section.items.map(item => `
+                <tr>
+                  <td>${item.code}</td>
+                  <td>${item.description}</td>
+                  <td class="text-end">${item.quantity.toLocaleString(LocaleUtil.getLocale(), { maximumFractionDigits: 2 })}</td>
+                  <td>${item.unit}</td>
+                  <td class="text-end">${LocaleUtil.formatAmount(item.rate)}</td>
+                  <td class="text-end">${LocaleUtil.formatAmount(item.amount)}</td>
+                </tr>
+              `).join('')}
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="small text-muted">
+        Quantities assume a square plan of ${estimate.boq.assumptions.footprint} m² per floor
+        and ${estimate.boq.assumptions.storeyHeight} m storeys; rates include a regional factor of
+        ${estimate.boq.assumptions.regionalFactor}. Percentage items are charged on the works total.
+      </p>
+    `;
+    container.classList.remove('d-none');
+  }
+
   /**
    * Save estimate to database and local storage
    */
@@ -338,36 +504,24 @@ class CostCalculator {
       return;
     }
 
+    // Link the estimate to the signed-in client so it appears in "My Estimates"
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    if (user) {
+      this.currentEstimate.userId = user.id;
+      this.currentEstimate.userEmail = this.currentEstimate.userEmail || user.email;
+    }
+
     try {
       // Try to save to database first
       if (typeof API !== 'undefined' && API.costEstimates) {
-        // Prepare data for API
-        const estimateData = {
-          estimate_id: this.currentEstimate.id,
-          project_type: this.currentEstimate.projectType,
-          project_size: this.currentEstimate.size,
-          size_unit: this.currentEstimate.sizeUnit,
-          location: this.currentEstimate.location,
-          materials: this.currentEstimate.materials,
-          estimated_cost_min: this.currentEstimate.estimatedCost.min,
-          estimated_cost_max: this.currentEstimate.estimatedCost.max,
-          breakdown: {
-            materials: this.currentEstimate.breakdown.materials,
-            labor: this.currentEstimate.breakdown.labor,
-            equipment: this.currentEstimate.breakdown.equipment,
-            permits: this.currentEstimate.breakdown.permits,
-            contingency: this.currentEstimate.breakdown.contingency
-          },
-          total_cost: this.currentEstimate.total,
-          user_email: this.currentEstimate.userEmail,
-          user_name: null,
-          notes: null,
-          status: 'pending'
-        };
-
-        const response = await API.costEstimates.create(estimateData);
+        const response = await API.costEstimates.create(this.toApiData(this.currentEstimate));
         
-        if (response.success) {
+        if (response.queued) {
+          // Backend unreachable: the sync queue will replay this request;
+          // keep a local copy so the estimate is listed in the meantime
+          this.saveLocally(this.currentEstimate);
+          alert('Estimate saved offline. It will be synced to the database when the connection returns.');
+        } else if (response.success) {
           alert('Estimate saved successfully to database!');
         } else {
           throw new Error(response.message || 'Failed to save to database');
@@ -381,15 +535,8 @@ class CostCalculator {
       
       // Fallback to localStorage
       try {
-        if (typeof StorageUtil !== 'undefined') {
-          StorageUtil.saveEstimate(this.currentEstimate);
-          alert('Estimate saved locally (database unavailable)');
-        } else {
-          const estimates = JSON.parse(localStorage.getItem('costEstimates') || '[]');
-          estimates.push(this.currentEstimate);
-          localStorage.setItem('costEstimates', JSON.stringify(estimates));
-          alert('Estimate saved locally (database unavailable)');
-        }
+        this.saveLocally(this.currentEstimate);
+        alert('Estimate saved locally (database unavailable)');
       } catch (localError) {
         console.error('Error saving locally:', localError);
         alert('Failed to save estimate. Please try again.');
@@ -397,6 +544,365 @@ class CostCalculator {
     }
   }
 
+  /**
+   * Keep a copy of an estimate in local storage
+   * @param {object} estimate - Cost estimate
+   */
+  saveLocally(estimate) {
+    if (typeof EstimateHistory !== 'undefined') {
+      EstimateHistory.saveLocal(estimate);
+    } else if (typeof StorageUtil !== 'undefined') {
+      const estimates = StorageUtil.get(CONFIG.STORAGE_KEYS.ESTIMATES, []);
+      estimates.push(estimate);
+      StorageUtil.set(CONFIG.STORAGE_KEYS.ESTIMATES, estimates);
+    } else {
+      const estimates = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.ESTIMATES) || '[]');
+      estimates.push(estimate);
+      localStorage.setItem(CONFIG.STORAGE_KEYS.ESTIMATES, JSON.stringify(estimates));
+    }
+  }
+
+  /**
+   * Reopen a saved estimate: restore its inputs in the form and show its results
+   * @param {string} id - Estimate ID
+   * @returns {Promise<object|null>} - The estimate
+   */
+  async openSavedEstimate(id) {
+    if (typeof EstimateHistory === 'undefined') {
+      console.error('EstimateHistory is not loaded');
+      return null;
+    }
+
+    const estimate = await EstimateHistory.getEstimate(id);
+    if (!estimate) {
+      this.showError('The saved estimate could not be found.');
+      return null;
+    }
+
+    this.currentEstimate = estimate;
+    this.fillForm(estimate.inputs);
+    this.displayResults(estimate);
+    return estimate;
+  }
+
+  /**
+   * Estimate in the format expected by the cost estimates API
+   * @param {object} estimate - Cost estimate
+   * @returns {object}
+   */
+  toApiData(estimate) {
+    return {
+      estimate_id: estimate.id,
+      project_type: estimate.projectType,
+      project_size: estimate.size,
+      size_unit: estimate.sizeUnit,
+      location: estimate.location,
+      materials: estimate.materials,
+      estimated_cost_min: estimate.estimatedCost.min,
+      estimated_cost_max: estimate.estimatedCost.max,
+      breakdown: {
+        materials: estimate.breakdown.materials,
+        labor: estimate.breakdown.labor,
+        equipment: estimate.breakdown.equipment,
+        permits: estimate.breakdown.permits,
+        contingency: estimate.breakdown.contingency
+      },
+      total_cost: estimate.total,
+      estimate_mode: estimate.mode,
+      estimate_date: estimate.estimateDate,
+      rate_version_id: estimate.rateVersion ? estimate.rateVersion.id : null,
+      rate_version: estimate.rateVersion ? estimate.rateVersion.version : null,
+      inputs: estimate.inputs,
+      bill_of_quantities: estimate.boq || null,
+      user_id: estimate.userId || null,
+      user_email: estimate.userEmail,
+      user_name: null,
+      notes: null,
+      status: 'pending'
+    };
+  }
+
+  // ============================================
+  // SCENARIOS
+  // ============================================
+
+  /**
+   * Keep the current estimate as a named scenario
+   * @param {string} name - Scenario name (defaults to the #scenarioName input)
+   * @returns {object|null} - The scenario
+   */
+  addScenario(name = null) {
+    if (!this.scenarios) {
+      console.error('EstimateScenarios is not loaded');
+      return null;
+    }
+    if (!this.currentEstimate) {
+      alert('Calculate an estimate before adding it as a scenario');
+      return null;
+    }
+
+    const nameInput = document.getElementById('scenarioName');
+    const scenario = this.scenarios.add(name || (nameInput ? nameInput.value : ''), this.currentEstimate);
+
+    if (nameInput) {
+      nameInput.value = '';
+    }
+    this.renderScenarioComparison();
+    return scenario;
+  }
+
+  /**
+   * Show a scenario's results and put its inputs back in the form for further changes
+   * @param {string} id - Scenario ID
+   */
+  loadScenario(id) {
+    const scenario = this.scenarios.require(id);
+    this.currentEstimate = JSON.parse(JSON.stringify(scenario.estimate));
+    this.fillForm(this.currentEstimate.inputs || {});
+    this.displayResults(this.currentEstimate);
+  }
+
+  /**
+   * Populate the calculator form from saved inputs
+   * @param {object} inputs - Estimate inputs
+   */
+  fillForm(inputs) {
+    if (!this.form) {
+      return;
+    }
+
+    ['projectType', 'projectSize', 'sizeUnit', 'floors', 'region', 'city', 'notes', 'estimateMode', 'estimateDate'].forEach(name => {
+      const field = this.form.elements[name];
+      if (!field || inputs[name] === undefined || inputs[name] === null) {
+        return;
+      }
+      // Setting a RadioNodeList's value checks the matching radio
+      field.value = inputs[name];
+    });
+
+    this.form.querySelectorAll('input[name="materials"]').forEach(checkbox => {
+      checkbox.checked = (inputs.materials || []).includes(checkbox.value);
+    });
+  }
+
+  /**
+   * Handle clicks in the comparison table
+   */
+  handleScenarioAction(e) {
+    const button = e.target.closest('[data-scenario-action]');
+    if (!button || !this.scenarios) {
+      return;
+    }
+
+    const id = button.getAttribute('data-id');
+    switch (button.getAttribute('data-scenario-action')) {
+      case 'select':
+        this.scenarios.select(id);
+        break;
+      case 'baseline':
+        this.scenarios.setBaseline(id);
+        break;
+      case 'load':
+        this.loadScenario(id);
+        break;
+      case 'rename': {
+        const name = prompt('Scenario name', this.scenarios.require(id).name);
+        if (name) {
+          this.scenarios.rename(id, name);
+        }
+        break;
+      }
+      case 'remove':
+        this.scenarios.remove(id);
+        break;
+    }
+
+    this.renderScenarioComparison();
+  }
+
+  /**
+   * Render the side-by-side comparison of all scenarios
+   */
+  renderScenarioComparison() {
+    const container = document.getElementById('scenarioComparison');
+    if (!container || !this.scenarios) {
+      return;
+    }
+
+    if (this.scenarios.count === 0) {
+      container.innerHTML = '';
+      container.classList.add('d-none');
+      return;
+    }
+
+    const comparison = this.scenarios.compare();
+    const formatDelta = (value) => {
+      if (value.id === comparison.baselineId) {
+        return '';
+      }
+      if (value.delta === 0) {
+        return '<div class="small text-muted">no change</div>';
+      }
+      const sign = value.delta > 0 ? '+' : '−';
+      const color = value.delta > 0 ? 'text-danger' : 'text-success';
+      return `<div class="small ${color}">${sign}${this.formatCurrency(Math.abs(value.delta))} (${sign}${Math.abs(value.deltaPercent)}%)</div>`;
+    };
+
+    container.innerHTML = `
+      <h6 class="mt-3">Scenario Comparison</h6>
+      <div class="table-responsive">
+        <table class="table table-sm scenario-table">
+          <thead>
+            <tr>
+              <th></th>
+              ${comparison.scenarios.map(scenario => `
+                <th class="text-end">
+                  ${scenario.name}
+                  ${scenario.id === comparison.baselineId ? '<span class="badge bg-secondary ms-1">Baseline</span>' : ''}
+                  ${scenario.id === this.scenarios.selectedId ? '<span class="badge bg-success ms-1">Chosen</span>' : ''}
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th class="small">Changes</th>
+              ${comparison.scenarios.map(scenario => `
+                <td class="text-end small text-muted">
+                  ${scenario.id === comparison.baselineId ? 'Baseline' : (scenario.changes.join('<br>') || 'Same inputs')}
+                </td>
+              `).join('')}
+            </tr>
+            ${comparison.rows.map(row => `
+              <tr class="${row.key === 'total' ? 'fw-bold' : ''}">
+                <th>${row.label}</th>
+                ${row.values.map(value => `
+                  <td class="text-end">
+                    ${this.formatCurrency(value.amount)}
+                    ${formatDelta(value)}
+                  </td>
+                `).join('')}
+              </tr>
+            `).join('')}
+            <tr>
+              <th></th>
+              ${comparison.scenarios.map(scenario => `
+                <td class="text-end">
+                  <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-success" data-scenario-action="select" data-id="${scenario.id}" title="Choose">
+                      <i class="fas fa-check"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-scenario-action="baseline" data-id="${scenario.id}" title="Compare against this">
+                      <i class="fas fa-balance-scale"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-primary" data-scenario-action="load" data-id="${scenario.id}" title="Load into form">
+                      <i class="fas fa-edit"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-scenario-action="rename" data-id="${scenario.id}" title="Rename">
+                      <i class="fas fa-i-cursor"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-danger" data-scenario-action="remove" data-id="${scenario.id}" title="Remove">
+                      <i class="fas fa-trash"></i>
+                    </button>
+                  </div>
+                </td>
+              `).join('')}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+    container.classList.remove('d-none');
+  }
+
+  /**
+   * Save the whole scenario set locally and to the database
+   */
+  async saveScenarios() {
+    if (!this.scenarios || this.scenarios.count === 0) {
+      alert('Add at least one scenario before saving');
+      return;
+    }
+
+    const data = this.scenarios.save();
+
+    try {
+      if (typeof API === 'undefined' || !API.costEstimates) {
+        throw new Error('API not available');
+      }
+
+      // The chosen scenario is the estimate; the full set travels with it
+      const response = await API.costEstimates.create({
+        ...this.toApiData(this.scenarios.getSelected().estimate),
+        scenario_set_id: data.id,
+        scenario_name: this.scenarios.getSelected().name,
+        scenarios: data.scenarios
+      });
+
+      if (response.queued) {
+        alert('Scenarios saved offline. They will be synced to the database when the connection returns.');
+      } else if (response.success) {
+        alert(`${data.scenarios.length} scenario(s) saved successfully!`);
+      } else {
+        throw new Error(response.message || 'Failed to save to database');
+      }
+    } catch (error) {
+      console.error('Error saving scenarios to database:', error);
+      alert('Scenarios saved locally (database unavailable)');
+    }
+  }
+
+  /**
+   * Turn the chosen scenario into a quote request for QuoteManagement
+   * @param {object} contact - { name, email, phone, message }
+   * @returns {object} - The quote request
+   */
+  convertScenarioToQuote(contact) {
+    if (!this.scenarios || this.scenarios.count === 0) {
+      throw new Error('Add a scenario before requesting a quote');
+    }
+    if (!contact.name || !contact.email) {
+      throw new Error('Please enter your name and email address');
+    }
+    if (typeof ValidationUtil !== 'undefined' && !ValidationUtil.validateEmail(contact.email)) {
+      throw new Error('Please enter a valid email address');
+    }
+
+    const quote = this.scenarios.toQuoteRequest(contact);
+
+    if (typeof QuoteManagement !== 'undefined') {
+      QuoteManagement.addQuoteRequest(quote);
+    } else {
+      const quotes = StorageUtil.get(CONFIG.STORAGE_KEYS.QUOTE_REQUESTS, []);
+      quotes.unshift(quote);
+      StorageUtil.set(CONFIG.STORAGE_KEYS.QUOTE_REQUESTS, quotes);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Handle the "request a quote for this scenario" form
+   */
+  handleScenarioQuoteSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    try {
+      const quote = this.convertScenarioToQuote({
+        name: (form.elements.name ? form.elements.name.value : '').trim(),
+        email: (form.elements.email ? form.elements.email.value : '').trim(),
+        phone: form.elements.phone ? form.elements.phone.value.trim() : '',
+        message: form.elements.message ? form.elements.message.value.trim() : ''
+      });
+
+      form.reset();
+      alert(`Quote request sent for "${quote.estimate.scenarioName}". We will contact you shortly.`);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
   /**
    * Show email modal
    */
@@ -465,6 +971,7 @@ class CostCalculator {
 
   /**
    * Download estimate as PDF
+   * Requires utils/pdf-generator.js
    */
   downloadPdf() {
     if (!this.currentEstimate) {
@@ -472,107 +979,39 @@ class CostCalculator {
       return;
     }
 
-    // Create a printable version of the estimate
-    const estimate = this.currentEstimate;
-    const date = new Date(estimate.createdAt).toLocaleDateString();
-    
-    // Generate HTML content for PDF
-    const pdfContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Cost Estimate - ${estimate.id}</title>
-        <style>
-          body { font-family: Arial, sans-serif; padding: 40px; }
-          h1 { color: #007bff; border-bottom: 3px solid #007bff; padding-bottom: 10px; }
-          .header { margin-bottom: 30px; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; display: inline-block; width: 150px; }
-          .cost-range { font-size: 24px; font-weight: bold; color: #007bff; margin: 20px 0; }
-          table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-          th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
-          th { background-color: #007bff; color: white; }
-          .total-row { font-weight: bold; font-size: 18px; background-color: #f8f9fa; }
-          .footer { margin-top: 40px; font-size: 12px; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>DB GENERAL CONSTRUCTION PLC</h1>
-          <h2>Construction Cost Estimate</h2>
-        </div>
-        
-        <div class="info-section">
-          <div class="info-row"><span class="label">Estimate ID:</span> ${estimate.id}</div>
-          <div class="info-row"><span class="label">Date:</span> ${date}</div>
-          <div class="info-row"><span class="label">Project Type:</span> ${estimate.projectType.charAt(0).toUpperCase() + estimate.projectType.slice(1)}</div>
-          <div class="info-row"><span class="label">Project Size:</span> ${estimate.size} ${estimate.sizeUnit}</div>
-          <div class="info-row"><span class="label">Location:</span> ${estimate.location}</div>
-          ${estimate.materials.length > 0 ? `<div class="info-row"><span class="label">Materials:</span> ${estimate.materials.join(', ')}</div>` : ''}
-        </div>
-        
-        <div class="cost-range">
-          Estimated Cost: ETB ${this.formatCurrency(estimate.estimatedCost.min)} - ETB ${this.formatCurrency(estimate.estimatedCost.max)}
-        </div>
-        
-        <h3>Cost Breakdown</h3>
-        <table>
-          <thead>
-            <tr>
-              <th>Category</th>
-              <th>Amount (ETB)</th>
-            </tr>
-          </thead>
-          <tbody>
-            <tr>
-              <td>Materials</td>
-              <td>${this.formatCurrency(estimate.breakdown.materials)}</td>
-            </tr>
-            <tr>
-              <td>Labor</td>
-              <td>${this.formatCurrency(estimate.breakdown.labor)}</td>
-            </tr>
-            <tr>
-              <td>Equipment</td>
-              <td>${this.formatCurrency(estimate.breakdown.equipment)}</td>
-            </tr>
-            <tr>
-              <td>Permits & Fees</td>
-              <td>${this.formatCurrency(estimate.breakdown.permits)}</td>
-            </tr>
-            <tr>
-              <td>Contingency (15%)</td>
-              <td>${this.formatCurrency(estimate.breakdown.contingency)}</td>
-            </tr>
-            <tr class="total-row">
-              <td>Total Estimated Cost</td>
-              <td>ETB ${this.formatCurrency(estimate.total)}</td>
-            </tr>
-          </tbody>
-        </table>
-        
-        <div class="footer">
-          <p><strong>Note:</strong> This is an estimated cost based on current market rates and the specifications provided. 
-          Actual costs may vary based on site conditions, material availability, and other factors. 
-          Please contact us for a detailed quote.</p>
-          <p>DB General Construction PLC | Phone: +251-9115-9012 | Email: support@construct.com</p>
-        </div>
-      </body>
-      </html>
-    `;
+    if (typeof PDFGenerator === 'undefined') {
+      console.error('PDFGenerator is not loaded');
+      alert('PDF download is unavailable. Please use the Print button instead.');
+      return;
+    }
 
-    // Create a blob and download
-    const blob = new Blob([pdfContent], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Cost-Estimate-${estimate.id}.html`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const blob = PDFGenerator.estimate(this.currentEstimate);
+    PDFGenerator.download(blob, `Cost-Estimate-${this.currentEstimate.id}.pdf`);
+  }
 
-    alert('Estimate downloaded! Open the HTML file and use your browser\'s "Print to PDF" feature to save as PDF.');
+  /**
+   * Open the financing calculator with the estimate total as the project cost
+   * Requires modules/financing-calculator.js
+   */
+  financeEstimate() {
+    if (!this.currentEstimate) {
+      alert('Calculate an estimate first');
+      return;
+    }
+
+    if (typeof FinancingCalculator === 'undefined') {
+      console.error('FinancingCalculator is not loaded');
+      return;
+    }
+
+    // Financing form on this page: fill it in, otherwise go to the financing page
+    const costInput = document.getElementById('projectCost');
+    if (costInput) {
+      FinancingCalculator.prefill(this.currentEstimate);
+      costInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      window.location.href = FinancingCalculator.getUrl(this.currentEstimate);
+    }
   }
 
   /**
@@ -634,15 +1073,12 @@ class CostCalculator {
   }
 
   /**
-   * Format currency with thousands separator
-   * @param {number} amount - Amount to format
-   * @returns {string} - Formatted amount
+   * Format an ETB amount in the visitor's display currency
+   * @param {number} amount - Amount in ETB
+   * @returns {string} - Formatted amount, e.g. "ETB 1,380,000"
    */
   formatCurrency(amount) {
-    return amount.toLocaleString('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    });
+    return LocaleUtil.formatMoney(amount);
   }
 
   /**
@@ -0,0 +1,767 @@
+/**
+ * Equipment Rental Module
+ * Equipment catalogue with individual units, availability calendars and
+ * booking requests. A unit can't be booked twice for overlapping dates:
+ * pending requests hold the unit until an admin approves or rejects them.
+ * Approval invoices the deposit and puts delivery and return on the schedule
+ * (AdminCRUD); completing a rental invoices the balance.
+ *
+ * Units and bookings are shared through the API (equipment-units.php and
+ * equipment-bookings.php), which checks availability and rejects overlapping
+ * bookings; the local copies are a cache refreshed by sync().
+ *
+ * Prices come from PricingService (equipment day rates in the rate tables).
+ */
+
+const EquipmentRental = {
+  // Statuses that keep a unit booked
+  ACTIVE_STATUSES: ['pending', 'approved'],
+
+  // Called after sync() reloads units and bookings (see onChange)
+  listeners: [],
+
+  // ============================================
+  // CATALOGUE
+  // ============================================
+
+  /**
+   * Equipment types with their day rates and units
+   * @returns {array} - [{ id, name, dayRate, operatorRate, units }]
+   */
+  getCatalogue() {
+    const units = this.getUnits();
+    return PricingService.getEquipment().map(equipment => ({
+      ...equipment,
+      units: units.filter(unit => unit.type === equipment.id)
+    }));
+  },
+
+  /**
+   * Every unit in the fleet (seeded from CONFIG.EQUIPMENT_RENTAL.FLEET)
+   * @returns {array} - [{ id, type, status }]
+   */
+  getUnits() {
+    const units = StorageUtil.get(CONFIG.STORAGE_KEYS.EQUIPMENT_UNITS, null);
+    if (Array.isArray(units)) {
+      return units;
+    }
+
+    const seeded = [];
+    Object.entries(CONFIG.EQUIPMENT_RENTAL.FLEET).forEach(([type, count]) => {
+      for (let n = 1; n <= count; n++) {
+        seeded.push(this.createUnit(type, n));
+      }
+    });
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_UNITS, seeded);
+    return seeded;
+  },
+
+  getUnit(id) {
+    return this.getUnits().find(unit => unit.id === id) || null;
+  },
+
+  /**
+   * Add a unit to the fleet
+   * @param {string} type - Equipment type, e.g. 'excavator'
+   * @returns {Promise<object>} - New unit
+   */
+  async addUnit(type) {
+    this.authorize('equipment:update');
+    if (!PricingService.getEquipment().some(equipment => equipment.id === type)) {
+      throw new Error(`Unknown equipment: ${type}`);
+    }
+
+    const units = this.getUnits();
+    const unit = this.createUnit(type, units.filter(u => u.type === type).length + 1);
+    while (units.some(u => u.id === unit.id)) {
+      unit.id = this.unitId(type, Number(unit.id.split('-').pop()) + 1);
+    }
+
+    await this.send(() => API.equipmentRental.createUnit(unit));
+    units.push(unit);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_UNITS, units);
+    this.logAction('create', 'equipment_unit', unit.id, { type });
+    return unit;
+  },
+
+  /**
+   * Take a unit out of service (or back into service)
+   * @param {string} id - Unit ID
+   * @param {string} status - 'active' or 'maintenance'
+   * @returns {Promise<object>} - Updated unit
+   */
+  async setUnitStatus(id, status) {
+    this.authorize('equipment:update');
+    if (!['active', 'maintenance'].includes(status)) {
+      throw new Error(`Invalid unit status: ${status}`);
+    }
+
+    const units = this.getUnits();
+    const unit = units.find(u => u.id === id);
+    if (!unit) {
+      throw new Error(`Unit not found: ${id}`);
+    }
+
+    unit.status = status;
+    await this.send(() => API.equipmentRental.updateUnit(unit));
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_UNITS, units);
+    this.logAction('update', 'equipment_unit', id, { status });
+    return unit;
+  },
+
+  createUnit(type, number) {
+    return { id: this.unitId(type, number), type, status: 'active' };
+  },
+
+  unitId(type, number) {
+    return `${type.substr(0, 3).toUpperCase()}-${String(number).padStart(2, '0')}`;
+  },
+
+  // ============================================
+  // AVAILABILITY
+  // ============================================
+
+  /**
+   * Which units of a type are free for a date range
+   * @param {string} type - Equipment type
+   * @param {string} startDate - First rental day (YYYY-MM-DD)
+   * @param {string} endDate - Last rental day (YYYY-MM-DD)
+   * @param {string} ignoreBookingId - Booking to leave out (when re-checking it)
+   * @returns {object} - { total, available: [unit], booked: [{ unit, bookings }] }
+   */
+  getAvailability(type, startDate, endDate, ignoreBookingId = null) {
+    const bookings = this.getBookings().filter(booking =>
+      booking.id !== ignoreBookingId &&
+      this.ACTIVE_STATUSES.includes(booking.status) &&
+      this.overlaps(booking, startDate, endDate)
+    );
+
+    const units = this.getUnits().filter(unit => unit.type === type && unit.status === 'active');
+    const booked = units
+      .map(unit => ({ unit, bookings: bookings.filter(b => b.unitId === unit.id) }))
+      .filter(entry => entry.bookings.length > 0);
+
+    return {
+      total: units.length,
+      available: units.filter(unit => !booked.some(entry => entry.unit.id === unit.id)),
+      booked
+    };
+  },
+
+  /**
+   * Ask the backend which units of a type are free; it sees every booking,
+   * not just the ones cached here. Falls back to the cache (marked `cached`)
+   * on pages without the API or while the backend is unreachable.
+   * @returns {Promise<object>} - { total, available: [unit], booked, cached }
+   */
+  async checkAvailability(type, startDate, endDate, ignoreBookingId = null) {
+    if (this.hasAPI()) {
+      try {
+        const response = await API.equipmentRental.getAvailability(type, startDate, endDate, ignoreBookingId);
+        if (response.success && response.data) {
+          return { ...response.data, cached: false };
+        }
+      } catch (error) {
+        if (!(error instanceof NetworkError)) {
+          throw error;
+        }
+        console.warn('Availability check unreachable, using cached bookings:', error.message);
+      }
+    }
+    return { ...this.getAvailability(type, startDate, endDate, ignoreBookingId), cached: true };
+  },
+
+  /**
+   * Day-by-day availability for a month
+   * @param {string} type - Equipment type
+   * @param {number} year - e.g. 2026
+   * @param {number} month - 1-12
+   * @returns {array} - [{ date, free, total, bookings: [{ reference, unitId, status }] }]
+   */
+  getCalendar(type, year, month) {
+    const units = this.getUnits().filter(unit => unit.type === type && unit.status === 'active');
+    const unitIds = units.map(unit => unit.id);
+    const bookings = this.getBookings().filter(booking =>
+      this.ACTIVE_STATUSES.includes(booking.status) && unitIds.includes(booking.unitId)
+    );
+    const days = new Date(year, month, 0).getDate();
+    const calendar = [];
+
+    for (let day = 1; day <= days; day++) {
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      const onDay = bookings.filter(booking => this.overlaps(booking, date, date));
+      const busy = new Set(onDay.map(booking => booking.unitId));
+
+      calendar.push({
+        date,
+        free: units.length - busy.size,
+        total: units.length,
+        bookings: onDay.map(booking => ({ reference: booking.reference, unitId: booking.unitId, status: booking.status }))
+      });
+    }
+    return calendar;
+  },
+
+  overlaps(booking, startDate, endDate) {
+    return booking.startDate <= endDate && startDate <= booking.endDate;
+  },
+
+  // ============================================
+  // BOOKINGS
+  // ============================================
+
+  getBookings() {
+    return StorageUtil.get(CONFIG.STORAGE_KEYS.EQUIPMENT_BOOKINGS, []);
+  },
+
+  getBooking(id) {
+    return this.getBookings().find(booking => booking.id === id) || null;
+  },
+
+  cacheBooking(booking) {
+    const bookings = this.getBookings().filter(b => b.id !== booking.id);
+    bookings.push(booking);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_BOOKINGS, bookings);
+    return booking;
+  },
+
+  /**
+   * Send a booking to the API and cache what the server accepted
+   * A change queued while the backend is unreachable is cached with
+   * `pendingSync` and settled once the sync queue delivers it.
+   * @param {object} booking - Booking to save
+   * @param {object} options - { create, queue } (queue: false for changes the server must confirm now)
+   * @returns {Promise<object>} - Saved booking
+   */
+  async saveBooking(booking, { create = false, queue = true } = {}) {
+    const response = await this.send(() => create
+      ? API.equipmentRental.createBooking(booking)
+      : API.equipmentRental.updateBooking(booking, { queue }));
+
+    const { pendingSync, ...saved } = response && response.data && !response.queued ? response.data : booking;
+    if (response && response.queued) {
+      saved.pendingSync = true;
+      this.settle(response.syncId, saved.id);
+    }
+    return this.cacheBooking(saved);
+  },
+
+  /**
+   * Reload units and bookings from the API (admin screens)
+   * Bookings still waiting in the sync queue are kept.
+   * @returns {Promise<array>} - Bookings
+   */
+  async sync() {
+    if (!this.hasAPI()) {
+      return this.getBookings();
+    }
+
+    try {
+      const [units, bookings] = await Promise.all([
+        API.equipmentRental.getUnits(),
+        API.equipmentRental.getBookings()
+      ]);
+
+      if (units.success && Array.isArray(units.data) && units.data.length > 0) {
+        StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_UNITS, units.data);
+      }
+      if (bookings.success && Array.isArray(bookings.data)) {
+        const waiting = this.getBookings().filter(booking => booking.pendingSync);
+        StorageUtil.set(CONFIG.STORAGE_KEYS.EQUIPMENT_BOOKINGS, [
+          ...bookings.data.filter(booking => !waiting.some(b => b.id === booking.id)),
+          ...waiting
+        ]);
+      }
+      this.notifyChange();
+    } catch (error) {
+      console.error('Error loading equipment bookings from API:', error);
+    }
+
+    return this.getBookings();
+  },
+
+  /**
+   * Request a booking; the first free unit is held for the dates
+   * The backend re-checks the unit against every booking and may hold another
+   * free unit of the type, or refuse when none is left.
+   * @param {object} data - {
+   *   equipmentType, unitId (optional), startDate, days or endDate, includeOperator,
+   *   name, email, phone, location, notes
+   * }
+   * @returns {Promise<object>} - Pending booking (`pendingSync` while queued offline)
+   */
+  async requestBooking(data) {
+    if (!data.name || !data.email) {
+      throw new Error('Please enter your name and email');
+    }
+    if (!data.startDate) {
+      throw new Error('Please choose a start date');
+    }
+
+    const startDate = RateLibrary.toDateKey(data.startDate);
+    const days = data.endDate
+      ? this.daysBetween(startDate, RateLibrary.toDateKey(data.endDate))
+      : Math.round(Number(data.days) || 0);
+
+    if (startDate < RateLibrary.toDateKey(new Date())) {
+      throw new Error('Please choose a start date from today onwards');
+    }
+    if (days < 1 || days > CONFIG.EQUIPMENT_RENTAL.MAX_DAYS) {
+      throw new Error(`Rentals run from 1 to ${CONFIG.EQUIPMENT_RENTAL.MAX_DAYS} days`);
+    }
+
+    const endDate = this.addDays(startDate, days - 1);
+    const price = PricingService.equipmentCost(data.equipmentType, days, !!data.includeOperator);
+    const availability = await this.checkAvailability(data.equipmentType, startDate, endDate);
+    const unit = this.chooseUnit(availability, data.equipmentType, startDate, endDate, data.unitId);
+
+    // The server numbers bookings; this number only stands while the request is queued
+    const bookings = this.getBookings();
+    const number = bookings.length > 0 ? Math.max(...bookings.map(b => b.number || 0)) + 1 : 1;
+    const now = new Date().toISOString();
+
+    const booking = {
+      id: `rental_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      number,
+      reference: `RNT-${String(number).padStart(4, '0')}`,
+      equipmentType: data.equipmentType,
+      equipmentName: price.equipment.name,
+      unitId: unit.id,
+      requestedUnitId: data.unitId || null,
+      startDate,
+      endDate,
+      days,
+      includeOperator: !!data.includeOperator,
+      customer: {
+        name: data.name,
+        email: data.email,
+        phone: data.phone || ''
+      },
+      location: data.location || '',
+      notes: data.notes || '',
+      price: {
+        dayRate: price.dayRate,
+        operatorRate: price.operatorRate,
+        total: price.total,
+        deposit: Math.round(price.total * CONFIG.EQUIPMENT_RENTAL.DEPOSIT_RATE)
+      },
+      status: 'pending',
+      invoices: { deposit: null, balance: null },
+      scheduleEvents: [],
+      createdAt: now,
+      timeline: [{ action: 'Booking requested', timestamp: now, user: data.name }]
+    };
+
+    const saved = await this.saveBooking(booking, { create: true });
+    this.logAction('create', 'equipment_booking', saved.id, { reference: saved.reference, unitId: saved.unitId },
+      { id: null, name: saved.customer.name, email: saved.customer.email });
+    return saved;
+  },
+
+  /**
+   * Pick a free unit from the cached bookings, or check the requested one is free
+   */
+  pickUnit(type, startDate, endDate, unitId = null, ignoreBookingId = null) {
+    return this.chooseUnit(this.getAvailability(type, startDate, endDate, ignoreBookingId), type, startDate, endDate, unitId);
+  },
+
+  /**
+   * Pick a free unit from an availability result, or check the requested one is free
+   */
+  chooseUnit(availability, type, startDate, endDate, unitId = null) {
+    if (unitId) {
+      const unit = availability.available.find(u => u.id === unitId);
+      if (!unit) {
+        throw new Error(`Unit ${unitId} is already booked or out of service from ${startDate} to ${endDate}`);
+      }
+      return unit;
+    }
+
+    if (availability.available.length === 0) {
+      const name = PricingService.equipmentCost(type, 1).equipment.name;
+      throw new Error(`No ${name} is available from ${startDate} to ${endDate}`);
+    }
+    return availability.available[0];
+  },
+
+  /**
+   * Approve a booking: invoice the deposit and schedule delivery and return
+   * The backend re-checks the unit against every booking before accepting the
+   * approval, so approvals are never queued offline.
+   * @param {string} id - Booking ID
+   * @returns {Promise<object>} - Approved booking
+   */
+  async approveBooking(id) {
+    this.authorize('equipment:approve');
+    const booking = this.requireStatus(id, ['pending']);
+
+    // Fail early on overlaps already in the cache; the server has the final say
+    this.pickUnit(booking.equipmentType, booking.startDate, booking.endDate, booking.unitId, booking.id);
+    let approved;
+    try {
+      approved = await this.changeStatus(booking, 'approved', 'Approved; deposit invoiced', { queue: false });
+    } catch (error) {
+      if (typeof NetworkError !== 'undefined' && error instanceof NetworkError) {
+        throw new Error('Approvals are checked against every booking on the server; try again once the connection is back');
+      }
+      throw error;
+    }
+
+    approved.invoices.deposit = this.saved(AdminCRUD.addInvoice({
+      client: approved.customer.name,
+      project: `${approved.reference} deposit: ${approved.equipmentName} (${approved.unitId}), ` +
+        `${approved.days} day(s) from ${approved.startDate}`,
+      amount: approved.price.deposit,
+      dueDate: approved.startDate,
+      status: 'Pending'
+    })).id;
+
+    approved.scheduleEvents = [
+      this.saved(AdminCRUD.addScheduleEvent({
+        title: `Equipment delivery: ${approved.equipmentName} ${approved.unitId} (${approved.reference}) - ${approved.customer.name}`,
+        date: approved.startDate,
+        time: '08:00',
+        location: approved.location || 'TBD',
+        type: 'Equipment'
+      })).id,
+      this.saved(AdminCRUD.addScheduleEvent({
+        title: `Equipment return: ${approved.equipmentName} ${approved.unitId} (${approved.reference})`,
+        date: approved.endDate,
+        time: '17:00',
+        location: approved.location || 'TBD',
+        type: 'Equipment'
+      })).id
+    ];
+
+    return this.saveBooking(approved);
+  },
+
+  /**
+   * Reject a pending booking and release the unit
+   */
+  async rejectBooking(id, reason = '') {
+    this.authorize('equipment:approve');
+    const booking = this.requireStatus(id, ['pending']);
+    return this.changeStatus({ ...booking, rejectionReason: reason }, 'rejected', reason ? `Rejected: ${reason}` : 'Rejected');
+  },
+
+  /**
+   * Cancel a booking; its deposit invoice is cancelled and schedule entries removed
+   */
+  async cancelBooking(id) {
+    this.authorize('equipment:approve');
+    const booking = this.requireStatus(id, ['pending', 'approved']);
+
+    if (booking.invoices.deposit) {
+      this.saved(AdminCRUD.updateInvoice(booking.invoices.deposit, { status: 'Cancelled' }));
+    }
+    booking.scheduleEvents.forEach(eventId => this.saved(AdminCRUD.deleteScheduleEvent(eventId)));
+    booking.scheduleEvents = [];
+
+    return this.changeStatus(booking, 'cancelled', 'Cancelled');
+  },
+
+  /**
+   * Close a rental once the unit is back and invoice the balance
+   */
+  async completeBooking(id) {
+    this.authorize('equipment:approve');
+    const booking = this.requireStatus(id, ['approved']);
+    const balance = booking.price.total - booking.price.deposit;
+
+    if (balance > 0) {
+      booking.invoices.balance = this.saved(AdminCRUD.addInvoice({
+        client: booking.customer.name,
+        project: `${booking.reference} balance: ${booking.equipmentName} (${booking.unitId}), ` +
+          `${booking.startDate} to ${booking.endDate}`,
+        amount: balance,
+        status: 'Pending'
+      })).id;
+    }
+
+    return this.changeStatus(booking, 'completed', 'Completed; balance invoiced');
+  },
+
+  requireStatus(id, statuses) {
+    const booking = this.getBooking(id);
+    if (!booking) {
+      throw new Error(`Booking not found: ${id}`);
+    }
+    if (!statuses.includes(booking.status)) {
+      throw new Error(`Booking ${booking.reference} is ${booking.status}`);
+    }
+    return booking;
+  },
+
+  /**
+   * Move a booking to a new status; the cache only changes once the API accepts it
+   * @param {object} options - Passed to saveBooking()
+   */
+  async changeStatus(booking, status, action, options = {}) {
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    const now = new Date().toISOString();
+
+    const saved = await this.saveBooking({
+      ...booking,
+      status,
+      updatedAt: now,
+      timeline: [...booking.timeline, { action, timestamp: now, user: user ? user.username : 'Admin' }]
+    }, options);
+
+    this.logAction(status, 'equipment_booking', saved.id, { reference: saved.reference });
+    return saved;
+  },
+
+  // ============================================
+  // BOOKING FORM (home page rental section)
+  // ============================================
+
+  /**
+   * Wire the request form in #sec-equipment-rental
+   */
+  initBookingForm() {
+    const form = document.getElementById('equipmentBookingForm');
+    const requestBtn = document.getElementById('requestEquipmentBtn');
+    if (!form || !requestBtn) {
+      return;
+    }
+
+    const startInput = document.getElementById('rentalStartDate');
+    if (startInput && !startInput.value) {
+      startInput.min = RateLibrary.toDateKey(new Date());
+      startInput.value = this.addDays(RateLibrary.toDateKey(new Date()), 1);
+    }
+
+    requestBtn.addEventListener('click', () => {
+      form.style.display = 'block';
+      form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+    form.addEventListener('submit', (e) => this.handleBookingSubmit(e));
+
+    ['equipmentType', 'rentalDays', 'rentalStartDate'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.showAvailability());
+      }
+    });
+
+    this.showAvailability();
+    this.renderFleetBadges();
+  },
+
+  readRequest() {
+    const value = id => {
+      const el = document.getElementById(id);
+      return el ? el.value : '';
+    };
+    const operator = document.getElementById('includeOperator');
+
+    return {
+      equipmentType: value('equipmentType'),
+      startDate: value('rentalStartDate'),
+      days: parseInt(value('rentalDays')) || 1,
+      includeOperator: operator ? operator.checked : false,
+      name: value('rentalName').trim(),
+      email: value('rentalEmail').trim(),
+      phone: value('rentalPhone').trim(),
+      location: value('rentalLocation').trim()
+    };
+  },
+
+  /**
+   * Show how many units are free for the chosen dates
+   */
+  async showAvailability() {
+    const el = document.getElementById('equipmentAvailability');
+    const request = this.readRequest();
+    if (!el || !request.startDate) {
+      return;
+    }
+
+    const endDate = this.addDays(request.startDate, request.days - 1);
+    let availability;
+    try {
+      availability = await this.checkAvailability(request.equipmentType, request.startDate, endDate);
+    } catch (error) {
+      console.error('Availability check failed:', error);
+      el.className = 'text-muted';
+      el.textContent = 'Availability could not be checked; we will confirm it with your request';
+      return;
+    }
+
+    el.className = availability.available.length > 0 ? 'text-success' : 'text-danger';
+    el.textContent = availability.available.length > 0
+      ? `${availability.available.length} of ${availability.total} available from ${request.startDate} to ${endDate}`
+      : `Fully booked from ${request.startDate} to ${endDate}; try other dates`;
+    if (availability.cached) {
+      el.textContent += ' (offline; we will confirm it with your request)';
+    }
+  },
+
+  /**
+   * Update the fleet cards ([data-equipment-available="<type>"]) with today's availability
+   */
+  async renderFleetBadges() {
+    const today = RateLibrary.toDateKey(new Date());
+
+    await Promise.all([...document.querySelectorAll('[data-equipment-available]')].map(async badge => {
+      try {
+        const availability = await this.checkAvailability(badge.getAttribute('data-equipment-available'), today, today);
+        const free = availability.available.length;
+        badge.textContent = `${free} Available`;
+        badge.className = `badge ${free === 0 ? 'bg-danger' : free <= 2 ? 'bg-warning' : 'bg-success'}`;
+      } catch (error) {
+        console.error('Availability check failed:', error);
+      }
+    }));
+  },
+
+  async handleBookingSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const message = document.getElementById('equipmentBookingMessage');
+
+    try {
+      const booking = await this.requestBooking(this.readRequest());
+      form.reset();
+      form.style.display = 'none';
+      if (message) {
+        message.className = 'alert alert-success mt-3';
+        message.textContent = booking.pendingSync
+          ? `Request saved offline: ${booking.equipmentName} from ${booking.startDate} to ${booking.endDate}. ` +
+            'It will be sent, and the unit confirmed, when the connection returns.'
+          : `Request ${booking.reference} received: ${booking.equipmentName} from ${booking.startDate} to ` +
+            `${booking.endDate}, ${PricingService.formatCurrency(booking.price.total)}. We will confirm and send the ` +
+            `${PricingService.formatCurrency(booking.price.deposit)} deposit invoice to ${booking.customer.email}.`;
+      }
+      this.showAvailability();
+      this.renderFleetBadges();
+    } catch (error) {
+      if (message) {
+        message.className = 'alert alert-danger mt-3';
+        message.textContent = error.message;
+      } else {
+        alert(error.message);
+      }
+    }
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return RateLibrary.toDateKey(date);
+  },
+
+  /**
+   * Rental days from start to end, both included
+   */
+  daysBetween(startDate, endDate) {
+    return Math.round((new Date(`${endDate}T00:00:00`) - new Date(`${startDate}T00:00:00`)) / 86400000) + 1;
+  },
+
+  authorize(permission) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert(permission);
+    }
+  },
+
+  hasAPI() {
+    return typeof API !== 'undefined' && !!API.equipmentRental;
+  },
+
+  /**
+   * Send a change to the API (kept locally only on pages without utils/api.js)
+   * @param {function} request - Returns the API call's promise
+   * @returns {Promise<object|null>} - API response
+   * @throws {APIError} - e.g. 409 when the unit was taken in the meantime
+   */
+  async send(request) {
+    if (!this.hasAPI()) {
+      return null;
+    }
+
+    const response = await request();
+    if (!response || (!response.success && !response.queued)) {
+      throw new Error((response && (response.message || response.error)) || 'The booking could not be saved');
+    }
+    return response;
+  },
+
+  /**
+   * Settle a booking change once the sync queue has delivered it; a request
+   * the server refused (e.g. the unit was taken meanwhile) is marked rejected
+   * @param {string} syncId - From the queued response
+   * @param {string} id - Booking ID
+   */
+  settle(syncId, id) {
+    if (!syncId || !API.sync) {
+      return;
+    }
+
+    API.sync.waitFor(syncId)
+      .then(response => {
+        if (response && response.data) {
+          this.cacheBooking(response.data);
+        }
+      })
+      .catch(error => {
+        console.error('Queued equipment booking change was rejected:', error);
+        const booking = this.getBooking(id);
+        if (booking) {
+          const { pendingSync, ...rest } = booking;
+          this.cacheBooking(booking.status === 'pending'
+            ? { ...rest, status: 'rejected', rejectionReason: error.message }
+            : rest);
+        }
+      })
+      .then(() => this.notifyChange());
+  },
+
+  /**
+   * Call a listener whenever units or bookings are reloaded
+   * @param {function} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  },
+
+  notifyChange() {
+    this.listeners.forEach(listener => listener());
+  },
+
+  // AdminCRUD reports a denied write as { success: false } instead of throwing
+  saved(result) {
+    if (result && result.success === false) {
+      throw new Error(result.message);
+    }
+    return result;
+  },
+
+  // Public booking requests are attributed to the customer who sent them
+  logAction(action, targetType, targetId, details = {}, requester = null) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, targetType, targetId, details, AuditLog.getActor(requester));
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EquipmentRental;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.EquipmentRental = EquipmentRental;
+}
+
+// Wire the booking form when the rental section is on the page
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    EquipmentRental.initBookingForm();
+  });
+}
@@ -0,0 +1,540 @@
+/**
+ * Estimate History Module
+ * Reads back saved cost estimates: the "My Estimates" portal for signed-in
+ * clients and the admin drill-through from the dashboard estimates metric.
+ * Estimates can be reopened in the calculator, re-priced at current rates
+ * against the original, and deleted.
+ */
+
+const EstimateHistory = {
+  // Key used by earlier versions of CostCalculator.saveEstimate()
+  LEGACY_KEY: 'costEstimates',
+
+  // Rows of the re-price comparison
+  CATEGORIES: [
+    { key: 'materials', label: 'Materials' },
+    { key: 'labor', label: 'Labor' },
+    { key: 'equipment', label: 'Equipment' },
+    { key: 'permits', label: 'Permits & Fees' },
+    { key: 'contingency', label: 'Contingency' },
+    { key: 'total', label: 'Total' }
+  ],
+
+  container: null,
+  admin: false,
+  estimates: [],
+  filters: { region: '', projectType: '' },
+  reprices: {},
+
+  // ============================================
+  // DATA
+  // ============================================
+
+  /**
+   * Get saved estimates from the API and local storage, newest first
+   * @param {object} filters - { userEmail, userId, region, projectType }
+   * @returns {Promise<array>} - Normalized estimates
+   */
+  async getEstimates(filters = {}) {
+    let remote = [];
+
+    try {
+      if (typeof API !== 'undefined' && API.costEstimates) {
+        const response = await API.costEstimates.getAll(filters.userEmail ? { user_email: filters.userEmail } : {});
+        if (response.success && Array.isArray(response.data)) {
+          remote = response.data.map(record => this.normalize(record, 'api'));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading estimates from API:', error);
+    }
+
+    // Estimates saved while the API was unreachable only exist locally
+    const ids = new Set(remote.map(e => e.id));
+    const local = this.getLocal()
+      .map(record => this.normalize(record, 'local'))
+      .filter(e => !ids.has(e.id));
+
+    return this.filterEstimates([...remote, ...local], filters)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  /**
+   * Find one saved estimate
+   * @param {string} id - Estimate ID
+   * @returns {Promise<object|null>}
+   */
+  async getEstimate(id) {
+    const estimates = await this.getEstimates();
+    return estimates.find(e => e.id === id) || null;
+  },
+
+  /**
+   * Locally saved estimates (moves the legacy key over on first read)
+   * @returns {array}
+   */
+  getLocal() {
+    const estimates = StorageUtil.get(CONFIG.STORAGE_KEYS.ESTIMATES, []);
+    const legacy = StorageUtil.get(this.LEGACY_KEY, null);
+
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      const ids = new Set(estimates.map(e => e.id));
+      const merged = [...estimates, ...legacy.filter(e => !ids.has(e.id))];
+      StorageUtil.set(CONFIG.STORAGE_KEYS.ESTIMATES, merged);
+      StorageUtil.remove(this.LEGACY_KEY);
+      return merged;
+    }
+
+    return estimates;
+  },
+
+  /**
+   * Save an estimate locally (replaces an earlier save with the same ID)
+   * @param {object} estimate - Estimate from CostCalculator
+   */
+  saveLocal(estimate) {
+    const estimates = this.getLocal().filter(e => e.id !== estimate.id);
+    estimates.push({ ...estimate, savedAt: new Date().toISOString() });
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ESTIMATES, estimates);
+  },
+
+  /**
+   * Delete a saved estimate
+   * Clients may only delete their own (estimates:delete:own).
+   * @param {string} id - Estimate ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteEstimate(id) {
+    const estimate = await this.getEstimate(id);
+    if (!estimate) {
+      throw new Error('Estimate not found');
+    }
+
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('estimates:delete', estimate);
+    }
+
+    if (estimate.source === 'api' && typeof API !== 'undefined' && API.costEstimates) {
+      const response = await API.costEstimates.delete(estimate.apiId);
+      if (!response.success && !response.queued) {
+        throw new Error(response.message || 'Failed to delete estimate');
+      }
+    }
+
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ESTIMATES, this.getLocal().filter(e => e.id !== id));
+
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction('delete', 'estimate', id, { total: estimate.total });
+    }
+    return true;
+  },
+
+  /**
+   * Bring API (snake_case) and local (CostCalculator) records into one shape
+   * Older records without stored inputs get inputs rebuilt from their fields.
+   * @param {object} record - Stored estimate
+   * @param {string} source - 'api' or 'local'
+   * @returns {object}
+   */
+  normalize(record, source) {
+    const pick = (...keys) => keys.map(key => record[key]).find(value => value !== undefined && value !== null);
+    const location = pick('location') || '';
+    const [city, region] = location.includes(',') ? location.split(',').map(part => part.trim()) : [location, ''];
+    const estimatedCost = record.estimatedCost || {
+      min: record.estimated_cost_min || 0,
+      max: record.estimated_cost_max || 0
+    };
+    const breakdown = record.breakdown || {};
+    const total = pick('total', 'total_cost') ||
+      Object.values(breakdown).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
+
+    const inputs = record.inputs || {
+      projectType: String(pick('projectType', 'project_type') || '').toLowerCase(),
+      projectSize: pick('size', 'project_size'),
+      sizeUnit: pick('sizeUnit', 'size_unit') || 'sqm',
+      floors: pick('floors') || 1,
+      region: this.toKey(region || city),
+      city,
+      materials: (record.materials || []).map(m => String(m).toLowerCase()),
+      notes: '',
+      estimateMode: pick('mode', 'estimate_mode') || 'quick'
+    };
+
+    return {
+      id: pick('estimate_id', 'id'),
+      apiId: source === 'api' ? record.id : null,
+      source,
+      mode: pick('mode', 'estimate_mode') || 'quick',
+      projectType: inputs.projectType,
+      size: pick('size', 'project_size'),
+      sizeUnit: pick('sizeUnit', 'size_unit') || inputs.sizeUnit,
+      location,
+      region: inputs.region,
+      materials: record.materials || [],
+      estimatedCost,
+      breakdown: {
+        materials: breakdown.materials || 0,
+        labor: breakdown.labor || 0,
+        equipment: breakdown.equipment || 0,
+        permits: breakdown.permits || 0,
+        contingency: breakdown.contingency || 0
+      },
+      total,
+      estimateDate: pick('estimateDate', 'estimate_date') || null,
+      rateVersion: record.rateVersion || (record.rate_version_id
+        ? { id: record.rate_version_id, version: record.rate_version }
+        : null),
+      inputs,
+      boq: record.boq || record.bill_of_quantities || null,
+      userId: pick('userId', 'user_id') || null,
+      userEmail: pick('userEmail', 'user_email') || null,
+      createdAt: pick('createdAt', 'created_at') || new Date(0).toISOString()
+    };
+  },
+
+  /**
+   * @param {array} estimates - Normalized estimates
+   * @param {object} filters - { userEmail, userId, region, projectType }
+   * @returns {array}
+   */
+  filterEstimates(estimates, filters) {
+    const email = filters.userEmail ? filters.userEmail.toLowerCase() : null;
+
+    return estimates.filter(estimate => {
+      if ((email || filters.userId) &&
+          !(email && (estimate.userEmail || '').toLowerCase() === email) &&
+          !(filters.userId && String(estimate.userId) === String(filters.userId))) {
+        return false;
+      }
+      if (filters.region && estimate.region !== filters.region) {
+        return false;
+      }
+      if (filters.projectType && estimate.projectType !== filters.projectType) {
+        return false;
+      }
+      return true;
+    });
+  },
+
+  /**
+   * Regions and project types present in a list, for the filter dropdowns
+   * @returns {object} - { regions, projectTypes }
+   */
+  getFilterOptions(estimates) {
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+    return {
+      regions: unique(estimates.map(e => e.region)),
+      projectTypes: unique(estimates.map(e => e.projectType))
+    };
+  },
+
+  /**
+   * Re-price an estimate with today's rates and compare it with the original
+   * @param {object} estimate - Normalized estimate
+   * @returns {Promise<object>} - { original, current, rows: [{ key, label, original, current, delta, deltaPercent }], rateChanged }
+   */
+  async reprice(estimate) {
+    const current = await CostCalculator.headless().calculateEstimate({
+      ...estimate.inputs,
+      materials: [...(estimate.inputs.materials || [])],
+      estimateDate: null,
+      materialIndex: null // today's material prices, if the estimate used them
+    });
+
+    const amountOf = (e, key) => key === 'total' ? e.total : e.breakdown[key];
+    const rows = this.CATEGORIES.map(category => {
+      const original = amountOf(estimate, category.key);
+      const now = amountOf(current, category.key);
+      return {
+        key: category.key,
+        label: category.label,
+        original,
+        current: now,
+        delta: now - original,
+        deltaPercent: original ? Math.round((now - original) / original * 1000) / 10 : 0
+      };
+    });
+
+    return {
+      original: estimate,
+      current,
+      rows,
+      rateChanged: !estimate.rateVersion || estimate.rateVersion.id !== current.rateVersion.id
+    };
+  },
+
+  /**
+   * Calculator URL that reopens an estimate with its inputs
+   */
+  getCalculatorUrl(id) {
+    return `${CONFIG.COST_CALCULATOR.PAGE}?estimate=${encodeURIComponent(id)}`;
+  },
+
+  // ============================================
+  // VIEWS
+  // ============================================
+
+  /**
+   * Show saved estimates in a container
+   * @param {string} containerId - Target element ID
+   * @param {object} options - { admin: list every client's estimates with filters, filters }
+   */
+  async init(containerId = 'myEstimatesContainer', options = {}) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      return;
+    }
+
+    this.admin = !!options.admin;
+    this.filters = { region: '', projectType: '', ...(options.filters || {}) };
+    this.reprices = {};
+
+    if (!this.container.dataset.estimateHistoryBound) {
+      this.container.addEventListener('click', (e) => this.handleClick(e));
+      this.container.addEventListener('change', (e) => this.handleFilterChange(e));
+      this.container.dataset.estimateHistoryBound = 'true';
+    }
+
+    await this.load();
+  },
+
+  async load() {
+    if (this.admin) {
+      const estimates = await this.getEstimates();
+      this.estimates = typeof PermissionUtil !== 'undefined'
+        ? PermissionUtil.filter('estimates:view', estimates)
+        : estimates;
+    } else {
+      const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+      if (!user) {
+        this.container.innerHTML = '<p class="text-muted">Please log in to see your saved estimates.</p>';
+        return;
+      }
+      this.estimates = await this.getEstimates({ userEmail: user.email, userId: user.id });
+    }
+
+    this.render();
+  },
+
+  render() {
+    const visible = this.filterEstimates(this.estimates, this.filters);
+
+    this.container.innerHTML = `
+      ${this.admin ? this.renderFilters() : ''}
+      ${visible.length === 0 ? `
+        <p class="text-muted text-center py-4">
+          ${this.estimates.length === 0 ? 'No saved estimates yet.' : 'No estimates match these filters.'}
+        </p>
+      ` : `
+        <div class="table-responsive">
+          <table class="table table-hover align-middle estimate-history-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                ${this.admin ? '<th>Client</th>' : ''}
+                <th>Project</th>
+                <th>Location</th>
+                <th class="text-end">Total (${LocaleUtil.currencyLabel()})</th>
+                <th class="text-end">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${visible.map(estimate => this.renderRow(estimate)).join('')}
+            </tbody>
+          </table>
+        </div>
+        <p class="small text-muted">${visible.length} estimate(s)</p>
+      `}
+    `;
+  },
+
+  renderFilters() {
+    const options = this.getFilterOptions(this.estimates);
+    const select = (name, label, values) => `
+      <div class="col-md-4">
+        <select class="form-select form-select-sm" data-estimate-filter="${name}">
+          <option value="">All ${label}</option>
+          ${values.map(value => `
+            <option value="${value}" ${this.filters[name] === value ? 'selected' : ''}>${this.titleCase(value)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+
+    return `
+      <div class="row g-2 mb-3">
+        ${select('region', 'regions', options.regions)}
+        ${select('projectType', 'project types', options.projectTypes)}
+      </div>
+    `;
+  },
+
+  renderRow(estimate) {
+    const reprice = this.reprices[estimate.id];
+    const columns = this.admin ? 6 : 5;
+
+    return `
+      <tr>
+        <td>
+          ${new Date(estimate.createdAt).toLocaleDateString()}<br>
+          <small class="text-muted">${estimate.id}</small>
+        </td>
+        ${this.admin ? `<td>${estimate.userEmail || '<span class="text-muted">Guest</span>'}</td>` : ''}
+        <td>
+          ${this.titleCase(estimate.projectType)}<br>
+          <small class="text-muted">
+            ${LocaleUtil.formatNumber(estimate.size)} ${LocaleUtil.unitLabel(estimate.sizeUnit)} · ${estimate.mode === 'boq' ? 'Bill of quantities' : 'Quick estimate'}
+            ${estimate.rateVersion ? ` · rates v${estimate.rateVersion.version}` : ''}
+          </small>
+        </td>
+        <td>${estimate.location}</td>
+        <td class="text-end">${LocaleUtil.formatAmount(estimate.total)}</td>
+        <td class="text-end">
+          <div class="btn-group btn-group-sm">
+            <a class="btn btn-outline-primary" href="${this.getCalculatorUrl(estimate.id)}" title="Open in calculator">
+              <i class="fas fa-folder-open"></i>
+            </a>
+            <button type="button" class="btn btn-outline-secondary" data-estimate-action="reprice" data-id="${estimate.id}" title="Re-price at current rates">
+              <i class="fas fa-sync-alt"></i>
+            </button>
+            <button type="button" class="btn btn-outline-danger" data-estimate-action="delete" data-id="${estimate.id}" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </td>
+      </tr>
+      ${reprice ? `
+        <tr class="table-light">
+          <td colspan="${columns}">${this.renderReprice(reprice)}</td>
+        </tr>
+      ` : ''}
+    `;
+  },
+
+  renderReprice(result) {
+    const formatDelta = row => {
+      if (row.delta === 0) {
+        return '<span class="text-muted">no change</span>';
+      }
+      const sign = row.delta > 0 ? '+' : '−';
+      const color = row.delta > 0 ? 'text-danger' : 'text-success';
+      return `<span class="${color}">${sign}${this.formatCurrency(Math.abs(row.delta))} (${sign}${Math.abs(row.deltaPercent)}%)</span>`;
+    };
+
+    return `
+      <div class="small mb-2">
+        Re-priced with rate table v${result.current.rateVersion.version}
+        (effective ${result.current.rateVersion.effectiveFrom})${result.rateChanged ? '' : ' — the same rates as the original'}.
+      </div>
+      <table class="table table-sm mb-0">
+        <thead>
+          <tr>
+            <th></th>
+            <th class="text-end">Original</th>
+            <th class="text-end">Current rates</th>
+            <th class="text-end">Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${result.rows.map(row => `
+            <tr class="${row.key === 'total' ? 'fw-bold' : ''}">
+              <td>${row.label}</td>
+              <td class="text-end">${this.formatCurrency(row.original)}</td>
+              <td class="text-end">${this.formatCurrency(row.current)}</td>
+              <td class="text-end">${formatDelta(row)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  },
+
+  async handleClick(e) {
+    const button = e.target.closest('[data-estimate-action]');
+    if (!button) {
+      return;
+    }
+
+    const id = button.getAttribute('data-id');
+    const estimate = this.estimates.find(item => item.id === id);
+    if (!estimate) {
+      return;
+    }
+
+    try {
+      switch (button.getAttribute('data-estimate-action')) {
+        case 'reprice':
+          if (this.reprices[id]) {
+            delete this.reprices[id];
+          } else {
+            this.reprices[id] = await this.reprice(estimate);
+          }
+          this.render();
+          break;
+        case 'delete':
+          if (!confirm('Delete this saved estimate?')) {
+            return;
+          }
+          await this.deleteEstimate(id);
+          this.estimates = this.estimates.filter(item => item.id !== id);
+          delete this.reprices[id];
+          this.render();
+          break;
+      }
+    } catch (error) {
+      console.error('Estimate action failed:', error);
+      alert(error.message);
+    }
+  },
+
+  handleFilterChange(e) {
+    const name = e.target.getAttribute('data-estimate-filter');
+    if (!name) {
+      return;
+    }
+    this.filters[name] = e.target.value;
+    this.render();
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  toKey(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, '-');
+  },
+
+  titleCase(text) {
+    return String(text || '')
+      .split(/[-_\s]+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  },
+
+  formatCurrency(amount) {
+    return LocaleUtil.formatMoney(amount);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EstimateHistory;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.EstimateHistory = EstimateHistory;
+}
+
+// "My Estimates" portal on pages that have the container
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', async () => {
+    if (!document.getElementById('myEstimatesContainer')) {
+      return;
+    }
+    if (typeof AuthUtil !== 'undefined' && AuthUtil.ready) {
+      await AuthUtil.ready;
+    }
+    EstimateHistory.init('myEstimatesContainer');
+  });
+}
@@ -0,0 +1,366 @@
+/**
+ * Estimate Scenarios Module
+ * Keeps several named what-if estimates from one calculator session (e.g. steel
+ * instead of concrete, 3 floors instead of 4), compares them against a baseline
+ * and turns the chosen one into a quote request
+ */
+
+// Breakdown rows shown in the comparison table
+const SCENARIO_CATEGORIES = [
+  { key: 'materials', label: 'Materials' },
+  { key: 'labor', label: 'Labor' },
+  { key: 'equipment', label: 'Equipment' },
+  { key: 'permits', label: 'Permits & Fees' },
+  { key: 'contingency', label: 'Contingency' },
+  { key: 'total', label: 'Total' }
+];
+
+// Inputs that are compared between scenarios
+const SCENARIO_INPUTS = [
+  { key: 'projectType', label: 'Project type' },
+  { key: 'projectSize', label: 'Size' },
+  { key: 'sizeUnit', label: 'Unit' },
+  { key: 'floors', label: 'Floors' },
+  { key: 'region', label: 'Region' },
+  { key: 'city', label: 'City' },
+  { key: 'materials', label: 'Materials' },
+  { key: 'estimateMode', label: 'Method' },
+  { key: 'estimateDate', label: 'Estimate date' }
+];
+
+class EstimateScenarios {
+  /**
+   * @param {object} data - Saved scenario set (from toJSON()), or nothing for a new session
+   */
+  constructor(data = null) {
+    this.id = data ? data.id : `SCN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.name = data ? data.name : '';
+    this.scenarios = data ? data.scenarios : [];
+    this.baselineId = data ? data.baselineId : null;
+    this.selectedId = data ? data.selectedId : null;
+    this.createdAt = data ? data.createdAt : new Date().toISOString();
+    this.updatedAt = data ? data.updatedAt : this.createdAt;
+  }
+
+  get count() {
+    return this.scenarios.length;
+  }
+
+  // ============================================
+  // SCENARIOS
+  // ============================================
+
+  /**
+   * Add an estimate as a named scenario
+   * The first scenario becomes the baseline and the chosen one.
+   * @param {string} name - Scenario name (defaults to "Scenario N")
+   * @param {object} estimate - Estimate from CostCalculator.calculateEstimate()
+   * @returns {object} - The scenario
+   */
+  add(name, estimate) {
+    if (!estimate) {
+      throw new Error('Calculate an estimate before adding a scenario');
+    }
+
+    const scenario = {
+      id: `${this.id}-${this.scenarios.length + 1}-${Math.random().toString(36).substr(2, 4)}`,
+      name: this.uniqueName((name || '').trim() || `Scenario ${this.scenarios.length + 1}`),
+      estimate: JSON.parse(JSON.stringify(estimate)),
+      createdAt: new Date().toISOString()
+    };
+
+    this.scenarios.push(scenario);
+    if (!this.baselineId) {
+      this.baselineId = scenario.id;
+    }
+    if (!this.selectedId) {
+      this.selectedId = scenario.id;
+    }
+    this.touch();
+    return scenario;
+  }
+
+  /**
+   * Replace a scenario's estimate after it was recalculated
+   */
+  update(id, estimate) {
+    const scenario = this.require(id);
+    scenario.estimate = JSON.parse(JSON.stringify(estimate));
+    this.touch();
+    return scenario;
+  }
+
+  rename(id, name) {
+    const scenario = this.require(id);
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Scenario name is required');
+    }
+    scenario.name = this.uniqueName(trimmed, id);
+    this.touch();
+    return scenario;
+  }
+
+  /**
+   * Remove a scenario; baseline and choice move to the first remaining one
+   */
+  remove(id) {
+    this.require(id);
+    this.scenarios = this.scenarios.filter(s => s.id !== id);
+
+    const first = this.scenarios[0] ? this.scenarios[0].id : null;
+    if (this.baselineId === id) {
+      this.baselineId = first;
+    }
+    if (this.selectedId === id) {
+      this.selectedId = first;
+    }
+    this.touch();
+  }
+
+  get(id) {
+    return this.scenarios.find(s => s.id === id) || null;
+  }
+
+  require(id) {
+    const scenario = this.get(id);
+    if (!scenario) {
+      throw new Error(`Scenario not found: ${id}`);
+    }
+    return scenario;
+  }
+
+  setBaseline(id) {
+    this.baselineId = this.require(id).id;
+    this.touch();
+  }
+
+  /**
+   * Mark the scenario the client has chosen
+   */
+  select(id) {
+    this.selectedId = this.require(id).id;
+    this.touch();
+  }
+
+  getBaseline() {
+    return this.get(this.baselineId);
+  }
+
+  getSelected() {
+    return this.get(this.selectedId);
+  }
+
+  // ============================================
+  // COMPARISON
+  // ============================================
+
+  /**
+   * Compare every scenario against the baseline
+   * @returns {object} - {
+   *   baselineId,
+   *   scenarios: [{ id, name, changes }],
+   *   rows: [{ key, label, values: [{ id, amount, delta, deltaPercent }] }]
+   * }
+   */
+  compare() {
+    const baseline = this.getBaseline();
+    if (!baseline) {
+      return { baselineId: null, scenarios: [], rows: [] };
+    }
+
+    const amountOf = (scenario, key) => key === 'total'
+      ? scenario.estimate.total
+      : scenario.estimate.breakdown[key];
+
+    return {
+      baselineId: baseline.id,
+      scenarios: this.scenarios.map(scenario => ({
+        id: scenario.id,
+        name: scenario.name,
+        changes: scenario.id === baseline.id ? [] : this.describeChanges(baseline, scenario)
+      })),
+      rows: SCENARIO_CATEGORIES.map(category => ({
+        key: category.key,
+        label: category.label,
+        values: this.scenarios.map(scenario => {
+          const amount = amountOf(scenario, category.key);
+          const base = amountOf(baseline, category.key);
+          const delta = amount - base;
+          return {
+            id: scenario.id,
+            amount,
+            delta,
+            deltaPercent: base ? Math.round(delta / base * 1000) / 10 : 0
+          };
+        })
+      }))
+    };
+  }
+
+  /**
+   * List the inputs that differ from the baseline, e.g. "Floors: 4 → 3"
+   * @returns {array} - Change descriptions
+   */
+  describeChanges(baseline, scenario) {
+    const from = baseline.estimate.inputs || {};
+    const to = scenario.estimate.inputs || {};
+
+    return SCENARIO_INPUTS
+      .filter(input => this.formatInput(from[input.key]) !== this.formatInput(to[input.key]))
+      .map(input => `${input.label}: ${this.formatInput(from[input.key]) || '—'} → ${this.formatInput(to[input.key]) || '—'}`);
+  }
+
+  formatInput(value) {
+    if (Array.isArray(value)) {
+      return [...value].sort().join(', ');
+    }
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  // ============================================
+  // QUOTE REQUEST
+  // ============================================
+
+  /**
+   * Build a QuoteManagement quote request from the chosen scenario
+   * @param {object} contact - { name, email, phone, message }
+   * @returns {object} - Quote request with the scenario's inputs and estimate attached
+   */
+  toQuoteRequest(contact) {
+    const scenario = this.getSelected();
+    if (!scenario) {
+      throw new Error('Choose a scenario to convert into a quote request');
+    }
+
+    const estimate = scenario.estimate;
+    const inputs = estimate.inputs || {};
+    const now = new Date().toISOString();
+    const budget = `ETB ${this.formatAmount(estimate.estimatedCost.min)} - ${this.formatAmount(estimate.estimatedCost.max)}`;
+
+    return {
+      id: 'quote_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone || '',
+      service: this.describeService(estimate.projectType),
+      location: inputs.city || estimate.location,
+      budget,
+      message: contact.message ||
+        `Quote requested from cost estimate scenario "${scenario.name}": ` +
+        `${estimate.size} ${estimate.sizeUnit}, ${inputs.floors || 1} floor(s), estimated at ${budget}.`,
+      status: 'pending',
+      createdAt: now,
+      source: 'cost-calculator',
+      estimate: {
+        scenarioSetId: this.id,
+        scenarioId: scenario.id,
+        scenarioName: scenario.name,
+        estimateId: estimate.id,
+        mode: estimate.mode,
+        estimateDate: estimate.estimateDate,
+        rateVersion: estimate.rateVersion,
+        inputs,
+        estimatedCost: estimate.estimatedCost,
+        breakdown: estimate.breakdown,
+        total: estimate.total,
+        alternatives: this.scenarios
+          .filter(s => s.id !== scenario.id)
+          .map(s => ({ name: s.name, total: s.estimate.total }))
+      },
+      notes: [],
+      timeline: [
+        {
+          id: 'timeline_' + Date.now(),
+          action: `Quote request created from cost estimate scenario "${scenario.name}"`,
+          timestamp: now,
+          user: contact.name || 'Client'
+        }
+      ]
+    };
+  }
+
+  describeService(projectType) {
+    const services = {
+      residential: 'Residential Construction',
+      commercial: 'Commercial Building',
+      industrial: 'Industrial Construction',
+      renovation: 'Renovation'
+    };
+    return services[projectType] || 'General Construction';
+  }
+
+  formatAmount(amount) {
+    return Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      scenarios: this.scenarios,
+      baselineId: this.baselineId,
+      selectedId: this.selectedId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Store the scenario set locally (replaces an earlier save of the same set)
+   * @returns {object} - Saved data
+   */
+  save() {
+    const data = this.toJSON();
+    const saved = EstimateScenarios.getSaved().filter(set => set.id !== this.id);
+    saved.unshift(data);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ESTIMATE_SCENARIOS, saved);
+    return data;
+  }
+
+  /**
+   * All locally saved scenario sets, newest first
+   * @returns {array}
+   */
+  static getSaved() {
+    return StorageUtil.get(CONFIG.STORAGE_KEYS.ESTIMATE_SCENARIOS, []);
+  }
+
+  /**
+   * Load a saved scenario set
+   * @param {string} id - Scenario set ID
+   * @returns {EstimateScenarios|null}
+   */
+  static load(id) {
+    const data = EstimateScenarios.getSaved().find(set => set.id === id);
+    return data ? new EstimateScenarios(data) : null;
+  }
+
+  uniqueName(name, exceptId = null) {
+    const taken = this.scenarios.filter(s => s.id !== exceptId).map(s => s.name.toLowerCase());
+    let candidate = name;
+    let n = 2;
+    while (taken.includes(candidate.toLowerCase())) {
+      candidate = `${name} (${n++})`;
+    }
+    return candidate;
+  }
+
+  touch() {
+    this.updatedAt = new Date().toISOString();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EstimateScenarios, SCENARIO_CATEGORIES, SCENARIO_INPUTS };
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.EstimateScenarios = EstimateScenarios;
+}
@@ -55,8 +55,8 @@ const FileManager = {
   /**
    * Load and display files
    */
-  loadFiles() {
-    const files = this.getAllFiles();
+  async loadFiles() {
+    const files = await this.getAllFiles();
     const folders = StorageUtil.get('db_file_folders', []);
     
     this.displayFolderStructure(folders);
@@ -66,9 +66,11 @@ const FileManager = {
 
   /**
    * Get all files from storage
-   * @returns {array} - Array of file objects
+   * File contents are kept with StorageUtil.setBlob(); their object URLs are
+   * filled in here. Files uploaded before that still carry data URLs.
+   * @returns {Promise<array>} - Array of file objects
    */
-  getAllFiles() {
+  async getAllFiles() {
     const files = [];
     
     // Get all image files
@@ -85,7 +87,9 @@ const FileManager = {
           uploadDate: imageData.metadata?.uploadDate || new Date().toISOString(),
           folder: 'images',
           thumbnail: imageData.thumbnail?.dataUrl,
-          url: imageData.original?.dataUrl
+          url: imageData.original?.dataUrl,
+          thumbnailKey: imageData.thumbnail?.blobKey,
+          blobKey: imageData.original?.blobKey
         });
       }
     });
@@ -101,9 +105,19 @@ const FileManager = {
         size: doc.size,
         uploadDate: doc.uploadDate,
         folder: doc.folder || 'documents',
-        url: doc.url
+        url: doc.url,
+        blobKey: doc.blobKey
       });
     });
+
+    await Promise.all(files.map(async file => {
+      if (!file.url && file.blobKey) {
+        file.url = await StorageUtil.getBlobUrl(file.blobKey);
+      }
+      if (!file.thumbnail && file.thumbnailKey) {
+        file.thumbnail = await StorageUtil.getBlobUrl(file.thumbnailKey);
+      }
+    }));
     
     return files;
   },
@@ -279,40 +293,32 @@ const FileManager = {
 
   /**
    * Upload single file
+   * The contents go to StorageUtil.setBlob(), the listing keeps only the key.
    * @param {File} file - File object
    * @returns {Promise} - Upload promise
    */
-  uploadFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        const fileData = {
-          id: 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-          name: file.name,
-          type: file.type.startsWith('image/') ? 'image' : 'document',
-          mimeType: file.type,
-          size: file.size,
-          uploadDate: new Date().toISOString(),
-          folder: this.currentFolder === 'root' ? 'uploads' : this.currentFolder,
-          url: e.target.result
-        };
-
-        // If it's an image, optimize it
-        if (file.type.startsWith('image/')) {
-          this.optimizeAndStoreImage(file, fileData).then(resolve).catch(reject);
-        } else {
-          // Store document
-          const documents = StorageUtil.get('db_documents', []);
-          documents.push(fileData);
-          StorageUtil.set('db_documents', documents);
-          resolve();
-        }
-      };
-
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
+  async uploadFile(file) {
+    const fileData = {
+      id: 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: file.name,
+      type: file.type.startsWith('image/') ? 'image' : 'document',
+      mimeType: file.type,
+      size: file.size,
+      uploadDate: new Date().toISOString(),
+      folder: this.currentFolder === 'root' ? 'uploads' : this.currentFolder
+    };
+
+    // If it's an image, optimize it
+    if (file.type.startsWith('image/')) {
+      return this.optimizeAndStoreImage(file, fileData);
+    }
+
+    // Store document
+    fileData.blobKey = fileData.id;
+    await this.storeBlob(fileData.blobKey, file);
+    const documents = StorageUtil.get('db_documents', []);
+    documents.push(fileData);
+    StorageUtil.set('db_documents', documents);
   },
 
   /**
@@ -321,36 +327,54 @@ const FileManager = {
    * @param {object} fileData - File metadata
    * @returns {Promise} - Promise
    */
-  optimizeAndStoreImage(file, fileData) {
-    return new Promise((resolve, reject) => {
-      if (typeof ImageOptimizer !== 'undefined') {
-        ImageOptimizer.optimizeImage(file, {
-          maxWidth: 1920,
-          maxHeight: 1080,
-          quality: 0.85
-        }).then(result => {
-          // Store optimized image
-          StorageUtil.set(`db_image_${fileData.id}`, {
-            id: fileData.id,
-            original: result.original,
-            thumbnail: result.thumbnail,
-            metadata: {
-              ...fileData,
-              ...result.metadata
-            }
-          });
-          resolve();
-        }).catch(reject);
-      } else {
-        // Fallback: store without optimization
-        StorageUtil.set(`db_image_${fileData.id}`, {
-          id: fileData.id,
-          original: { dataUrl: fileData.url, size: fileData.size },
-          thumbnail: { dataUrl: fileData.url, size: fileData.size },
-          metadata: fileData
-        });
-        resolve();
-      }
+  async optimizeAndStoreImage(file, fileData) {
+    const original = { blobKey: fileData.id, size: fileData.size };
+    const thumbnail = { blobKey: `${fileData.id}_thumb`, size: fileData.size };
+    let metadata = fileData;
+
+    if (typeof ImageOptimizer !== 'undefined') {
+      const result = await ImageOptimizer.optimizeImage(file, {
+        maxWidth: 1920,
+        maxHeight: 1080,
+        quality: 0.85
+      });
+      await this.storeBlob(original.blobKey, ImageOptimizer.dataUrlToBlob(result.original.dataUrl));
+      await this.storeBlob(thumbnail.blobKey, ImageOptimizer.dataUrlToBlob(result.thumbnail.dataUrl));
+      original.size = result.original.size;
+      thumbnail.size = result.thumbnail.size;
+      metadata = { ...fileData, ...result.metadata };
+    } else {
+      // Fallback: store without optimization
+      await this.storeBlob(original.blobKey, file);
+      thumbnail.blobKey = original.blobKey;
+    }
+
+    StorageUtil.set(`db_image_${fileData.id}`, {
+      id: fileData.id,
+      original,
+      thumbnail,
+      metadata
+    });
+  },
+
+  /**
+   * Store file contents, failing the upload when they don't fit
+   * @param {string} key - Blob key
+   * @param {Blob} blob - File contents
+   */
+  async storeBlob(key, blob) {
+    if (!(await StorageUtil.setBlob(key, blob))) {
+      throw new Error(`Could not store ${key}`);
+    }
+  },
+
+  /**
+   * Remove a file's stored contents
+   * @param {object} file - File object from getAllFiles()
+   */
+  removeBlobs(file) {
+    [file.blobKey, file.thumbnailKey].filter(Boolean).forEach(key => {
+      StorageUtil.removeBlob(key);
     });
   },
 
@@ -358,8 +382,8 @@ const FileManager = {
    * View file
    * @param {string} fileId - File ID
    */
-  viewFile(fileId) {
-    const files = this.getAllFiles();
+  async viewFile(fileId) {
+    const files = await this.getAllFiles();
     const file = files.find(f => f.id === fileId);
     
     if (!file) {
@@ -422,8 +446,8 @@ const FileManager = {
    * Download file
    * @param {string} fileId - File ID
    */
-  downloadFile(fileId) {
-    const files = this.getAllFiles();
+  async downloadFile(fileId) {
+    const files = await this.getAllFiles();
     const file = files.find(f => f.id === fileId);
     
     if (!file) {
@@ -451,8 +475,8 @@ const FileManager = {
    * Rename file
    * @param {string} fileId - File ID
    */
-  renameFile(fileId) {
-    const files = this.getAllFiles();
+  async renameFile(fileId) {
+    const files = await this.getAllFiles();
     const file = files.find(f => f.id === fileId);
     
     if (!file) {
@@ -494,8 +518,8 @@ const FileManager = {
    * Delete file
    * @param {string} fileId - File ID
    */
-  deleteFile(fileId) {
-    const files = this.getAllFiles();
+  async deleteFile(fileId) {
+    const files = await this.getAllFiles();
     const file = files.find(f => f.id === fileId);
     
     if (!file) {
@@ -508,6 +532,7 @@ const FileManager = {
     }
 
     // Delete file from storage
+    this.removeBlobs(file);
     if (file.type === 'image') {
       StorageUtil.remove(`db_image_${fileId}`);
     } else {
@@ -531,8 +556,8 @@ const FileManager = {
    * @param {string} fileId - File ID
    * @param {string} targetFolder - Target folder ID
    */
-  moveFile(fileId, targetFolder) {
-    const files = this.getAllFiles();
+  async moveFile(fileId, targetFolder) {
+    const files = await this.getAllFiles();
     const file = files.find(f => f.id === fileId);
     
     if (!file) {
@@ -569,8 +594,8 @@ const FileManager = {
    * Handle search
    * @param {string} query - Search query
    */
-  handleSearch(query) {
-    const files = this.getAllFiles();
+  async handleSearch(query) {
+    const files = await this.getAllFiles();
     
     if (!query.trim()) {
       this.displayFiles(files);
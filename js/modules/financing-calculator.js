@@ -0,0 +1,658 @@
+/**
+ * Financing Calculator Module
+ * Construction loan schedules: lender rates, a grace period while the building
+ * is under construction, draw-downs released at construction milestones and a
+ * month-by-month amortization table, exportable to CSV and PDF
+ */
+
+const FinancingCalculator = {
+  schedule: null,
+  estimate: null,
+  drawdowns: [],
+
+  // ============================================
+  // LENDERS
+  // ============================================
+
+  /**
+   * Lenders with their current terms (stored changes override CONFIG)
+   * @returns {array} - [{ id, name, annualRate, maxTermYears, minDownPayment, gracePeriodMonths }]
+   */
+  getLenders() {
+    const saved = StorageUtil.get(CONFIG.STORAGE_KEYS.LENDERS, {});
+    return CONFIG.FINANCING.LENDERS.map(lender => ({ ...lender, ...(saved[lender.id] || {}) }));
+  },
+
+  getLender(id = CONFIG.FINANCING.DEFAULT_LENDER) {
+    const lender = this.getLenders().find(l => l.id === id);
+    if (!lender) {
+      throw new Error(`Unknown lender: ${id}`);
+    }
+    return lender;
+  },
+
+  /**
+   * Change a lender's terms
+   * @param {string} id - Lender ID
+   * @param {object} changes - { annualRate, maxTermYears, minDownPayment, gracePeriodMonths }
+   * @returns {object} - Updated lender
+   */
+  updateLender(id, changes) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('rates:update');
+    }
+
+    const lender = this.getLender(id);
+    const saved = StorageUtil.get(CONFIG.STORAGE_KEYS.LENDERS, {});
+    const terms = {};
+
+    ['annualRate', 'maxTermYears', 'minDownPayment', 'gracePeriodMonths'].forEach(key => {
+      if (changes[key] === undefined || changes[key] === '') {
+        return;
+      }
+      const value = Number(changes[key]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+      terms[key] = value;
+    });
+
+    saved[id] = { ...(saved[id] || {}), ...terms };
+    StorageUtil.set(CONFIG.STORAGE_KEYS.LENDERS, saved);
+
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction('update', 'lender', id, { before: lender, changes: terms });
+    }
+    return this.getLender(id);
+  },
+
+  // ============================================
+  // SCHEDULE
+  // ============================================
+
+  /**
+   * Build the loan schedule
+   * Draw-downs are released at the start of their month and accrue interest
+   * from then on. During the grace period the borrower pays interest only
+   * ('interest-only') or nothing, with interest added to the balance
+   * ('capitalized'); the balance is then amortized over the remaining term.
+   * @param {object} options - {
+   *   projectCost, downPaymentPercent, lenderId, annualRate (overrides the lender's),
+   *   termYears or termMonths, gracePeriodMonths, graceType, drawdowns: [{ label, month, percent }],
+   *   startDate
+   * }
+   * @returns {object} - Summary and rows: [{ period, date, phase, opening, draw, payment, interest, principal, closing }]
+   */
+  calculate(options) {
+    const lender = this.getLender(options.lenderId || CONFIG.FINANCING.DEFAULT_LENDER);
+    const projectCost = Number(options.projectCost);
+    const downPaymentPercent = Number(options.downPaymentPercent || 0);
+    const annualRate = options.annualRate !== undefined && options.annualRate !== null && options.annualRate !== ''
+      ? Number(options.annualRate)
+      : lender.annualRate;
+    const termMonths = Number(options.termMonths || options.termYears * 12);
+    const gracePeriodMonths = Number(options.gracePeriodMonths !== undefined ? options.gracePeriodMonths : lender.gracePeriodMonths) || 0;
+    const graceType = options.graceType || 'interest-only';
+
+    if (!projectCost || projectCost < CONFIG.FINANCING.MIN_PROJECT_COST) {
+      throw new Error(`Please enter a valid project cost (minimum ${this.formatCurrency(CONFIG.FINANCING.MIN_PROJECT_COST)})`);
+    }
+    if (downPaymentPercent < lender.minDownPayment || downPaymentPercent >= 100) {
+      throw new Error(`${lender.name} requires a down payment of at least ${lender.minDownPayment}%`);
+    }
+    if (!termMonths || termMonths > lender.maxTermYears * 12) {
+      throw new Error(`${lender.name} lends for up to ${lender.maxTermYears} years`);
+    }
+    if (gracePeriodMonths >= termMonths) {
+      throw new Error('The grace period must be shorter than the loan term');
+    }
+    if (isNaN(annualRate) || annualRate < 0) {
+      throw new Error('Interest rate must be a non-negative number');
+    }
+
+    const downPayment = this.round(projectCost * downPaymentPercent / 100);
+    const loanAmount = this.round(projectCost - downPayment);
+    const drawdowns = this.planDrawdowns(options.drawdowns, loanAmount, gracePeriodMonths);
+    const startDate = options.startDate ? new Date(options.startDate) : new Date();
+    const monthlyRate = annualRate / 12;
+
+    const rows = [];
+    let balance = 0;
+    let monthlyPayment = null;
+
+    for (let period = 1; period <= termMonths; period++) {
+      const opening = balance;
+      const draw = drawdowns
+        .filter(d => d.month === period - 1)
+        .reduce((sum, d) => sum + d.amount, 0);
+      const interest = (opening + draw) * monthlyRate;
+      let payment;
+      let principal;
+
+      if (period <= gracePeriodMonths) {
+        payment = graceType === 'capitalized' ? 0 : interest;
+        principal = 0;
+        balance = opening + draw + (graceType === 'capitalized' ? interest : 0);
+      } else {
+        if (monthlyPayment === null) {
+          monthlyPayment = this.annuity(balance + draw, monthlyRate, termMonths - gracePeriodMonths);
+        }
+        // The last payment clears whatever rounding left behind
+        principal = period === termMonths ? opening + draw : Math.min(monthlyPayment - interest, opening + draw);
+        payment = principal + interest;
+        balance = opening + draw - principal;
+      }
+
+      rows.push({
+        period,
+        date: this.toDateKey(this.addMonths(startDate, period)),
+        phase: period <= gracePeriodMonths ? 'grace' : 'repayment',
+        opening: this.round(opening),
+        draw: this.round(draw),
+        payment: this.round(payment),
+        interest: this.round(interest),
+        principal: this.round(principal),
+        closing: this.round(balance)
+      });
+    }
+
+    // Every draw-down is repaid, so interest is whatever was paid on top of the loan
+    const totalPaid = this.round(rows.reduce((sum, row) => sum + row.payment, 0));
+    const totalInterest = this.round(totalPaid - loanAmount);
+
+    this.schedule = {
+      lender: { id: lender.id, name: lender.name },
+      annualRate,
+      projectCost,
+      downPaymentPercent,
+      downPayment,
+      loanAmount,
+      termMonths,
+      gracePeriodMonths,
+      graceType,
+      // Highest grace-period payment, once everything has been drawn
+      gracePayment: gracePeriodMonths > 0 ? Math.max(...rows.filter(row => row.phase === 'grace').map(row => row.payment)) : null,
+      monthlyPayment: this.round(monthlyPayment),
+      totalInterest,
+      totalPaid,
+      totalCost: this.round(downPayment + totalPaid),
+      startDate: this.toDateKey(startDate),
+      drawdowns: drawdowns.map(d => ({ ...d, date: this.toDateKey(this.addMonths(startDate, d.month)) })),
+      estimateId: options.estimateId || null,
+      rows
+    };
+    return this.schedule;
+  },
+
+  /**
+   * Turn draw-down percentages into amounts
+   * Without draw-downs the whole loan is released at the start.
+   * @param {array} drawdowns - [{ label, month, percent }]
+   * @param {number} loanAmount - Loan principal
+   * @param {number} gracePeriodMonths - Months before repayment starts
+   * @returns {array} - [{ label, month, percent, amount }] ordered by month
+   */
+  planDrawdowns(drawdowns, loanAmount, gracePeriodMonths) {
+    if (!drawdowns || drawdowns.length === 0) {
+      return [{ label: 'Full disbursement', month: 0, percent: 100, amount: loanAmount }];
+    }
+
+    const planned = drawdowns
+      .map(d => ({ label: d.label || 'Draw-down', month: Math.max(0, Math.round(Number(d.month) || 0)), percent: Number(d.percent) || 0 }))
+      .sort((a, b) => a.month - b.month);
+
+    const totalPercent = planned.reduce((sum, d) => sum + d.percent, 0);
+    if (Math.abs(totalPercent - 100) > 0.01) {
+      throw new Error(`Draw-downs add up to ${this.round(totalPercent)}% of the loan; they must add up to 100%`);
+    }
+
+    const last = planned[planned.length - 1];
+    if (last.month > 0 && last.month >= gracePeriodMonths) {
+      throw new Error(`The last draw-down (${last.label}) is in month ${last.month}; the grace period must cover the construction phase (at least ${last.month + 1} months)`);
+    }
+
+    // Amounts are rounded; the last draw-down takes the remainder
+    let released = 0;
+    return planned.map((d, i) => {
+      const amount = i === planned.length - 1 ? this.round(loanAmount - released) : this.round(loanAmount * d.percent / 100);
+      released += amount;
+      return { ...d, amount };
+    });
+  },
+
+  /**
+   * Draw-downs tied to a project's milestones (ProjectTracker)
+   * Milestones may carry a drawPercent; otherwise the loan is split evenly.
+   * @param {array} milestones - [{ title, date, drawPercent }]
+   * @param {Date|string} startDate - Loan start
+   * @returns {array} - [{ label, month, percent }]
+   */
+  drawdownsFromMilestones(milestones, startDate = new Date()) {
+    if (!milestones || milestones.length === 0) {
+      return [];
+    }
+
+    const start = new Date(startDate);
+    const even = Math.floor(10000 / milestones.length) / 100;
+    const weighted = milestones.some(m => m.drawPercent);
+
+    const drawdowns = milestones.map(milestone => {
+      const date = new Date(milestone.date);
+      const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      return {
+        label: milestone.title,
+        month: Math.max(0, months),
+        percent: weighted ? Number(milestone.drawPercent) || 0 : even
+      };
+    });
+
+    if (!weighted) {
+      drawdowns[drawdowns.length - 1].percent = this.round(100 - even * (drawdowns.length - 1));
+    }
+    return drawdowns;
+  },
+
+  /**
+   * Level monthly payment that repays a balance over n months
+   */
+  annuity(balance, monthlyRate, months) {
+    if (monthlyRate === 0) {
+      return balance / months;
+    }
+    return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+  },
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  /**
+   * Amortization table as CSV
+   * @param {object} schedule - From calculate()
+   * @returns {string}
+   */
+  toCSV(schedule = this.schedule) {
+    const headers = ['Period', 'Date', 'Phase', 'Opening Balance', 'Draw-down', 'Payment', 'Interest', 'Principal', 'Closing Balance'];
+    const rows = schedule.rows.map(row => [
+      row.period, row.date, row.phase, row.opening, row.draw, row.payment, row.interest, row.principal, row.closing
+    ]);
+
+    return [headers, ...rows]
+      .map(cells => cells.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  },
+
+  exportCSV(schedule = this.schedule) {
+    const blob = new Blob([this.toCSV(schedule)], { type: 'text/csv' });
+    PDFGenerator.download(blob, `loan-schedule-${schedule.lender.id}-${schedule.startDate}.csv`);
+  },
+
+  exportPDF(schedule = this.schedule) {
+    PDFGenerator.download(PDFGenerator.financing(schedule), `loan-schedule-${schedule.lender.id}-${schedule.startDate}.pdf`);
+  },
+
+  /**
+   * Financing page for an estimate, with the estimate total as the project cost
+   * @param {object} estimate - Estimate from CostCalculator
+   * @returns {string}
+   */
+  getUrl(estimate) {
+    const params = new URLSearchParams({ amount: Math.round(estimate.total), estimate: estimate.id });
+    return `${CONFIG.FINANCING.PAGE}?${params.toString()}`;
+  },
+
+  // ============================================
+  // FORM
+  // ============================================
+
+  /**
+   * Set up the financing form (#financingCalculator)
+   * Reads ?amount= and ?estimate= to pre-fill the project cost.
+   */
+  init(containerId = 'financingCalculator') {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      return;
+    }
+
+    this.renderLenders();
+    this.drawdowns = CONFIG.FINANCING.MILESTONES.map(m => ({ ...m }));
+    this.renderDrawdowns();
+
+    this.container.addEventListener('click', (e) => this.handleClick(e));
+    this.container.addEventListener('change', (e) => this.handleChange(e));
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('amount')) {
+      this.prefill({ id: params.get('estimate'), total: Number(params.get('amount')) });
+    }
+  },
+
+  /**
+   * Use an estimate total as the project cost
+   * @param {object} estimate - { id, total }
+   */
+  prefill(estimate) {
+    const costInput = document.getElementById('projectCost');
+    if (!costInput || !estimate.total) {
+      return;
+    }
+
+    this.estimate = estimate;
+    costInput.value = Math.round(estimate.total);
+
+    const note = document.getElementById('financingEstimateNote');
+    if (note) {
+      note.textContent = estimate.id
+        ? `Project cost from estimate ${estimate.id}`
+        : 'Project cost from your estimate';
+    }
+  },
+
+  renderLenders() {
+    const select = document.getElementById('financingLender');
+    if (!select) {
+      return;
+    }
+
+    select.innerHTML = this.getLenders().map(lender => `
+      <option value="${lender.id}" ${lender.id === CONFIG.FINANCING.DEFAULT_LENDER ? 'selected' : ''}>
+        ${lender.name} — ${this.formatPercent(lender.annualRate * 100)}% p.a.
+      </option>
+    `).join('');
+    this.applyLenderDefaults();
+  },
+
+  /**
+   * Fill rate, grace period and down payment limits from the selected lender
+   */
+  applyLenderDefaults() {
+    const select = document.getElementById('financingLender');
+    if (!select) {
+      return;
+    }
+
+    const lender = this.getLender(select.value);
+    const rate = document.getElementById('interestRate');
+    const grace = document.getElementById('gracePeriod');
+    const downPayment = document.getElementById('downPayment');
+    const term = document.getElementById('loanTerm');
+
+    if (rate) {
+      rate.value = this.formatPercent(lender.annualRate * 100);
+    }
+    if (grace) {
+      grace.value = lender.gracePeriodMonths;
+    }
+    if (downPayment) {
+      downPayment.min = lender.minDownPayment;
+      if (Number(downPayment.value) < lender.minDownPayment) {
+        downPayment.value = lender.minDownPayment;
+      }
+      const label = document.getElementById('downPaymentValue');
+      if (label) {
+        label.textContent = downPayment.value + '%';
+      }
+    }
+    if (term) {
+      term.max = lender.maxTermYears;
+    }
+  },
+
+  renderDrawdowns() {
+    const container = document.getElementById('drawdownSchedule');
+    if (!container) {
+      return;
+    }
+
+    const total = this.drawdowns.reduce((sum, d) => sum + (Number(d.percent) || 0), 0);
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle mb-2">
+        <thead>
+          <tr>
+            <th>Milestone</th>
+            <th style="width: 110px;">Month</th>
+            <th style="width: 110px;">% of loan</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.drawdowns.map((d, i) => `
+            <tr>
+              <td><input type="text" class="form-control form-control-sm" data-drawdown="${i}" data-field="label" value="${this.escape(d.label)}"></td>
+              <td><input type="number" min="0" class="form-control form-control-sm" data-drawdown="${i}" data-field="month" value="${d.month}"></td>
+              <td><input type="number" min="0" max="100" step="0.01" class="form-control form-control-sm" data-drawdown="${i}" data-field="percent" value="${d.percent}"></td>
+              <td class="text-end">
+                <button type="button" class="btn btn-sm btn-outline-danger" data-financing-action="remove-drawdown" data-index="${i}" title="Remove">
+                  <i class="fas fa-times"></i>
+                </button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="d-flex justify-content-between align-items-center">
+        <button type="button" class="btn btn-sm btn-outline-primary" data-financing-action="add-drawdown">
+          <i class="fas fa-plus me-1"></i>Add milestone
+        </button>
+        <small class="${Math.abs(total - 100) > 0.01 ? 'text-danger' : 'text-muted'}">Total: ${this.round(total)}%</small>
+      </div>
+    `;
+  },
+
+  handleClick(e) {
+    const button = e.target.closest('[data-financing-action]');
+    if (!button) {
+      return;
+    }
+
+    switch (button.getAttribute('data-financing-action')) {
+      case 'calculate':
+        this.calculateFromForm();
+        break;
+      case 'add-drawdown': {
+        const last = this.drawdowns[this.drawdowns.length - 1];
+        this.drawdowns.push({ label: 'Milestone', month: last ? last.month + 1 : 0, percent: 0 });
+        this.renderDrawdowns();
+        break;
+      }
+      case 'remove-drawdown':
+        this.drawdowns.splice(Number(button.getAttribute('data-index')), 1);
+        this.renderDrawdowns();
+        break;
+      case 'export-csv':
+        if (this.schedule) {
+          this.exportCSV();
+        }
+        break;
+      case 'export-pdf':
+        if (this.schedule) {
+          this.exportPDF();
+        }
+        break;
+    }
+  },
+
+  handleChange(e) {
+    if (e.target.id === 'financingLender') {
+      this.applyLenderDefaults();
+      return;
+    }
+
+    const index = e.target.getAttribute('data-drawdown');
+    if (index !== null) {
+      const field = e.target.getAttribute('data-field');
+      this.drawdowns[Number(index)][field] = field === 'label' ? e.target.value : Number(e.target.value);
+      this.renderDrawdowns();
+    }
+  },
+
+  /**
+   * Read the form, calculate and show the schedule
+   * @returns {object|null} - Schedule, or null when the input is invalid
+   */
+  calculateFromForm() {
+    const value = id => {
+      const el = document.getElementById(id);
+      return el ? el.value : undefined;
+    };
+    const useDrawdowns = document.getElementById('useDrawdowns');
+    const rate = value('interestRate');
+
+    try {
+      const schedule = this.calculate({
+        projectCost: parseFloat(value('projectCost')),
+        downPaymentPercent: parseFloat(value('downPayment')),
+        lenderId: value('financingLender') || CONFIG.FINANCING.DEFAULT_LENDER,
+        annualRate: rate !== undefined && rate !== '' ? parseFloat(rate) / 100 : undefined,
+        termYears: parseInt(value('loanTerm')),
+        gracePeriodMonths: value('gracePeriod') !== undefined ? parseInt(value('gracePeriod')) || 0 : 0,
+        graceType: value('graceType'),
+        drawdowns: useDrawdowns && useDrawdowns.checked ? this.drawdowns : [],
+        startDate: value('loanStartDate') || undefined,
+        estimateId: this.estimate ? this.estimate.id : null
+      });
+      this.displayResults(schedule);
+      return schedule;
+    } catch (error) {
+      alert(error.message);
+      return null;
+    }
+  },
+
+  displayResults(schedule) {
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.textContent = text;
+      }
+    };
+
+    setText('monthlyPayment', this.formatCurrency(schedule.monthlyPayment));
+    setText('loanAmount', this.formatCurrency(schedule.loanAmount));
+    setText('totalInterest', this.formatCurrency(schedule.totalInterest));
+    setText('gracePayment', schedule.gracePeriodMonths > 0
+      ? (schedule.graceType === 'capitalized' ? 'Interest capitalized' : this.formatCurrency(schedule.gracePayment))
+      : '—');
+    setText('totalRepayment', this.formatCurrency(schedule.totalPaid));
+
+    this.renderSchedule(schedule);
+
+    const result = document.getElementById('financingResult');
+    if (result) {
+      result.style.display = 'block';
+      result.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  },
+
+  renderSchedule(schedule) {
+    const container = document.getElementById('amortizationSchedule');
+    if (!container) {
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <h6 class="mb-0">Amortization Schedule <small class="text-muted">(${LocaleUtil.currencyLabel()})</small></h6>
+        <div class="btn-group btn-group-sm">
+          <button type="button" class="btn btn-outline-secondary" data-financing-action="export-csv">
+            <i class="fas fa-file-csv me-1"></i>CSV
+          </button>
+          <button type="button" class="btn btn-outline-secondary" data-financing-action="export-pdf">
+            <i class="fas fa-file-pdf me-1"></i>PDF
+          </button>
+        </div>
+      </div>
+      <div class="table-responsive" style="max-height: 420px;">
+        <table class="table table-sm table-striped mb-0">
+          <thead class="sticky-top bg-white">
+            <tr>
+              <th>#</th>
+              <th>Date</th>
+              <th class="text-end">Draw-down</th>
+              <th class="text-end">Payment</th>
+              <th class="text-end">Interest</th>
+              <th class="text-end">Principal</th>
+              <th class="text-end">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${schedule.rows.map(row => `
+              <tr class="${row.phase === 'grace' ? 'table-warning' : ''}">
+                <td>${row.period}</td>
+                <td>${row.date}</td>
+                <td class="text-end">${row.draw ? LocaleUtil.formatAmount(row.draw) : ''}</td>
+                <td class="text-end">${LocaleUtil.formatAmount(row.payment)}</td>
+                <td class="text-end">${LocaleUtil.formatAmount(row.interest)}</td>
+                <td class="text-end">${LocaleUtil.formatAmount(row.principal)}</td>
+                <td class="text-end">${LocaleUtil.formatAmount(row.closing)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${schedule.gracePeriodMonths > 0 ? `
+        <small class="text-muted">Highlighted rows are the ${schedule.gracePeriodMonths}-month grace period.</small>
+      ` : ''}
+    `;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Same day a number of months later, or the last day of that month when it is
+   * shorter (Jan 31 + 1 month = Feb 28/29, not Mar 3)
+   */
+  addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+  },
+
+  toDateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  },
+
+  formatCurrency(amount) {
+    return LocaleUtil.formatMoney(amount);
+  },
+
+  formatPercent(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FinancingCalculator;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.FinancingCalculator = FinancingCalculator;
+}
+
+// Initialize when the financing form is on the page
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    FinancingCalculator.init();
+  });
+}
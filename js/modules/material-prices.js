@@ -0,0 +1,723 @@
+/**
+ * Material Prices Module
+ * Dated price ranges per material and region, recorded by admins and shared
+ * through the API (material-prices.php). The Live Material Cost Tracker shows
+ * the latest range, the change over the last week and a trend line computed
+ * from this history.
+ *
+ * The price index (how far material prices have moved since the rate tables
+ * took effect) lets the CostCalculator adjust its materials component.
+ */
+
+const MaterialPrices = {
+  // Called after sync() reloads the prices (see onChange)
+  listeners: [],
+
+  // ============================================
+  // MATERIALS
+  // ============================================
+
+  /**
+   * Tracked materials
+   * @returns {array} - [{ id, name, unit, icon, weight }]
+   */
+  getMaterials() {
+    return Object.entries(CONFIG.MATERIAL_PRICES.MATERIALS)
+      .map(([id, material]) => ({ id, ...material }));
+  },
+
+  getMaterial(id) {
+    const material = CONFIG.MATERIAL_PRICES.MATERIALS[id];
+    return material ? { id, ...material } : null;
+  },
+
+  /**
+   * Regions prices can be recorded for (those in the rate tables)
+   * @returns {array} - Region keys, e.g. 'addis-ababa'
+   */
+  getRegions() {
+    return Object.keys(PricingService.getVersion().tables.regionalMultipliers);
+  },
+
+  /**
+   * Regions with at least one recorded price
+   * @returns {array}
+   */
+  getPricedRegions() {
+    return [...new Set(this.getAllPrices().map(price => price.region))];
+  },
+
+  // ============================================
+  // PRICE HISTORY
+  // ============================================
+
+  /**
+   * Every recorded price, as last loaded by sync()
+   * @returns {array} - [{ id, material, region, date, min, max, recordedBy, recordedAt, pending }]
+   */
+  getAllPrices() {
+    return this.getCache().filter(price => price.pending !== 'delete');
+  },
+
+  /**
+   * Cached prices, including deletions still waiting in the sync queue
+   */
+  getCache() {
+    return StorageUtil.get(CONFIG.STORAGE_KEYS.MATERIAL_PRICES, []);
+  },
+
+  setCache(prices) {
+    StorageUtil.set(CONFIG.STORAGE_KEYS.MATERIAL_PRICES, prices);
+  },
+
+  /**
+   * Load the shared price history from the API into the local cache
+   * Changes made while the backend was unreachable (`pending`) are kept on top
+   * of the server's prices until the sync queue has delivered them.
+   * @returns {Promise<array>} - Every recorded price
+   */
+  async sync() {
+    if (!this.hasAPI()) {
+      return this.getAllPrices();
+    }
+
+    try {
+      const response = await API.materialPrices.getAll();
+      if (response.success && Array.isArray(response.data)) {
+        const remote = response.data.map(record => this.normalize(record));
+        // A queued save has arrived once the server has the price, a queued delete once it hasn't
+        const arrived = change => remote.some(price => price.id === change.id) === (change.pending === 'save');
+        const waiting = this.getCache().filter(price => price.pending && !arrived(price));
+
+        this.setCache([
+          ...remote.filter(price => !waiting.some(change =>
+            change.id === price.id || (change.pending === 'save' && this.sameDay(change, price)))),
+          ...waiting
+        ]);
+        this.notifyChange();
+      }
+    } catch (error) {
+      console.error('Error loading material prices from API:', error);
+    }
+
+    return this.getAllPrices();
+  },
+
+  /**
+   * Recorded prices for a material and region, oldest first
+   * @param {string} material - Material ID
+   * @param {string} region - Region key (defaults to CONFIG.MATERIAL_PRICES.DEFAULT_REGION)
+   * @returns {array}
+   */
+  getPrices(material, region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION) {
+    return this.getAllPrices()
+      .filter(price => price.material === material && price.region === region)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  /**
+   * Record the price range of a material on a date
+   * A second price for the same material, region and date replaces the first.
+   * While the backend is unreachable the price is queued and marked `pending`.
+   * @param {object} data - { material, region, date, min, max }
+   * @returns {Promise<object>} - Recorded price
+   */
+  async recordPrice(data) {
+    this.authorize('materials:update');
+
+    if (!this.getMaterial(data.material)) {
+      throw new Error(`Unknown material: ${data.material}`);
+    }
+
+    const region = data.region || CONFIG.MATERIAL_PRICES.DEFAULT_REGION;
+    if (!this.getRegions().includes(region)) {
+      throw new Error(`Unknown region: ${region}`);
+    }
+
+    if (!data.date || isNaN(new Date(data.date).getTime())) {
+      throw new Error('Please enter the date of the price');
+    }
+    const date = RateLibrary.toDateKey(data.date);
+    if (date > RateLibrary.toDateKey(new Date())) {
+      throw new Error('Prices cannot be recorded for a future date');
+    }
+
+    const min = Number(data.min);
+    const max = data.max === undefined || data.max === '' ? min : Number(data.max);
+    if (!(min > 0) || !(max > 0)) {
+      throw new Error('Prices must be greater than 0');
+    }
+    if (max < min) {
+      throw new Error('The highest price cannot be below the lowest price');
+    }
+
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    const price = {
+      id: `price_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      material: data.material,
+      region,
+      date,
+      min,
+      max,
+      recordedBy: user ? user.name || user.username || null : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    const existing = this.getAllPrices().find(p => this.sameDay(p, price));
+    const response = await this.send(() => API.materialPrices.create(this.toApiData(price)));
+    const saved = response && response.data && !response.queued ? this.normalize(response.data) : price;
+    if (response && response.queued) {
+      saved.pending = 'save';
+      this.settle(response.syncId, saved.id);
+    }
+
+    this.setCache([...this.getCache().filter(p => !this.sameDay(p, saved) && p.id !== saved.id), saved]);
+    this.logAction(existing ? 'update' : 'create', 'material_price', saved.id, {
+      material: saved.material,
+      region,
+      date,
+      min,
+      max
+    });
+    return saved;
+  },
+
+  /**
+   * Remove a recorded price (e.g. entered by mistake)
+   * @param {string} id - Price ID
+   * @returns {Promise<void>}
+   */
+  async deletePrice(id) {
+    this.authorize('materials:update');
+
+    const price = this.getAllPrices().find(p => p.id === id);
+    if (!price) {
+      throw new Error(`Price not found: ${id}`);
+    }
+
+    // A price that never reached the server only has to be dropped locally
+    const response = price.pending ? null : await this.send(() => API.materialPrices.delete(id));
+    const others = this.getCache().filter(p => p.id !== id);
+    if (response && response.queued) {
+      this.setCache([...others, { ...price, pending: 'delete' }]);
+      this.settle(response.syncId, id);
+    } else {
+      this.setCache(others);
+    }
+
+    this.logAction('delete', 'material_price', id, { material: price.material, region: price.region, date: price.date });
+  },
+
+  /**
+   * Send a change to the API (kept locally only on pages without utils/api.js)
+   * Offline changes come back queued; server rejections are thrown.
+   * @param {function} request - Returns the API call's promise
+   * @returns {Promise<object|null>} - API response
+   */
+  async send(request) {
+    if (!this.hasAPI()) {
+      return null;
+    }
+
+    const response = await request();
+    if (!response || (!response.success && !response.queued)) {
+      throw new Error((response && (response.message || response.error)) || 'Saving the price failed');
+    }
+    return response;
+  },
+
+  /**
+   * Reload the prices once a queued change has been delivered; a change the
+   * server rejected is undone (a save dropped, a delete restored)
+   * @param {string} syncId - From the queued response
+   * @param {string} id - Price the change was for
+   */
+  settle(syncId, id) {
+    if (!syncId || !API.sync) {
+      return;
+    }
+
+    API.sync.waitFor(syncId)
+      .catch(error => {
+        console.error('Queued material price change was rejected:', error);
+        this.setCache(this.getCache()
+          .filter(price => !(price.id === id && price.pending === 'save'))
+          .map(({ pending, ...price }) => (price.id === id ? price : { ...price, pending })));
+      })
+      .then(() => this.sync());
+  },
+
+  /**
+   * Call a listener whenever the prices are reloaded
+   * @param {function} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  },
+
+  notifyChange() {
+    this.listeners.forEach(listener => listener());
+  },
+
+  hasAPI() {
+    return typeof API !== 'undefined' && !!API.materialPrices;
+  },
+
+  /**
+   * Bring API (snake_case) and cached records into one shape
+   * @param {object} record - Price record
+   * @returns {object}
+   */
+  normalize(record) {
+    return {
+      id: String(record.id),
+      material: record.material,
+      region: record.region,
+      date: RateLibrary.toDateKey(record.date),
+      min: Number(record.min),
+      max: Number(record.max),
+      recordedBy: record.recorded_by !== undefined ? record.recorded_by : (record.recordedBy || null),
+      recordedAt: record.recorded_at || record.recordedAt || null
+    };
+  },
+
+  toApiData(price) {
+    return {
+      id: price.id,
+      material: price.material,
+      region: price.region,
+      date: price.date,
+      min: price.min,
+      max: price.max,
+      recorded_by: price.recordedBy,
+      recorded_at: price.recordedAt
+    };
+  },
+
+  // One price per material, region and date
+  sameDay(a, b) {
+    return a.material === b.material && a.region === b.region && a.date === b.date;
+  },
+
+  // ============================================
+  // CURRENT PRICES AND TRENDS
+  // ============================================
+
+  /**
+   * Latest price recorded on or before a date
+   * @param {string} material - Material ID
+   * @param {string} region - Region key
+   * @param {Date|string} asOf - Date (defaults to today)
+   * @returns {object|null} - { date, min, max, mid }
+   */
+  getCurrent(material, region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION, asOf = new Date()) {
+    const dateKey = RateLibrary.toDateKey(asOf);
+    const prices = this.getPrices(material, region).filter(price => price.date <= dateKey);
+    return prices.length > 0 ? this.describe(prices[prices.length - 1]) : null;
+  },
+
+  /**
+   * Change of the mid price over the last CONFIG.MATERIAL_PRICES.CHANGE_DAYS
+   * @param {string} material - Material ID
+   * @param {string} region - Region key
+   * @param {Date|string} asOf - Date (defaults to today)
+   * @returns {object|null} - { current, previous, percent } or null without an earlier price
+   */
+  getChange(material, region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION, asOf = new Date()) {
+    const current = this.getCurrent(material, region, asOf);
+    if (!current) {
+      return null;
+    }
+
+    const previous = this.getCurrent(material, region, this.addDays(RateLibrary.toDateKey(asOf), -CONFIG.MATERIAL_PRICES.CHANGE_DAYS));
+    if (!previous) {
+      return null;
+    }
+
+    return {
+      current,
+      previous,
+      percent: ((current.mid - previous.mid) / previous.mid) * 100
+    };
+  },
+
+  /**
+   * Prices over the last CONFIG.MATERIAL_PRICES.HISTORY_DAYS, for trend charts
+   * The price in force when the period starts is included so the line starts at the left edge.
+   * @param {string} material - Material ID
+   * @param {string} region - Region key
+   * @param {number} days - Length of the period
+   * @returns {array} - [{ date, min, max, mid }]
+   */
+  getHistory(material, region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION, days = CONFIG.MATERIAL_PRICES.HISTORY_DAYS) {
+    const from = this.addDays(RateLibrary.toDateKey(new Date()), -days);
+    const prices = this.getPrices(material, region);
+    const earlier = prices.filter(price => price.date < from);
+    const inPeriod = prices.filter(price => price.date >= from);
+
+    return [...earlier.slice(-1), ...inPeriod].map(price => this.describe(price));
+  },
+
+  /**
+   * Everything the tracker shows for a region
+   * @param {string} region - Region key
+   * @returns {array} - [{ id, name, unit, icon, current, change, history }]
+   */
+  getSummary(region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION) {
+    return this.getMaterials().map(material => ({
+      ...material,
+      current: this.getCurrent(material.id, region),
+      change: this.getChange(material.id, region),
+      history: this.getHistory(material.id, region)
+    }));
+  },
+
+  /**
+   * Date of the most recent price for a region
+   * @param {string} region - Region key
+   * @returns {string|null} - YYYY-MM-DD
+   */
+  getLastUpdated(region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION) {
+    const dates = this.getAllPrices().filter(price => price.region === region).map(price => price.date).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+  },
+
+  /**
+   * How far material prices have moved since a date
+   * Weighted by each material's share of a project's material cost. Regions
+   * without prices of their own use CONFIG.MATERIAL_PRICES.DEFAULT_REGION.
+   * When there's no price on the base date, the earliest recorded price is used.
+   * @param {string} region - Region key
+   * @param {Date|string} since - Base date (e.g. when the rate tables took effect)
+   * @param {Date|string} asOf - Date of the current prices (defaults to today)
+   * @returns {object} - { index, region, since, asOf, materials: [{ id, base, current, ratio }] }
+   */
+  getIndex(region, since, asOf = new Date()) {
+    const pricedRegion = this.getPricedRegions().includes(region) ? region : CONFIG.MATERIAL_PRICES.DEFAULT_REGION;
+
+    const materials = this.getMaterials().map(material => {
+      const current = this.getCurrent(material.id, pricedRegion, asOf);
+      const prices = this.getPrices(material.id, pricedRegion);
+      const base = this.getCurrent(material.id, pricedRegion, since) || (prices.length > 0 ? this.describe(prices[0]) : null);
+      if (!current || !base) {
+        return null;
+      }
+      return { id: material.id, weight: material.weight, base: base.mid, current: current.mid, ratio: current.mid / base.mid };
+    }).filter(Boolean);
+
+    const totalWeight = materials.reduce((sum, material) => sum + material.weight, 0);
+    const index = totalWeight > 0
+      ? materials.reduce((sum, material) => sum + material.ratio * material.weight, 0) / totalWeight
+      : 1;
+
+    return {
+      index: Math.round(index * 10000) / 10000,
+      region: pricedRegion,
+      since: RateLibrary.toDateKey(since),
+      asOf: RateLibrary.toDateKey(asOf),
+      materials
+    };
+  },
+
+  describe(price) {
+    return { date: price.date, min: price.min, max: price.max, mid: (price.min + price.max) / 2 };
+  },
+
+  // ============================================
+  // CHARTS
+  // ============================================
+
+  /**
+   * Small inline trend line of mid prices
+   * @param {array} points - From getHistory()
+   * @param {object} options - { width, height, color }
+   * @returns {string} - SVG markup ('' with fewer than two points)
+   */
+  sparkline(points, options = {}) {
+    const { width = 120, height = 32, color = 'currentColor' } = options;
+    if (points.length < 2) {
+      return '';
+    }
+
+    const scale = this.scale(points, width, height, 2, ['mid']);
+    const line = points.map(point => `${scale.x(point.date)},${scale.y(point.mid)}`).join(' ');
+
+    return `<svg class="material-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price trend">
+      <polyline points="${line}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>
+    </svg>`;
+  },
+
+  /**
+   * Trend chart with the price range as a band and the mid price as a line
+   * @param {array} points - From getHistory()
+   * @param {object} options - { width, height, currency } (currency defaults to the display currency)
+   * @returns {string} - SVG markup
+   */
+  trendChart(points, options = {}) {
+    const { width = 320, height = 140, currency = LocaleUtil.getCurrency() } = options;
+    if (points.length === 0) {
+      return '<p class="text-muted small mb-0">No prices recorded yet</p>';
+    }
+
+    const pad = { top: 10, bottom: 20, left: 4 };
+    const chartHeight = height - pad.top - pad.bottom;
+    const scale = this.scale(points, width - pad.left * 2, chartHeight, 0, ['min', 'max']);
+    const x = date => scale.x(date) + pad.left;
+    const y = value => scale.y(value) + pad.top;
+
+    // A single price is drawn as a flat line across the chart
+    const series = points.length === 1 ? [points[0], points[0]] : points;
+    const xs = points.length === 1 ? [pad.left, width - pad.left] : points.map(point => x(point.date));
+
+    const band = [
+      ...series.map((point, i) => `${xs[i]},${y(point.max)}`),
+      ...series.map((point, i) => `${xs[i]},${y(point.min)}`).reverse()
+    ].join(' ');
+    const line = series.map((point, i) => `${xs[i]},${y(point.mid)}`).join(' ');
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return `<svg class="material-trend" width="100%" viewBox="0 0 ${width} ${height}" role="img"
+                 aria-label="Price trend from ${first.date} to ${last.date}">
+      <polygon points="${band}" fill="rgba(13, 110, 253, 0.15)" stroke="none"/>
+      <polyline points="${line}" fill="none" stroke="#0d6efd" stroke-width="2" stroke-linejoin="round"/>
+      <text x="${pad.left}" y="${height - 4}" font-size="10" fill="#6c757d">${first.date}</text>
+      <text x="${width - pad.left}" y="${height - 4}" font-size="10" fill="#6c757d" text-anchor="end">${last.date}</text>
+      <text x="${width - pad.left}" y="${pad.top + 8}" font-size="10" fill="#6c757d" text-anchor="end">
+        ${this.formatPrice(scale.maxValue, currency)} ${currency}
+      </text>
+    </svg>`;
+  },
+
+  /**
+   * Map dates and prices onto chart coordinates
+   * @param {array} keys - Price fields the value axis has to fit
+   */
+  scale(points, width, height, margin, keys) {
+    const times = points.map(point => new Date(`${point.date}T00:00:00`).getTime());
+    const values = points.reduce((all, point) => all.concat(keys.map(key => point[key])), []);
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime || 1;
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const valueSpan = maxValue - minValue || 1;
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+      maxValue,
+      x: date => round(margin + ((new Date(`${date}T00:00:00`).getTime() - minTime) / timeSpan) * (width - margin * 2)),
+      // A flat series sits in the middle of the chart
+      y: value => round(maxValue === minValue
+        ? height / 2
+        : margin + (1 - (value - minValue) / valueSpan) * (height - margin * 2))
+    };
+  },
+
+  // ============================================
+  // LIVE MATERIAL COST TRACKER (home page)
+  // ============================================
+
+  /**
+   * Render the tracker when its section is on the page
+   * The cached prices show straight away and are refreshed from the API.
+   */
+  initTracker() {
+    this.cards = document.getElementById('materialPriceCards');
+    if (!this.cards) {
+      return;
+    }
+
+    this.region = CONFIG.MATERIAL_PRICES.DEFAULT_REGION;
+
+    const regionSelect = document.getElementById('materialRegion');
+    if (regionSelect) {
+      this.renderRegions(regionSelect);
+      regionSelect.addEventListener('change', () => {
+        this.region = regionSelect.value;
+        this.renderTracker();
+      });
+    }
+
+    const trendsBtn = document.getElementById('materialTrendsBtn');
+    const trends = document.getElementById('materialTrends');
+    if (trendsBtn && trends) {
+      trendsBtn.addEventListener('click', () => {
+        trends.classList.toggle('d-none');
+        this.renderTrends();
+      });
+    }
+
+    this.renderTracker();
+
+    this.onChange(() => {
+      if (regionSelect) {
+        this.renderRegions(regionSelect);
+      }
+      this.renderTracker();
+    });
+    this.sync();
+  },
+
+  renderRegions(regionSelect) {
+    const regions = this.getPricedRegions();
+    if (!regions.includes(this.region)) {
+      regions.unshift(this.region);
+    }
+    regionSelect.innerHTML = regions
+      .map(region => `<option value="${region}" ${region === this.region ? 'selected' : ''}>${this.regionName(region)}</option>`)
+      .join('');
+    regionSelect.closest('[data-material-regions]')?.classList.toggle('d-none', regions.length < 2);
+  },
+
+  renderTracker() {
+    const summary = this.getSummary(this.region);
+
+    this.cards.innerHTML = summary.map(material => `
+      <div class="col-md-3 col-sm-6 mb-4">
+        <div class="card border-0 shadow-sm h-100">
+          <div class="card-body text-center">
+            <i class="fas ${material.icon} fa-3x mb-3"></i>
+            <h5 class="fw-bold">${material.name}</h5>
+            <h3 class="text-primary mb-2">${material.current ? `${this.formatRange(material.current)} ${LocaleUtil.currencyLabel()}` : '&mdash;'}</h3>
+            <p class="text-muted mb-0">per ${material.unit}</p>
+            <div class="mt-2">${this.changeBadge(material.change)}</div>
+            <div class="mt-2 text-primary">${this.sparkline(material.history)}</div>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    const lastUpdate = document.getElementById('lastUpdate');
+    if (lastUpdate) {
+      const date = this.getLastUpdated(this.region);
+      lastUpdate.textContent = date
+        ? new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+        : 'No prices recorded yet';
+    }
+
+    this.renderTrends();
+  },
+
+  /**
+   * Full price list with trend charts (hidden until requested)
+   */
+  renderTrends() {
+    const trends = document.getElementById('materialTrends');
+    if (!trends || trends.classList.contains('d-none')) {
+      return;
+    }
+
+    trends.innerHTML = `
+      <div class="row">
+        ${this.getSummary(this.region).map(material => `
+          <div class="col-md-6 mb-4">
+            <div class="card border-0 shadow-sm h-100">
+              <div class="card-body">
+                <h6 class="fw-bold mb-1">${material.name} <small class="text-muted fw-normal">${LocaleUtil.currencyLabel()} per ${material.unit}</small></h6>
+                ${this.trendChart(material.history)}
+                <table class="table table-sm small mb-0 mt-2">
+                  <tbody>
+                    ${material.history.slice(-5).reverse().map(point => `
+                      <tr><td>${point.date}</td><td class="text-end">${this.formatRange(point)} ${LocaleUtil.currencyLabel()}</td></tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * "2% this week" badge
+   * @param {object|null} change - From getChange()
+   * @returns {string}
+   */
+  changeBadge(change) {
+    if (!change) {
+      return '<span class="badge bg-light text-dark">New price</span>';
+    }
+
+    const percent = Math.round(Math.abs(change.percent));
+    if (percent === 0) {
+      return '<span class="badge bg-secondary"><i class="fas fa-minus"></i> No change</span>';
+    }
+
+    // Falling prices are good news for customers
+    return change.percent < 0
+      ? `<span class="badge bg-success"><i class="fas fa-arrow-down"></i> ${percent}% this week</span>`
+      : `<span class="badge bg-danger"><i class="fas fa-arrow-up"></i> ${percent}% this week</span>`;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Price range without the currency, e.g. "1,350-2,000"
+   * @param {object} price - { min, max } in ETB
+   * @param {string} currency - Currency to show (defaults to the display currency)
+   * @returns {string}
+   */
+  formatRange(price, currency = LocaleUtil.getCurrency()) {
+    if (price.min === price.max) {
+      return this.formatPrice(price.min, currency);
+    }
+
+    const decimals = this.priceDecimals([price.min, price.max], currency);
+    return `${LocaleUtil.formatAmount(price.min, { currency, decimals })}-${LocaleUtil.formatAmount(price.max, { currency, decimals })}`;
+  },
+
+  formatPrice(amount, currency = LocaleUtil.getCurrency()) {
+    return LocaleUtil.formatAmount(amount, { currency, decimals: this.priceDecimals([amount], currency) });
+  },
+
+  // Cents only for small unit prices (e.g. bricks)
+  priceDecimals(amounts, currency) {
+    return amounts.every(amount => {
+      const value = LocaleUtil.convert(amount, currency);
+      return Number.isInteger(value) || value >= 100;
+    }) ? 0 : 2;
+  },
+
+  regionName(region) {
+    return region.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  },
+
+  addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return RateLibrary.toDateKey(date);
+  },
+
+  authorize(permission) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert(permission);
+    }
+  },
+
+  logAction(action, targetType, targetId, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, targetType, targetId, details);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MaterialPrices;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.MaterialPrices = MaterialPrices;
+}
+
+// Render the tracker when its section is on the page
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    MaterialPrices.initTracker();
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * Pricing Service Module
+ * One pricing model for every price shown on the site: the quick estimate on
+ * the home page, the full cost calculator, the equipment rental calculator and
+ * the service tier "starting at" prices.
+ *
+ * All rates come from the RateLibrary version in force, so publishing a new
+ * rate table version changes them everywhere at once. A version's
+ * `areaPricing` picks how area estimates are priced: 'boq' works them out from
+ * the bill-of-quantities unit rates (load bill-of-quantities.js first), so a
+ * quick estimate and an itemized one agree; 'per-sqm' uses the version's base
+ * cost per m², floor increment and material premiums.
+ */
+
+const PricingService = {
+  // Share of the per-m² cost in each breakdown category
+  BREAKDOWN_SHARES: {
+    default: { materials: 0.40, labor: 0.35, equipment: 0.15, permits: 0.10 },
+    industrial: { materials: 0.35, labor: 0.30, equipment: 0.25, permits: 0.10 },
+    renovation: { materials: 0.35, labor: 0.45, equipment: 0.10, permits: 0.10 }
+  },
+
+  // ± range around a per-m² estimate (no drawings yet)
+  AREA_RANGE: 0.15,
+
+  /**
+   * Rate table version to price with
+   * @param {object|Date|string} versionOrDate - RateLibrary version, or a date (defaults to today)
+   * @returns {object}
+   */
+  getVersion(versionOrDate = new Date()) {
+    if (versionOrDate && versionOrDate.tables) {
+      return versionOrDate;
+    }
+
+    const version = RateLibrary.getActiveVersion(versionOrDate);
+    if (!version) {
+      throw new Error('No rate table is in force for this date');
+    }
+    return version;
+  },
+
+  // ============================================
+  // AREA PRICING
+  // ============================================
+
+  /**
+   * Cost per m² after regional, floor and material adjustments
+   * @param {object} projectData - { projectType, region, floors, materials }
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {number}
+   */
+  costPerSqm(projectData, version = this.getVersion()) {
+    const tables = version.tables;
+    const base = tables.baseCosts[projectData.projectType] || tables.baseCosts.residential;
+    const regional = tables.regionalMultipliers[projectData.region] || 1.0;
+    const floors = 1 + ((projectData.floors || 1) - 1) * tables.floorIncrement;
+
+    // Average premium of the selected materials
+    const materials = projectData.materials || [];
+    const premium = materials.length > 0
+      ? materials.map(m => tables.materialPremiums[m] || 1.0).reduce((a, b) => a + b, 0) / materials.length
+      : 1.0;
+
+    return base * regional * floors * premium;
+  },
+
+  /**
+   * Price a project from its floor area, the way the version says to
+   * `materialIndex` scales the materials component by the movement in material
+   * prices since the rate tables took effect (see MaterialPrices.getIndex).
+   * @param {object} projectData - { projectType, region, floors, materials, materialIndex }
+   * @param {number} sizeInSqm - Gross floor area in m²
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {object} - { costPerSqm, breakdown, subtotal, contingency, total, min, max } (unrounded)
+   */
+  priceArea(projectData, sizeInSqm, version = this.getVersion()) {
+    const priced = version.tables.areaPricing === 'boq'
+      ? this.priceAreaFromBoq(projectData, sizeInSqm, version)
+      : this.priceAreaPerSqm(projectData, sizeInSqm, version);
+
+    return {
+      ...priced,
+      min: priced.total * (1 - this.AREA_RANGE),
+      max: priced.total * (1 + this.AREA_RANGE)
+    };
+  },
+
+  /**
+   * Area price from the BOQ unit rates: quantities are derived from the area and
+   * floors (see BillOfQuantities), so the total is the itemized estimate's
+   * @returns {object} - { costPerSqm, breakdown, subtotal, contingency, total }
+   */
+  priceAreaFromBoq(projectData, sizeInSqm, version) {
+    const boq = new BillOfQuantities(projectData, sizeInSqm, version).calculate();
+
+    return {
+      costPerSqm: boq.subtotal / sizeInSqm,
+      breakdown: boq.breakdown,
+      subtotal: boq.subtotal,
+      contingency: boq.contingency,
+      total: boq.total
+    };
+  },
+
+  /**
+   * Area price from the version's per-m² tables (versions priced this way
+   * before BOQ area pricing keep reproducing their estimates)
+   * @returns {object} - { costPerSqm, breakdown, subtotal, contingency, total }
+   */
+  priceAreaPerSqm(projectData, sizeInSqm, version) {
+    const costPerSqm = this.costPerSqm(projectData, version);
+    const breakdown = this.breakdown(costPerSqm * sizeInSqm, projectData.projectType);
+    breakdown.materials *= projectData.materialIndex || 1;
+    const subtotal = breakdown.materials + breakdown.labor + breakdown.equipment + breakdown.permits;
+    const contingency = subtotal * version.tables.contingencyRate;
+    const total = subtotal + contingency;
+
+    return { costPerSqm, breakdown, subtotal, contingency, total };
+  },
+
+  /**
+   * Split a construction cost into breakdown categories
+   * @param {number} amount - Cost before contingency
+   * @param {string} projectType - Project type
+   * @returns {object} - { materials, labor, equipment, permits }
+   */
+  breakdown(amount, projectType) {
+    const shares = this.BREAKDOWN_SHARES[projectType] || this.BREAKDOWN_SHARES.default;
+    return {
+      materials: amount * shares.materials,
+      labor: amount * shares.labor,
+      equipment: amount * shares.equipment,
+      permits: amount * shares.permits
+    };
+  },
+
+  /**
+   * Cost range for the home page quick estimate
+   * The same figures the calculator gives (one floor and standard materials unless given).
+   * @param {string} projectType - Project type
+   * @param {number} size - Floor area in m²
+   * @param {object} options - { region, floors, materials }
+   * @returns {object} - { min, max, total, costPerSqm } (rounded)
+   */
+  quickEstimate(projectType, size, options = {}) {
+    if (!size || size <= 0) {
+      throw new Error('Please enter a valid size');
+    }
+
+    const priced = this.priceArea({ projectType, ...options }, size);
+    return {
+      min: Math.round(priced.min),
+      max: Math.round(priced.max),
+      total: Math.round(priced.total),
+      costPerSqm: Math.round(priced.costPerSqm)
+    };
+  },
+
+  // ============================================
+  // EQUIPMENT
+  // ============================================
+
+  /**
+   * Rental equipment with day rates
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {array} - [{ id, name, dayRate, operatorRate }]
+   */
+  getEquipment(version = this.getVersion()) {
+    return Object.entries(version.tables.equipmentRates)
+      .map(([id, rate]) => ({ id, ...rate }));
+  },
+
+  /**
+   * Rental cost (day rates include fuel and maintenance)
+   * @param {string} equipmentId - Equipment key, e.g. 'excavator'
+   * @param {number} days - Rental days
+   * @param {boolean} includeOperator - Add the operator surcharge
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {object} - { equipment, days, dayRate, operatorRate, dailyCost, total }
+   */
+  equipmentCost(equipmentId, days, includeOperator = false, version = this.getVersion()) {
+    const rate = version.tables.equipmentRates[equipmentId];
+    if (!rate) {
+      throw new Error(`Unknown equipment: ${equipmentId}`);
+    }
+
+    const rentalDays = Math.max(1, Math.round(Number(days) || 1));
+    const operatorRate = includeOperator ? rate.operatorRate : 0;
+    const dailyCost = rate.dayRate + operatorRate;
+
+    return {
+      equipment: { id: equipmentId, name: rate.name },
+      days: rentalDays,
+      dayRate: rate.dayRate,
+      operatorRate,
+      dailyCost,
+      total: dailyCost * rentalDays
+    };
+  },
+
+  // ============================================
+  // SERVICE TIERS
+  // ============================================
+
+  /**
+   * Lowest price of a service tier
+   * @param {string} tierId - 'basic', 'professional' or 'premium'
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {number|null}
+   */
+  getTierFloor(tierId, version = this.getVersion()) {
+    const floor = version.tables.tierFloors[tierId];
+    return floor === undefined ? null : floor;
+  },
+
+  /**
+   * Price of a project under a tier: the estimate, but never below the tier floor
+   * @param {string} tierId - Service tier
+   * @param {number} total - Estimated total
+   * @returns {number}
+   */
+  priceForTier(tierId, total) {
+    return Math.max(this.getTierFloor(tierId) || 0, Math.round(total));
+  },
+
+  /**
+   * Format an ETB price in the visitor's display currency (see LocaleUtil)
+   * @param {number} amount - Amount in ETB
+   * @returns {string} - e.g. "ETB 1,380,000" or "$9,200"
+   */
+  formatCurrency(amount) {
+    return LocaleUtil.formatMoney(amount);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingService;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.PricingService = PricingService;
+}
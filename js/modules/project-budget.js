@@ -0,0 +1,447 @@
+/**
+ * Project Budget Module
+ * Cost control for ProjectTracker projects: the budget split by cost code,
+ * commitments (orders and subcontracts) and actual costs entered against each
+ * code, and an earned-value view from the task schedule (ProjectSchedule).
+ *
+ * Amounts are ETB. A cost code's exposure is what it has committed plus actual
+ * costs paid outside (or beyond) a commitment; an alert fires when exposure goes
+ * over budget.
+ */
+
+const ProjectBudget = {
+  ENTRY_TYPES: {
+    commitment: 'Commitment',
+    actual: 'Actual cost'
+  },
+
+  // ============================================
+  // COST CODES AND BUDGET
+  // ============================================
+
+  /**
+   * Standard cost codes
+   * @returns {array} - [{ code, name, share }]
+   */
+  getCostCodes() {
+    return Object.entries(CONFIG.PROJECT_BUDGET.COST_CODES)
+      .map(([code, costCode]) => ({ code, ...costCode }));
+  },
+
+  /**
+   * Cost control record of a project, split from `project.budget` the first time
+   * @param {object} project - ProjectTracker project
+   * @returns {object} - { codes: [{ code, name, budget }], entries, alerts }
+   */
+  getControl(project) {
+    if (!project.costControl) {
+      project.costControl = {
+        codes: this.splitBudget(this.parseAmount(project.budget)),
+        entries: [],
+        alerts: []
+      };
+    }
+    return project.costControl;
+  },
+
+  /**
+   * Split a budget over the standard cost codes by their shares
+   * Whole ETB per code; rounding goes to the last code (contingency).
+   * @param {number} total
+   * @returns {array} - [{ code, name, budget }]
+   */
+  splitBudget(total) {
+    const codes = this.getCostCodes();
+    let allocated = 0;
+
+    return codes.map((costCode, i) => {
+      const budget = i === codes.length - 1 ? total - allocated : Math.floor(total * costCode.share);
+      allocated += budget;
+      return { code: costCode.code, name: costCode.name, budget };
+    });
+  },
+
+  /**
+   * Total budget (budget at completion)
+   * @param {object} project
+   * @returns {number}
+   */
+  getTotalBudget(project) {
+    return this.getControl(project).codes.reduce((sum, costCode) => sum + costCode.budget, 0);
+  },
+
+  /**
+   * Set a cost code's budget (requires projects:update)
+   * `project.budget` follows the total of the cost codes.
+   * @param {object} project
+   * @param {string} code - Cost code, e.g. '03'
+   * @param {number|string} amount - ETB
+   * @returns {array} - Alerts fired by the change
+   */
+  setBudget(project, code, amount) {
+    this.authorize(project);
+    return this.applyBudget(project, code, amount);
+  },
+
+  /**
+   * setBudget() without the permission check, for changes approved elsewhere
+   * (a client approving a change order)
+   */
+  applyBudget(project, code, amount) {
+    const costCode = this.findCode(project, code);
+    const budget = this.parseAmount(amount);
+    if (budget < 0) {
+      throw new Error('Budget cannot be negative');
+    }
+
+    const before = this.getCodeSummary(project, code);
+    costCode.budget = budget;
+    project.budget = this.getTotalBudget(project);
+
+    this.logAction('update', 'project_budget', project.id, { code, budget });
+    return this.checkAlerts(project, code, before);
+  },
+
+  findCode(project, code) {
+    const costCode = this.getControl(project).codes.find(existing => existing.code === code);
+    if (!costCode) {
+      throw new Error(`Unknown cost code: ${code}`);
+    }
+    return costCode;
+  },
+
+  // ============================================
+  // COMMITMENTS AND ACTUAL COSTS
+  // ============================================
+
+  /**
+   * Record a commitment or an actual cost (requires projects:update)
+   * An actual cost can pay against a commitment of the same cost code.
+   * @param {object} project
+   * @param {object} data - { type, code, amount, date, vendor, description, commitmentId }
+   * @returns {object} - { entry, alerts }
+   */
+  addEntry(project, data) {
+    this.authorize(project);
+
+    if (!this.ENTRY_TYPES[data.type]) {
+      throw new Error('Entry must be a commitment or an actual cost');
+    }
+    this.findCode(project, data.code);
+
+    const amount = this.parseAmount(data.amount);
+    if (!(amount > 0)) {
+      throw new Error('Amount must be greater than zero');
+    }
+
+    const control = this.getControl(project);
+    const commitmentId = data.type === 'actual' && data.commitmentId ? data.commitmentId : null;
+    if (commitmentId) {
+      const commitment = control.entries.find(entry => entry.id === commitmentId && entry.type === 'commitment');
+      if (!commitment || commitment.code !== data.code) {
+        throw new Error('Actual costs can only be paid against a commitment of the same cost code');
+      }
+    }
+
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    const entry = {
+      id: 'ce' + Date.now() + Math.random().toString(36).slice(2, 6),
+      type: data.type,
+      code: data.code,
+      amount,
+      date: ProjectSchedule.toDateKey(data.date) || ProjectSchedule.toDateKey(new Date()),
+      vendor: String(data.vendor || '').trim(),
+      description: String(data.description || '').trim(),
+      commitmentId,
+      recordedBy: user ? (user.name || user.username || user.email) : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    const before = this.getCodeSummary(project, data.code);
+    control.entries.push(entry);
+
+    this.logAction('create', 'project_cost', entry.id, {
+      project: project.id,
+      type: entry.type,
+      code: entry.code,
+      amount: entry.amount
+    });
+
+    return { entry, alerts: this.checkAlerts(project, data.code, before) };
+  },
+
+  /**
+   * Delete an entry (requires projects:update)
+   * Payments against a deleted commitment become plain actual costs.
+   * @param {object} project
+   * @param {string} entryId
+   * @returns {boolean}
+   */
+  deleteEntry(project, entryId) {
+    this.authorize(project);
+
+    const control = this.getControl(project);
+    const entry = control.entries.find(existing => existing.id === entryId);
+    if (!entry) {
+      return false;
+    }
+
+    control.entries = control.entries
+      .filter(existing => existing.id !== entryId)
+      .map(existing => existing.commitmentId === entryId ? { ...existing, commitmentId: null } : existing);
+
+    this.logAction('delete', 'project_cost', entryId, { project: project.id, type: entry.type, code: entry.code, amount: entry.amount });
+    return true;
+  },
+
+  /**
+   * Commitments with what has been paid against them
+   * @param {object} project
+   * @returns {array} - Commitment entries plus { paid, outstanding }
+   */
+  getCommitments(project) {
+    const entries = this.getControl(project).entries;
+
+    return entries
+      .filter(entry => entry.type === 'commitment')
+      .map(commitment => {
+        const paid = entries
+          .filter(entry => entry.commitmentId === commitment.id)
+          .reduce((sum, entry) => sum + entry.amount, 0);
+        return { ...commitment, paid, outstanding: Math.max(commitment.amount - paid, 0) };
+      });
+  },
+
+  /**
+   * Commitments not yet paid in full (pending payments)
+   * @param {object} project
+   * @returns {array}
+   */
+  getOpenCommitments(project) {
+    return this.getCommitments(project).filter(commitment => commitment.outstanding > 0);
+  },
+
+  // ============================================
+  // SUMMARY AND ALERTS
+  // ============================================
+
+  /**
+   * Budget, commitments and actual costs per cost code
+   * @param {object} project
+   * @returns {array} - [{ code, name, budget, committed, actual, exposure, remaining, percent, status }]
+   */
+  getSummary(project) {
+    return this.getControl(project).codes.map(costCode => this.getCodeSummary(project, costCode.code));
+  },
+
+  getCodeSummary(project, code) {
+    const costCode = this.findCode(project, code);
+    const entries = this.getControl(project).entries.filter(entry => entry.code === code);
+    const sum = list => list.reduce((total, entry) => total + entry.amount, 0);
+
+    const committed = sum(entries.filter(entry => entry.type === 'commitment'));
+    const actual = sum(entries.filter(entry => entry.type === 'actual'));
+    // Payments beyond a commitment's amount count too
+    const exposure = this.getCommitments(project)
+      .filter(commitment => commitment.code === code)
+      .reduce((total, commitment) => total + Math.max(commitment.amount, commitment.paid), 0)
+      + sum(entries.filter(entry => entry.type === 'actual' && !entry.commitmentId));
+    const percent = costCode.budget > 0 ? Math.round(exposure / costCode.budget * 1000) / 10 : 0;
+
+    let status = 'ok';
+    if (exposure > costCode.budget) {
+      status = 'over';
+    } else if (percent >= CONFIG.PROJECT_BUDGET.WARNING_PERCENT) {
+      status = 'warning';
+    }
+
+    return {
+      code,
+      name: costCode.name,
+      budget: costCode.budget,
+      committed,
+      actual,
+      exposure,
+      remaining: costCode.budget - exposure,
+      percent,
+      status
+    };
+  },
+
+  /**
+   * Project totals across all cost codes
+   * @param {object} project
+   * @returns {object} - { budget, committed, actual, exposure, remaining }
+   */
+  getTotals(project) {
+    return this.getSummary(project).reduce((totals, row) => ({
+      budget: totals.budget + row.budget,
+      committed: totals.committed + row.committed,
+      actual: totals.actual + row.actual,
+      exposure: totals.exposure + row.exposure,
+      remaining: totals.remaining + row.remaining
+    }), { budget: 0, committed: 0, actual: 0, exposure: 0, remaining: 0 });
+  },
+
+  /**
+   * Fire an alert when a cost code goes over budget
+   * Only crossing the budget fires; a code that is already over stays quiet
+   * until it is brought back under.
+   * @param {object} project
+   * @param {string} code
+   * @param {object} before - Code summary before the change
+   * @returns {array} - New alerts
+   */
+  checkAlerts(project, code, before) {
+    const after = this.getCodeSummary(project, code);
+    if (after.status !== 'over' || before.status === 'over') {
+      return [];
+    }
+
+    const alert = {
+      id: 'ba' + Date.now(),
+      code,
+      name: after.name,
+      budget: after.budget,
+      exposure: after.exposure,
+      date: new Date().toISOString(),
+      acknowledged: false
+    };
+    this.getControl(project).alerts.unshift(alert);
+
+    const message = `${project.title}: cost code ${code} ${after.name} is over budget `
+      + `(${LocaleUtil.formatMoney(after.exposure)} of ${LocaleUtil.formatMoney(after.budget)})`;
+    if (typeof NotificationUtil !== 'undefined') {
+      NotificationUtil.showWarning(message);
+    }
+    this.logAction('alert', 'project_budget', project.id, { code, budget: after.budget, exposure: after.exposure });
+
+    return [alert];
+  },
+
+  /**
+   * Alerts not yet acknowledged
+   * @param {object} project
+   * @returns {array}
+   */
+  getAlerts(project) {
+    return this.getControl(project).alerts.filter(alert => !alert.acknowledged);
+  },
+
+  /**
+   * Mark an alert as seen (requires projects:update)
+   */
+  acknowledgeAlert(project, alertId) {
+    this.authorize(project);
+
+    const alert = this.getControl(project).alerts.find(existing => existing.id === alertId);
+    if (!alert) {
+      return false;
+    }
+    alert.acknowledged = true;
+    return true;
+  },
+
+  // ============================================
+  // EARNED VALUE
+  // ============================================
+
+  /**
+   * Earned value from the task schedule
+   * PV is the budget share the schedule planned to have done by `asOf`, EV the
+   * share of the budget the weighted task progress has earned, AC the actual
+   * costs recorded up to `asOf`. CPI = EV / AC and SPI = EV / PV (null until
+   * there is something to divide by).
+   * @param {object} project
+   * @param {string} asOf - Date key (defaults to today)
+   * @returns {object} - { asOf, bac, plannedPercent, earnedPercent, pv, ev, ac, cv, sv, cpi, spi, eac, vac }
+   */
+  getEarnedValue(project, asOf = ProjectSchedule.toDateKey(new Date())) {
+    const bac = this.getTotalBudget(project);
+    const tasks = ProjectSchedule.getTasks(project);
+    const plannedPercent = ProjectSchedule.plannedProgress(project, asOf);
+    const earnedPercent = tasks.length > 0 ? ProjectSchedule.progress(tasks, 1) : (project.completionPercentage || 0);
+
+    const pv = Math.round(bac * plannedPercent / 100);
+    const ev = Math.round(bac * earnedPercent / 100);
+    const ac = this.getControl(project).entries
+      .filter(entry => entry.type === 'actual' && entry.date <= asOf)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const ratio = (value, base) => base > 0 ? Math.round(value / base * 100) / 100 : null;
+    const cpi = ratio(ev, ac);
+    const eac = cpi ? Math.round(bac / cpi) : null;
+
+    return {
+      asOf,
+      bac,
+      plannedPercent,
+      earnedPercent,
+      pv,
+      ev,
+      ac,
+      cv: ev - ac,
+      sv: ev - pv,
+      cpi,
+      spi: ratio(ev, pv),
+      eac,
+      vac: eac !== null ? bac - eac : null
+    };
+  },
+
+  /**
+   * Badge for a performance index (CPI/SPI): 1 or more is on track
+   */
+  indexBadge(value) {
+    if (value === null) {
+      return '<span class="badge bg-light text-dark">n/a</span>';
+    }
+    const color = value >= 1 ? 'bg-success' : value >= 0.9 ? 'bg-warning text-dark' : 'bg-danger';
+    return `<span class="badge ${color}">${value.toFixed(2)}</span>`;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Read an amount written as a number or text such as "15M ETB", "850K" or "2,500,000"
+   * @param {number|string} value
+   * @returns {number} - Whole ETB (0 when unreadable)
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? Math.round(value) : 0;
+    }
+
+    const match = String(value || '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([kmb])?/i);
+    if (!match) {
+      return 0;
+    }
+
+    const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+    return Math.round(parseFloat(match[1]) * (match[2] ? multipliers[match[2].toLowerCase()] : 1));
+  },
+
+  authorize(project) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('projects:update', project);
+    }
+  },
+
+  logAction(action, targetType, targetId, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, targetType, targetId, details);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectBudget;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ProjectBudget = ProjectBudget;
+}
@@ -0,0 +1,747 @@
+/**
+ * Project Schedule Module
+ * Task schedule behind ProjectTracker projects: tasks with start/end dates,
+ * durations, finish-to-start dependencies and assignees, drawn as a Gantt chart.
+ *
+ * Dates are whole days ('YYYY-MM-DD'); a task's end date is its last working
+ * day, so a one-day task starts and ends on the same date. When a task moves
+ * later, every task that depends on it slips with it (durations are kept).
+ *
+ * A baseline is a snapshot of the planned dates. Schedule variance is the number
+ * of days a task's actual (or forecast) finish is later than its baseline finish.
+ */
+
+const ProjectSchedule = {
+  // Legacy milestone status -> task progress
+  STATUS_PROGRESS: {
+    completed: 100,
+    'in-progress': 50,
+    pending: 0
+  },
+
+  // ============================================
+  // TASKS
+  // ============================================
+
+  /**
+   * Tasks of a project, created from its milestones the first time
+   * @param {object} project - ProjectTracker project
+   * @returns {array} - [{ id, title, description, start, end, duration, dependencies, assignee, progress, weight, actualEnd }]
+   */
+  getTasks(project) {
+    if (!Array.isArray(project.tasks)) {
+      project.tasks = this.fromMilestones(project);
+    }
+    return project.tasks;
+  },
+
+  /**
+   * Turn a flat milestone list into a chain of tasks
+   * Each milestone becomes a task ending on its date and starting the day after
+   * the previous one (the first starts with the project).
+   * @param {object} project - Project with `milestones` and `startDate`
+   * @returns {array}
+   */
+  fromMilestones(project) {
+    const milestones = [...(project.milestones || [])]
+      .filter(milestone => milestone.date)
+      .sort((a, b) => this.toDateKey(a.date).localeCompare(this.toDateKey(b.date)));
+
+    let previous = null;
+    return milestones.map(milestone => {
+      const end = this.toDateKey(milestone.date);
+      let start = previous ? this.addDays(previous.end, 1) : this.toDateKey(project.startDate || milestone.date);
+      if (start > end) {
+        start = end;
+      }
+
+      const task = {
+        id: milestone.id,
+        title: milestone.title,
+        description: milestone.description || '',
+        start,
+        end,
+        duration: this.daysBetween(start, end) + 1,
+        dependencies: previous ? [previous.id] : [],
+        assignee: '',
+        progress: this.STATUS_PROGRESS[milestone.status] || 0,
+        weight: null,
+        actualEnd: milestone.status === 'completed' ? end : null
+      };
+      previous = task;
+      return task;
+    });
+  },
+
+  /**
+   * Add a task (requires projects:update)
+   * @param {object} project
+   * @param {object} data - { title, start, duration | end, dependencies, assignee, progress, weight, description }
+   * @returns {object} - { task, moved }
+   */
+  addTask(project, data) {
+    this.authorize(project);
+
+    const tasks = this.getTasks(project);
+    const dependencies = data.dependencies || [];
+    const after = tasks.filter(task => dependencies.includes(task.id)).map(task => this.addDays(task.end, 1));
+    const start = data.start || [this.toDateKey(project.startDate || new Date()), ...after].sort().pop();
+
+    const task = this.normalize({ duration: 1, progress: 0, ...data, start, id: this.nextId(tasks) }, tasks);
+    return this.commit(project, [...tasks, task], task);
+  },
+
+  /**
+   * Change a task (requires projects:update)
+   * Moving a task later slips every task that depends on it.
+   * @param {object} project
+   * @param {string} taskId
+   * @param {object} changes - Any task fields; a new `start` keeps the duration.
+   *   Completing a task (progress 100) records `actualEnd`: the new `end` if given, otherwise today.
+   * @returns {object} - { task, moved: [{ id, title, from, to, days }] }
+   */
+  updateTask(project, taskId, changes) {
+    this.authorize(project);
+    return this.applyTaskChanges(project, taskId, changes);
+  },
+
+  /**
+   * updateTask() without the permission check, for changes approved elsewhere
+   * (a client approving a change order)
+   */
+  applyTaskChanges(project, taskId, changes) {
+    const tasks = this.getTasks(project);
+    const current = tasks.find(task => task.id === taskId);
+    if (!current) {
+      throw new Error('Task not found');
+    }
+
+    // A new end date without a duration stretches the task instead of moving it
+    const data = { ...current, ...changes, id: current.id };
+    if (changes.end !== undefined && changes.duration === undefined) {
+      delete data.duration;
+    } else if (changes.duration !== undefined || changes.start !== undefined) {
+      delete data.end;
+    }
+    if (changes.end !== undefined && changes.actualEnd === undefined) {
+      data.actualEnd = changes.end;
+    }
+
+    const task = this.normalize(data, tasks);
+    return this.commit(project, tasks.map(existing => existing.id === taskId ? task : existing), task);
+  },
+
+  /**
+   * Delete a task and drop it from other tasks' dependencies (requires projects:update)
+   * @param {object} project
+   * @param {string} taskId
+   * @returns {boolean}
+   */
+  removeTask(project, taskId) {
+    this.authorize(project);
+
+    const tasks = this.getTasks(project);
+    if (!tasks.some(task => task.id === taskId)) {
+      return false;
+    }
+
+    project.tasks = tasks
+      .filter(task => task.id !== taskId)
+      .map(task => ({ ...task, dependencies: task.dependencies.filter(id => id !== taskId) }));
+    this.syncProject(project);
+    return true;
+  },
+
+  /**
+   * Validate a changed task against the rest, slip its successors and store the result
+   */
+  commit(project, tasks, task) {
+    this.sortTasks(tasks);
+
+    const predecessors = tasks.filter(other => task.dependencies.includes(other.id));
+    const blocking = predecessors.find(other => other.end >= task.start);
+    if (blocking) {
+      throw new Error(`${task.title} can't start before ${blocking.title} finishes on ${blocking.end}`);
+    }
+
+    const moved = this.propagate(tasks);
+    project.tasks = tasks;
+    this.syncProject(project);
+
+    return { task, moved };
+  },
+
+  /**
+   * Clean up task fields and work out the end date / duration
+   * @param {object} data - Task fields
+   * @param {array} tasks - Other tasks of the project (for dependency checks)
+   * @returns {object}
+   */
+  normalize(data, tasks) {
+    const title = String(data.title || '').trim();
+    if (!title) {
+      throw new Error('Task title is required');
+    }
+
+    const start = this.toDateKey(data.start);
+    if (!start) {
+      throw new Error('Task start date is required');
+    }
+
+    let duration = parseInt(data.duration, 10);
+    if (!(duration >= 1) && data.end) {
+      duration = this.daysBetween(start, this.toDateKey(data.end)) + 1;
+    }
+    if (!(duration >= 1)) {
+      throw new Error('Task must last at least one day');
+    }
+
+    const dependencies = [...new Set(data.dependencies || [])].filter(id => id !== data.id);
+    const unknown = dependencies.find(id => !tasks.some(task => task.id === id));
+    if (unknown) {
+      throw new Error(`Unknown predecessor: ${unknown}`);
+    }
+
+    const weight = parseFloat(data.weight);
+    const progress = Math.min(Math.max(Math.round(Number(data.progress) || 0), 0), 100);
+
+    // A finished task ends on the day it actually finished
+    let actualEnd = null;
+    if (progress >= 100) {
+      const today = this.toDateKey(new Date());
+      actualEnd = this.toDateKey(data.actualEnd) || (today >= start ? today : this.addDays(start, duration - 1));
+      if (actualEnd < start) {
+        throw new Error(`${title} can't finish before it starts on ${start}`);
+      }
+      duration = this.daysBetween(start, actualEnd) + 1;
+    }
+
+    return {
+      id: data.id,
+      title,
+      description: data.description || '',
+      start,
+      end: this.addDays(start, duration - 1),
+      duration,
+      dependencies,
+      assignee: String(data.assignee || '').trim(),
+      progress,
+      weight: weight > 0 ? weight : null,
+      actualEnd
+    };
+  },
+
+  // ============================================
+  // SCHEDULING
+  // ============================================
+
+  /**
+   * Order tasks so every task comes after its predecessors
+   * @param {array} tasks
+   * @returns {array}
+   * @throws {Error} - When dependencies form a loop
+   */
+  sortTasks(tasks) {
+    const remaining = new Map(tasks.map(task => [task.id, task]));
+    const ordered = [];
+
+    while (remaining.size > 0) {
+      const ready = [...remaining.values()]
+        .filter(task => task.dependencies.every(id => !remaining.has(id)));
+
+      if (ready.length === 0) {
+        // Drop tasks that only hang off the loop so the message names the loop itself
+        let loop = [...remaining.values()];
+        let size;
+        do {
+          size = loop.length;
+          loop = loop.filter(task => loop.some(other => other.dependencies.includes(task.id)));
+        } while (loop.length < size);
+        throw new Error(`Task dependencies form a loop: ${loop.map(task => task.title).join(', ')}`);
+      }
+
+      ready.sort((a, b) => a.start.localeCompare(b.start));
+      ready.forEach(task => {
+        remaining.delete(task.id);
+        ordered.push(task);
+      });
+    }
+
+    return ordered;
+  },
+
+  /**
+   * Slip tasks that would start before a predecessor finishes
+   * Tasks are moved in place and keep their duration; nothing is pulled earlier.
+   * @param {array} tasks
+   * @returns {array} - Moved tasks: [{ id, title, from, to, days }]
+   */
+  propagate(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const moved = [];
+
+    this.sortTasks(tasks).forEach(task => {
+      const earliest = task.dependencies
+        .map(id => this.addDays(byId.get(id).end, 1))
+        .sort()
+        .pop();
+
+      if (earliest && earliest > task.start) {
+        const days = this.daysBetween(task.start, earliest);
+        moved.push({ id: task.id, title: task.title, from: task.start, to: earliest, days });
+        task.start = earliest;
+        task.end = this.addDays(earliest, task.duration - 1);
+      }
+    });
+
+    return moved;
+  },
+
+  /**
+   * Critical path analysis
+   * Late dates come from a backward pass from the project finish. Float is how
+   * many days a task can slip without delaying the finish; tasks with no float
+   * are critical.
+   * @param {array} tasks
+   * @returns {object} - { start, finish, duration, tasks: { id: { lateStart, lateFinish, float, critical } }, criticalPath }
+   */
+  analyze(tasks) {
+    if (tasks.length === 0) {
+      return { start: null, finish: null, duration: 0, tasks: {}, criticalPath: [] };
+    }
+
+    const ordered = this.sortTasks(tasks);
+    const start = tasks.map(task => task.start).sort()[0];
+    const finish = tasks.map(task => task.end).sort().pop();
+    const result = {};
+
+    [...ordered].reverse().forEach(task => {
+      const successors = tasks.filter(other => other.dependencies.includes(task.id));
+      const lateFinish = successors.length > 0
+        ? successors.map(other => this.addDays(result[other.id].lateStart, -1)).sort()[0]
+        : finish;
+      const float = this.daysBetween(task.end, lateFinish);
+
+      result[task.id] = {
+        lateStart: this.addDays(lateFinish, -(task.duration - 1)),
+        lateFinish,
+        float,
+        critical: float <= 0
+      };
+    });
+
+    return {
+      start,
+      finish,
+      duration: this.daysBetween(start, finish) + 1,
+      tasks: result,
+      criticalPath: ordered.filter(task => result[task.id].critical).map(task => task.id)
+    };
+  },
+
+  /**
+   * Completion weighted by task weight (the task's duration unless set)
+   * @param {array} tasks
+   * @param {number} decimals - Decimal places (whole percent by default)
+   * @returns {number} - Percent
+   */
+  progress(tasks, decimals = 0) {
+    const total = tasks.reduce((sum, task) => sum + this.weightOf(task), 0);
+    if (total === 0) {
+      return 0;
+    }
+
+    const done = tasks.reduce((sum, task) => sum + this.weightOf(task) * task.progress / 100, 0);
+    const factor = Math.pow(10, decimals);
+    return Math.round(done / total * 100 * factor) / factor;
+  },
+
+  /**
+   * Completion the project should have reached by a date
+   * Each task is planned to progress evenly from its start to its end, on the
+   * baseline dates when there is a baseline.
+   * @param {object} project
+   * @param {string} asOf - Date key (defaults to today)
+   * @returns {number} - Percent (one decimal)
+   */
+  plannedProgress(project, asOf = this.toDateKey(new Date())) {
+    const tasks = this.getTasks(project);
+    const baseline = this.getBaseline(project);
+    const planned = baseline ? baseline.tasks : tasks;
+    const weights = new Map(tasks.map(task => [task.id, task.weight]));
+
+    let total = 0;
+    let done = 0;
+    planned.forEach(task => {
+      const duration = this.daysBetween(task.start, task.end) + 1;
+      const weight = weights.get(task.id) || duration;
+      const elapsed = Math.min(Math.max(this.daysBetween(task.start, asOf) + 1, 0), duration);
+      total += weight;
+      done += weight * elapsed / duration;
+    });
+
+    return total > 0 ? Math.round(done / total * 1000) / 10 : 0;
+  },
+
+  weightOf(task) {
+    return task.weight || task.duration;
+  },
+
+  /**
+   * Milestone-style status of a task
+   * @returns {string} - 'completed' | 'in-progress' | 'pending'
+   */
+  getStatus(task) {
+    if (task.progress >= 100) return 'completed';
+    if (task.progress > 0) return 'in-progress';
+    return 'pending';
+  },
+
+  /**
+   * Bring the project's derived fields in line with its tasks
+   * `milestones` mirror the tasks (one per task, dated on its end) for the
+   * timeline and financing draw-downs; `completionPercentage` is the weighted
+   * progress and `estimatedCompletion` the schedule finish.
+   * @param {object} project
+   */
+  syncProject(project) {
+    const tasks = this.getTasks(project);
+    if (tasks.length === 0) {
+      return;
+    }
+
+    const existing = new Map((project.milestones || []).map(milestone => [milestone.id, milestone]));
+    project.milestones = [...tasks]
+      .sort((a, b) => a.end.localeCompare(b.end))
+      .map(task => ({
+        ...existing.get(task.id),
+        id: task.id,
+        title: task.title,
+        status: this.getStatus(task),
+        date: task.end,
+        description: task.description
+      }));
+
+    project.completionPercentage = this.progress(tasks);
+    project.estimatedCompletion = this.analyze(tasks).finish;
+  },
+
+  // ============================================
+  // BASELINE AND VARIANCE
+  // ============================================
+
+  /**
+   * Baseline the project is currently measured against
+   * @param {object} project
+   * @returns {object|null} - { number, capturedAt, reason, start, finish, tasks: [{ id, title, start, end }] }
+   */
+  getBaseline(project) {
+    const baselines = project.baselines || [];
+    return baselines.length > 0 ? baselines[baselines.length - 1] : null;
+  },
+
+  /**
+   * Snapshot the current schedule as the project's baseline
+   * Earlier baselines are kept in `project.baselines`.
+   * @param {object} project
+   * @param {string} reason - Why the schedule was re-baselined (empty for the first baseline)
+   * @returns {object} - The new baseline
+   */
+  captureBaseline(project, reason = '') {
+    const tasks = this.getTasks(project);
+    const analysis = this.analyze(tasks);
+    const baselines = project.baselines || [];
+
+    const baseline = {
+      number: baselines.length + 1,
+      capturedAt: new Date().toISOString(),
+      reason,
+      start: analysis.start || this.toDateKey(project.startDate),
+      finish: analysis.finish || this.toDateKey(project.estimatedCompletion),
+      tasks: tasks.map(task => ({ id: task.id, title: task.title, start: task.start, end: task.end }))
+    };
+
+    project.baselines = [...baselines, baseline];
+    return baseline;
+  },
+
+  /**
+   * Replace the baseline with the current schedule (requires projects:update)
+   * @param {object} project
+   * @param {string} reason - Required
+   * @returns {object} - { baseline, previous }
+   */
+  rebaseline(project, reason) {
+    this.authorize(project);
+
+    const text = String(reason || '').trim();
+    if (!text) {
+      throw new Error('A reason is required to re-baseline the schedule');
+    }
+
+    const previous = this.getBaseline(project);
+    return { baseline: this.captureBaseline(project, text), previous };
+  },
+
+  /**
+   * Schedule variance against the baseline, per task and for the whole project
+   * Positive days are late. A finished task is measured by its actual finish,
+   * an open one by its current (forecast) finish. Tasks added after the
+   * baseline have no variance.
+   * @param {object} project
+   * @returns {object|null} - { baseline, finish: { baseline, forecast, days }, tasks: [{ id, title, baselineEnd, finish, actual, days }] }
+   */
+  getVariance(project) {
+    const baseline = this.getBaseline(project);
+    if (!baseline) {
+      return null;
+    }
+
+    const tasks = this.getTasks(project);
+    const planned = new Map(baseline.tasks.map(task => [task.id, task]));
+    const forecast = tasks.length > 0 ? this.analyze(tasks).finish : this.toDateKey(project.estimatedCompletion);
+
+    return {
+      baseline,
+      finish: {
+        baseline: baseline.finish,
+        forecast,
+        days: baseline.finish && forecast ? this.daysBetween(baseline.finish, forecast) : 0
+      },
+      tasks: this.sortTasks(tasks).map(task => {
+        const base = planned.get(task.id);
+        const finish = task.actualEnd || task.end;
+        return {
+          id: task.id,
+          title: task.title,
+          baselineEnd: base ? base.end : null,
+          finish,
+          actual: !!task.actualEnd,
+          days: base ? this.daysBetween(base.end, finish) : null
+        };
+      })
+    };
+  },
+
+  /**
+   * "5 days late" badge
+   * @param {number|null} days - Variance in days (positive is late)
+   * @returns {string}
+   */
+  varianceBadge(days) {
+    if (days === null || days === undefined) {
+      return '<span class="badge bg-light text-dark">Not baselined</span>';
+    }
+
+    const plural = count => `${count} day${count !== 1 ? 's' : ''}`;
+    if (days < 0) {
+      return `<span class="badge bg-success"><i class="fas fa-arrow-up"></i> ${plural(-days)} ahead</span>`;
+    }
+    if (days === 0) {
+      return '<span class="badge bg-success"><i class="fas fa-check"></i> On schedule</span>';
+    }
+    return days <= CONFIG.PROJECT_SCHEDULE.VARIANCE_TOLERANCE_DAYS
+      ? `<span class="badge bg-warning text-dark"><i class="fas fa-clock"></i> ${plural(days)} late</span>`
+      : `<span class="badge bg-danger"><i class="fas fa-exclamation-triangle"></i> ${plural(days)} late</span>`;
+  },
+
+  // ============================================
+  // GANTT CHART
+  // ============================================
+
+  /**
+   * Gantt chart: one bar per task, shaded by progress, with dependency arrows
+   * Critical tasks are red and the baseline dates are drawn as a grey line under
+   * each bar. With `editable`, bars carry `data-schedule-action="edit"` for the
+   * caller to handle clicks.
+   * @param {object} project
+   * @param {object} options - { width, editable, today }
+   * @returns {string} - SVG markup
+   */
+  gantt(project, options = {}) {
+    const tasks = this.getTasks(project);
+    if (tasks.length === 0) {
+      return '<p class="text-muted">No tasks scheduled yet</p>';
+    }
+
+    const { width = 720, editable = false, today = this.toDateKey(new Date()) } = options;
+    const analysis = this.analyze(tasks);
+    const ordered = this.sortTasks(tasks);
+    const row = 28;
+    const header = 24;
+    const labelWidth = 180;
+    const height = header + ordered.length * row + 8;
+    const baseline = this.getBaseline(project);
+    const planned = new Map((baseline ? baseline.tasks : []).map(task => [task.id, task]));
+
+    // One day of padding either side of the schedule (and the baseline)
+    const dates = [analysis.start, analysis.finish, ...[...planned.values()].map(task => [task.start, task.end]).flat()].sort();
+    const first = this.addDays(dates[0], -1);
+    const days = this.daysBetween(dates[0], dates[dates.length - 1]) + 3;
+    const dayWidth = (width - labelWidth - 8) / days;
+    const x = dateKey => Math.round((labelWidth + this.daysBetween(first, dateKey) * dayWidth) * 10) / 10;
+    const rowOf = new Map(ordered.map((task, i) => [task.id, i]));
+    const barY = i => header + i * row + 6;
+    const markerId = `gantt-arrow-${String(project.id).replace(/[^\w-]/g, '')}`;
+
+    const months = [];
+    for (let month = `${first.slice(0, 7)}-01`; month <= this.addDays(first, days); month = this.addMonths(month, 1)) {
+      if (month >= first) {
+        months.push(month);
+      }
+    }
+
+    const grid = months.map(month => `
+      <line x1="${x(month)}" y1="${header - 6}" x2="${x(month)}" y2="${height}" stroke="#dee2e6"/>
+      <text x="${x(month) + 3}" y="${header - 10}" font-size="10" fill="#6c757d">${this.monthLabel(month)}</text>
+    `).join('');
+
+    const arrows = ordered.map(task => task.dependencies.map(id => {
+      // From the end of the predecessor's bar down onto the start of this one
+      const fromX = x(this.addDays(tasks.find(other => other.id === id).end, 1));
+      const fromY = barY(rowOf.get(id)) + 8;
+      const toY = barY(rowOf.get(task.id)) - 1;
+      const critical = analysis.tasks[id].critical && analysis.tasks[task.id].critical;
+      return `<path d="M${fromX},${fromY} H${x(task.start) + 4} V${toY}" fill="none"
+                    stroke="${critical ? '#dc3545' : '#adb5bd'}" stroke-width="1.2" marker-end="url(#${markerId})"/>`;
+    }).join('')).join('');
+
+    const bars = ordered.map((task, i) => {
+      const info = analysis.tasks[task.id];
+      const color = task.progress >= 100 ? '#198754' : info.critical ? '#dc3545' : '#0d6efd';
+      const barX = x(task.start);
+      const barWidth = Math.max(x(this.addDays(task.end, 1)) - barX, 2);
+      const y = barY(i);
+      const base = planned.get(task.id);
+      const tip = `${task.title}: ${task.start} to ${task.end} (${task.duration} day${task.duration !== 1 ? 's' : ''}), `
+        + `${task.progress}% done${task.assignee ? `, ${task.assignee}` : ''}`
+        + `${info.critical ? ', critical' : `, ${info.float} day${info.float !== 1 ? 's' : ''} float`}`
+        + `${base ? `, baseline ${base.start} to ${base.end}` : ''}`;
+      const baseBar = base
+        ? `<rect x="${x(base.start)}" y="${y + 18}" width="${Math.max(x(this.addDays(base.end, 1)) - x(base.start), 2)}" height="3" fill="#adb5bd"/>`
+        : '';
+
+      return `<g data-task-id="${this.escape(task.id)}"${editable ? ' data-schedule-action="edit" style="cursor: pointer;"' : ''}>
+        <title>${this.escape(tip)}</title>
+        <text x="4" y="${y + 12}" font-size="11" fill="#212529"${info.critical ? ' font-weight="bold"' : ''}>${this.escape(this.truncate(task.title, 26))}</text>
+        <rect x="${barX}" y="${y}" width="${barWidth}" height="16" rx="3" fill="${color}" fill-opacity="0.25" stroke="${color}"/>
+        <rect x="${barX}" y="${y}" width="${Math.round(barWidth * task.progress) / 100}" height="16" rx="3" fill="${color}"/>
+        ${baseBar}
+      </g>`;
+    }).join('');
+
+    const todayLine = today >= first && today <= this.addDays(first, days)
+      ? `<line x1="${x(today)}" y1="${header - 6}" x2="${x(today)}" y2="${height}" stroke="#fd7e14" stroke-dasharray="3,3"/>`
+      : '';
+
+    return `<svg class="project-gantt" width="100%" viewBox="0 0 ${width} ${height}" role="img"
+                 aria-label="Schedule from ${analysis.start} to ${analysis.finish}">
+      <defs>
+        <marker id="${markerId}" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+          <path d="M0,0 L6,3 L0,6 z" fill="#6c757d"/>
+        </marker>
+      </defs>
+      ${grid}
+      ${arrows}
+      ${bars}
+      ${todayLine}
+    </svg>`;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * 'YYYY-MM-DD' for a date, date key or ISO timestamp
+   * @returns {string|null}
+   */
+  toDateKey(date) {
+    if (!date) {
+      return null;
+    }
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+      return date.slice(0, 10);
+    }
+
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+    return [
+      parsed.getFullYear(),
+      String(parsed.getMonth() + 1).padStart(2, '0'),
+      String(parsed.getDate()).padStart(2, '0')
+    ].join('-');
+  },
+
+  // Date keys are counted in UTC so daylight saving never shifts a day
+  toDays(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+  },
+
+  fromDays(days) {
+    return new Date(days * 86400000).toISOString().slice(0, 10);
+  },
+
+  addDays(dateKey, days) {
+    return this.fromDays(this.toDays(dateKey) + days);
+  },
+
+  addMonths(dateKey, months) {
+    const [year, month] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, 1));
+    return date.toISOString().slice(0, 10);
+  },
+
+  daysBetween(from, to) {
+    return this.toDays(to) - this.toDays(from);
+  },
+
+  monthLabel(dateKey) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  },
+
+  nextId(tasks) {
+    let id = 't' + Date.now();
+    while (tasks.some(task => task.id === id)) {
+      id += '1';
+    }
+    return id;
+  },
+
+  truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  },
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
+  authorize(project) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('projects:update', project);
+    }
+  },
+
+  /**
+   * Whether the current user may edit a project's schedule
+   */
+  canEdit(project) {
+    return typeof PermissionUtil === 'undefined' || PermissionUtil.can('projects:update', project);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectSchedule;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.ProjectSchedule = ProjectSchedule;
+}
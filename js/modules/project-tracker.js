@@ -10,6 +10,8 @@ class ProjectTracker {
     this.currentUser = null;
     this.currentProject = null;
     this.projects = [];
+    this.diaryViews = {};
+    this.changeOrderEditing = null;
     this.init();
   }
 
@@ -47,6 +49,7 @@ class ProjectTracker {
       const freshProjects = await this.fetchProjectData();
       if (freshProjects && freshProjects.length > 0) {
         this.projects = freshProjects;
+        this.syncSchedules();
         this.saveProjects();
         this.renderDashboard();
       }
@@ -60,7 +63,7 @@ class ProjectTracker {
    * Get current authenticated user
    */
   getCurrentUser() {
-    const userStr = localStorage.getItem('currentUser');
+    const userStr = localStorage.getItem(CONFIG.STORAGE_KEYS.DASHBOARD_USER);
     if (userStr) {
       try {
         return JSON.parse(userStr);
@@ -97,9 +100,42 @@ class ProjectTracker {
     } else {
       // Use mock data if no projects in storage
       this.projects = this.getMockProjects();
+      this.syncSchedules();
       // Save mock data to storage for persistence
       this.saveProjects();
+      return;
+    }
+
+    // Completion and milestone dates follow each project's task schedule
+    this.syncSchedules();
+  }
+
+  /**
+   * Derive milestones, completion and estimated completion from project schedules
+   */
+  syncSchedules() {
+    if (typeof ProjectSchedule === 'undefined') {
+      return;
     }
+    this.projects.forEach(project => this.syncSchedule(project));
+  }
+
+  /**
+   * Sync one project with its schedule; approved projects get their first baseline
+   * @param {object} project - Project object
+   */
+  syncSchedule(project) {
+    ProjectSchedule.syncProject(project);
+    if (this.isApproved(project) && !ProjectSchedule.getBaseline(project)) {
+      ProjectSchedule.captureBaseline(project);
+    }
+  }
+
+  /**
+   * Whether a project has been approved (its schedule is then baselined)
+   */
+  isApproved(project) {
+    return CONFIG.PROJECT_SCHEDULE.APPROVED_STATUSES.includes(project.status);
   }
 
   /**
@@ -290,11 +326,76 @@ class ProjectTracker {
   setupEventListeners() {
     // Project selection
     document.addEventListener('click', (e) => {
+      const scheduleButton = e.target.closest('[data-schedule-action]');
+      if (scheduleButton) {
+        e.preventDefault();
+        this.handleScheduleAction(scheduleButton);
+        return;
+      }
+
+      const costButton = e.target.closest('[data-cost-action]');
+      if (costButton) {
+        e.preventDefault();
+        this.handleCostAction(costButton);
+        return;
+      }
+
+      const diaryButton = e.target.closest('[data-diary-action]');
+      if (diaryButton) {
+        e.preventDefault();
+        this.handleDiaryAction(diaryButton);
+        return;
+      }
+
+      const changeButton = e.target.closest('[data-change-action]');
+      if (changeButton) {
+        e.preventDefault();
+        this.handleChangeAction(changeButton);
+        return;
+      }
+
       if (e.target.closest('[data-project-id]')) {
         const projectId = e.target.closest('[data-project-id]').dataset.projectId;
         this.loadProjectData(projectId);
       }
     });
+
+    // Task form in the project detail modal
+    document.addEventListener('submit', (e) => {
+      const form = e.target.closest('[data-schedule-form]');
+      if (form) {
+        e.preventDefault();
+        this.saveTaskForm(form);
+        return;
+      }
+
+      const baselineForm = e.target.closest('[data-baseline-form]');
+      if (baselineForm) {
+        e.preventDefault();
+        this.saveBaselineForm(baselineForm);
+        return;
+      }
+
+      const costForm = e.target.closest('[data-cost-form]');
+      if (costForm) {
+        e.preventDefault();
+        this.saveCostForm(costForm);
+        return;
+      }
+
+      const diaryForm = e.target.closest('[data-diary-form]');
+      if (diaryForm) {
+        e.preventDefault();
+        this.saveDiaryForm(diaryForm);
+        return;
+      }
+
+      const changeForm = e.target.closest('[data-change-form]');
+      if (changeForm) {
+        e.preventDefault();
+        this.saveChangeForm(changeForm);
+      }
+    });
   }
 
   /**
@@ -310,8 +411,11 @@ class ProjectTracker {
       if (project) {
         this.currentProject = project;
         
-        // Update progress if needed based on milestones
-        if (project.milestones && project.milestones.length > 0) {
+        // Update progress if needed based on the schedule
+        if (typeof ProjectSchedule !== 'undefined') {
+          this.syncSchedule(project);
+          this.saveProjects();
+        } else if (project.milestones && project.milestones.length > 0) {
           const calculatedProgress = this.calculateProgressFromMilestones(project);
           if (Math.abs(calculatedProgress - project.completionPercentage) > 5) {
             project.completionPercentage = calculatedProgress;
@@ -409,11 +513,12 @@ class ProjectTracker {
       activeProjectsCard.textContent = activeProjects.length;
     }
 
-    // Update pending payments count (mock - would come from payment system)
+    // Update pending payments count: commitments not yet paid in full
     const pendingPaymentsCard = document.querySelectorAll('.stat-card h3')[1];
     if (pendingPaymentsCard) {
-      // Calculate pending payments based on project milestones
-      const pendingPayments = activeProjects.filter(p => p.completionPercentage >= 25).length;
+      const pendingPayments = typeof ProjectBudget !== 'undefined'
+        ? activeProjects.reduce((count, p) => count + ProjectBudget.getOpenCommitments(p).length, 0)
+        : activeProjects.filter(p => p.completionPercentage >= 25).length;
       pendingPaymentsCard.textContent = pendingPayments;
     }
 
@@ -443,7 +548,10 @@ class ProjectTracker {
             <h6 class="mb-1">${project.title}</h6>
             <small class="text-muted">Project ID: #${project.id}</small>
           </div>
-          <span class="project-status ${statusClass}">${statusText}</span>
+          <div class="text-end">
+            <span class="project-status ${statusClass}">${statusText}</span>
+            ${this.renderVarianceBadge(project)}
+          </div>
         </div>
         <div class="progress">
           <div class="progress-bar progress-bar-custom ${progressColor}" role="progressbar" 
@@ -456,6 +564,7 @@ class ProjectTracker {
           <small class="text-muted">Started: ${this.formatDate(project.startDate)}</small>
           <small class="text-muted">Est. Completion: ${this.formatDate(project.estimatedCompletion)}</small>
         </div>
+        ${this.renderPendingChangeOrders(project)}
       </div>
     `;
   }
@@ -546,7 +655,7 @@ class ProjectTracker {
               </div>
             </div>
           </td>
-          <td>ETB ${this.formatCurrency(project.budget)}</td>
+          <td>${this.formatCurrency(project.budget)}</td>
           <td>
             <button class="btn btn-sm btn-primary" onclick="projectTracker.viewProjectDetails('${project.id}')">
               <i class="fas fa-eye"></i>
@@ -645,7 +754,7 @@ class ProjectTracker {
                 <strong>Location:</strong> ${project.location}
               </div>
               <div class="col-md-6 mb-3">
-                <strong>Budget:</strong> ETB ${this.formatCurrency(project.budget)}
+                <strong>Budget:</strong> ${this.formatCurrency(project.budget)}
               </div>
               <div class="col-md-6 mb-3">
                 <strong>Start Date:</strong> ${this.formatDate(project.startDate)}
@@ -653,6 +762,7 @@ class ProjectTracker {
               <div class="col-md-6 mb-3">
                 <strong>Est. Completion:</strong> ${this.formatDate(project.estimatedCompletion)}
               </div>
+              ${this.renderBaselineSummary(project)}
               <div class="col-12 mb-3">
                 <strong>Description:</strong><br>
                 ${project.description}
@@ -671,10 +781,24 @@ class ProjectTracker {
             </div>
           </div>
 
-          <!-- Timeline Milestones -->
-          <div class="mb-4">
-            <h6 class="text-primary mb-3"><i class="fas fa-tasks me-2"></i>Project Milestones</h6>
-            ${this.renderMilestones(project.milestones)}
+          <!-- Schedule -->
+          <div class="mb-4" data-project-schedule="${project.id}">
+            ${this.renderSchedule(project)}
+          </div>
+
+          <!-- Cost Control -->
+          <div class="mb-4" data-project-budget="${project.id}">
+            ${this.renderCostControl(project)}
+          </div>
+
+          <!-- Change Orders -->
+          <div class="mb-4" data-change-orders="${project.id}">
+            ${this.renderChangeOrders(project)}
+          </div>
+
+          <!-- Site Diary -->
+          <div class="mb-4" data-site-diary="${project.id}">
+            ${this.renderSiteDiary(project)}
           </div>
 
           <!-- Project Documents -->
@@ -693,6 +817,7 @@ class ProjectTracker {
         </div>
       </div>
     `;
+    this.loadDiaryPhotos(body.querySelector('[data-site-diary]'));
   }
 
   /**
@@ -793,6 +918,1155 @@ class ProjectTracker {
     `;
   }
 
+  /**
+   * Render the project schedule: Gantt chart, task list and (for staff) the task form
+   * Falls back to the milestone timeline when ProjectSchedule isn't loaded.
+   * @param {object} project - Project object
+   * @param {object|string} editing - Task being edited ({} for a new task), 'baseline' for the re-baseline form, or null
+   * @param {string} notice - Message shown above the chart (e.g. slipped tasks)
+   * @returns {string} - HTML string for the schedule section
+   */
+  renderSchedule(project, editing = null, notice = '') {
+    if (typeof ProjectSchedule === 'undefined') {
+      return `
+        <h6 class="text-primary mb-3"><i class="fas fa-tasks me-2"></i>Project Milestones</h6>
+        ${this.renderMilestones(project.milestones)}
+      `;
+    }
+
+    const tasks = ProjectSchedule.getTasks(project);
+    const analysis = ProjectSchedule.analyze(tasks);
+    const editable = ProjectSchedule.canEdit(project);
+    const critical = analysis.criticalPath.map(id => tasks.find(task => task.id === id).title);
+
+    return `
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h6 class="text-primary mb-0"><i class="fas fa-tasks me-2"></i>Project Schedule</h6>
+        ${editable ? `
+          <div class="d-flex gap-2">
+            ${ProjectSchedule.getBaseline(project) ? `
+              <button class="btn btn-sm btn-outline-secondary" data-schedule-action="rebaseline">
+                <i class="fas fa-flag me-1"></i>Re-baseline
+              </button>
+            ` : ''}
+            <button class="btn btn-sm btn-outline-primary" data-schedule-action="add">
+              <i class="fas fa-plus me-1"></i>Add task
+            </button>
+          </div>
+        ` : ''}
+      </div>
+      ${notice ? `<div class="alert alert-warning small py-2">${notice}</div>` : ''}
+      ${ProjectSchedule.gantt(project, { editable })}
+      ${critical.length > 0 ? `
+        <p class="small mb-2">
+          <span class="badge bg-danger me-1">Critical path</span>
+          ${critical.map(title => ProjectSchedule.escape(title)).join(' &rarr; ')}
+          <span class="text-muted">(finishes ${this.formatDate(analysis.finish)})</span>
+        </p>
+      ` : ''}
+      ${this.renderTaskTable(project, analysis, editable)}
+      ${editing === 'baseline' ? this.renderBaselineForm(project) : editing ? this.renderTaskForm(project, editing) : ''}
+    `;
+  }
+
+  /**
+   * Render the task list under the Gantt chart
+   */
+  renderTaskTable(project, analysis, editable) {
+    const tasks = ProjectSchedule.sortTasks(ProjectSchedule.getTasks(project));
+    if (tasks.length === 0) {
+      return '';
+    }
+    const variance = ProjectSchedule.getVariance(project);
+
+    return `
+      <div class="table-responsive">
+        <table class="table table-sm small align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Task</th>
+              <th>Assignee</th>
+              <th>Start</th>
+              <th>Finish</th>
+              <th>Days</th>
+              <th>Progress</th>
+              <th>Float</th>
+              ${variance ? '<th>Variance</th>' : ''}
+              ${editable ? '<th></th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${tasks.map(task => {
+              const info = analysis.tasks[task.id];
+              return `
+                <tr>
+                  <td>${ProjectSchedule.escape(task.title)}</td>
+                  <td>${task.assignee ? ProjectSchedule.escape(task.assignee) : '<span class="text-muted">-</span>'}</td>
+                  <td>${this.formatDate(task.start)}</td>
+                  <td>${this.formatDate(task.end)}</td>
+                  <td>${task.duration}</td>
+                  <td>
+                    <span class="badge bg-${this.getMilestoneStatusColor(ProjectSchedule.getStatus(task))}">${task.progress}%</span>
+                  </td>
+                  <td>${info.critical ? '<span class="badge bg-danger">Critical</span>' : `${info.float} d`}</td>
+                  ${variance ? `<td title="${this.varianceTitle(variance.tasks.find(row => row.id === task.id))}">
+                    ${this.formatVariance(variance.tasks.find(row => row.id === task.id).days)}
+                  </td>` : ''}
+                  ${editable ? `
+                    <td class="text-end">
+                      <button class="btn btn-sm btn-link p-0" data-schedule-action="edit" data-task-id="${ProjectSchedule.escape(task.id)}" title="Edit">
+                        <i class="fas fa-edit"></i>
+                      </button>
+                    </td>
+                  ` : ''}
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the add/edit task form
+   * @param {object} project - Project object
+   * @param {object} task - Task to edit, or {} for a new task
+   */
+  renderTaskForm(project, task) {
+    const others = ProjectSchedule.getTasks(project).filter(other => other.id !== task.id);
+    const value = text => ProjectSchedule.escape(text === undefined || text === null ? '' : String(text));
+
+    return `
+      <form class="border rounded p-3 mt-3" data-schedule-form data-project="${project.id}" data-task-id="${value(task.id)}">
+        <h6 class="mb-3">${task.id ? 'Edit task' : 'New task'}</h6>
+        <div class="row g-2">
+          <div class="col-md-6">
+            <label class="form-label small">Title</label>
+            <input type="text" class="form-control form-control-sm" name="title" value="${value(task.title)}" required>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Assignee</label>
+            <input type="text" class="form-control form-control-sm" name="assignee" value="${value(task.assignee)}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label small">Start</label>
+            <input type="date" class="form-control form-control-sm" name="start" value="${value(task.start)}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label small">Duration (days)</label>
+            <input type="number" class="form-control form-control-sm" name="duration" min="1" value="${value(task.duration || 1)}" required>
+          </div>
+          <div class="col-md-3">
+            <label class="form-label small">Progress (%)</label>
+            <input type="number" class="form-control form-control-sm" name="progress" min="0" max="100" value="${value(task.progress || 0)}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label small">Weight</label>
+            <input type="number" class="form-control form-control-sm" name="weight" min="0" step="any"
+                   value="${value(task.weight)}" placeholder="${value(task.duration || 'Duration')}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label small">Actual finish</label>
+            <input type="date" class="form-control form-control-sm" name="actualEnd" value="${value(task.actualEnd)}">
+          </div>
+          ${others.length > 0 ? `
+            <div class="col-12">
+              <label class="form-label small d-block">Starts after</label>
+              ${others.map(other => `
+                <div class="form-check form-check-inline">
+                  <input class="form-check-input" type="checkbox" name="dependencies" value="${value(other.id)}"
+                         id="dep-${value(other.id)}" ${(task.dependencies || []).includes(other.id) ? 'checked' : ''}>
+                  <label class="form-check-label small" for="dep-${value(other.id)}">${value(other.title)}</label>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+        </div>
+        <small class="text-muted d-block mt-2">
+          Moving a task later also moves the tasks that start after it. Leave the weight empty to weight by duration.
+          The actual finish is recorded at 100% progress (today if left empty).
+        </small>
+        <div class="mt-3 d-flex gap-2">
+          <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-save me-1"></i>Save task</button>
+          <button type="button" class="btn btn-sm btn-secondary" data-schedule-action="cancel">Cancel</button>
+          ${task.id ? `
+            <button type="button" class="btn btn-sm btn-outline-danger ms-auto" data-schedule-action="delete"
+                    data-task-id="${value(task.id)}">
+              <i class="fas fa-trash me-1"></i>Delete
+            </button>
+          ` : ''}
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Render the re-baseline form (a reason is required)
+   */
+  renderBaselineForm(project) {
+    const baseline = ProjectSchedule.getBaseline(project);
+
+    return `
+      <form class="border rounded p-3 mt-3" data-baseline-form data-project="${project.id}">
+        <h6 class="mb-2">Re-baseline schedule</h6>
+        <p class="small text-muted mb-2">
+          The current dates become the new baseline. Variance is then measured against them instead of
+          baseline #${baseline.number} (completion ${this.formatDate(baseline.finish)}).
+          The reason is posted to the project updates.
+        </p>
+        <textarea class="form-control form-control-sm" name="reason" rows="2" required
+                  placeholder="e.g. Client added a basement level"></textarea>
+        <div class="mt-3 d-flex gap-2">
+          <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-flag me-1"></i>Re-baseline</button>
+          <button type="button" class="btn btn-sm btn-secondary" data-schedule-action="cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Save the re-baseline form
+   * @param {HTMLFormElement} form - Form with `data-baseline-form`
+   */
+  saveBaselineForm(form) {
+    const project = this.projects.find(p => p.id === form.dataset.project);
+    if (!project) return;
+
+    try {
+      this.rebaseline(project.id, new FormData(form).get('reason'));
+      this.refreshSchedule(project);
+    } catch (error) {
+      console.error('Error re-baselining schedule:', error);
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Handle schedule buttons and Gantt bar clicks in the detail modal
+   * @param {HTMLElement} button - Element with `data-schedule-action`
+   */
+  handleScheduleAction(button) {
+    const section = button.closest('[data-project-schedule]');
+    const project = section ? this.projects.find(p => p.id === section.dataset.projectSchedule) : null;
+    if (!project) return;
+
+    const taskId = button.getAttribute('data-task-id');
+
+    switch (button.getAttribute('data-schedule-action')) {
+      case 'add':
+        this.refreshSchedule(project, {});
+        break;
+      case 'edit':
+        this.refreshSchedule(project, ProjectSchedule.getTasks(project).find(task => task.id === taskId) || null);
+        break;
+      case 'rebaseline':
+        this.refreshSchedule(project, 'baseline');
+        break;
+      case 'cancel':
+        this.refreshSchedule(project);
+        break;
+      case 'delete':
+        if (!confirm('Delete this task? Tasks that start after it keep their dates.')) {
+          return;
+        }
+        try {
+          ProjectSchedule.removeTask(project, taskId);
+          this.saveProjects();
+          this.renderDashboard();
+          this.refreshSchedule(project);
+        } catch (error) {
+          console.error('Error deleting task:', error);
+          alert(error.message);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Save the add/edit task form
+   * @param {HTMLFormElement} form - Form with `data-schedule-form`
+   */
+  saveTaskForm(form) {
+    const project = this.projects.find(p => p.id === form.dataset.project);
+    if (!project) return;
+
+    const data = new FormData(form);
+    const task = {
+      title: data.get('title'),
+      assignee: data.get('assignee'),
+      start: data.get('start') || undefined,
+      duration: data.get('duration'),
+      progress: data.get('progress'),
+      weight: data.get('weight'),
+      actualEnd: data.get('actualEnd') || undefined,
+      dependencies: data.getAll('dependencies')
+    };
+
+    try {
+      const result = form.dataset.taskId
+        ? this.updateTask(project.id, form.dataset.taskId, task)
+        : this.addTask(project.id, task);
+      this.refreshSchedule(project, null, this.describeSlip(result.moved));
+    } catch (error) {
+      console.error('Error saving task:', error);
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Add a task to a project schedule (requires projects:update)
+   * @param {string} projectId - Project ID
+   * @param {object} data - Task fields (see ProjectSchedule.addTask)
+   * @returns {object} - { task, moved }
+   */
+  addTask(projectId, data) {
+    const project = this.projects.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const result = ProjectSchedule.addTask(project, data);
+    this.saveProjects();
+    this.renderDashboard();
+    return result;
+  }
+
+  /**
+   * Change a task; tasks that start after it slip with it (requires projects:update)
+   * A slip is posted to the project's updates so the client can see it.
+   * @param {string} projectId - Project ID
+   * @param {string} taskId - Task ID
+   * @param {object} changes - Task fields (see ProjectSchedule.updateTask)
+   * @returns {object} - { task, moved }
+   */
+  updateTask(projectId, taskId, changes) {
+    const project = this.projects.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const result = ProjectSchedule.updateTask(project, taskId, changes);
+    if (result.moved.length > 0) {
+      if (!project.updates) {
+        project.updates = [];
+      }
+      project.updates.unshift({
+        id: 'u' + Date.now(),
+        date: new Date().toISOString(),
+        title: 'Schedule Change',
+        description: `${result.task.title} now runs ${this.formatDate(result.task.start)} to ${this.formatDate(result.task.end)}. `
+          + result.moved.map(task => `${task.title} moved ${task.days} day${task.days !== 1 ? 's' : ''} to start ${this.formatDate(task.to)}.`).join(' '),
+        author: (this.currentUser && this.currentUser.name) || 'Project Manager'
+      });
+    }
+
+    this.saveProjects();
+    this.renderDashboard();
+    return result;
+  }
+
+  /**
+   * Describe slipped tasks for the schedule notice
+   * @param {array} moved - From ProjectSchedule.updateTask()
+   * @returns {string}
+   */
+  describeSlip(moved) {
+    if (!moved || moved.length === 0) {
+      return '';
+    }
+    return `<i class="fas fa-exclamation-triangle me-1"></i>Moved later: `
+      + moved.map(task => `${ProjectSchedule.escape(task.title)} (+${task.days} d)`).join(', ');
+  }
+
+  /**
+   * Approve a pending project: it becomes active and its schedule is baselined
+   * @param {string} projectId - Project ID
+   * @returns {boolean} - Success status
+   */
+  approveProject(projectId) {
+    const project = this.projects.find(p => p.id === projectId);
+    if (!project) return false;
+
+    return this.updateProgress(projectId, {
+      status: 'in-progress',
+      newUpdate: {
+        title: 'Project Approved',
+        description: `Work is scheduled to finish on ${this.formatDate(project.estimatedCompletion)}.`,
+        author: (this.currentUser && this.currentUser.name) || 'Project Manager'
+      }
+    });
+  }
+
+  /**
+   * Make the current schedule the baseline (requires projects:update)
+   * The reason and the change in planned completion are posted to the project's updates.
+   * @param {string} projectId - Project ID
+   * @param {string} reason - Why the schedule is re-baselined (required)
+   * @returns {object} - The new baseline
+   */
+  rebaseline(projectId, reason) {
+    const project = this.projects.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const { baseline, previous } = ProjectSchedule.rebaseline(project, reason);
+
+    if (!project.updates) {
+      project.updates = [];
+    }
+    project.updates.unshift({
+      id: 'u' + Date.now(),
+      date: new Date().toISOString(),
+      title: 'Schedule Re-baselined',
+      description: `Reason: ${baseline.reason}. Planned completion `
+        + (previous && previous.finish !== baseline.finish
+          ? `moved from ${this.formatDate(previous.finish)} to ${this.formatDate(baseline.finish)}.`
+          : `stays ${this.formatDate(baseline.finish)}.`),
+      author: (this.currentUser && this.currentUser.name) || 'Project Manager'
+    });
+
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction('update', 'project_baseline', project.id, {
+        baseline: baseline.number,
+        reason: baseline.reason,
+        finish: baseline.finish,
+        previousFinish: previous ? previous.finish : null
+      });
+    }
+
+    this.saveProjects();
+    this.renderDashboard();
+    return baseline;
+  }
+
+  /**
+   * Schedule variance badge for a project (nothing before the first baseline)
+   */
+  renderVarianceBadge(project) {
+    if (typeof ProjectSchedule === 'undefined') {
+      return '';
+    }
+    const variance = ProjectSchedule.getVariance(project);
+    return variance ? ProjectSchedule.varianceBadge(variance.finish.days) : '';
+  }
+
+  /**
+   * Baseline rows for the project overview in the detail modal
+   */
+  renderBaselineSummary(project) {
+    const variance = typeof ProjectSchedule !== 'undefined' ? ProjectSchedule.getVariance(project) : null;
+    if (!variance) {
+      return '';
+    }
+
+    const { baseline } = variance;
+    return `
+      <div class="col-md-6 mb-3">
+        <strong>Baseline Completion:</strong> ${this.formatDate(baseline.finish)}
+        <small class="text-muted d-block">
+          Baseline #${baseline.number}, ${this.formatDate(baseline.capturedAt)}${baseline.reason ? ` (${baseline.reason})` : ''}
+        </small>
+      </div>
+      <div class="col-md-6 mb-3">
+        <strong>Schedule Variance:</strong> ${ProjectSchedule.varianceBadge(variance.finish.days)}
+      </div>
+    `;
+  }
+
+  /**
+   * Variance cell text, e.g. "+5 d" (late) or "-2 d" (early)
+   */
+  formatVariance(days) {
+    if (days === null) {
+      return '<span class="text-muted">New</span>';
+    }
+    if (days === 0) {
+      return '<span class="text-success">0 d</span>';
+    }
+    const late = days > CONFIG.PROJECT_SCHEDULE.VARIANCE_TOLERANCE_DAYS ? 'text-danger' : 'text-warning';
+    return days > 0 ? `<span class="${late}">+${days} d</span>` : `<span class="text-success">${days} d</span>`;
+  }
+
+  varianceTitle(row) {
+    if (row.baselineEnd === null) {
+      return 'Added after the baseline';
+    }
+    return `Baseline finish ${row.baselineEnd}, ${row.actual ? 'finished' : 'forecast'} ${row.finish}`;
+  }
+
+  /**
+   * Re-render an open detail modal (completion and dates may have changed)
+   * @returns {HTMLElement|null} - The modal
+   */
+  refreshDetailModal(project) {
+    const modal = document.getElementById('projectDetailModal');
+    if (modal) {
+      this.populateProjectDetailModal(modal, project);
+    }
+    return modal;
+  }
+
+  /**
+   * Re-render the schedule section (and progress bar) of an open detail modal
+   */
+  refreshSchedule(project, editing = null, notice = '') {
+    const modal = this.refreshDetailModal(project);
+    if (!modal) return;
+
+    const section = modal.querySelector(`[data-project-schedule="${project.id}"]`);
+    if (section && (editing || notice)) {
+      section.innerHTML = this.renderSchedule(project, editing, notice);
+    }
+  }
+
+  /**
+   * Render cost control for staff: earned value, budget by cost code, alerts
+   * and the commitment / actual cost entry form
+   * @param {object} project - Project object
+   * @returns {string} - HTML string for the cost control section
+   */
+  renderCostControl(project) {
+    if (typeof ProjectBudget === 'undefined' || typeof ProjectSchedule === 'undefined' || !ProjectSchedule.canEdit(project)) {
+      return '';
+    }
+
+    const ev = ProjectBudget.getEarnedValue(project);
+    const totals = ProjectBudget.getTotals(project);
+    const alerts = ProjectBudget.getAlerts(project);
+    const metric = (label, value, hint) => `
+      <div class="col-6 col-md-3 mb-2">
+        <div class="border rounded p-2 h-100" title="${hint}">
+          <small class="text-muted d-block">${label}</small>
+          <strong>${value}</strong>
+        </div>
+      </div>
+    `;
+
+    return `
+      <h6 class="text-primary mb-3"><i class="fas fa-coins me-2"></i>Cost Control</h6>
+      ${alerts.map(alert => `
+        <div class="alert alert-danger small py-2 d-flex justify-content-between align-items-center">
+          <span>
+            <i class="fas fa-exclamation-triangle me-1"></i>
+            ${alert.code} ${alert.name} is over budget: ${this.formatCurrency(alert.exposure)} of ${this.formatCurrency(alert.budget)}
+          </span>
+          <button class="btn btn-sm btn-link p-0" data-cost-action="acknowledge" data-id="${alert.id}">Dismiss</button>
+        </div>
+      `).join('')}
+      <div class="row">
+        ${metric('Budget (BAC)', this.formatCurrency(ev.bac), 'Budget at completion: total of the cost codes')}
+        ${metric(`Planned value (${ev.plannedPercent}%)`, this.formatCurrency(ev.pv), 'Budget for the work the baseline planned to finish by today')}
+        ${metric(`Earned value (${ev.earnedPercent}%)`, this.formatCurrency(ev.ev), 'Budget for the work done so far (weighted task progress)')}
+        ${metric('Actual cost', this.formatCurrency(ev.ac), 'Actual costs recorded up to today')}
+        ${metric('CPI', ProjectBudget.indexBadge(ev.cpi), 'Cost performance: earned value / actual cost')}
+        ${metric('SPI', ProjectBudget.indexBadge(ev.spi), 'Schedule performance: earned value / planned value')}
+        ${metric('Forecast at completion', ev.eac !== null ? this.formatCurrency(ev.eac) : '-', 'Budget / CPI')}
+        ${metric('Committed', this.formatCurrency(totals.committed), 'Orders and subcontracts placed')}
+      </div>
+      <form data-cost-form="budget" data-project="${project.id}">
+        <div class="table-responsive">
+          <table class="table table-sm small align-middle mb-2">
+            <thead>
+              <tr>
+                <th>Cost code</th>
+                <th>Budget (ETB)</th>
+                <th class="text-end">Committed</th>
+                <th class="text-end">Actual</th>
+                <th class="text-end">Remaining</th>
+                <th style="width: 20%;">Used</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${ProjectBudget.getSummary(project).map(row => {
+                const color = row.status === 'over' ? 'bg-danger' : row.status === 'warning' ? 'bg-warning' : 'bg-success';
+                return `
+                  <tr class="${row.status === 'over' ? 'table-danger' : ''}">
+                    <td>${row.code} ${row.name}</td>
+                    <td>
+                      <input type="number" class="form-control form-control-sm" name="budget-${row.code}" min="0" step="1" value="${row.budget}">
+                    </td>
+                    <td class="text-end">${this.formatCurrency(row.committed)}</td>
+                    <td class="text-end">${this.formatCurrency(row.actual)}</td>
+                    <td class="text-end ${row.remaining < 0 ? 'text-danger' : ''}">${this.formatCurrency(row.remaining)}</td>
+                    <td>
+                      <div class="progress" style="height: 16px;" title="${row.percent}% of budget">
+                        <div class="progress-bar ${color}" style="width: ${Math.min(row.percent, 100)}%">${row.percent}%</div>
+                      </div>
+                    </td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        </div>
+        <button type="submit" class="btn btn-sm btn-outline-primary"><i class="fas fa-save me-1"></i>Save budgets</button>
+      </form>
+      ${this.renderCostEntryForm(project)}
+      ${this.renderCostEntries(project)}
+    `;
+  }
+
+  /**
+   * Render the commitment / actual cost form
+   */
+  renderCostEntryForm(project) {
+    const commitments = ProjectBudget.getOpenCommitments(project);
+
+    return `
+      <form class="border rounded p-3 mt-3" data-cost-form="entry" data-project="${project.id}">
+        <h6 class="mb-3">Record a cost</h6>
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label small">Type</label>
+            <select class="form-select form-select-sm" name="type">
+              ${Object.entries(ProjectBudget.ENTRY_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Cost code</label>
+            <select class="form-select form-select-sm" name="code">
+              ${ProjectBudget.getControl(project).codes.map(row => `<option value="${row.code}">${row.code} ${row.name}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Amount (ETB)</label>
+            <input type="number" class="form-control form-control-sm" name="amount" min="1" step="1" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Date</label>
+            <input type="date" class="form-control form-control-sm" name="date" value="${ProjectSchedule.toDateKey(new Date())}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Vendor</label>
+            <input type="text" class="form-control form-control-sm" name="vendor">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Pays commitment</label>
+            <select class="form-select form-select-sm" name="commitmentId">
+              <option value="">None</option>
+              ${commitments.map(commitment => `
+                <option value="${commitment.id}">
+                  ${commitment.code} ${ProjectSchedule.escape(commitment.vendor || commitment.description || 'Commitment')}
+                  (${this.formatCurrency(commitment.outstanding)} open)
+                </option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-12">
+            <label class="form-label small">Description</label>
+            <input type="text" class="form-control form-control-sm" name="description">
+          </div>
+        </div>
+        <button type="submit" class="btn btn-sm btn-primary mt-3"><i class="fas fa-plus me-1"></i>Record</button>
+      </form>
+    `;
+  }
+
+  /**
+   * Render the latest commitments and actual costs
+   */
+  renderCostEntries(project) {
+    const entries = [...ProjectBudget.getControl(project).entries]
+      .sort((a, b) => b.date.localeCompare(a.date) || b.recordedAt.localeCompare(a.recordedAt))
+      .slice(0, 10);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    return `
+      <ul class="list-group list-group-flush small mt-3">
+        ${entries.map(entry => `
+          <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+            <span>
+              <span class="badge bg-${entry.type === 'commitment' ? 'secondary' : 'primary'} me-1">${ProjectBudget.ENTRY_TYPES[entry.type]}</span>
+              ${entry.date} &middot; ${entry.code} &middot; <strong>${this.formatCurrency(entry.amount)}</strong>
+              ${entry.vendor ? `&middot; ${ProjectSchedule.escape(entry.vendor)}` : ''}
+              ${entry.description ? `<small class="text-muted">${ProjectSchedule.escape(entry.description)}</small>` : ''}
+            </span>
+            <button class="btn btn-sm btn-link text-danger p-0" data-cost-action="delete" data-id="${entry.id}" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Save the budget or cost entry form
+   * @param {HTMLFormElement} form - Form with `data-cost-form`
+   */
+  saveCostForm(form) {
+    const project = this.projects.find(p => p.id === form.dataset.project);
+    if (!project) return;
+
+    const data = new FormData(form);
+    try {
+      if (form.dataset.costForm === 'budget') {
+        ProjectBudget.getControl(project).codes.forEach(row => {
+          const amount = data.get(`budget-${row.code}`);
+          if (amount !== null && ProjectBudget.parseAmount(amount) !== row.budget) {
+            ProjectBudget.setBudget(project, row.code, amount);
+          }
+        });
+      } else {
+        ProjectBudget.addEntry(project, {
+          type: data.get('type'),
+          code: data.get('code'),
+          amount: data.get('amount'),
+          date: data.get('date'),
+          vendor: data.get('vendor'),
+          description: data.get('description'),
+          commitmentId: data.get('commitmentId')
+        });
+      }
+    } catch (error) {
+      console.error('Error saving cost:', error);
+      alert(error.message);
+      return;
+    }
+
+    this.saveProjects();
+    this.renderDashboard();
+    this.refreshDetailModal(project);
+  }
+
+  /**
+   * Handle cost control buttons in the detail modal
+   * @param {HTMLElement} button - Element with `data-cost-action`
+   */
+  handleCostAction(button) {
+    const section = button.closest('[data-project-budget]');
+    const project = section ? this.projects.find(p => p.id === section.dataset.projectBudget) : null;
+    if (!project) return;
+
+    const id = button.getAttribute('data-id');
+    try {
+      switch (button.getAttribute('data-cost-action')) {
+        case 'acknowledge':
+          ProjectBudget.acknowledgeAlert(project, id);
+          break;
+        case 'delete':
+          if (!confirm('Delete this cost entry?')) {
+            return;
+          }
+          ProjectBudget.deleteEntry(project, id);
+          break;
+      }
+    } catch (error) {
+      console.error('Cost action failed:', error);
+      alert(error.message);
+      return;
+    }
+
+    this.saveProjects();
+    this.renderDashboard();
+    this.refreshDetailModal(project);
+  }
+
+  /**
+   * Render the change orders of a project. Staff raise, submit and implement
+   * them; the client approves or rejects submitted ones.
+   * @param {object} project - Project object
+   * @returns {string} - HTML string for the change orders section
+   */
+  renderChangeOrders(project) {
+    if (typeof ChangeOrders === 'undefined' || !ChangeOrders.can('view', project)) {
+      return '';
+    }
+
+    const canManage = ChangeOrders.can('update', project);
+    const canApprove = ChangeOrders.can('approve', project);
+    const orders = ChangeOrders.getChangeOrders(project).filter(order => canManage || order.status !== 'draft');
+    const totals = ChangeOrders.getTotals(project);
+    const editing = this.changeOrderEditing && this.changeOrderEditing.projectId === project.id ? this.changeOrderEditing : null;
+    const button = (action, order, label, style) => `
+      <button class="btn btn-sm ${style}" data-change-action="${action}" data-project="${project.id}" data-id="${order.id}">${label}</button>
+    `;
+
+    return `
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h6 class="text-primary mb-0"><i class="fas fa-file-signature me-2"></i>Change Orders</h6>
+        ${ChangeOrders.can('create', project) && !editing ? `
+          <button class="btn btn-sm btn-outline-primary" data-change-action="new" data-project="${project.id}">
+            <i class="fas fa-plus me-1"></i>New change order
+          </button>
+        ` : ''}
+      </div>
+      ${totals.cost !== 0 || totals.days !== 0 ? `
+        <p class="small text-muted">
+          Approved changes: ${totals.cost >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(totals.cost))},
+          ${totals.days >= 0 ? '+' : ''}${totals.days} day${Math.abs(totals.days) !== 1 ? 's' : ''}
+        </p>
+      ` : ''}
+      ${editing ? this.renderChangeOrderForm(project, editing.id ? ChangeOrders.getChangeOrder(project, editing.id) : null) : ''}
+      ${orders.length === 0 ? '<p class="text-muted small">No change orders</p>' : `
+        <div class="list-group">
+          ${orders.map(order => {
+            const status = ChangeOrders.STATUSES[order.status];
+            const last = order.history[order.history.length - 1];
+            return `
+              <div class="list-group-item">
+                <div class="d-flex justify-content-between align-items-start">
+                  <div>
+                    <strong class="small">${order.number}: ${ProjectSchedule.escape(order.title)}</strong>
+                    <span class="badge ${status.badge} ms-1">${status.label}</span>
+                    <div class="small">${ChangeOrders.describeImpact(project, order)}</div>
+                    ${order.description ? `<p class="small text-muted mb-1">${ProjectSchedule.escape(order.description)}</p>` : ''}
+                    <small class="text-muted">
+                      ${status.label} by ${ProjectSchedule.escape(last.by)}, ${this.formatDate(last.date)}${last.note ? `: ${ProjectSchedule.escape(last.note)}` : ''}
+                    </small>
+                  </div>
+                  <div class="d-flex gap-1 flex-shrink-0">
+                    ${order.status === 'draft' && canManage ? `
+                      ${button('edit', order, 'Edit', 'btn-outline-secondary')}
+                      ${button('submit', order, 'Submit', 'btn-primary')}
+                      ${button('delete', order, '<i class="fas fa-trash"></i>', 'btn-outline-danger')}
+                    ` : ''}
+                    ${order.status === 'submitted' && canApprove ? `
+                      ${button('approve', order, 'Approve', 'btn-success')}
+                      ${button('reject', order, 'Reject', 'btn-outline-danger')}
+                    ` : ''}
+                    ${order.status === 'approved' && canManage ? button('implement', order, 'Mark implemented', 'btn-outline-primary') : ''}
+                  </div>
+                </div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      `}
+    `;
+  }
+
+  /**
+   * Form to raise or edit a draft change order
+   */
+  renderChangeOrderForm(project, order) {
+    const value = text => ProjectSchedule.escape(text === undefined || text === null ? '' : String(text));
+    const tasks = ProjectSchedule.getTasks(project).filter(task => task.progress < 100);
+
+    return `
+      <form class="border rounded p-3 mb-3" data-change-form data-project="${project.id}" data-id="${order ? order.id : ''}">
+        <h6 class="mb-3">${order ? `Edit ${order.number}` : 'New change order'}</h6>
+        <div class="row g-2">
+          <div class="col-12">
+            <label class="form-label small">Title</label>
+            <input type="text" class="form-control form-control-sm" name="title" value="${value(order && order.title)}" required>
+          </div>
+          <div class="col-12">
+            <label class="form-label small">Description</label>
+            <textarea class="form-control form-control-sm" name="description" rows="2">${value(order && order.description)}</textarea>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Cost code</label>
+            <select class="form-select form-select-sm" name="costCode">
+              ${ProjectBudget.getControl(project).codes.map(row => `
+                <option value="${row.code}" ${order && order.costImpact.code === row.code ? 'selected' : ''}>${row.code} ${row.name}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Cost impact (ETB, negative for a saving)</label>
+            <input type="number" class="form-control form-control-sm" name="costAmount" step="1" value="${order ? order.costImpact.amount : 0}">
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Task affected</label>
+            <select class="form-select form-select-sm" name="taskId">
+              <option value="">None</option>
+              ${tasks.map(task => `
+                <option value="${value(task.id)}" ${order && order.scheduleImpact.taskId === task.id ? 'selected' : ''}>${value(task.title)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Schedule impact (days)</label>
+            <input type="number" class="form-control form-control-sm" name="days" step="1" value="${order ? order.scheduleImpact.days : 0}">
+          </div>
+        </div>
+        <div class="mt-3 d-flex gap-2">
+          <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-save me-1"></i>Save draft</button>
+          <button type="button" class="btn btn-sm btn-secondary" data-change-action="cancel" data-project="${project.id}">Cancel</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Change orders awaiting the client, with approve / reject on the project card
+   */
+  renderPendingChangeOrders(project) {
+    if (typeof ChangeOrders === 'undefined' || !ChangeOrders.can('approve', project)) {
+      return '';
+    }
+
+    return ChangeOrders.getPending(project).map(order => `
+      <div class="alert alert-warning small py-2 mt-2 mb-0">
+        <strong><i class="fas fa-file-signature me-1"></i>Change order ${order.number} awaits your approval</strong>
+        <div>${ProjectSchedule.escape(order.title)}: ${ChangeOrders.describeImpact(project, order)}</div>
+        <div class="mt-2 d-flex gap-2">
+          <button class="btn btn-sm btn-success" data-change-action="approve" data-project="${project.id}" data-id="${order.id}">Approve</button>
+          <button class="btn btn-sm btn-outline-danger" data-change-action="reject" data-project="${project.id}" data-id="${order.id}">Reject</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Handle change order buttons on the dashboard and in the detail modal
+   * @param {HTMLElement} button - Element with `data-change-action`
+   */
+  handleChangeAction(button) {
+    const project = this.projects.find(p => p.id === button.getAttribute('data-project'));
+    if (!project) return;
+
+    const id = button.getAttribute('data-id');
+    const order = id ? ChangeOrders.getChangeOrder(project, id) : null;
+    const action = button.getAttribute('data-change-action');
+
+    try {
+      switch (action) {
+        case 'new':
+        case 'edit':
+          this.changeOrderEditing = { projectId: project.id, id };
+          this.refreshDetailModal(project);
+          return;
+        case 'cancel':
+          this.changeOrderEditing = null;
+          this.refreshDetailModal(project);
+          return;
+        case 'delete':
+          if (!confirm(`Delete draft ${order.number}?`)) {
+            return;
+          }
+          ChangeOrders.remove(project, id);
+          break;
+        case 'submit':
+          if (!confirm(`Send ${order.number} to the client for approval?`)) {
+            return;
+          }
+          ChangeOrders.submit(project, id);
+          break;
+        case 'approve':
+          if (!confirm(`Approve ${order.number}: ${order.title}?\n${ChangeOrders.describeImpact(project, order)}`)) {
+            return;
+          }
+          ChangeOrders.approve(project, id);
+          break;
+        case 'reject': {
+          const reason = prompt(`Why are you rejecting ${order.number}?`);
+          if (reason === null) {
+            return;
+          }
+          ChangeOrders.reject(project, id, reason);
+          break;
+        }
+        case 'implement':
+          if (!confirm(`Mark ${order.number} as implemented?`)) {
+            return;
+          }
+          ChangeOrders.implement(project, id);
+          break;
+      }
+    } catch (error) {
+      console.error('Change order action failed:', error);
+      alert(error.message);
+      return;
+    }
+
+    this.changeOrderEditing = null;
+    this.saveProjects();
+    this.renderDashboard();
+    this.refreshDetailModal(project);
+  }
+
+  /**
+   * Save the change order form as a draft
+   * @param {HTMLFormElement} form - Form with `data-change-form`
+   */
+  saveChangeForm(form) {
+    const project = this.projects.find(p => p.id === form.dataset.project);
+    if (!project) return;
+
+    const data = new FormData(form);
+    const fields = {
+      title: data.get('title'),
+      description: data.get('description'),
+      costImpact: { code: data.get('costCode'), amount: data.get('costAmount') },
+      scheduleImpact: { taskId: data.get('taskId'), days: data.get('days') }
+    };
+
+    try {
+      if (form.dataset.id) {
+        ChangeOrders.update(project, form.dataset.id, fields);
+      } else {
+        ChangeOrders.create(project, fields);
+      }
+    } catch (error) {
+      console.error('Error saving change order:', error);
+      alert(error.message);
+      return;
+    }
+
+    this.changeOrderEditing = null;
+    this.saveProjects();
+    this.refreshDetailModal(project);
+  }
+
+  /**
+   * Render the site diary for staff (list / calendar, log form, weekly report)
+   * @param {object} project - Project object
+   * @returns {string} - HTML string for the site diary section
+   */
+  renderSiteDiary(project) {
+    if (typeof SiteDiary === 'undefined' || typeof ProjectSchedule === 'undefined' || !ProjectSchedule.canEdit(project)) {
+      return '';
+    }
+    return SiteDiary.render(project, this.getDiaryView(project));
+  }
+
+  /**
+   * Show the stored photos of the diary form rendered in a container
+   * @param {HTMLElement} container - Element holding the site diary
+   */
+  loadDiaryPhotos(container) {
+    if (container && typeof SiteDiary !== 'undefined') {
+      SiteDiary.loadPhotos(container).catch(error => console.error('Error loading site photos:', error));
+    }
+  }
+
+  /**
+   * View state of a project's site diary (kept while the page is open)
+   */
+  getDiaryView(project) {
+    if (!this.diaryViews[project.id]) {
+      const today = new Date();
+      this.diaryViews[project.id] = {
+        mode: 'list',
+        year: today.getFullYear(),
+        month: today.getMonth() + 1,
+        editing: null,
+        week: null
+      };
+    }
+    return this.diaryViews[project.id];
+  }
+
+  /**
+   * Handle site diary buttons in the detail modal
+   * @param {HTMLElement} button - Element with `data-diary-action`
+   */
+  handleDiaryAction(button) {
+    const section = button.closest('[data-site-diary]');
+    const project = section ? this.projects.find(p => p.id === section.dataset.siteDiary) : null;
+    if (!project) return;
+
+    const view = this.getDiaryView(project);
+    const date = button.getAttribute('data-date');
+    let changed = false;
+
+    try {
+      switch (button.getAttribute('data-diary-action')) {
+        case 'mode':
+          view.mode = button.getAttribute('data-mode');
+          break;
+        case 'calendar-prev':
+        case 'calendar-next': {
+          const shifted = new Date(view.year, view.month - 1 + (button.getAttribute('data-diary-action') === 'calendar-next' ? 1 : -1), 1);
+          view.year = shifted.getFullYear();
+          view.month = shifted.getMonth() + 1;
+          break;
+        }
+        case 'open':
+          view.editing = date;
+          break;
+        case 'close':
+          view.editing = null;
+          break;
+        case 'week':
+          view.week = date;
+          break;
+        case 'close-week':
+          view.week = null;
+          break;
+        case 'week-pdf':
+          SiteDiary.exportWeeklyPDF(project, date);
+          return;
+        case 'remove-photo':
+          changed = SiteDiary.removePhoto(project, button.getAttribute('data-log'), button.getAttribute('data-photo'));
+          break;
+        case 'delete':
+          if (!confirm('Delete this site log?')) {
+            return;
+          }
+          changed = SiteDiary.deleteLog(project, button.getAttribute('data-log'));
+          view.editing = null;
+          break;
+      }
+    } catch (error) {
+      console.error('Site diary action failed:', error);
+      alert(error.message);
+      return;
+    }
+
+    if (changed) {
+      this.saveProjects();
+      this.renderDashboard();
+      this.refreshDetailModal(project);
+    } else {
+      section.innerHTML = this.renderSiteDiary(project);
+      this.loadDiaryPhotos(section);
+    }
+  }
+
+  /**
+   * Save the daily log form, adding any new photos
+   * @param {HTMLFormElement} form - Form with `data-diary-form`
+   */
+  async saveDiaryForm(form) {
+    const project = this.projects.find(p => p.id === form.dataset.project);
+    if (!project) return;
+
+    const data = SiteDiary.fromForm(new FormData(form));
+    const existing = SiteDiary.getLog(project, data.date);
+    const files = form.querySelector('[name="photos"]') ? Array.from(form.querySelector('[name="photos"]').files) : [];
+    const previous = { siteLogs: project.siteLogs, updates: project.updates };
+    const stored = [];
+
+    try {
+      files.forEach(file => {
+        const validation = this.validateFile(file);
+        if (!validation.valid || !file.type.startsWith('image/')) {
+          throw new Error(`${file.name}: ${validation.valid ? 'Only images can be added as site photos' : validation.error}`);
+        }
+      });
+      for (const [i, file] of files.entries()) {
+        stored.push(await SiteDiary.storePhoto(file, `photo${Date.now()}${i}`));
+      }
+      data.photos = [...(existing ? existing.photos : []), ...stored];
+
+      SiteDiary.saveLog(project, data);
+    } catch (error) {
+      console.error('Error saving site log:', error);
+      SiteDiary.removePhotoBlobs(stored);
+      alert(error.message);
+      return;
+    }
+
+    // Keep the form open with its entries if the log didn't fit in storage
+    if (!this.saveProjects()) {
+      project.siteLogs = previous.siteLogs;
+      project.updates = previous.updates;
+      SiteDiary.removePhotoBlobs(stored);
+      return;
+    }
+
+    this.getDiaryView(project).editing = null;
+    this.renderDashboard();
+    this.refreshDetailModal(project);
+  }
+
   /**
    * Render project updates
    */
@@ -845,10 +2119,15 @@ class ProjectTracker {
 
   /**
    * Calculate progress bar percentage based on milestones
+   * With ProjectSchedule loaded this is the weighted progress of the project's tasks.
    * @param {object} project - Project object with milestones
    * @returns {number} - Calculated progress percentage
    */
   calculateProgressFromMilestones(project) {
+    if (typeof ProjectSchedule !== 'undefined' && ProjectSchedule.getTasks(project).length > 0) {
+      return ProjectSchedule.progress(project.tasks);
+    }
+
     if (!project.milestones || project.milestones.length === 0) {
       return project.completionPercentage || 0;
     }
@@ -919,10 +2198,10 @@ class ProjectTracker {
   }
 
   /**
-   * Format currency
+   * Format an ETB amount in the user's display currency
    */
   formatCurrency(amount) {
-    return amount.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return LocaleUtil.formatMoney(amount);
   }
 
   /**
@@ -939,11 +2218,26 @@ class ProjectTracker {
 
     if (updateData.status) {
       project.status = updateData.status;
+      // Approval fixes the schedule baseline
+      if (typeof ProjectSchedule !== 'undefined') {
+        this.syncSchedule(project);
+      }
+    }
+
+    if (updateData.task) {
+      const { id, ...changes } = updateData.task;
+      this.updateTask(projectId, id, changes);
     }
 
     if (updateData.milestone) {
       const milestone = project.milestones.find(m => m.id === updateData.milestone.id);
-      if (milestone) {
+      if (milestone && typeof ProjectSchedule !== 'undefined' && project.tasks && project.tasks.some(t => t.id === milestone.id)) {
+        // Milestones mirror tasks: a status sets the progress, a date the finish
+        const { id, status, date, ...changes } = updateData.milestone;
+        if (status) changes.progress = ProjectSchedule.STATUS_PROGRESS[status] || 0;
+        if (date) changes.end = ProjectSchedule.toDateKey(date);
+        this.updateTask(projectId, id, changes);
+      } else if (milestone) {
         Object.assign(milestone, updateData.milestone);
       }
     }
@@ -970,12 +2264,20 @@ class ProjectTracker {
 
   /**
    * Save projects to localStorage
+   * Tells the user when the browser's storage is full, since the change would
+   * otherwise be lost on reload.
+   * @returns {boolean} - Whether the projects were saved
    */
   saveProjects() {
     try {
       localStorage.setItem('userProjects', JSON.stringify(this.projects));
+      return true;
     } catch (e) {
       console.error('Error saving projects:', e);
+      alert(e.name === 'QuotaExceededError'
+        ? 'Browser storage is full, so the latest change could not be saved. Remove some site photos or documents and try again.'
+        : `The latest change could not be saved: ${e.message}`);
+      return false;
     }
   }
 
@@ -988,13 +2290,16 @@ class ProjectTracker {
 
     return {
       milestones: project.milestones || [],
+      tasks: project.tasks || [],
+      baseline: typeof ProjectSchedule !== 'undefined' ? ProjectSchedule.getBaseline(project) : null,
       updates: project.updates || []
     };
   }
 
   /**
    * Upload document to project
-   * Validates file, converts to base64, and stores in LocalStorage
+   * Validates the file and stores its contents with StorageUtil.setBlob(); the
+   * project keeps only the blob key, so documents don't fill LocalStorage.
    * @param {string} projectId - Project ID to associate document with
    * @param {File} file - File object to upload
    * @returns {Promise<object|null>} - Document object or null if failed
@@ -1018,9 +2323,6 @@ class ProjectTracker {
         project.documents = [];
       }
 
-      // Convert file to base64
-      const base64Data = await this.fileToBase64(file);
-
       // Create document object
       const document = {
         id: 'doc' + Date.now(),
@@ -1028,15 +2330,30 @@ class ProjectTracker {
         type: file.type,
         size: file.size,
         uploadDate: new Date().toISOString(),
-        projectId: projectId,
-        data: base64Data
+        projectId: projectId
       };
 
+      // Store the contents
+      if (typeof StorageUtil !== 'undefined') {
+        document.blobKey = `project_document_${document.id}`;
+        if (!(await StorageUtil.setBlob(document.blobKey, file))) {
+          throw new Error('The document could not be stored');
+        }
+      } else {
+        document.data = await this.fileToBase64(file);
+      }
+
       // Add to project documents
       project.documents.push(document);
       
-      // Save to localStorage
-      this.saveProjects();
+      // Save to localStorage (undo if it doesn't fit)
+      if (!this.saveProjects()) {
+        project.documents = project.documents.filter(doc => doc !== document);
+        if (document.blobKey) {
+          StorageUtil.removeBlob(document.blobKey);
+        }
+        return null;
+      }
 
       return document;
     } catch (error) {
@@ -1134,8 +2451,11 @@ class ProjectTracker {
       return false;
     }
 
-    project.documents.splice(index, 1);
+    const [removed] = project.documents.splice(index, 1);
     this.saveProjects();
+    if (removed.blobKey) {
+      StorageUtil.removeBlob(removed.blobKey);
+    }
     return true;
   }
 
@@ -1144,23 +2464,30 @@ class ProjectTracker {
    * @param {string} documentId - Document ID to download
    * @param {string} projectId - Project ID
    */
-  downloadDocument(documentId, projectId) {
+  async downloadDocument(documentId, projectId) {
     const project = this.projects.find(p => p.id === projectId);
     if (!project || !project.documents) {
       console.error('Project or documents not found');
       return;
     }
 
-    const document = project.documents.find(d => d.id === documentId);
-    if (!document) {
+    const doc = project.documents.find(d => d.id === documentId);
+    if (!doc) {
       console.error('Document not found');
       return;
     }
 
+    // Documents uploaded before blob storage carry a data URL
+    const url = doc.data || await StorageUtil.getBlobUrl(doc.blobKey);
+    if (!url) {
+      console.error('Document contents not found');
+      return;
+    }
+
     // Create download link
     const link = document.createElement('a');
-    link.href = document.data;
-    link.download = document.name;
+    link.href = url;
+    link.download = doc.name;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -394,6 +394,8 @@ const QuoteManagement = {
         </div>
       </div>
 
+      ${quote.estimate ? this.renderEstimateDetails(quote.estimate) : ''}
+
       <div class="row mt-3">
         <div class="col-md-6">
           <h6 class="fw-bold mb-3"><i class="fas fa-sticky-note me-2"></i>Notes</h6>
@@ -419,6 +421,9 @@ const QuoteManagement = {
             <button class="btn btn-primary" onclick="window.location.href='mailto:${quote.email}'">
               <i class="fas fa-envelope me-2"></i>Email Client
             </button>
+            <button class="btn btn-secondary" onclick="QuoteManagement.downloadQuotePdf('${quote.id}')">
+              <i class="fas fa-file-pdf me-2"></i>Download PDF
+            </button>
           </div>
         </div>
       </div>
@@ -429,6 +434,100 @@ const QuoteManagement = {
     modal.show();
   },
 
+  /**
+   * Render the cost estimate attached to a quote created from the calculator
+   * @param {object} estimate - quote.estimate (see EstimateScenarios.toQuoteRequest)
+   * @returns {string} - HTML
+   */
+  renderEstimateDetails(estimate) {
+    const inputs = estimate.inputs || {};
+    const money = amount => LocaleUtil.formatMoney(amount);
+
+    return `
+      <div class="row mt-3">
+        <div class="col-12">
+          <h6 class="fw-bold mb-2"><i class="fas fa-calculator me-2"></i>Cost Estimate: ${estimate.scenarioName}</h6>
+          <table class="table table-sm">
+            <tr>
+              <th width="25%">Inputs:</th>
+              <td>
+                ${inputs.projectType} · ${inputs.projectSize} ${inputs.sizeUnit} · ${inputs.floors || 1} floor(s) ·
+                ${inputs.city}, ${inputs.region}
+                ${inputs.materials && inputs.materials.length > 0 ? ' · ' + inputs.materials.join(', ') : ''}
+              </td>
+            </tr>
+            <tr>
+              <th>Method:</th>
+              <td>
+                ${estimate.mode === 'boq' ? 'Bill of quantities' : 'Quick estimate'}
+                ${estimate.rateVersion ? ` (rate table v${estimate.rateVersion.version}, ${estimate.estimateDate})` : ''}
+              </td>
+            </tr>
+            <tr>
+              <th>Breakdown:</th>
+              <td>
+                Materials ${money(estimate.breakdown.materials)} · Labor ${money(estimate.breakdown.labor)} ·
+                Equipment ${money(estimate.breakdown.equipment)} · Permits ${money(estimate.breakdown.permits)} ·
+                Contingency ${money(estimate.breakdown.contingency)}
+              </td>
+            </tr>
+            <tr>
+              <th>Total:</th>
+              <td><strong>${money(estimate.total)}</strong></td>
+            </tr>
+            ${estimate.alternatives && estimate.alternatives.length > 0 ? `
+              <tr>
+                <th>Other scenarios:</th>
+                <td>${estimate.alternatives.map(alt => `${alt.name}: ${money(alt.total)}`).join(' · ')}</td>
+              </tr>
+            ` : ''}
+          </table>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Add a quote request (e.g. one created from a cost estimate scenario)
+   * @param {object} quote - Quote request in the db_quote_requests format
+   * @returns {object} - The stored quote
+   */
+  addQuoteRequest(quote) {
+    const quotes = StorageUtil.get('db_quote_requests', []);
+    quotes.unshift(quote);
+    StorageUtil.set('db_quote_requests', quotes);
+
+    // Refresh the admin table when it is on screen
+    if (document.getElementById('quotesTableBody')) {
+      this.loadQuotes();
+      this.filterQuotes(this.currentFilter);
+      this.updateStats();
+    }
+
+    return quote;
+  },
+
+  /**
+   * Download the quote response as PDF
+   * Uses the quoted amount, items and response message when they have been recorded.
+   */
+  downloadQuotePdf(quoteId) {
+    const quote = this.allQuotes.find(q => q.id === quoteId);
+    if (!quote) return;
+
+    if (typeof PDFGenerator === 'undefined') {
+      alert('PDF download is unavailable.');
+      return;
+    }
+
+    const blob = PDFGenerator.quote(quote, {
+      amount: quote.quotedAmount,
+      items: quote.items,
+      message: quote.response
+    });
+    PDFGenerator.download(blob, `Quotation-${quote.id}.pdf`);
+  },
+
   /**
    * Show update status modal
    */
@@ -0,0 +1,457 @@
+/**
+ * Rate Library Module
+ * Versioned rate tables for the cost calculator
+ *
+ * Each version holds every table a price is worked out from: base cost per m²,
+ * regional multipliers, material premiums, the bill-of-quantities unit rates,
+ * equipment rental day rates and service tier floors (see PricingService).
+ * `areaPricing` says which of them price an estimate from its floor area: the
+ * BOQ rates ('boq', so quick and itemized estimates agree) or the per-m² tables
+ * ('per-sqm', how versions saved before BOQ area pricing were priced).
+ * Versions start as drafts, become immutable once published, and apply from
+ * their effective date. Estimates record the version they were priced with so
+ * they can be reproduced exactly.
+ *
+ * BOQ rates are split into materials, labor and equipment per unit so line items
+ * roll up into the calculator's cost breakdown. Rates with unit '%' are charged
+ * as a percentage of the construction works (permits and fees).
+ */
+
+const RateLibrary = {
+  // Default unit rates for the bill of quantities (before regional adjustment)
+  DEFAULT_BOQ_RATES: {
+    // Site preparation & earthworks
+    'EXC-01': { description: 'Site clearance and setting out', unit: 'm²', materials: 0, labor: 40, equipment: 30 },
+    'EXC-02': { description: 'Excavation for foundations', unit: 'm³', materials: 0, labor: 150, equipment: 250 },
+    'EXC-03': { description: 'Backfill and compaction', unit: 'm³', materials: 50, labor: 120, equipment: 100 },
+    'EXC-04': { description: 'Cart away surplus material', unit: 'm³', materials: 0, labor: 30, equipment: 220 },
+    'REN-01': { description: 'Demolition and strip-out', unit: 'm²', materials: 0, labor: 250, equipment: 120 },
+
+    // Foundation
+    'FND-01': { description: 'Blinding concrete C15, 50mm', unit: 'm³', materials: 6500, labor: 900, equipment: 300 },
+    'FND-02': { description: 'Reinforced concrete C25 in footings', unit: 'm³', materials: 9500, labor: 1500, equipment: 600 },
+    'FND-03': { description: 'Reinforcement steel in foundations', unit: 'kg', materials: 120, labor: 25, equipment: 0 },
+    'FND-04': { description: 'Hardcore and ground floor slab', unit: 'm²', materials: 1100, labor: 250, equipment: 80 },
+
+    // Superstructure
+    'SUP-01': { description: 'Reinforced concrete C25 in columns, beams and slabs', unit: 'm³', materials: 9800, labor: 1800, equipment: 900 },
+    'SUP-02': { description: 'Reinforcement steel in frame', unit: 'kg', materials: 120, labor: 28, equipment: 0 },
+    'SUP-03': { description: 'Formwork to frame', unit: 'm²', materials: 350, labor: 220, equipment: 0 },
+    'SUP-04': { description: 'HCB walling, 200mm', unit: 'm²', materials: 750, labor: 260, equipment: 0 },
+    'SUP-04B': { description: 'Brick walling, 200mm', unit: 'm²', materials: 900, labor: 320, equipment: 0 },
+
+    // Roofing
+    'ROF-01': { description: 'Timber roof structure', unit: 'm²', materials: 900, labor: 300, equipment: 50 },
+    'ROF-01S': { description: 'Steel truss roof structure', unit: 'm²', materials: 1400, labor: 350, equipment: 120 },
+    'ROF-02': { description: 'Corrugated EGA roof sheeting', unit: 'm²', materials: 650, labor: 120, equipment: 0 },
+    'ROF-03': { description: 'Gutters and downpipes', unit: 'm', materials: 450, labor: 120, equipment: 0 },
+
+    // Finishes
+    'FIN-01': { description: 'Cement plaster to walls', unit: 'm²', materials: 180, labor: 160, equipment: 0 },
+    'FIN-02': { description: 'Ceramic floor tiles', unit: 'm²', materials: 1100, labor: 280, equipment: 0 },
+    'FIN-02M': { description: 'Marble floor finish', unit: 'm²', materials: 3800, labor: 450, equipment: 0 },
+    'FIN-03': { description: 'Emulsion paint, three coats', unit: 'm²', materials: 120, labor: 90, equipment: 0 },
+    'FIN-04': { description: 'Metal doors and windows', unit: 'm²', materials: 4500, labor: 600, equipment: 0 },
+    'FIN-04W': { description: 'Timber doors and windows', unit: 'm²', materials: 5200, labor: 700, equipment: 0 },
+    'FIN-04G': { description: 'Aluminium and glass glazing', unit: 'm²', materials: 7500, labor: 900, equipment: 0 },
+
+    // Mechanical, electrical & plumbing
+    'MEP-01': { description: 'Electrical installation', unit: 'm²', materials: 900, labor: 450, equipment: 50 },
+    'MEP-02': { description: 'Plumbing and drainage', unit: 'm²', materials: 800, labor: 400, equipment: 40 },
+    'MEP-03': { description: 'HVAC installation', unit: 'm²', materials: 2500, labor: 800, equipment: 200 },
+
+    // Permits & fees (percentage of construction works)
+    'PRM-01': { description: 'Building permit and approvals', unit: '%', rate: 1.5 },
+    'PRM-02': { description: 'Design review and inspection fees', unit: '%', rate: 1.0 }
+  },
+
+  DEFAULT_REGIONAL_MULTIPLIERS: {
+    'addis-ababa': 1.2,
+    'oromia': 1.0,
+    'amhara': 0.95,
+    'tigray': 0.9,
+    'somali': 0.85,
+    'afar': 0.85,
+    'southern': 0.9,
+    'other': 0.9
+  },
+
+  DEFAULT_MATERIAL_PREMIUMS: {
+    concrete: 1.0,
+    steel: 1.3,
+    brick: 0.9,
+    wood: 1.1,
+    tiles: 1.0,
+    marble: 1.5,
+    glass: 1.4,
+    paint: 1.0
+  },
+
+  // How area estimates are priced (see PricingService.priceArea)
+  AREA_PRICING: {
+    boq: 'Bill of quantities rates',
+    'per-sqm': 'Base cost per m²'
+  },
+
+  // Equipment rental day rates (ETB, fuel and maintenance included)
+  DEFAULT_EQUIPMENT_RATES: {
+    excavator: { name: 'Excavator (20 ton)', dayRate: 3500, operatorRate: 1500 },
+    crane: { name: 'Tower Crane', dayRate: 8000, operatorRate: 2500 },
+    mixer: { name: 'Concrete Mixer', dayRate: 1200, operatorRate: 800 },
+    loader: { name: 'Wheel Loader', dayRate: 4000, operatorRate: 1800 },
+    bulldozer: { name: 'Bulldozer', dayRate: 5500, operatorRate: 2000 }
+  },
+
+  // Lowest project price of each service tier (ETB)
+  DEFAULT_TIER_FLOORS: {
+    basic: 500000,
+    professional: 1200000,
+    premium: 2500000
+  },
+
+  /**
+   * Tables for the first version (the rates the calculator was built with)
+   * @returns {object}
+   */
+  getDefaultTables() {
+    return {
+      baseCosts: { ...CONFIG.COST_CALCULATOR.BASE_RATES },
+      regionalMultipliers: { ...this.DEFAULT_REGIONAL_MULTIPLIERS },
+      materialPremiums: { ...this.DEFAULT_MATERIAL_PREMIUMS },
+      floorIncrement: 0.05,
+      areaPricing: 'boq',
+      contingencyRate: CONFIG.COST_CALCULATOR.CONTINGENCY_RATE,
+      boqRates: JSON.parse(JSON.stringify(this.DEFAULT_BOQ_RATES)),
+      equipmentRates: JSON.parse(JSON.stringify(this.DEFAULT_EQUIPMENT_RATES)),
+      tierFloors: { ...this.DEFAULT_TIER_FLOORS }
+    };
+  },
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  /**
+   * Load all versions, creating version 1 on first use
+   * @returns {array}
+   */
+  getVersions() {
+    const data = StorageUtil.get(CONFIG.STORAGE_KEYS.RATE_LIBRARY, null);
+    if (data && Array.isArray(data.versions)) {
+      return data.versions.map(version => this.addMissingTables(version));
+    }
+
+    const tables = this.getDefaultTables();
+
+    // Earlier unversioned edits become part of version 1
+    if (data && data.rates) {
+      Object.keys(data.rates).forEach(code => {
+        tables.boqRates[code] = { ...tables.boqRates[code], ...data.rates[code] };
+      });
+    }
+    if (data && data.regionalFactors) {
+      Object.assign(tables.regionalMultipliers, data.regionalFactors);
+    }
+
+    const versions = [{
+      id: 'rates-v1',
+      version: 1,
+      status: 'published',
+      effectiveFrom: '2000-01-01',
+      notes: 'Initial rates',
+      tables,
+      createdAt: new Date().toISOString(),
+      createdBy: null,
+      publishedAt: new Date().toISOString()
+    }];
+
+    this.saveVersions(versions);
+    return versions;
+  },
+
+  saveVersions(versions) {
+    StorageUtil.set(CONFIG.STORAGE_KEYS.RATE_LIBRARY, { versions });
+  },
+
+  /**
+   * Get a version by ID
+   * @param {string} id - Version ID
+   * @returns {object|null}
+   */
+  getVersion(id) {
+    return this.getVersions().find(v => v.id === id) || null;
+  },
+
+  /**
+   * Get the published version in force on a date
+   * @param {Date|string} date - Estimate date (defaults to today)
+   * @returns {object}
+   */
+  getActiveVersion(date = new Date()) {
+    const day = this.toDateKey(date);
+
+    return this.getVersions()
+      .filter(v => v.status === 'published' && v.effectiveFrom <= day)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.version - a.version)[0] || null;
+  },
+
+  // ============================================
+  // RATES
+  // ============================================
+
+  /**
+   * Get BOQ unit rates, keyed by code
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {object}
+   */
+  getRates(version = this.getActiveVersion()) {
+    const rates = {};
+    Object.keys(version.tables.boqRates).forEach(code => {
+      rates[code] = { code, ...version.tables.boqRates[code] };
+    });
+    return rates;
+  },
+
+  /**
+   * Get a single BOQ rate
+   * @param {string} code - Rate code, e.g. 'FND-02'
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {object|null}
+   */
+  getRate(code, version = this.getActiveVersion()) {
+    return this.getRates(version)[code] || null;
+  },
+
+  /**
+   * Get the regional multiplier for a region
+   * @param {string} region - Region key
+   * @param {object} version - Rate table version (defaults to today's)
+   * @returns {number}
+   */
+  getRegionalFactor(region, version = this.getActiveVersion()) {
+    return version.tables.regionalMultipliers[region] || 1.0;
+  },
+
+  // ============================================
+  // VERSION MANAGEMENT
+  // ============================================
+
+  /**
+   * Create a draft version copied from an existing one
+   * @param {object} data - { effectiveFrom, notes, basedOn: version ID (defaults to today's) }
+   * @returns {object} - The draft
+   */
+  createVersion({ effectiveFrom, notes = '', basedOn = null } = {}) {
+    this.authorize('rates:update');
+
+    const versions = this.getVersions();
+    const source = basedOn ? versions.find(v => v.id === basedOn) : this.getActiveVersion();
+    if (!source) {
+      throw new Error(`Rate table version not found: ${basedOn}`);
+    }
+
+    const number = Math.max(...versions.map(v => v.version)) + 1;
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+    const draft = {
+      id: `rates-v${number}`,
+      version: number,
+      status: 'draft',
+      effectiveFrom: effectiveFrom ? this.toDateKey(effectiveFrom) : this.toDateKey(new Date()),
+      notes,
+      tables: JSON.parse(JSON.stringify(source.tables)),
+      basedOn: source.id,
+      createdAt: new Date().toISOString(),
+      createdBy: user ? user.id : null,
+      publishedAt: null
+    };
+
+    versions.push(draft);
+    this.saveVersions(versions);
+    this.logAction('create', draft, { basedOn: source.id });
+    return draft;
+  },
+
+  /**
+   * Edit a draft version
+   * Table sections are merged, e.g. { tables: { baseCosts: { commercial: 12500 } } }.
+   * @param {string} id - Version ID
+   * @param {object} changes - { effectiveFrom, notes, tables }
+   * @returns {object} - Updated draft
+   */
+  updateVersion(id, changes) {
+    this.authorize('rates:update');
+
+    const versions = this.getVersions();
+    const version = this.getDraft(versions, id);
+
+    if (changes.effectiveFrom) {
+      version.effectiveFrom = this.toDateKey(changes.effectiveFrom);
+    }
+    if (changes.notes !== undefined) {
+      version.notes = changes.notes;
+    }
+
+    Object.entries(changes.tables || {}).forEach(([table, values]) => {
+      if (typeof values === 'object' && values !== null) {
+        this.validateTable(table, values);
+        // Nested rates (BOQ, equipment) keep fields the change leaves out
+        const merged = { ...version.tables[table] };
+        Object.entries(values).forEach(([key, value]) => {
+          merged[key] = typeof value === 'object' && value !== null && typeof merged[key] === 'object'
+            ? { ...merged[key], ...value }
+            : value;
+        });
+        version.tables[table] = merged;
+      } else if (table === 'areaPricing') {
+        if (!this.AREA_PRICING[values]) {
+          throw new Error(`Invalid value for ${table}`);
+        }
+        version.tables[table] = values;
+      } else {
+        this.validateNumber(table, values);
+        version.tables[table] = Number(values);
+      }
+    });
+
+    version.updatedAt = new Date().toISOString();
+    this.saveVersions(versions);
+    return version;
+  },
+
+  /**
+   * Edit or add a BOQ rate in a draft version
+   * @param {string} id - Version ID
+   * @param {string} code - Rate code
+   * @param {object} changes - { description, unit, materials, labor, equipment } or { rate } for '%' items
+   * @returns {object} - Updated rate
+   */
+  updateRate(id, code, changes) {
+    const version = this.getVersion(id);
+    const current = version ? version.tables.boqRates[code] : null;
+
+    this.updateVersion(id, { tables: { boqRates: { [code]: { ...current, ...changes } } } });
+    return this.getRate(code, this.getVersion(id));
+  },
+
+  /**
+   * Publish a draft; it applies to estimates dated on or after its effective date
+   * @param {string} id - Version ID
+   * @returns {object} - Published version
+   */
+  publishVersion(id) {
+    this.authorize('rates:update');
+
+    const versions = this.getVersions();
+    const version = this.getDraft(versions, id);
+
+    version.status = 'published';
+    version.publishedAt = new Date().toISOString();
+    this.saveVersions(versions);
+    this.logAction('publish', version, { effectiveFrom: version.effectiveFrom });
+    return version;
+  },
+
+  /**
+   * Delete a draft version (published versions are kept for reproducing estimates)
+   * @param {string} id - Version ID
+   * @returns {boolean}
+   */
+  deleteVersion(id) {
+    this.authorize('rates:update');
+
+    const versions = this.getVersions();
+    const version = this.getDraft(versions, id);
+
+    this.saveVersions(versions.filter(v => v.id !== id));
+    this.logAction('delete', version);
+    return true;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Versions saved before a table existed get that table's defaults
+   */
+  addMissingTables(version) {
+    // Versions saved before BOQ area pricing priced areas from their per-m² tables
+    if (version.tables.areaPricing === undefined) {
+      version.tables.areaPricing = version.tables.baseCosts ? 'per-sqm' : 'boq';
+    }
+
+    const defaults = this.getDefaultTables();
+    Object.keys(defaults).forEach(table => {
+      if (version.tables[table] === undefined) {
+        version.tables[table] = defaults[table];
+      }
+    });
+    return version;
+  },
+
+  getDraft(versions, id) {
+    const version = versions.find(v => v.id === id);
+    if (!version) {
+      throw new Error(`Rate table version not found: ${id}`);
+    }
+    if (version.status !== 'draft') {
+      throw new Error(`Rate table version ${version.version} is published and cannot be changed`);
+    }
+    return version;
+  },
+
+  validateTable(table, values) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (table === 'boqRates' || table === 'equipmentRates') {
+        ['materials', 'labor', 'equipment', 'rate', 'dayRate', 'operatorRate'].forEach(field => {
+          if (value[field] !== undefined) {
+            this.validateNumber(`${key} ${field}`, value[field]);
+          }
+        });
+      } else {
+        this.validateNumber(`${table}.${key}`, value);
+      }
+    });
+  },
+
+  validateNumber(label, value) {
+    if (value === '' || value === null || isNaN(value) || Number(value) < 0) {
+      throw new Error(`Invalid value for ${label}`);
+    }
+  },
+
+  /**
+   * Local calendar date as YYYY-MM-DD
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  toDateKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date;
+    }
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
+
+  authorize(permission) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert(permission);
+    }
+  },
+
+  logAction(action, version, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, 'rate_table', version.id, { version: version.version, ...details });
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RateLibrary;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.RateLibrary = RateLibrary;
+}
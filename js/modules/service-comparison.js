@@ -22,7 +22,7 @@ class ServiceComparison {
    * @returns {Array} Array of service tier objects
    */
   loadServiceTiers() {
-    return [
+    return this.applyTierFloors([
       {
         id: 'basic',
         name: 'Basic',
@@ -113,7 +113,26 @@ class ServiceComparison {
           'Post-completion consultation'
         ]
       }
-    ];
+    ]);
+  }
+
+  /**
+   * Take "starting at" prices from the current rate tables (PricingService)
+   * @param {Array} tiers - Service tiers
+   * @returns {Array} Tiers with priceValue and price from the tier floors
+   */
+  applyTierFloors(tiers) {
+    if (typeof PricingService === 'undefined') {
+      return tiers;
+    }
+
+    return tiers.map(tier => {
+      const floor = PricingService.getTierFloor(tier.id);
+      if (floor === null) {
+        return tier;
+      }
+      return { ...tier, priceValue: floor, price: `Starting at ${PricingService.formatCurrency(floor)}` };
+    });
   }
   
   /**
@@ -0,0 +1,730 @@
+/**
+ * Site Diary Module
+ * Structured daily site logs for ProjectTracker projects: weather, manpower by
+ * trade, equipment, materials received, work completed, delays, incidents and
+ * photos. One log per project per day.
+ *
+ * Photos are stored with StorageUtil.setBlob(); a log keeps only their
+ * `blobKey`, and the form shows them through object URLs (see loadPhotos).
+ *
+ * A log marked "publish to client" is posted to the project's `updates`
+ * (without incidents or internal figures); unpublishing removes the post. The
+ * weekly summary adds up a Monday-to-Sunday week of logs.
+ */
+
+const SiteDiary = {
+  // ============================================
+  // LOGS
+  // ============================================
+
+  /**
+   * Daily logs of a project, latest first
+   * @param {object} project - ProjectTracker project
+   * @returns {array}
+   */
+  getLogs(project) {
+    return [...(project.siteLogs || [])].sort((a, b) => b.date.localeCompare(a.date));
+  },
+
+  getLog(project, date) {
+    return (project.siteLogs || []).find(log => log.date === date) || null;
+  },
+
+  /**
+   * Create or replace the log for a day (requires projects:update)
+   * Photos are kept unless `photos` is given.
+   * @param {object} project
+   * @param {object} data - { date, weather: { condition, temperature }, manpower: [{ trade, count }],
+   *   equipment: [{ name, hours }], materials: [{ material, quantity, unit, supplier }], workCompleted,
+   *   delays: [{ cause, hours, description }], incidents: [{ type, description }], photos, published }
+   * @returns {object} - The saved log
+   */
+  saveLog(project, data) {
+    this.authorize(project);
+
+    const logs = project.siteLogs || [];
+    const existing = logs.find(log => log.date === ProjectSchedule.toDateKey(data.date));
+    const user = typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+
+    const log = {
+      ...this.normalize({ photos: existing ? existing.photos : [], ...data }),
+      id: existing ? existing.id : 'log' + Date.now(),
+      updateId: existing ? existing.updateId : null,
+      author: existing ? existing.author : (user ? (user.name || user.username) : 'Site Engineer'),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    project.siteLogs = existing ? logs.map(other => other === existing ? log : other) : [...logs, log];
+    this.syncUpdate(project, log);
+
+    this.logAction(existing ? 'update' : 'create', 'site_log', log.id, { project: project.id, date: log.date, published: log.published });
+    return log;
+  },
+
+  /**
+   * Delete a log and its client update (requires projects:update)
+   * @returns {boolean}
+   */
+  deleteLog(project, logId) {
+    this.authorize(project);
+
+    const log = (project.siteLogs || []).find(existing => existing.id === logId);
+    if (!log) {
+      return false;
+    }
+
+    this.syncUpdate(project, { ...log, published: false });
+    project.siteLogs = project.siteLogs.filter(existing => existing.id !== logId);
+    this.removePhotoBlobs(log.photos);
+    this.logAction('delete', 'site_log', logId, { project: project.id, date: log.date });
+    return true;
+  },
+
+  /**
+   * Remove one photo from a log (requires projects:update)
+   */
+  removePhoto(project, logId, photoId) {
+    this.authorize(project);
+
+    const log = (project.siteLogs || []).find(existing => existing.id === logId);
+    if (!log) {
+      return false;
+    }
+    this.removePhotoBlobs(log.photos.filter(photo => photo.id === photoId));
+    log.photos = log.photos.filter(photo => photo.id !== photoId);
+    return true;
+  },
+
+  /**
+   * Compress a photo and store it as a blob
+   * @param {File} file - Image file
+   * @param {string} id - Photo ID
+   * @returns {Promise<object>} - Photo { id, name, blobKey }
+   */
+  async storePhoto(file, id) {
+    const photo = { id, name: file.name, blobKey: `site_diary_${id}` };
+    if (!(await StorageUtil.setBlob(photo.blobKey, await this.compressPhoto(file)))) {
+      throw new Error(`${file.name} could not be saved. Storage may be full.`);
+    }
+    return photo;
+  },
+
+  /**
+   * Delete the stored blobs of photos (photos saved before blobs keep `data` inline)
+   * @param {array} photos
+   */
+  removePhotoBlobs(photos) {
+    photos.filter(photo => photo.blobKey).forEach(photo => {
+      StorageUtil.removeBlob(photo.blobKey);
+    });
+  },
+
+  /**
+   * Point the photo thumbnails rendered by renderForm() at their stored blobs
+   * @param {HTMLElement} root - Container holding the form
+   * @returns {Promise<void>}
+   */
+  async loadPhotos(root) {
+    const images = Array.from(root.querySelectorAll('img[data-diary-photo]'));
+    await Promise.all(images.map(async img => {
+      const url = await StorageUtil.getBlobUrl(img.getAttribute('data-diary-photo'));
+      if (url) {
+        img.src = url;
+      }
+    }));
+  },
+
+  /**
+   * Scale a photo down to PHOTO_MAX_DIMENSION and re-encode it as a JPEG,
+   * so a handful of phone photos doesn't fill the browser's storage
+   * @param {File} file - Image file
+   * @returns {Promise<Blob>} - JPEG blob
+   */
+  async compressPhoto(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`${file.name} could not be read as an image`));
+        img.src = url;
+      });
+
+      const settings = CONFIG.SITE_DIARY;
+      const scale = Math.min(1, settings.PHOTO_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+      const context = canvas.getContext('2d');
+      // JPEG has no transparency; keep transparent PNGs readable
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`${file.name} could not be compressed`)),
+          'image/jpeg', settings.PHOTO_QUALITY);
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  },
+
+  /**
+   * Validate and clean up log fields
+   */
+  normalize(data) {
+    const date = ProjectSchedule.toDateKey(data.date);
+    if (!date) {
+      throw new Error('Log date is required');
+    }
+    if (date > ProjectSchedule.toDateKey(new Date())) {
+      throw new Error('Site logs cannot be dated in the future');
+    }
+
+    const settings = CONFIG.SITE_DIARY;
+    const text = value => String(value || '').trim();
+    const number = value => Math.max(parseFloat(value) || 0, 0);
+    const weather = data.weather || {};
+    const temperature = parseFloat(weather.temperature);
+
+    const photos = data.photos || [];
+    if (photos.length > settings.MAX_PHOTOS) {
+      throw new Error(`A log can hold up to ${settings.MAX_PHOTOS} photos`);
+    }
+
+    return {
+      date,
+      weather: {
+        condition: settings.WEATHER.includes(weather.condition) ? weather.condition : '',
+        temperature: isNaN(temperature) ? null : temperature
+      },
+      manpower: (data.manpower || [])
+        .map(row => ({ trade: text(row.trade), count: Math.round(number(row.count)) }))
+        .filter(row => row.trade && row.count > 0),
+      equipment: (data.equipment || [])
+        .map(row => ({ name: text(row.name), hours: number(row.hours) }))
+        .filter(row => row.name),
+      materials: (data.materials || [])
+        .map(row => ({ material: text(row.material), quantity: number(row.quantity), unit: text(row.unit), supplier: text(row.supplier) }))
+        .filter(row => row.material),
+      workCompleted: text(data.workCompleted),
+      delays: (data.delays || [])
+        .map(row => ({
+          cause: settings.DELAY_CAUSES.includes(row.cause) ? row.cause : 'Other',
+          hours: number(row.hours),
+          description: text(row.description)
+        }))
+        .filter(row => row.hours > 0 || row.description),
+      incidents: (data.incidents || [])
+        .map(row => ({
+          type: settings.INCIDENT_TYPES.includes(row.type) ? row.type : settings.INCIDENT_TYPES[0],
+          description: text(row.description)
+        }))
+        .filter(row => row.description),
+      photos,
+      published: !!data.published
+    };
+  },
+
+  manpowerTotal(log) {
+    return log.manpower.reduce((sum, row) => sum + row.count, 0);
+  },
+
+  // ============================================
+  // CLIENT UPDATES
+  // ============================================
+
+  /**
+   * Post, refresh or withdraw the client update of a log
+   */
+  syncUpdate(project, log) {
+    project.updates = (project.updates || []).filter(update => update.id !== log.updateId);
+
+    if (!log.published) {
+      log.updateId = null;
+      return;
+    }
+
+    const update = this.toClientUpdate(log);
+    log.updateId = update.id;
+    project.updates.unshift(update);
+    project.updates.sort((a, b) => new Date(b.date) - new Date(a.date));
+  },
+
+  /**
+   * Client-facing summary of a log (incidents stay internal)
+   * @returns {object} - Project update { id, date, title, description, author, siteLogId }
+   */
+  toClientUpdate(log) {
+    const parts = [];
+    if (log.workCompleted) {
+      parts.push(log.workCompleted);
+    }
+    if (log.manpower.length > 0) {
+      parts.push(`Crew on site: ${this.manpowerTotal(log)} (${log.manpower.map(row => `${row.trade} ${row.count}`).join(', ')}).`);
+    }
+    if (log.materials.length > 0) {
+      parts.push(`Materials received: ${log.materials.map(row => row.material).join(', ')}.`);
+    }
+    if (log.delays.length > 0) {
+      parts.push(`Delays: ${log.delays.map(row => `${row.cause.toLowerCase()}${row.hours ? ` (${row.hours} h)` : ''}`).join(', ')}.`);
+    }
+    if (log.weather.condition) {
+      parts.push(`Weather: ${log.weather.condition}${log.weather.temperature !== null ? `, ${log.weather.temperature}°C` : ''}.`);
+    }
+
+    return {
+      id: 'u' + Date.now(),
+      date: `${log.date}T17:00:00`,
+      title: `Site Diary: ${new Date(`${log.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}`,
+      description: parts.join(' ') || 'Work continued on site.',
+      author: log.author,
+      siteLogId: log.id
+    };
+  },
+
+  // ============================================
+  // CALENDAR AND WEEKLY SUMMARY
+  // ============================================
+
+  /**
+   * Days of a month with their logs
+   * @param {object} project
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {array} - [{ date, log }]
+   */
+  getCalendar(project, year, month) {
+    const first = `${year}-${String(month).padStart(2, '0')}-01`;
+    const days = [];
+    for (let date = first; date.slice(0, 7) === first.slice(0, 7); date = ProjectSchedule.addDays(date, 1)) {
+      days.push({ date, log: this.getLog(project, date) });
+    }
+    return days;
+  },
+
+  /**
+   * Monday of the week a date falls in
+   * @param {string} dateKey
+   * @returns {string}
+   */
+  weekStart(dateKey) {
+    const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return ProjectSchedule.addDays(dateKey, -((day + 6) % 7));
+  },
+
+  /**
+   * Totals for a Monday-to-Sunday week of logs
+   * @param {object} project
+   * @param {string} date - Any day of the week
+   * @returns {object} - { start, end, logs, daysLogged, manpower: [{ trade, personDays }], personDays,
+   *   peakCrew, equipment: [{ name, hours }], materials: [{ material, unit, quantity }],
+   *   delays: [{ cause, hours, count }], delayHours, incidents: [{ date, type, description }], weather, work }
+   */
+  getWeeklySummary(project, date) {
+    const start = this.weekStart(ProjectSchedule.toDateKey(date));
+    const end = ProjectSchedule.addDays(start, 6);
+    const logs = this.getLogs(project).filter(log => log.date >= start && log.date <= end).reverse();
+
+    // Add up rows that share a key
+    const total = (rows, key, fields) => Object.values(rows.reduce((totals, row) => {
+      const id = key(row);
+      totals[id] = totals[id] || { ...row, ...Object.fromEntries(fields.map(([name]) => [name, 0])) };
+      fields.forEach(([name, value]) => { totals[id][name] += value(row); });
+      return totals;
+    }, {}));
+    const all = field => logs.reduce((rows, log) => rows.concat(log[field]), []);
+
+    const manpower = total(all('manpower'), row => row.trade, [['personDays', row => row.count]])
+      .map(({ trade, personDays }) => ({ trade, personDays }));
+    const equipment = total(all('equipment'), row => row.name.toLowerCase(), [['hours', row => row.hours]])
+      .map(({ name, hours }) => ({ name, hours }));
+    const materials = total(all('materials'), row => `${row.material.toLowerCase()}|${row.unit.toLowerCase()}`, [['quantity', row => row.quantity]])
+      .map(({ material, unit, quantity }) => ({ material, unit, quantity }));
+    const delays = total(all('delays'), row => row.cause, [['hours', row => row.hours], ['count', () => 1]])
+      .map(({ cause, hours, count }) => ({ cause, hours, count }));
+
+    return {
+      start,
+      end,
+      logs,
+      daysLogged: logs.length,
+      manpower,
+      personDays: manpower.reduce((sum, row) => sum + row.personDays, 0),
+      peakCrew: Math.max(0, ...logs.map(log => this.manpowerTotal(log))),
+      equipment,
+      materials,
+      delays,
+      delayHours: delays.reduce((sum, row) => sum + row.hours, 0),
+      incidents: logs.reduce((rows, log) => rows.concat(log.incidents.map(incident => ({ date: log.date, ...incident }))), []),
+      weather: logs.map(log => ({ date: log.date, ...log.weather })),
+      work: logs.filter(log => log.workCompleted).map(log => ({ date: log.date, text: log.workCompleted }))
+    };
+  },
+
+  /**
+   * Download the weekly report as a PDF (PDFGenerator.siteReport)
+   */
+  exportWeeklyPDF(project, date) {
+    const summary = this.getWeeklySummary(project, date);
+    PDFGenerator.download(PDFGenerator.siteReport(project, summary), `site-report-${project.id}-${summary.start}.pdf`);
+  },
+
+  // ============================================
+  // FORM
+  // ============================================
+
+  /**
+   * Read the log form
+   * Lists are typed one entry per line, fields separated by commas.
+   * @param {FormData} data
+   * @returns {object} - Fields for saveLog()
+   */
+  fromForm(data) {
+    const lines = name => String(data.get(name) || '')
+      .split('\n')
+      .map(line => line.split(',').map(part => part.trim()))
+      .filter(parts => parts[0]);
+
+    return {
+      date: data.get('date'),
+      weather: { condition: data.get('weatherCondition'), temperature: data.get('temperature') },
+      manpower: CONFIG.SITE_DIARY.TRADES.map((trade, i) => ({ trade, count: data.get(`manpower-${i}`) })),
+      equipment: lines('equipment').map(([name, hours]) => ({ name, hours })),
+      // "Cement, 40 quintal, Derba" - the unit may follow the quantity
+      materials: lines('materials').map(([material, amount = '', supplier]) => {
+        const match = amount.match(/^([\d.]+)\s*(.*)$/);
+        return { material, quantity: match ? match[1] : 0, unit: match ? match[2] : amount, supplier };
+      }),
+      workCompleted: data.get('workCompleted'),
+      delays: lines('delays').map(([cause, hours, ...description]) => ({ cause, hours, description: description.join(', ') })),
+      incidents: lines('incidents').map(([type, ...description]) => ({ type, description: description.join(', ') })),
+      published: data.get('published') === 'on'
+    };
+  },
+
+  // ============================================
+  // RENDERING (project detail modal)
+  // ============================================
+
+  /**
+   * Site diary section
+   * @param {object} project
+   * @param {object} view - { mode: 'list'|'calendar', year, month, editing: date|null, week: date|null }
+   * @returns {string} - HTML
+   */
+  render(project, view) {
+    const mode = (value, label, icon) => `
+      <button class="btn btn-outline-secondary ${view.mode === value ? 'active' : ''}" data-diary-action="mode" data-mode="${value}">
+        <i class="fas ${icon} me-1"></i>${label}
+      </button>
+    `;
+
+    return `
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h6 class="text-primary mb-0"><i class="fas fa-hard-hat me-2"></i>Site Diary</h6>
+        <div class="d-flex gap-2">
+          <div class="btn-group btn-group-sm">
+            ${mode('list', 'List', 'fa-list')}
+            ${mode('calendar', 'Calendar', 'fa-calendar-alt')}
+          </div>
+          <button class="btn btn-sm btn-outline-secondary" data-diary-action="week" data-date="${view.week || ProjectSchedule.toDateKey(new Date())}">
+            <i class="fas fa-file-alt me-1"></i>Weekly report
+          </button>
+          <button class="btn btn-sm btn-outline-primary" data-diary-action="open" data-date="${ProjectSchedule.toDateKey(new Date())}">
+            <i class="fas fa-plus me-1"></i>Today's log
+          </button>
+        </div>
+      </div>
+      ${view.editing ? this.renderForm(project, view.editing) : ''}
+      ${view.week ? this.renderWeekly(this.getWeeklySummary(project, view.week)) : ''}
+      ${view.mode === 'calendar' ? this.renderCalendar(project, view.year, view.month) : this.renderList(project)}
+    `;
+  },
+
+  renderList(project) {
+    const logs = this.getLogs(project).slice(0, 14);
+    if (logs.length === 0) {
+      return '<p class="text-muted small">No site logs yet</p>';
+    }
+
+    return `
+      <div class="list-group">
+        ${logs.map(log => `
+          <a href="#" class="list-group-item list-group-item-action" data-diary-action="open" data-date="${log.date}">
+            <div class="d-flex justify-content-between">
+              <strong class="small">${this.formatDate(log.date)}</strong>
+              <span>
+                ${log.delays.length > 0 ? '<span class="badge bg-warning text-dark">Delay</span>' : ''}
+                ${log.incidents.length > 0 ? '<span class="badge bg-danger">Incident</span>' : ''}
+                ${log.published ? '<span class="badge bg-info">Published</span>' : ''}
+              </span>
+            </div>
+            <small class="text-muted">
+              ${log.weather.condition ? `${log.weather.condition} &middot; ` : ''}${this.manpowerTotal(log)} on site
+              ${log.photos.length > 0 ? `&middot; <i class="fas fa-camera"></i> ${log.photos.length}` : ''}
+            </small>
+            ${log.workCompleted ? `<p class="mb-0 small">${this.escape(this.truncate(log.workCompleted, 140))}</p>` : ''}
+          </a>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  renderCalendar(project, year, month) {
+    const calendar = this.getCalendar(project, year, month);
+    const title = new Date(year, month - 1, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+    const today = ProjectSchedule.toDateKey(new Date());
+
+    // Monday-first grid
+    const offset = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+    const cells = [...Array(offset).fill(null), ...calendar];
+
+    return `
+      <div class="d-flex justify-content-end mb-2">
+        <div class="btn-group btn-group-sm">
+          <button class="btn btn-outline-secondary" data-diary-action="calendar-prev">&lsaquo;</button>
+          <span class="btn btn-outline-secondary disabled">${title}</span>
+          <button class="btn btn-outline-secondary" data-diary-action="calendar-next">&rsaquo;</button>
+        </div>
+      </div>
+      <table class="table table-bordered table-sm text-center small">
+        <thead>
+          <tr>${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<th>${day}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${Array.from({ length: Math.ceil(cells.length / 7) }, (_, week) => `
+            <tr>
+              ${cells.slice(week * 7, week * 7 + 7).map(day => {
+                if (!day) {
+                  return '<td></td>';
+                }
+                const log = day.log;
+                const color = !log ? '' : log.incidents.length > 0 ? 'table-danger' : log.delays.length > 0 ? 'table-warning' : 'table-success';
+                return `
+                  <td class="${color}" ${day.date <= today ? `data-diary-action="open" data-date="${day.date}" style="cursor: pointer;"` : ''}
+                      title="${log ? `${this.manpowerTotal(log)} on site${log.weather.condition ? `, ${log.weather.condition}` : ''}` : 'No log'}">
+                    <div class="fw-bold">${Number(day.date.slice(8))}</div>
+                    <div>${log ? `<i class="fas fa-users"></i> ${this.manpowerTotal(log)}` : '&nbsp;'}</div>
+                  </td>
+                `;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <small class="text-muted">Green: logged, amber: delays, red: incidents. Click a day to open its log.</small>
+    `;
+  },
+
+  /**
+   * Log form for a day (filled in when the day already has a log)
+   */
+  renderForm(project, date) {
+    const log = this.getLog(project, date);
+    const settings = CONFIG.SITE_DIARY;
+    const count = trade => {
+      const row = log ? log.manpower.find(item => item.trade === trade) : null;
+      return row ? row.count : '';
+    };
+    const lines = (rows, format) => this.escape((rows || []).map(format).join('\n'));
+
+    return `
+      <form class="border rounded p-3 mb-3" data-diary-form data-project="${project.id}">
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h6 class="mb-0">${log ? 'Site log' : 'New site log'}</h6>
+          ${log && log.author ? `<small class="text-muted">by ${this.escape(log.author)}</small>` : ''}
+        </div>
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label small">Date</label>
+            <input type="date" class="form-control form-control-sm" name="date" value="${date}" max="${ProjectSchedule.toDateKey(new Date())}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Weather</label>
+            <select class="form-select form-select-sm" name="weatherCondition">
+              <option value="">-</option>
+              ${settings.WEATHER.map(condition => `<option ${log && log.weather.condition === condition ? 'selected' : ''}>${condition}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label small">Temperature (°C)</label>
+            <input type="number" class="form-control form-control-sm" name="temperature" step="0.1"
+                   value="${log && log.weather.temperature !== null ? log.weather.temperature : ''}">
+          </div>
+          <div class="col-12">
+            <label class="form-label small d-block">Manpower on site</label>
+            <div class="row g-2">
+              ${settings.TRADES.map((trade, i) => `
+                <div class="col-6 col-md-3">
+                  <div class="input-group input-group-sm">
+                    <span class="input-group-text">${trade}</span>
+                    <input type="number" class="form-control" name="manpower-${i}" min="0" step="1" value="${count(trade)}">
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+          <div class="col-12">
+            <label class="form-label small">Work completed</label>
+            <textarea class="form-control form-control-sm" name="workCompleted" rows="2">${log ? this.escape(log.workCompleted) : ''}</textarea>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Equipment used <span class="text-muted">(one per line: name, hours)</span></label>
+            <textarea class="form-control form-control-sm" name="equipment" rows="2"
+                      placeholder="Excavator, 6">${lines(log && log.equipment, row => `${row.name}, ${row.hours}`)}</textarea>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Materials received <span class="text-muted">(material, quantity unit, supplier)</span></label>
+            <textarea class="form-control form-control-sm" name="materials" rows="2"
+                      placeholder="Cement, 40 quintal, Derba">${lines(log && log.materials, row => [row.material, `${row.quantity} ${row.unit}`.trim(), row.supplier].filter(Boolean).join(', '))}</textarea>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Delays <span class="text-muted">(cause, hours, description)</span></label>
+            <textarea class="form-control form-control-sm" name="delays" rows="2"
+                      placeholder="${settings.DELAY_CAUSES[0]}, 3, Rain stopped concrete pour">${lines(log && log.delays, row => [row.cause, row.hours, row.description].filter(part => part !== '').join(', '))}</textarea>
+            <small class="text-muted">Causes: ${settings.DELAY_CAUSES.join(', ')}</small>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label small">Incidents <span class="text-muted">(type, description)</span></label>
+            <textarea class="form-control form-control-sm" name="incidents" rows="2"
+                      placeholder="${settings.INCIDENT_TYPES[0]}, Unsecured scaffold board">${lines(log && log.incidents, row => `${row.type}, ${row.description}`)}</textarea>
+            <small class="text-muted">Types: ${settings.INCIDENT_TYPES.join(', ')}</small>
+          </div>
+          <div class="col-12">
+            <label class="form-label small">Photos <span class="text-muted">(up to ${settings.MAX_PHOTOS})</span></label>
+            ${log && log.photos.length > 0 ? `
+              <div class="d-flex flex-wrap gap-2 mb-2">
+                ${log.photos.map(photo => `
+                  <div class="position-relative">
+                    <img ${photo.blobKey ? `data-diary-photo="${photo.blobKey}"` : `src="${photo.data}"`} alt="${this.escape(photo.name)}" class="rounded" style="width: 80px; height: 60px; object-fit: cover;">
+                    <button type="button" class="btn btn-sm btn-danger position-absolute top-0 end-0 py-0 px-1"
+                            data-diary-action="remove-photo" data-log="${log.id}" data-photo="${photo.id}" title="Remove">&times;</button>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            <input type="file" class="form-control form-control-sm" name="photos" accept="image/*" multiple>
+          </div>
+          <div class="col-12">
+            <div class="form-check form-switch">
+              <input class="form-check-input" type="checkbox" name="published" id="diaryPublished" ${log && log.published ? 'checked' : ''}>
+              <label class="form-check-label small" for="diaryPublished">
+                Publish to client (posts a summary to the project updates; incidents are not shared)
+              </label>
+            </div>
+          </div>
+        </div>
+        <div class="mt-3 d-flex gap-2">
+          <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-save me-1"></i>Save log</button>
+          <button type="button" class="btn btn-sm btn-secondary" data-diary-action="close">Cancel</button>
+          ${log ? `
+            <button type="button" class="btn btn-sm btn-outline-danger ms-auto" data-diary-action="delete" data-log="${log.id}">
+              <i class="fas fa-trash me-1"></i>Delete
+            </button>
+          ` : ''}
+        </div>
+      </form>
+    `;
+  },
+
+  /**
+   * Weekly summary panel
+   */
+  renderWeekly(summary) {
+    const table = (headers, rows) => rows.length === 0 ? '<p class="text-muted small mb-2">None</p>' : `
+      <table class="table table-sm small mb-2">
+        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${this.escape(String(cell))}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    `;
+
+    return `
+      <div class="border rounded p-3 mb-3">
+        <div class="d-flex justify-content-between align-items-center mb-2">
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-secondary" data-diary-action="week" data-date="${ProjectSchedule.addDays(summary.start, -7)}">&lsaquo;</button>
+            <span class="btn btn-outline-secondary disabled">Week of ${this.formatDate(summary.start)}</span>
+            <button class="btn btn-outline-secondary" data-diary-action="week" data-date="${ProjectSchedule.addDays(summary.start, 7)}">&rsaquo;</button>
+          </div>
+          <div class="d-flex gap-2">
+            <button class="btn btn-sm btn-outline-primary" data-diary-action="week-pdf" data-date="${summary.start}">
+              <i class="fas fa-file-pdf me-1"></i>PDF
+            </button>
+            <button class="btn btn-sm btn-outline-secondary" data-diary-action="close-week">&times;</button>
+          </div>
+        </div>
+        <p class="small mb-2">
+          ${summary.daysLogged} day${summary.daysLogged !== 1 ? 's' : ''} logged &middot;
+          ${summary.personDays} person-days (peak crew ${summary.peakCrew}) &middot;
+          ${summary.delayHours} h of delays &middot;
+          ${summary.incidents.length} incident${summary.incidents.length !== 1 ? 's' : ''}
+        </p>
+        <div class="row">
+          <div class="col-md-6">
+            <strong class="small">Manpower</strong>
+            ${table(['Trade', 'Person-days'], summary.manpower.map(row => [row.trade, row.personDays]))}
+            <strong class="small">Equipment</strong>
+            ${table(['Equipment', 'Hours'], summary.equipment.map(row => [row.name, row.hours]))}
+          </div>
+          <div class="col-md-6">
+            <strong class="small">Materials received</strong>
+            ${table(['Material', 'Quantity'], summary.materials.map(row => [row.material, `${row.quantity} ${row.unit}`.trim()]))}
+            <strong class="small">Delays</strong>
+            ${table(['Cause', 'Hours', 'Days'], summary.delays.map(row => [row.cause, row.hours, row.count]))}
+          </div>
+        </div>
+        <strong class="small">Incidents</strong>
+        ${table(['Date', 'Type', 'Description'], summary.incidents.map(row => [row.date, row.type, row.description]))}
+        <strong class="small">Work completed</strong>
+        ${summary.work.length === 0 ? '<p class="text-muted small mb-0">None</p>' : `
+          <ul class="small mb-0">
+            ${summary.work.map(row => `<li><strong>${this.formatDate(row.date)}:</strong> ${this.escape(row.text)}</li>`).join('')}
+          </ul>
+        `}
+      </div>
+    `;
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  formatDate(dateKey) {
+    return new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  },
+
+  truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  },
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
+  authorize(project) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('projects:update', project);
+    }
+  },
+
+  logAction(action, targetType, targetId, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, targetType, targetId, details);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteDiary;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.SiteDiary = SiteDiary;
+}
@@ -176,44 +176,14 @@ function updateDownPayment(value) {
     document.getElementById('downPaymentValue').textContent = value + '%';
 }
 
+// Kept for inline onclick handlers; the calculation lives in
+// modules/financing-calculator.js
 function calculateFinancing() {
-    const cost = parseFloat(document.getElementById('projectCost').value);
-    const downPaymentPercent = parseFloat(document.getElementById('downPayment').value);
-    const term = parseInt(document.getElementById('loanTerm').value);
-    
-    if (!cost || cost < 100000) {
-        alert('Please enter a valid project cost (minimum 100,000 ETB)');
+    if (typeof FinancingCalculator === 'undefined') {
+        console.error('FinancingCalculator is not loaded');
         return;
     }
-    
-    const downPayment = cost * (downPaymentPercent / 100);
-    const loanAmount = cost - downPayment;
-    const annualRate = 0.12; // 12% annual interest rate
-    const monthlyRate = annualRate / 12;
-    const numPayments = term * 12;
-    
-    // Calculate monthly payment using amortization formula
-    const monthlyPayment = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-                          (Math.pow(1 + monthlyRate, numPayments) - 1);
-    
-    const totalPayment = monthlyPayment * numPayments;
-    const totalInterest = totalPayment - loanAmount;
-    
-    // Display results
-    document.getElementById('monthlyPayment').textContent = 
-        Math.round(monthlyPayment).toLocaleString() + ' ETB';
-    document.getElementById('loanAmount').textContent = 
-        Math.round(loanAmount).toLocaleString() + ' ETB';
-    document.getElementById('totalInterest').textContent = 
-        Math.round(totalInterest).toLocaleString() + ' ETB';
-    
-    document.getElementById('financingResult').style.display = 'block';
-    
-    // Smooth scroll to result
-    document.getElementById('financingResult').scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'nearest' 
-    });
+    FinancingCalculator.calculateFromForm();
 }
 
 // ============================================
@@ -0,0 +1,572 @@
+/**
+ * Account Management Utility
+ * User lifecycle on top of AuthUtil: registration, invitations, password reset
+ * and deactivation of accounts in db_users
+ *
+ * Invitation and reset links carry a one-time token; only its SHA-256 hash is
+ * stored. Emails are recorded in EmailOutbox.
+ */
+
+const AccountUtil = {
+  // ============================================
+  // REGISTRATION
+  // ============================================
+
+  /**
+   * Register a client account (backend first, local fallback)
+   * @param {object} data - { name, email, password, username, phone, company }
+   * @returns {Promise<object>} - { success, user, message, errors }
+   */
+  async register(data) {
+    const errors = this.validateAccount(data);
+    if (Object.keys(errors).length > 0) {
+      return { success: false, errors, message: Object.values(errors)[0] };
+    }
+
+    try {
+      if (typeof API !== 'undefined' && API.auth) {
+        const response = await API.auth.register({
+          name: data.name,
+          email: data.email,
+          username: data.username,
+          password: data.password,
+          phone: data.phone,
+          company: data.company
+        });
+
+        return {
+          success: Boolean(response.success),
+          user: response.user || null,
+          message: response.message || 'Registration successful'
+        };
+      }
+    } catch (error) {
+      // Backend rejected the registration: report it rather than creating a local account
+      if (error.status) {
+        return { success: false, errors: error.fieldErrors || {}, message: error.message };
+      }
+      console.warn('API registration failed, using localStorage fallback:', error);
+    }
+
+    return this.registerLocal(data);
+  },
+
+  /**
+   * Register a client account in db_users
+   * @param {object} data - { name, email, password, username, phone, company }
+   * @returns {Promise<object>} - { success, user, message }
+   */
+  async registerLocal(data) {
+    const users = this.getUsers();
+    if (this.findByEmail(data.email, users)) {
+      return { success: false, errors: { email: 'An account with this email already exists' }, message: 'An account with this email already exists' };
+    }
+
+    const username = data.username || this.suggestUsername(data.email, users);
+    if (users.some(u => u.username === username)) {
+      return { success: false, errors: { username: 'This username is taken' }, message: 'This username is taken' };
+    }
+
+    const user = {
+      id: this.generateUserId('client'),
+      username,
+      email: data.email.trim(),
+      passwordHash: await AuthUtil.hashPassword(data.password),
+      name: data.name.trim(),
+      phone: data.phone || '',
+      company: data.company || '',
+      role: 'client',
+      projectIds: [],
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      lastLogin: null,
+      isActive: true
+    };
+
+    users.push(user);
+    this.saveUsers(users);
+    this.logEvent('user_registered', user, { email: user.email });
+
+    return { success: true, user: this.publicUser(user), message: 'Registration successful' };
+  },
+
+  // ============================================
+  // INVITATIONS
+  // ============================================
+
+  /**
+   * Invite a staff member or client by email
+   * The account is created inactive and activated when the invitation is accepted.
+   * @param {object} data - { email, name, role, projectIds }
+   * @returns {Promise<object>} - { success, user, message }
+   */
+  async inviteUser({ email, name, role = 'client', projectIds = [] }) {
+    this.authorize('users:create');
+
+    if (!this.isValidEmail(email)) {
+      return { success: false, message: 'Please enter a valid email address' };
+    }
+
+    const users = this.getUsers();
+    const existing = this.findByEmail(email, users);
+    if (existing && existing.status !== 'invited') {
+      return { success: false, message: 'An account with this email already exists' };
+    }
+
+    const inviter = AuthUtil.getCurrentUser();
+    const user = existing || {
+      id: this.generateUserId(role),
+      username: this.suggestUsername(email, users),
+      email: email.trim(),
+      createdAt: new Date().toISOString(),
+      lastLogin: null
+    };
+
+    Object.assign(user, {
+      name: name || user.name || email.split('@')[0],
+      role,
+      projectIds,
+      status: 'invited',
+      isActive: false,
+      invitedAt: new Date().toISOString(),
+      invitedBy: inviter ? inviter.id : null
+    });
+
+    if (!existing) {
+      users.push(user);
+    }
+    this.saveUsers(users);
+
+    // Resending replaces the previous link
+    const token = await this.createToken('invite', user, CONFIG.ACCOUNTS.INVITE_EXPIRY);
+    const link = this.buildLink(CONFIG.ACCOUNTS.INVITE_PAGE, token);
+
+    EmailOutbox.send({
+      to: user.email,
+      subject: `You're invited to ${CONFIG.APP_NAME}`,
+      body: `Hello ${user.name},\n\n` +
+        `${inviter ? inviter.name || inviter.username : 'An administrator'} has invited you to join ${CONFIG.APP_NAME} as ${role}.\n\n` +
+        `Set your password here: ${link}\n\n` +
+        `This link expires in ${this.formatDuration(CONFIG.ACCOUNTS.INVITE_EXPIRY)}.`,
+      type: 'invitation',
+      meta: { userId: user.id, link }
+    });
+
+    this.logEvent(existing ? 'invitation_resent' : 'user_invited', user, { email: user.email, role });
+    return { success: true, user: this.publicUser(user), message: `Invitation sent to ${user.email}` };
+  },
+
+  /**
+   * Accept an invitation and set the account password
+   * @param {string} token - Token from the invitation link
+   * @param {string} password - New password
+   * @returns {Promise<object>} - { success, user, message }
+   */
+  async acceptInvitation(token, password) {
+    const record = await this.findToken(token, 'invite');
+    if (!record) {
+      return { success: false, message: 'This invitation link is invalid or has expired' };
+    }
+
+    const passwordCheck = this.checkPassword(password);
+    if (!passwordCheck.valid) {
+      return { success: false, message: passwordCheck.message };
+    }
+
+    const users = this.getUsers();
+    const user = users.find(u => u.id === record.userId);
+    if (!user || user.status !== 'invited') {
+      return { success: false, message: 'This invitation is no longer valid' };
+    }
+
+    user.passwordHash = await AuthUtil.hashPassword(password);
+    delete user.password;
+    user.status = 'active';
+    user.isActive = true;
+    user.activatedAt = new Date().toISOString();
+
+    this.saveUsers(users);
+    this.consumeToken(record);
+    this.logEvent('invitation_accepted', user, { email: user.email });
+
+    return { success: true, user: this.publicUser(user), message: 'Your account is ready. You can now sign in.' };
+  },
+
+  /**
+   * Get invitations that have not been accepted yet
+   * @returns {array} - Invited users
+   */
+  getPendingInvitations() {
+    return this.getUsers()
+      .filter(u => u.status === 'invited')
+      .map(u => this.publicUser(u));
+  },
+
+  /**
+   * Withdraw an invitation and remove the inactive account
+   * @param {string} userId - Invited user ID
+   * @returns {boolean} - Success status
+   */
+  revokeInvitation(userId) {
+    this.authorize('users:delete');
+
+    const users = this.getUsers();
+    const user = users.find(u => u.id === userId && u.status === 'invited');
+    if (!user) {
+      return false;
+    }
+
+    this.saveUsers(users.filter(u => u.id !== userId));
+    this.revokeTokens(userId);
+    this.logEvent('invitation_revoked', user, { email: user.email });
+    return true;
+  },
+
+  // ============================================
+  // PASSWORD RESET
+  // ============================================
+
+  /**
+   * Email a password reset link
+   * Always reports success so the response does not reveal which emails have accounts.
+   * @param {string} email - Account email
+   * @returns {Promise<object>} - { success, message }
+   */
+  async requestPasswordReset(email) {
+    const result = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent.'
+    };
+
+    const user = this.findByEmail(email);
+    if (!user || !user.isActive) {
+      return result;
+    }
+
+    const token = await this.createToken('reset', user, CONFIG.ACCOUNTS.RESET_EXPIRY);
+    const link = this.buildLink(CONFIG.ACCOUNTS.RESET_PAGE, token);
+
+    EmailOutbox.send({
+      to: user.email,
+      subject: `Reset your ${CONFIG.APP_NAME} password`,
+      body: `Hello ${user.name},\n\n` +
+        `We received a request to reset your password. Choose a new one here: ${link}\n\n` +
+        `This link expires in ${this.formatDuration(CONFIG.ACCOUNTS.RESET_EXPIRY)}. ` +
+        `If you did not ask for a reset, you can ignore this email.`,
+      type: 'password_reset',
+      meta: { userId: user.id, link }
+    });
+
+    this.logEvent('password_reset_requested', user, { email: user.email });
+    return result;
+  },
+
+  /**
+   * Set a new password with a reset token
+   * Signs out the account's existing sessions and clears any login lockout.
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @returns {Promise<object>} - { success, message }
+   */
+  async resetPassword(token, password) {
+    const record = await this.findToken(token, 'reset');
+    if (!record) {
+      return { success: false, message: 'This reset link is invalid or has expired' };
+    }
+
+    const passwordCheck = this.checkPassword(password);
+    if (!passwordCheck.valid) {
+      return { success: false, message: passwordCheck.message };
+    }
+
+    const users = this.getUsers();
+    const user = users.find(u => u.id === record.userId);
+    if (!user || !user.isActive) {
+      return { success: false, message: 'This account is not active' };
+    }
+
+    user.passwordHash = await AuthUtil.hashPassword(password);
+    delete user.password;
+    user.passwordChangedAt = new Date().toISOString();
+
+    this.saveUsers(users);
+    this.consumeToken(record);
+    AuthUtil.revokeSessions(user.id);
+    AuthUtil.clearFailedLogins(user.username);
+    AuthUtil.clearFailedLogins(user.email);
+    this.logEvent('password_reset', user, { email: user.email });
+
+    return { success: true, message: 'Your password has been changed. You can now sign in.' };
+  },
+
+  // ============================================
+  // ACTIVATION
+  // ============================================
+
+  /**
+   * Deactivate an account; the user can no longer sign in
+   * @param {string} userId - User ID
+   * @returns {object} - { success, message }
+   */
+  deactivateUser(userId) {
+    const users = this.getUsers();
+    const user = users.find(u => u.id === userId);
+    this.authorize('users:update', user);
+
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+
+    const currentUser = AuthUtil.getCurrentUser();
+    if (currentUser && currentUser.id === userId) {
+      return { success: false, message: 'You cannot deactivate your own account' };
+    }
+
+    user.isActive = false;
+    user.status = 'deactivated';
+    user.deactivatedAt = new Date().toISOString();
+
+    this.saveUsers(users);
+    this.revokeTokens(userId);
+    this.logEvent('user_deactivated', user, { email: user.email });
+
+    return { success: true, message: `${user.name} has been deactivated` };
+  },
+
+  /**
+   * Reactivate a deactivated account
+   * @param {string} userId - User ID
+   * @returns {object} - { success, message }
+   */
+  reactivateUser(userId) {
+    const users = this.getUsers();
+    const user = users.find(u => u.id === userId);
+    this.authorize('users:update', user);
+
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+    if (user.status === 'invited') {
+      return { success: false, message: 'This user has not accepted their invitation yet' };
+    }
+
+    user.isActive = true;
+    user.status = 'active';
+    user.deactivatedAt = null;
+
+    this.saveUsers(users);
+    this.logEvent('user_reactivated', user, { email: user.email });
+
+    return { success: true, message: `${user.name} has been reactivated` };
+  },
+
+  // ============================================
+  // TOKENS
+  // ============================================
+
+  /**
+   * Create a one-time token, replacing older unused tokens of the same type
+   * @param {string} type - 'invite' or 'reset'
+   * @param {object} user - User record
+   * @param {number} expiry - Lifetime in milliseconds
+   * @returns {Promise<string>} - Plaintext token (only sent in the email)
+   */
+  async createToken(type, user, expiry) {
+    const token = AuthUtil.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    const tokens = StorageUtil.get(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, [])
+      .filter(t => !(t.userId === user.id && t.type === type) && t.expiresAt > Date.now());
+
+    tokens.push({
+      hash: await this.hashToken(token),
+      type,
+      userId: user.id,
+      createdAt: new Date().toISOString(),
+      expiresAt: Date.now() + expiry
+    });
+
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, tokens);
+    return token;
+  },
+
+  /**
+   * Look up an unexpired token
+   * Pages can call this to show "link expired" before asking for a password.
+   * @param {string} token - Plaintext token
+   * @param {string} type - 'invite' or 'reset'
+   * @returns {Promise<object|null>} - Token record
+   */
+  async findToken(token, type) {
+    if (!token) {
+      return null;
+    }
+
+    const hash = await this.hashToken(token);
+    const record = StorageUtil.get(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, [])
+      .find(t => t.hash === hash && t.type === type);
+
+    return record && record.expiresAt > Date.now() ? record : null;
+  },
+
+  /**
+   * Remove a token once used
+   * @param {object} record - Token record
+   */
+  consumeToken(record) {
+    const tokens = StorageUtil.get(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, []);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, tokens.filter(t => t.hash !== record.hash));
+  },
+
+  /**
+   * Remove all tokens for a user
+   * @param {string} userId - User ID
+   */
+  revokeTokens(userId) {
+    const tokens = StorageUtil.get(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, []);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.ACCOUNT_TOKENS, tokens.filter(t => t.userId !== userId));
+  },
+
+  async hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return AuthUtil.toBase64Url(new Uint8Array(digest));
+  },
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  getUsers() {
+    return StorageUtil.get(CONFIG.STORAGE_KEYS.USERS, []);
+  },
+
+  saveUsers(users) {
+    StorageUtil.set(CONFIG.STORAGE_KEYS.USERS, users);
+  },
+
+  findByEmail(email, users = this.getUsers()) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return users.find(u => u.email && u.email.toLowerCase() === normalized) || null;
+  },
+
+  /**
+   * Strip password fields from a user record
+   */
+  publicUser(user) {
+    const { password, passwordHash, ...userData } = user;
+    return userData;
+  },
+
+  /**
+   * Validate registration fields
+   * @param {object} data - Registration data
+   * @returns {object} - Field errors
+   */
+  validateAccount(data) {
+    const errors = {};
+
+    if (!data.name || !data.name.trim()) {
+      errors.name = 'Name is required';
+    }
+    if (!this.isValidEmail(data.email)) {
+      errors.email = 'Please enter a valid email address';
+    }
+
+    const passwordCheck = this.checkPassword(data.password);
+    if (!passwordCheck.valid) {
+      errors.password = passwordCheck.message;
+    }
+
+    return errors;
+  },
+
+  /**
+   * Check a new password against the `security.requireStrongPassword` setting
+   * @param {string} password - New password
+   * @returns {object} - { valid, message }
+   */
+  checkPassword(password) {
+    if (!password || password.length < 8) {
+      return { valid: false, message: 'Password must be at least 8 characters' };
+    }
+
+    if (AuthUtil.getSecuritySettings().requireStrongPassword !== false && typeof ValidationUtil !== 'undefined') {
+      return ValidationUtil.validatePassword(password);
+    }
+    return { valid: true, message: '' };
+  },
+
+  isValidEmail(email) {
+    if (typeof ValidationUtil !== 'undefined') {
+      return ValidationUtil.validateEmail(email);
+    }
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ''));
+  },
+
+  /**
+   * Suggest a unique username from an email address
+   */
+  suggestUsername(email, users) {
+    const base = String(email).split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '') || 'user';
+    let username = base;
+    let suffix = 2;
+    while (users.some(u => u.username === username)) {
+      username = `${base}${suffix++}`;
+    }
+    return username;
+  },
+
+  generateUserId(role) {
+    return `${role}-` + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  },
+
+  /**
+   * Build an absolute link to an account page
+   */
+  buildLink(page, token) {
+    const origin = typeof window !== 'undefined' && window.location && window.location.origin
+      ? window.location.origin
+      : '';
+    return `${origin}/${page}?token=${encodeURIComponent(token)}`;
+  },
+
+  formatDuration(ms) {
+    const hours = Math.round(ms / (60 * 60 * 1000));
+    if (hours >= 24) {
+      const days = Math.round(hours / 24);
+      return `${days} day${days !== 1 ? 's' : ''}`;
+    }
+    return `${hours} hour${hours !== 1 ? 's' : ''}`;
+  },
+
+  /**
+   * Require a capability when PermissionUtil is loaded
+   * @throws {PermissionError}
+   */
+  authorize(permission, record = null) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert(permission, record);
+    }
+  },
+
+  /**
+   * Write an account event to the audit log
+   * The signed-in admin is recorded when there is one, otherwise the user themselves.
+   */
+  logEvent(action, user, details = {}) {
+    if (typeof AuditLog === 'undefined') {
+      return;
+    }
+
+    const actor = AuthUtil.getCurrentUser() || user;
+    AuditLog.logAction(action, 'user', user.id, details, actor);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountUtil;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.AccountUtil = AccountUtil;
+}
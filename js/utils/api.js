@@ -9,9 +9,122 @@ const API_CONFIG = {
     timeout: 10000,
     headers: {
         'Content-Type': 'application/json'
+    },
+    retry: {
+        retries: 2,
+        retryDelay: 500,                          // doubled on each attempt
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        statuses: [408, 429, 502, 503, 504]
     }
 };
 
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Base API error
+ * Every error thrown by APIService.request is an APIError, so callers can
+ * branch on `instanceof` instead of matching message strings.
+ */
+class APIError extends Error {
+    constructor(message, { status = null, data = null, endpoint = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.data = data;
+        this.endpoint = endpoint;
+    }
+}
+
+/**
+ * The backend could not be reached (offline, DNS, CORS)
+ */
+class NetworkError extends APIError {
+    constructor(message = 'Network error: unable to reach the server', details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+class TimeoutError extends NetworkError {
+    constructor(message = 'Request timeout', details = {}) {
+        super(message, details);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * 400/422 - the request was rejected, with per-field messages when provided
+ */
+class ValidationError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+        const data = details.data || {};
+        this.fieldErrors = data.errors || data.fieldErrors || {};
+    }
+}
+
+/**
+ * 401 - missing or expired credentials
+ */
+class AuthenticationError extends APIError {
+    constructor(message = 'Authentication required', details = {}) {
+        super(message, details);
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * 403 - authenticated but not allowed
+ */
+class AuthorizationError extends APIError {
+    constructor(message = 'You do not have permission to perform this action', details = {}) {
+        super(message, details);
+        this.name = 'AuthorizationError';
+    }
+}
+
+/**
+ * 5xx - the server failed to handle the request
+ */
+class ServerError extends APIError {
+    constructor(message = 'Server error', details = {}) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Build the matching APIError subclass for an HTTP error response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Parsed response body
+ * @param {string} endpoint - Requested endpoint
+ * @returns {APIError}
+ */
+function createAPIError(status, data, endpoint) {
+    const message = (data && (data.error || data.message)) || `HTTP error! status: ${status}`;
+    const details = { status, data, endpoint };
+
+    if (status === 400 || status === 422) {
+        return new ValidationError(message, details);
+    }
+    if (status === 401) {
+        return new AuthenticationError(message, details);
+    }
+    if (status === 403) {
+        return new AuthorizationError(message, details);
+    }
+    if (status >= 500) {
+        return new ServerError(message, details);
+    }
+    return new APIError(message, details);
+}
+
 /**
  * API Service - Main API communication class
  */
@@ -20,66 +133,295 @@ class APIService {
         this.baseURL = config.baseURL;
         this.timeout = config.timeout;
         this.headers = config.headers;
+        this.retry = { ...API_CONFIG.retry, ...config.retry };
+
+        // Middleware pipeline
+        this.interceptors = {
+            request: [],
+            response: []
+        };
+
+        // Offline sync queue (attached by utils/sync-queue.js)
+        this.queue = null;
+
+        // Attach the stored auth token to every request
+        this.addRequestInterceptor(config => this.injectAuthToken(config));
+    }
+
+    // ============================================
+    // INTERCEPTORS
+    // ============================================
+
+    /**
+     * Add a request interceptor
+     * Interceptors run in order and receive the fetch config (with `url`,
+     * `endpoint`, `method`, `headers`, `body`); each returns the config to use.
+     * @param {function} interceptor - (config) => config (may be async)
+     * @returns {function} - Call to remove the interceptor
+     */
+    addRequestInterceptor(interceptor) {
+        this.interceptors.request.push(interceptor);
+        return () => {
+            this.interceptors.request = this.interceptors.request.filter(i => i !== interceptor);
+        };
+    }
+
+    /**
+     * Add a response interceptor
+     * `onSuccess` receives the parsed data and may return replacement data;
+     * `onError` receives the APIError and may return data to recover, or throw.
+     * @param {function} onSuccess - (data, context) => data
+     * @param {function} onError - (error, context) => data
+     * @returns {function} - Call to remove the interceptor
+     */
+    addResponseInterceptor(onSuccess = null, onError = null) {
+        const interceptor = { onSuccess, onError };
+        this.interceptors.response.push(interceptor);
+        return () => {
+            this.interceptors.response = this.interceptors.response.filter(i => i !== interceptor);
+        };
     }
 
+    /**
+     * Add `Authorization: Bearer <token>` unless the request sets its own
+     * header or opts out with `auth: false`
+     * @param {object} config - Request config
+     * @returns {object} - Request config
+     */
+    injectAuthToken(config) {
+        if (config.auth === false || config.headers.Authorization) {
+            return config;
+        }
+        if (typeof StorageUtil === 'undefined' || typeof CONFIG === 'undefined') {
+            return config;
+        }
+
+        const token = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+        if (token) {
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+        return config;
+    }
+
+    // ============================================
+    // REQUESTS
+    // ============================================
+
     /**
      * Generic request handler
+     * Mutating requests (POST/PUT/DELETE) carry an idempotency key and, when a
+     * sync queue is attached, are queued for replay if the backend is unreachable.
+     * Pass `queue: false` to opt out (e.g. authentication).
+     * Idempotent verbs are retried on network errors and retryable statuses;
+     * pass `retries` to override the configured count.
+     * @throws {APIError} - Typed by failure (NetworkError, ValidationError, ...)
      */
     async request(endpoint, options = {}) {
-        const url = `${this.baseURL}/${endpoint}`;
-        const config = {
-            method: options.method || 'GET',
-            headers: { ...this.headers, ...options.headers },
-            ...options
+        const {
+            headers = {},
+            body,
+            queue = true,
+            idempotencyKey = null,
+            retries = null,
+            auth = true,
+            ...fetchOptions
+        } = options;
+        const method = (options.method || 'GET').toUpperCase();
+        const isMutation = ['POST', 'PUT', 'DELETE'].includes(method);
+        const key = isMutation ? (idempotencyKey || this.generateIdempotencyKey()) : null;
+
+        let config = {
+            ...fetchOptions,
+            url: `${this.baseURL}/${endpoint}`,
+            endpoint,
+            method,
+            auth,
+            headers: { ...this.headers, ...headers }
         };
 
+        if (key) {
+            config.headers['Idempotency-Key'] = key;
+        }
+
         // Add body for POST/PUT requests
-        if (options.body && typeof options.body === 'object') {
-            config.body = JSON.stringify(options.body);
+        if (body !== undefined) {
+            config.body = typeof body === 'object' ? JSON.stringify(body) : body;
         }
 
+        for (const interceptor of this.interceptors.request) {
+            config = (await interceptor(config)) || config;
+        }
+
+        const maxRetries = this.retry.methods.includes(method)
+            ? (retries !== null ? retries : this.retry.retries)
+            : 0;
+
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            const data = await this.send(config, maxRetries);
 
-            const response = await fetch(url, {
-                ...config,
-                signal: controller.signal
-            });
+            if (this.queue) {
+                this.queue.notifyOnline();
+            }
 
-            clearTimeout(timeoutId);
+            return await this.runResponseInterceptors(data, null, config);
+        } catch (error) {
+            if (error instanceof NetworkError && isMutation && queue && this.queue) {
+                console.warn(`API unreachable [${endpoint}], queued ${method} for sync`);
+                return this.queue.enqueue({ endpoint, method, body, headers, idempotencyKey: key });
+            }
 
-            // Parse JSON response
-            const data = await response.json();
+            console.error(`API Error [${endpoint}]:`, error);
+            return this.runResponseInterceptors(null, error, config);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    /**
+     * Perform the fetch, retrying retryable failures with backoff
+     * @param {object} config - Request config
+     * @param {number} retries - Retries left
+     * @returns {Promise<*>} - Parsed response data
+     */
+    async send(config, retries) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchOnce(config);
+            } catch (error) {
+                const retryable = error instanceof NetworkError ||
+                    this.retry.statuses.includes(error.status);
+
+                if (!retryable || attempt >= retries) {
+                    throw error;
+                }
+
+                const delay = this.retry.retryDelay * Math.pow(2, attempt);
+                console.warn(`Retrying ${config.method} ${config.endpoint} in ${delay}ms (${error.message})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
+        }
+    }
+
+    /**
+     * Perform a single fetch and parse the response
+     * @param {object} config - Request config
+     * @returns {Promise<*>} - Parsed response data
+     */
+    async fetchOnce(config) {
+        const { url, endpoint, auth, ...fetchConfig } = config;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-            return data;
+        let response;
+        try {
+            response = await fetch(url, {
+                ...fetchConfig,
+                signal: controller.signal
+            });
         } catch (error) {
             if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
+                throw new TimeoutError('Request timeout', { endpoint });
             }
-            console.error(`API Error [${endpoint}]:`, error);
+            throw new NetworkError(error.message || undefined, { endpoint });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const data = await this.parseResponse(response);
+
+        if (!response.ok) {
+            throw createAPIError(response.status, data, endpoint);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse a response body
+     * 204 and empty bodies resolve to `{ success: true }`. Bodies are parsed as
+     * JSON whatever the Content-Type (PHP answers text/html by default); bodies
+     * that aren't JSON (e.g. HTML error pages) are returned as `{ raw: text }`.
+     * @param {Response} response - Fetch response
+     * @returns {Promise<*>}
+     */
+    async parseResponse(response) {
+        if (response.status === 204) {
+            return { success: true };
+        }
+
+        const text = await response.text();
+        if (!text) {
+            return { success: response.ok };
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const contentType = (response.headers && response.headers.get('Content-Type')) || '';
+            if (response.ok && contentType.includes('json')) {
+                throw new APIError('Invalid JSON in response', { status: response.status, data: { raw: text } });
+            }
+        }
+
+        return { raw: text };
+    }
+
+    /**
+     * Pass a result or error through the response interceptors
+     * @param {*} data - Parsed data (when successful)
+     * @param {APIError} error - Error (when failed)
+     * @param {object} context - Request config
+     * @returns {Promise<*>} - Final data; throws if the error is not recovered
+     */
+    async runResponseInterceptors(data, error, context) {
+        for (const { onSuccess, onError } of this.interceptors.response) {
+            if (error) {
+                if (onError) {
+                    try {
+                        data = await onError(error, context);
+                        error = null;
+                    } catch (nextError) {
+                        error = nextError;
+                    }
+                }
+            } else if (onSuccess) {
+                const result = await onSuccess(data, context);
+                if (result !== undefined) {
+                    data = result;
+                }
+            }
+        }
+
+        if (error) {
             throw error;
         }
+        return data;
+    }
+
+    /**
+     * Generate an idempotency key for mutating requests
+     * @returns {string}
+     */
+    generateIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `idem-${Date.now()}-${Math.random().toString(36).substr(2, 12)}`;
     }
 
     /**
      * GET request
      */
-    async get(endpoint, params = {}) {
+    async get(endpoint, params = {}, options = {}) {
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-        return this.request(url, { method: 'GET' });
+        return this.request(url, { ...options, method: 'GET' });
     }
 
     /**
      * POST request
      */
-    async post(endpoint, data = {}) {
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: data
         });
@@ -88,8 +430,9 @@ class APIService {
     /**
      * PUT request
      */
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: data
         });
@@ -98,10 +441,10 @@ class APIService {
     /**
      * DELETE request
      */
-    async delete(endpoint, params = {}) {
+    async delete(endpoint, params = {}, options = {}) {
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-        return this.request(url, { method: 'DELETE' });
+        return this.request(url, { ...options, method: 'DELETE' });
     }
 }
 
@@ -203,20 +546,34 @@ class AuthAPI {
             email,
             password,
             is_admin: isAdmin
-        });
+        }, { queue: false });
+    }
+
+    async verifyMfa(mfaToken, code) {
+        return this.api.post('auth.php', {
+            action: 'verify_mfa',
+            mfa_token: mfaToken,
+            code
+        }, { queue: false });
     }
 
     async register(userData) {
         return this.api.post('auth.php', {
             action: 'register',
             ...userData
-        });
+        }, { queue: false });
     }
 
     async logout() {
         return this.api.post('auth.php', {
             action: 'logout'
-        });
+        }, { queue: false });
+    }
+
+    async logoutAll() {
+        return this.api.post('auth.php', {
+            action: 'logout_all'
+        }, { queue: false });
     }
 
     async verifyToken(token) {
@@ -291,6 +648,74 @@ class CostEstimatesAPI {
     }
 }
 
+/**
+ * Material Prices API (Live Material Cost Tracker)
+ * A price posted for a material, region and date already priced replaces it.
+ */
+class MaterialPricesAPI {
+    constructor(apiService) {
+        this.api = apiService;
+    }
+
+    async getAll(filters = {}) {
+        return this.api.get('material-prices.php', filters);
+    }
+
+    async create(priceData) {
+        return this.api.post('material-prices.php', priceData);
+    }
+
+    async delete(id) {
+        return this.api.delete('material-prices.php', { id });
+    }
+}
+
+/**
+ * Equipment Rental API
+ * The backend checks every booking for overlaps: a request for a unit that is
+ * taken gets another free unit of the type, or a 409 when none is left, and
+ * approving a booking re-checks its unit.
+ */
+class EquipmentRentalAPI {
+    constructor(apiService) {
+        this.api = apiService;
+    }
+
+    async getUnits() {
+        return this.api.get('equipment-units.php');
+    }
+
+    async createUnit(unitData) {
+        return this.api.post('equipment-units.php', unitData);
+    }
+
+    async updateUnit(unitData) {
+        return this.api.put('equipment-units.php', unitData);
+    }
+
+    async getBookings(filters = {}) {
+        return this.api.get('equipment-bookings.php', filters);
+    }
+
+    async getAvailability(type, startDate, endDate, ignoreBookingId = null) {
+        return this.api.get('equipment-bookings.php', {
+            action: 'availability',
+            type,
+            start_date: startDate,
+            end_date: endDate,
+            ...(ignoreBookingId ? { ignore: ignoreBookingId } : {})
+        });
+    }
+
+    async createBooking(bookingData) {
+        return this.api.post('equipment-bookings.php', bookingData);
+    }
+
+    async updateBooking(bookingData, options = {}) {
+        return this.api.put('equipment-bookings.php', bookingData, options);
+    }
+}
+
 /**
  * Client Projects API (for client dashboard)
  */
@@ -329,10 +754,23 @@ const API = {
     auth: new AuthAPI(apiService),
     newsletter: new NewsletterAPI(apiService),
     costEstimates: new CostEstimatesAPI(apiService),
+    materialPrices: new MaterialPricesAPI(apiService),
+    equipmentRental: new EquipmentRentalAPI(apiService),
     clientProjects: new ClientProjectsAPI(apiService),
     
     // Direct access to base service for custom requests
-    service: apiService
+    service: apiService,
+
+    // Error classes for `instanceof` checks
+    errors: {
+        APIError,
+        NetworkError,
+        TimeoutError,
+        ValidationError,
+        AuthenticationError,
+        AuthorizationError,
+        ServerError
+    }
 };
 
 // Make available globally
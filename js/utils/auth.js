@@ -1,29 +1,152 @@
 /**
  * Authentication Utility Functions
  * Handles login, logout, and session management
+ *
+ * Tokens issued in the browser are HMAC-SHA256 signed with a WebCrypto key and
+ * passwords in db_users are stored as salted PBKDF2 hashes.
  */
 
 const AuthUtil = {
+  // Issuer claim for tokens signed in the browser (server tokens carry their own)
+  TOKEN_ISSUER: 'db-local',
+
+  // IndexedDB meta record holding the non-extractable signing key
+  SIGNING_KEY_ID: 'auth_signing_key',
+
+  // Tokens whose signature has been checked, so synchronous checks can trust them
+  verifiedTokens: new Set(),
+
+  // Login waiting for its second factor: { user, identifier, rememberMe, token, mfaToken, expiresAt }
+  pendingMfa: null,
+
+  signingKeyPromise: null,
+
+  // Cross-tab session messages
+  SESSION_CHANNEL: 'db_auth_session',
+  tabId: Math.random().toString(36).substr(2, 9),
+  sessionChannel: null,
+  sessionSyncStarted: false,
+  activityListenersAttached: false,
+  lastActivityBroadcast: 0,
+
+  // ============================================
+  // ENCODING
+  // ============================================
+
   /**
-   * Generate a mock JWT token
+   * Encode bytes as base64url
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decode base64url to bytes
+   * @param {string} value
+   * @returns {Uint8Array}
+   */
+  fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  },
+
+  /**
+   * Encode an object as a base64url JSON token segment
+   * @param {object} data
+   * @returns {string}
+   */
+  encodeSegment(data) {
+    return this.toBase64Url(new TextEncoder().encode(JSON.stringify(data)));
+  },
+
+  // ============================================
+  // TOKENS
+  // ============================================
+
+  /**
+   * Get the HMAC signing key, creating it on first use
+   * The key is kept non-extractable in IndexedDB when available; otherwise a
+   * random secret is stored under CONFIG.STORAGE_KEYS.AUTH_SECRET.
+   * @returns {Promise<CryptoKey>}
+   */
+  getSigningKey() {
+    if (!this.signingKeyPromise) {
+      this.signingKeyPromise = this.loadSigningKey();
+      this.signingKeyPromise.catch(() => {
+        this.signingKeyPromise = null;
+      });
+    }
+    return this.signingKeyPromise;
+  },
+
+  /**
+   * Load or create the signing key
+   * @returns {Promise<CryptoKey>}
+   */
+  async loadSigningKey() {
+    const algorithm = { name: 'HMAC', hash: 'SHA-256' };
+
+    if (typeof IndexedDBStorage !== 'undefined' && IndexedDBStorage.isSupported()) {
+      const META = IndexedDBStorage.STORES.META;
+      try {
+        const stored = await IndexedDBStorage.run(META, 'readonly', store => store.get(this.SIGNING_KEY_ID));
+        if (stored) {
+          return stored;
+        }
+
+        const key = await crypto.subtle.generateKey(algorithm, false, ['sign', 'verify']);
+        try {
+          await IndexedDBStorage.run(META, 'readwrite', store => store.add(key, this.SIGNING_KEY_ID));
+          return key;
+        } catch (error) {
+          // Another tab created the key first
+          return IndexedDBStorage.run(META, 'readonly', store => store.get(this.SIGNING_KEY_ID));
+        }
+      } catch (error) {
+        console.warn('Signing key storage in IndexedDB failed, using LocalStorage:', error);
+      }
+    }
+
+    let secret = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_SECRET);
+    if (!secret) {
+      secret = this.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+      StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_SECRET, secret);
+    }
+    return crypto.subtle.importKey('raw', this.fromBase64Url(secret), algorithm, false, ['sign', 'verify']);
+  },
+
+  /**
+   * Generate a signed JWT (HS256)
    * @param {object} payload - Token payload
    * @param {number} expiry - Token expiry time in milliseconds (optional)
-   * @returns {string} - JWT token
+   * @returns {Promise<string>} - JWT token
    */
-  generateToken(payload, expiry = null) {
-    const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-    const body = btoa(JSON.stringify({
+  async generateToken(payload, expiry = null) {
+    const header = this.encodeSegment({ alg: 'HS256', typ: 'JWT' });
+    const body = this.encodeSegment({
       ...payload,
+      iss: this.TOKEN_ISSUER,
       iat: Date.now(),
       exp: Date.now() + (expiry || CONFIG.SESSION.TIMEOUT)
-    }));
-    const signature = btoa('mock-signature-' + Date.now());
-    
-    return `${header}.${body}.${signature}`;
+    });
+
+    const key = await this.getSigningKey();
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${header}.${body}`));
+    const token = `${header}.${body}.${this.toBase64Url(new Uint8Array(signature))}`;
+
+    this.verifiedTokens.add(token);
+    return token;
   },
 
   /**
-   * Decode JWT token
+   * Decode JWT token (does not check the signature)
    * @param {string} token - JWT token
    * @returns {object|null} - Decoded payload or null
    */
@@ -38,7 +161,7 @@ const AuthUtil = {
         return null;
       }
 
-      const payload = JSON.parse(atob(parts[1]));
+      const payload = JSON.parse(new TextDecoder().decode(this.fromBase64Url(parts[1])));
       return payload;
     } catch (error) {
       console.error('Token decode error:', error);
@@ -47,21 +170,126 @@ const AuthUtil = {
   },
 
   /**
-   * Verify token validity
+   * Verify token signature and expiry
+   * Browser-issued tokens are checked against the HMAC key; server tokens are
+   * checked with the backend and are not valid while it is unreachable.
+   * @param {string} token - JWT token
+   * @returns {Promise<boolean>} - Validity status
+   */
+  async verifyToken(token) {
+    return (await this.checkToken(token)) === 'valid';
+  },
+
+  /**
+   * Verify a token and say why it failed
+   * @param {string} token - JWT token
+   * @returns {Promise<string>} - 'valid', 'invalid', or 'unverified' (backend unreachable)
+   */
+  async checkToken(token) {
+    const payload = this.decodeToken(token);
+    if (!payload) {
+      return 'invalid';
+    }
+
+    // Check expiration and "sign out all sessions"
+    if ((payload.exp && payload.exp < Date.now()) || this.isTokenRevoked(payload)) {
+      this.verifiedTokens.delete(token);
+      return 'invalid';
+    }
+
+    if (this.verifiedTokens.has(token)) {
+      return 'valid';
+    }
+
+    let valid = false;
+    if (payload.iss === this.TOKEN_ISSUER) {
+      try {
+        const [header, body, signature] = token.split('.');
+        const key = await this.getSigningKey();
+        valid = await crypto.subtle.verify(
+          'HMAC',
+          key,
+          this.fromBase64Url(signature),
+          new TextEncoder().encode(`${header}.${body}`)
+        );
+      } catch (error) {
+        console.error('Token verification error:', error);
+        valid = false;
+      }
+    } else if (typeof API !== 'undefined' && API.auth) {
+      try {
+        const response = await API.auth.verifyToken(token);
+        valid = Boolean(response.success);
+      } catch (error) {
+        if (error instanceof NetworkError) {
+          return 'unverified';
+        }
+        valid = false;
+      }
+    }
+
+    if (valid) {
+      this.verifiedTokens.add(token);
+    }
+    return valid ? 'valid' : 'invalid';
+  },
+
+  /**
+   * Synchronous token check for already-verified tokens
    * @param {string} token - JWT token
    * @returns {boolean} - Validity status
    */
-  verifyToken(token) {
+  isTokenValid(token) {
     const payload = this.decodeToken(token);
     if (!payload) {
       return false;
     }
 
-    // Check expiration
-    if (payload.exp && payload.exp < Date.now()) {
+    // Check expiration and "sign out all sessions"
+    if ((payload.exp && payload.exp < Date.now()) || this.isTokenRevoked(payload)) {
+      return false;
+    }
+
+    return this.verifiedTokens.has(token);
+  },
+
+  /**
+   * Verify the stored token after a page load and sign out if it was tampered with
+   * @returns {Promise<boolean>} - Whether a valid session exists
+   */
+  async restoreSession() {
+    const token = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+    if (!token) {
       return false;
     }
 
+    const status = await this.checkToken(token);
+
+    // Keep the session until the backend can be asked again, but don't trust it yet
+    if (status === 'unverified') {
+      console.warn('Auth token could not be verified while the server is unreachable');
+      window.addEventListener('online', () => {
+        this.ready = this.restoreSession();
+      }, { once: true });
+      return false;
+    }
+
+    if (status !== 'valid') {
+      console.warn('Stored auth token failed verification, signing out');
+      this.logout();
+      return false;
+    }
+
+    // Accounts deactivated since the token was issued lose their session
+    const payload = this.decodeToken(token);
+    const account = payload && StorageUtil.get(CONFIG.STORAGE_KEYS.USERS, []).find(u => u.id === payload.userId);
+    if (account && account.isActive === false) {
+      console.warn('Account is deactivated, signing out');
+      this.logout();
+      return false;
+    }
+
+    this.resumeSession();
     return true;
   },
 
@@ -69,48 +297,20 @@ const AuthUtil = {
    * Authenticate admin user
    * @param {string} username - Admin username
    * @param {string} password - Admin password
-   * @returns {object} - Authentication result
+   * @returns {Promise<object>} - Authentication result
    */
-  authenticateAdmin(username, password) {
-    // Default admin credentials
-    const ADMIN_USERNAME = 'admin';
-    const ADMIN_PASSWORD = 'admin12345';
-    
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-      const user = {
-        id: 'admin-001',
-        username: ADMIN_USERNAME,
-        email: 'admin@dbconstruction.com',
-        name: 'Administrator',
-        role: 'admin',
-        isActive: true
-      };
-
-      const token = this.generateToken({ userId: user.id, role: user.role });
-      
-      // Store token and user data
-      StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
-      StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, user);
-      
-      // Initialize session tracking
-      this.initSession();
-
-      return {
-        success: true,
-        user,
-        token,
-        message: 'Admin login successful'
-      };
+  async authenticateAdmin(username, password) {
+    const result = await this.loginLocalStorage(username, password, false, { role: 'admin' });
+    if (result.success) {
+      result.message = 'Admin login successful';
     }
-
-    return {
-      success: false,
-      message: 'Invalid admin credentials'
-    };
+    return result;
   },
 
   /**
    * Login user (main method - calls API version)
+   * When two-factor authentication applies, the result is
+   * `{ success: false, mfaRequired: true }` and the login is finished with verifyMfa().
    * @param {string} username - Username or email
    * @param {string} password - Password
    * @param {boolean} rememberMe - Remember user for extended period
@@ -128,6 +328,11 @@ const AuthUtil = {
    * @returns {Promise<object>} - Login result
    */
   async loginWithAPI(username, password, rememberMe = false) {
+    const locked = this.checkLockout(username);
+    if (locked) {
+      return locked;
+    }
+
     try {
       // Try backend API first
       if (typeof API !== 'undefined' && API.auth) {
@@ -136,40 +341,28 @@ const AuthUtil = {
         const response = await API.auth.login(username, password, false);
         
         if (response.success) {
-          // API returns user and token at root level, not in data
-          const user = response.user;
-          const token = response.token;
-          
-          // Store token and user data
-          StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
-          StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, user);
-          
-          // Store remember me preference
-          if (rememberMe) {
-            StorageUtil.set(CONFIG.STORAGE_KEYS.REMEMBER_ME, {
-              enabled: true,
-              expiry: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-            });
-          }
-          
-          // Initialize session tracking
-          this.initSession();
-          
-          return {
-            success: true,
-            user,
-            token,
-            message: 'Login successful'
-          };
+          // API returns user and token at root level, not in data.
+          // A server with 2FA enabled returns mfa_required and an mfa_token instead of a token.
+          return this.completeLogin(response.user, {
+            identifier: username,
+            rememberMe,
+            token: response.token || null,
+            mfaToken: response.mfa_required ? response.mfa_token : null
+          });
         } else {
-          return {
-            success: false,
-            message: response.message || 'Invalid username or password'
-          };
+          return this.recordFailedLogin(username, response.message || 'Invalid username or password');
         }
       }
     } catch (error) {
-      console.warn('API login failed, using localStorage fallback:', error);
+      // Only an unreachable backend falls back; a rejected login stays rejected
+      if (typeof NetworkError === 'undefined' || !(error instanceof NetworkError)) {
+        if (error.status === 401 || error.status === 403) {
+          return this.recordFailedLogin(username, error.message || 'Invalid username or password');
+        }
+        console.error('API login failed:', error);
+        return { success: false, message: error.message || 'Login failed. Please try again.' };
+      }
+      console.warn('API unreachable, using localStorage fallback:', error);
     }
     
     // Fallback to localStorage authentication
@@ -178,109 +371,356 @@ const AuthUtil = {
 
   /**
    * Login user (localStorage fallback)
+   * Every account, the admin included, is a db_users record checked with
+   * verifyPassword().
    * @param {string} username - Username or email
    * @param {string} password - Password
    * @param {boolean} rememberMe - Remember user for extended period
-   * @returns {object} - Login result
+   * @param {object} options - { role: only accept accounts with this role }
+   * @returns {Promise<object>} - Login result
    */
-  loginLocalStorage(username, password, rememberMe = false) {
-    // Check admin credentials
-    if (username === CONFIG.ADMIN.USERNAME && password === CONFIG.ADMIN.PASSWORD) {
-      const user = {
-        id: 'admin-001',
-        username: CONFIG.ADMIN.USERNAME,
-        email: CONFIG.ADMIN.EMAIL,
-        name: 'Dale Melaku',
-        role: 'admin',
-        isActive: true
-      };
-
-      const tokenExpiry = rememberMe ? (30 * 24 * 60 * 60 * 1000) : CONFIG.SESSION.TIMEOUT; // 30 days or session timeout
-      const token = this.generateToken({ userId: user.id, role: user.role }, tokenExpiry);
-      
-      // Store token and user data
-      StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
-      StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, user);
-      
-      // Store remember me preference
-      if (rememberMe) {
-        StorageUtil.set(CONFIG.STORAGE_KEYS.REMEMBER_ME, {
-          enabled: true,
-          expiry: Date.now() + tokenExpiry
-        });
-      }
-      
-      // Initialize session tracking
-      this.initSession();
-
-      return {
-        success: true,
-        user,
-        token,
-        message: 'Login successful'
-      };
+  async loginLocalStorage(username, password, rememberMe = false, { role = null } = {}) {
+    const locked = this.checkLockout(username);
+    if (locked) {
+      return locked;
     }
 
-    // Check client credentials (mock - would normally check database)
+    // Check credentials (mock - would normally check database)
     const users = StorageUtil.get(CONFIG.STORAGE_KEYS.USERS, []);
     const user = users.find(u => 
       (u.username === username || u.email === username) && 
-      u.password === password &&
-      u.isActive
+      u.isActive &&
+      (!role || u.role === role)
     );
+    const check = user ? await this.verifyPassword(password, user) : { valid: false };
 
-    if (user) {
-      const tokenExpiry = rememberMe ? (30 * 24 * 60 * 60 * 1000) : CONFIG.SESSION.TIMEOUT; // 30 days or session timeout
-      const token = this.generateToken({ userId: user.id, role: user.role }, tokenExpiry);
-      
-      // Store token and user data (without password)
-      const { password: _, ...userData } = user;
-      StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
-      StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, userData);
-      
-      // Store remember me preference
-      if (rememberMe) {
-        StorageUtil.set(CONFIG.STORAGE_KEYS.REMEMBER_ME, {
-          enabled: true,
-          expiry: Date.now() + tokenExpiry
-        });
+    if (check.valid) {
+      // Migrate plaintext or legacy hashes now that the password is known
+      if (check.needsRehash) {
+        user.passwordHash = await this.hashPassword(password);
+        delete user.password;
       }
       
       // Update last login
       user.lastLogin = new Date().toISOString();
       StorageUtil.set(CONFIG.STORAGE_KEYS.USERS, users);
       
-      // Initialize session tracking
-      this.initSession();
+      // Session user data (without password)
+      const { password: _, passwordHash: __, ...userData } = user;
+      return this.completeLogin(userData, { identifier: username, rememberMe });
+    }
 
-      return {
-        success: true,
-        user: userData,
+    return this.recordFailedLogin(username, 'Invalid username or password', user || null);
+  },
+
+  /**
+   * Finish a login whose password check passed
+   * Starts the session, or holds it behind a 2FA challenge when required.
+   * @param {object} user - User data for the session
+   * @param {object} options - { identifier, rememberMe, token: server token, mfaToken: server 2FA token }
+   * @returns {Promise<object>} - Login result
+   */
+  async completeLogin(user, { identifier, rememberMe = false, token = null, mfaToken = null }) {
+    if (mfaToken || this.isMfaRequired(user)) {
+      this.pendingMfa = {
+        user,
+        identifier,
+        rememberMe,
         token,
-        message: 'Login successful'
+        mfaToken,
+        expiresAt: Date.now() + CONFIG.SECURITY.MFA_CHALLENGE_TIMEOUT
+      };
+      this.logSecurityEvent('mfa_challenge', user, { identifier });
+
+      return {
+        success: false,
+        mfaRequired: true,
+        message: 'Enter the code from your authenticator app or a recovery code'
       };
     }
 
+    this.clearFailedLogins(identifier);
+    this.logSecurityEvent('login_success', user, { identifier });
+
+    const result = await this.startSession(user, rememberMe, token);
+
+    // 2FA is switched on but this admin has not enrolled yet: prompt them to
+    if (this.getSecuritySettings().twoFactorAuth && user.role === 'admin') {
+      result.mfaEnrollmentRequired = true;
+    }
+    return result;
+  },
+
+  /**
+   * Complete a login held by a 2FA challenge
+   * Failed codes count towards the lockout like failed passwords.
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<object>} - Login result
+   */
+  async verifyMfa(code) {
+    const pending = this.pendingMfa;
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.pendingMfa = null;
+      return { success: false, message: 'Verification timed out. Please sign in again.' };
+    }
+
+    const locked = this.checkLockout(pending.identifier);
+    if (locked) {
+      this.pendingMfa = null;
+      return locked;
+    }
+
+    let valid = false;
+    let method = 'totp';
+    let user = pending.user;
+    let token = pending.token;
+
+    if (pending.mfaToken) {
+      try {
+        const response = await API.auth.verifyMfa(pending.mfaToken, code);
+        valid = Boolean(response.success && response.token);
+        user = response.user || user;
+        token = response.token;
+      } catch (error) {
+        if (!error.status) {
+          return { success: false, mfaRequired: true, message: 'Unable to reach the server. Please try again.' };
+        }
+      }
+    } else if (typeof MFAUtil !== 'undefined') {
+      ({ valid, method } = await MFAUtil.verify(pending.user, code));
+    }
+
+    if (!valid) {
+      this.logSecurityEvent('mfa_failed', pending.user, { identifier: pending.identifier, method });
+
+      const result = this.recordFailedLogin(pending.identifier, 'Invalid verification code', pending.user);
+      if (result.locked) {
+        this.pendingMfa = null;
+      } else {
+        result.mfaRequired = true;
+      }
+      return result;
+    }
+
+    this.pendingMfa = null;
+    this.clearFailedLogins(pending.identifier);
+    this.logSecurityEvent('login_success', user, { identifier: pending.identifier, mfa: method });
+
+    return this.startSession(user, pending.rememberMe, token);
+  },
+
+  /**
+   * Abandon a pending 2FA challenge
+   */
+  cancelMfa() {
+    this.pendingMfa = null;
+  },
+
+  /**
+   * Check whether a user must pass a 2FA challenge
+   * Applies when `security.twoFactorAuth` is on and the user has enrolled.
+   * @param {object} user - User data
+   * @returns {boolean}
+   */
+  isMfaRequired(user) {
+    return Boolean(
+      this.getSecuritySettings().twoFactorAuth &&
+      typeof MFAUtil !== 'undefined' &&
+      MFAUtil.isEnabled(user.id)
+    );
+  },
+
+  /**
+   * Store the token and user data and start session tracking
+   * @param {object} user - User data (without password)
+   * @param {boolean} rememberMe - Remember user for extended period
+   * @param {string|null} token - Server-issued token, or null to sign one locally
+   * @returns {Promise<object>} - Login result
+   */
+  async startSession(user, rememberMe = false, token = null) {
+    const tokenExpiry = rememberMe ? (30 * 24 * 60 * 60 * 1000) : CONFIG.SESSION.TIMEOUT; // 30 days or session timeout
+
+    if (token) {
+      // Signed by the server, so trust it for this session
+      this.verifiedTokens.add(token);
+    } else {
+      token = await this.generateToken({ userId: user.id, role: user.role }, tokenExpiry);
+    }
+    
+    // Store token and user data
+    StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, token);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, user);
+    
+    // Store remember me preference
+    if (rememberMe) {
+      StorageUtil.set(CONFIG.STORAGE_KEYS.REMEMBER_ME, {
+        enabled: true,
+        expiry: Date.now() + tokenExpiry
+      });
+    }
+    
+    // Initialize session tracking and sign in the other tabs
+    this.initSession();
+    this.broadcastSession('login', { token, user });
+
+    // Replay changes that were waiting for a sign-in
+    if (typeof API !== 'undefined' && API.sync) {
+      API.sync.resume();
+    }
+
+    return {
+      success: true,
+      user,
+      token,
+      message: 'Login successful'
+    };
+  },
+
+  // ============================================
+  // LOGIN ATTEMPTS & LOCKOUT
+  // ============================================
+
+  /**
+   * Get the login security settings managed in the admin dashboard
+   * @returns {object} - { twoFactorAuth, loginAttempts, ... }
+   */
+  getSecuritySettings() {
+    const settings = StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SETTINGS, {}) || {};
+    return {
+      twoFactorAuth: false,
+      loginAttempts: CONFIG.SECURITY.MAX_LOGIN_ATTEMPTS,
+      ...(settings.security || {})
+    };
+  },
+
+  /**
+   * Return a lockout result if the identifier is temporarily locked
+   * @param {string} identifier - Username or email entered
+   * @returns {object|null} - Login result, or null when not locked
+   */
+  checkLockout(identifier) {
+    const entry = StorageUtil.get(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, {})[this.normalizeIdentifier(identifier)];
+    if (!entry || !entry.lockedUntil || entry.lockedUntil <= Date.now()) {
+      return null;
+    }
+
+    this.logSecurityEvent('login_blocked', null, { identifier });
+    return this.lockoutResult(entry.lockedUntil);
+  },
+
+  /**
+   * Count a failed password or 2FA attempt, locking the identifier at the limit
+   * @param {string} identifier - Username or email entered
+   * @param {string} message - Message for the login result
+   * @param {object} user - Matching user, if any
+   * @returns {object} - Login result
+   */
+  recordFailedLogin(identifier, message = 'Invalid username or password', user = null) {
+    const key = this.normalizeIdentifier(identifier);
+    const attempts = StorageUtil.get(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, {});
+    const previous = attempts[key];
+
+    // Start counting again once an earlier lockout has expired
+    const entry = previous && !previous.lockedUntil ? previous : { count: 0 };
+    entry.count += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+
+    const { loginAttempts } = this.getSecuritySettings();
+    const limit = parseInt(loginAttempts, 10) || 0;
+
+    this.logSecurityEvent('login_failed', user, { identifier, attempts: entry.count });
+
+    if (limit > 0 && entry.count >= limit) {
+      entry.lockedUntil = Date.now() + CONFIG.SECURITY.LOCKOUT_DURATION;
+      attempts[key] = entry;
+      StorageUtil.set(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, attempts);
+
+      this.logSecurityEvent('account_locked', user, {
+        identifier,
+        attempts: entry.count,
+        lockedUntil: new Date(entry.lockedUntil).toISOString()
+      });
+      return this.lockoutResult(entry.lockedUntil);
+    }
+
+    attempts[key] = entry;
+    StorageUtil.set(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, attempts);
+
+    const result = { success: false, message };
+    if (limit > 0) {
+      result.attemptsRemaining = limit - entry.count;
+    }
+    return result;
+  },
+
+  /**
+   * Reset the failed attempt count after a successful login
+   * @param {string} identifier - Username or email entered
+   */
+  clearFailedLogins(identifier) {
+    const attempts = StorageUtil.get(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, {});
+    const key = this.normalizeIdentifier(identifier);
+    if (attempts[key]) {
+      delete attempts[key];
+      StorageUtil.set(CONFIG.STORAGE_KEYS.LOGIN_ATTEMPTS, attempts);
+    }
+  },
+
+  /**
+   * Build the login result for a locked identifier
+   * @param {number} lockedUntil - Timestamp the lockout ends
+   * @returns {object}
+   */
+  lockoutResult(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
     return {
       success: false,
-      message: 'Invalid username or password'
+      locked: true,
+      lockedUntil: new Date(lockedUntil).toISOString(),
+      message: `Too many failed attempts. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`
     };
   },
 
+  normalizeIdentifier(identifier) {
+    return String(identifier || '').trim().toLowerCase();
+  },
+
+  /**
+   * Write a login event to the audit log
+   * Nobody is signed in yet, so the user (or the identifier entered) is passed as the actor.
+   * @param {string} action - e.g. 'login_failed'
+   * @param {object|null} user - Matching user, if known
+   * @param {object} details - Includes the identifier entered
+   */
+  logSecurityEvent(action, user, details = {}) {
+    if (typeof AuditLog === 'undefined') {
+      return;
+    }
+
+    const actor = user || { id: null, username: details.identifier };
+    AuditLog.logAction(action, 'auth', actor.id || details.identifier, details, actor);
+  },
+
   /**
-   * Logout user
+   * Logout user (in every open tab)
+   * @param {object} options - { broadcast: tell other tabs, reason: 'logout', 'timeout' or 'revoked' }
    * @returns {boolean} - Success status
    */
-  logout() {
+  logout({ broadcast = true, reason = 'logout' } = {}) {
     try {
       StorageUtil.remove(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
       StorageUtil.remove(CONFIG.STORAGE_KEYS.USER_DATA);
       StorageUtil.remove(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
       StorageUtil.remove(CONFIG.STORAGE_KEYS.REMEMBER_ME);
+      this.verifiedTokens.clear();
       
       // Clear session tracking
       this.clearSession();
 
+      if (broadcast) {
+        this.broadcastSession('logout', { reason });
+      }
+
       return true;
     } catch (error) {
       console.error('Logout error:', error);
@@ -294,20 +734,30 @@ const AuthUtil = {
    */
   getCurrentUser() {
     const token = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
-    if (!token || !this.verifyToken(token)) {
+    if (!token || !this.isTokenValid(token)) {
       return null;
     }
 
     return StorageUtil.get(CONFIG.STORAGE_KEYS.USER_DATA);
   },
 
+  /**
+   * Get the user the page acts for: the signed-in user, or else the user the
+   * project dashboard works as (see ProjectTracker.getCurrentUser)
+   * Permission checks and audit entries both use this, so they agree on who acted.
+   * @returns {object|null}
+   */
+  getActingUser() {
+    return this.getCurrentUser() || StorageUtil.get(CONFIG.STORAGE_KEYS.DASHBOARD_USER);
+  },
+
   /**
    * Check if user is authenticated
    * @returns {boolean} - Authentication status
    */
   isAuthenticated() {
     const token = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
-    return token && this.verifyToken(token);
+    return token && this.isTokenValid(token);
   },
 
   /**
@@ -347,15 +797,36 @@ const AuthUtil = {
     this.startSessionChecker();
   },
 
+  /**
+   * Resume session tracking for a session restored on page load
+   */
+  resumeSession() {
+    if (!StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SESSION)) {
+      this.initSession();
+      return;
+    }
+
+    this.setupActivityListeners();
+    this.startSessionChecker();
+    this.checkSession();
+  },
+
   /**
    * Update last activity time
+   * Other tabs are told at most once per CONFIG.SESSION.ACTIVITY_SYNC_INTERVAL.
+   * @param {boolean} broadcast - Share with other tabs right away
    */
-  updateActivity() {
+  updateActivity(broadcast = false) {
     const session = StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
     if (session) {
       session.lastActivity = Date.now();
       session.warningShown = false;
       StorageUtil.set(CONFIG.STORAGE_KEYS.ADMIN_SESSION, session);
+
+      if (broadcast || Date.now() - this.lastActivityBroadcast >= CONFIG.SESSION.ACTIVITY_SYNC_INTERVAL) {
+        this.lastActivityBroadcast = Date.now();
+        this.broadcastSession('activity', { lastActivity: session.lastActivity });
+      }
     }
   },
 
@@ -363,6 +834,11 @@ const AuthUtil = {
    * Set up activity listeners
    */
   setupActivityListeners() {
+    if (this.activityListenersAttached) {
+      return;
+    }
+    this.activityListenersAttached = true;
+
     const events = ['mousedown', 'keydown', 'scroll', 'touchstart'];
     
     events.forEach(event => {
@@ -384,36 +860,48 @@ const AuthUtil = {
     }
 
     // Check every minute
-    window.sessionCheckInterval = setInterval(() => {
-      if (!this.isAuthenticated()) {
-        clearInterval(window.sessionCheckInterval);
-        return;
-      }
+    window.sessionCheckInterval = setInterval(() => this.checkSession(), 60000);
+  },
 
-      const session = StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
-      if (!session) return;
+  /**
+   * Warn, refresh the token or log out based on the shared last activity
+   */
+  checkSession() {
+    if (!this.isAuthenticated()) {
+      this.clearSession();
+      return;
+    }
 
-      const inactiveTime = Date.now() - session.lastActivity;
-      
-      // Show warning 5 minutes before timeout
-      if (inactiveTime >= (CONFIG.SESSION.TIMEOUT - CONFIG.SESSION.WARNING_TIME) && !session.warningShown) {
-        this.showSessionWarning();
+    const session = StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
+    if (!session) return;
+
+    const inactiveTime = Date.now() - session.lastActivity;
+
+    // Auto-logout after timeout
+    if (inactiveTime >= CONFIG.SESSION.TIMEOUT) {
+      this.logout({ reason: 'timeout' });
+
+      // Redirect to login with message
+      if (this.isProtectedPage()) {
+        alert('Your session has expired due to inactivity. Please login again.');
+        window.location.href = '/admin/login.html';
+      }
+      return;
+    }
+    
+    // Show warning 5 minutes before timeout (in one tab only)
+    if (inactiveTime >= (CONFIG.SESSION.TIMEOUT - CONFIG.SESSION.WARNING_TIME)) {
+      if (!session.warningShown) {
         session.warningShown = true;
         StorageUtil.set(CONFIG.STORAGE_KEYS.ADMIN_SESSION, session);
+        this.broadcastSession('warning');
+        this.showSessionWarning();
       }
+      return;
+    }
 
-      // Auto-logout after timeout
-      if (inactiveTime >= CONFIG.SESSION.TIMEOUT) {
-        this.logout();
-        clearInterval(window.sessionCheckInterval);
-        
-        // Redirect to login with message
-        if (window.location.pathname.includes('/admin/')) {
-          alert('Your session has expired due to inactivity. Please login again.');
-          window.location.href = '/admin/login.html';
-        }
-      }
-    }, 60000); // Check every minute
+    // Still active: keep the token from expiring under the user
+    this.refreshToken().catch(error => console.error('Token refresh error:', error));
   },
 
   /**
@@ -421,8 +909,34 @@ const AuthUtil = {
    */
   showSessionWarning() {
     if (confirm('Your session will expire in 5 minutes due to inactivity. Click OK to stay logged in.')) {
-      this.updateActivity();
+      this.updateActivity(true);
+    }
+  },
+
+  /**
+   * Re-sign a browser-issued token that is close to expiry and share it with other tabs
+   * Server tokens are left to the backend.
+   * @returns {Promise<boolean>} - Whether a new token was issued
+   */
+  async refreshToken() {
+    const token = StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+    const payload = this.decodeToken(token);
+    if (!payload || payload.iss !== this.TOKEN_ISSUER || !payload.exp) {
+      return false;
+    }
+    if (payload.exp - Date.now() > CONFIG.SESSION.REFRESH_THRESHOLD) {
+      return false;
     }
+
+    // Keep the original lifetime so remembered logins stay long-lived
+    const { iss, iat, exp, ...claims } = payload;
+    const newToken = await this.generateToken(claims, exp - iat);
+    const user = StorageUtil.get(CONFIG.STORAGE_KEYS.USER_DATA);
+
+    StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, newToken);
+    this.verifiedTokens.delete(token);
+    this.broadcastSession('token', { token: newToken, user });
+    return true;
   },
 
   /**
@@ -435,6 +949,167 @@ const AuthUtil = {
     }
   },
 
+  /**
+   * Sign out every session of the current user, including remembered logins
+   * Browser-issued tokens from before now are rejected and the backend is asked
+   * to revoke its tokens.
+   * @returns {Promise<boolean>} - Success status
+   */
+  async signOutAllSessions() {
+    const user = this.getCurrentUser();
+    if (!user) {
+      return false;
+    }
+
+    this.revokeSessions(user.id);
+
+    try {
+      if (typeof API !== 'undefined' && API.auth) {
+        await API.auth.logoutAll();
+      }
+    } catch (error) {
+      console.warn('Could not revoke server sessions:', error);
+    }
+
+    this.logSecurityEvent('sessions_revoked', user);
+    return this.logout({ reason: 'revoked' });
+  },
+
+  /**
+   * Reject every browser-issued token of a user from before now
+   * (after "sign out all sessions" or a password reset)
+   * @param {string} userId - User ID
+   */
+  revokeSessions(userId) {
+    const revocations = StorageUtil.get(CONFIG.STORAGE_KEYS.SESSION_REVOCATIONS, {});
+    revocations[userId] = Date.now();
+    StorageUtil.set(CONFIG.STORAGE_KEYS.SESSION_REVOCATIONS, revocations);
+  },
+
+  /**
+   * Check whether a token was issued before its user signed out all sessions
+   * @param {object} payload - Decoded token payload
+   * @returns {boolean}
+   */
+  isTokenRevoked(payload) {
+    if (!payload.iat || !payload.userId) {
+      return false;
+    }
+
+    const revokedAt = StorageUtil.get(CONFIG.STORAGE_KEYS.SESSION_REVOCATIONS, {})[payload.userId];
+    // Server tokens use seconds, browser tokens milliseconds
+    const issuedAt = payload.iat < 1e12 ? payload.iat * 1000 : payload.iat;
+    return Boolean(revokedAt && issuedAt <= revokedAt);
+  },
+
+  isProtectedPage() {
+    const path = window.location.pathname;
+    return path.includes('/admin/') || path.includes('admin-dashboard');
+  },
+
+  // ============================================
+  // CROSS-TAB SYNC
+  // ============================================
+
+  /**
+   * Listen for session messages from other tabs
+   * Uses BroadcastChannel, or `storage` events where it is unavailable.
+   */
+  initSessionSync() {
+    if (this.sessionSyncStarted || typeof window === 'undefined') {
+      return;
+    }
+    this.sessionSyncStarted = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.sessionChannel = new BroadcastChannel(this.SESSION_CHANNEL);
+      this.sessionChannel.onmessage = event => this.handleSessionMessage(event.data);
+      return;
+    }
+
+    window.addEventListener('storage', event => {
+      if (event.key !== CONFIG.STORAGE_KEYS.SESSION_EVENT || !event.newValue) {
+        return;
+      }
+      try {
+        this.handleSessionMessage(JSON.parse(event.newValue));
+      } catch (error) {
+        console.error('Session sync message error:', error);
+      }
+    });
+  },
+
+  /**
+   * Send a session message to the other tabs
+   * @param {string} type - 'login', 'token', 'activity', 'warning' or 'logout'
+   * @param {object} payload - Message data
+   */
+  broadcastSession(type, payload = {}) {
+    const message = { type, payload, tabId: this.tabId, sentAt: Date.now() };
+
+    if (this.sessionChannel) {
+      this.sessionChannel.postMessage(message);
+      return;
+    }
+
+    // Written to LocalStorage directly: only the storage event matters
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SESSION_EVENT, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error('Session sync broadcast error:', error);
+    }
+  },
+
+  /**
+   * Apply a session message from another tab
+   * StorageUtil caches values per tab, so the payload is written into this tab's cache.
+   * @param {object} message - { type, payload, tabId }
+   */
+  handleSessionMessage(message) {
+    if (!message || message.tabId === this.tabId) {
+      return;
+    }
+
+    const { type, payload = {} } = message;
+    const session = StorageUtil.get(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
+
+    switch (type) {
+      case 'login':
+      case 'token':
+        this.verifiedTokens.add(payload.token);
+        StorageUtil.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, payload.token);
+        StorageUtil.set(CONFIG.STORAGE_KEYS.USER_DATA, payload.user);
+        if (type === 'login') {
+          this.initSession();
+        }
+        break;
+
+      case 'activity':
+        if (session && payload.lastActivity > session.lastActivity) {
+          session.lastActivity = payload.lastActivity;
+          session.warningShown = false;
+          StorageUtil.set(CONFIG.STORAGE_KEYS.ADMIN_SESSION, session);
+        }
+        break;
+
+      case 'warning':
+        if (session) {
+          session.warningShown = true;
+          StorageUtil.set(CONFIG.STORAGE_KEYS.ADMIN_SESSION, session);
+        }
+        break;
+
+      case 'logout':
+        this.logout({ broadcast: false });
+        if (this.isProtectedPage()) {
+          window.location.href = '/admin/login.html';
+        }
+        break;
+    }
+  },
+
   /**
    * Require authentication (redirect if not authenticated)
    * @param {string} redirectUrl - URL to redirect to if not authenticated
@@ -459,14 +1134,91 @@ const AuthUtil = {
     return true;
   },
 
+  // ============================================
+  // PASSWORDS
+  // ============================================
+
+  /**
+   * Hash password with PBKDF2-SHA256 and a per-user salt
+   * @param {string} password - Password to hash
+   * @param {string} salt - Base64url salt (generated when omitted)
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<string>} - Encoded hash: pbkdf2-sha256$iterations$salt$hash
+   */
+  async hashPassword(password, salt = null, iterations = CONFIG.PASSWORD.HASH_ITERATIONS) {
+    const saltBytes = salt
+      ? this.fromBase64Url(salt)
+      : crypto.getRandomValues(new Uint8Array(CONFIG.PASSWORD.SALT_BYTES));
+
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+      baseKey,
+      256
+    );
+
+    return `pbkdf2-sha256$${iterations}$${this.toBase64Url(saltBytes)}$${this.toBase64Url(new Uint8Array(bits))}`;
+  },
+
+  /**
+   * Check a password against a stored user record
+   * Records without a PBKDF2 hash (plaintext or the old 32-bit hash) are still
+   * accepted once, and flagged for rehashing.
+   * @param {string} password - Password entered
+   * @param {object} user - User record from db_users
+   * @returns {Promise<object>} - { valid, needsRehash }
+   */
+  async verifyPassword(password, user) {
+    if (user.passwordHash) {
+      const [scheme, iterations, salt] = user.passwordHash.split('$');
+      if (scheme !== 'pbkdf2-sha256') {
+        return { valid: false, needsRehash: false };
+      }
+
+      const hash = await this.hashPassword(password, salt, parseInt(iterations, 10));
+      const valid = this.safeEqual(hash, user.passwordHash);
+      return {
+        valid,
+        needsRehash: valid && parseInt(iterations, 10) < CONFIG.PASSWORD.HASH_ITERATIONS
+      };
+    }
+
+    if (typeof user.password === 'string') {
+      const valid = this.safeEqual(user.password, password) ||
+        this.safeEqual(user.password, this.legacyHash(password));
+      return { valid, needsRehash: valid };
+    }
+
+    return { valid: false, needsRehash: false };
+  },
+
+  /**
+   * Compare strings in constant time
+   * @returns {boolean}
+   */
+  safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  },
+
   /**
-   * Hash password (simple implementation - use bcrypt in production)
+   * Previous 32-bit hash, kept only to migrate records that used it
    * @param {string} password - Password to hash
-   * @returns {string} - Hashed password
+   * @returns {string} - Legacy hash
    */
-  hashPassword(password) {
-    // This is a simple hash for demonstration
-    // In production, use a proper hashing library like bcrypt
+  legacyHash(password) {
     let hash = 0;
     for (let i = 0; i < password.length; i++) {
       const char = password.charCodeAt(i);
@@ -490,9 +1242,10 @@ if (typeof window !== 'undefined') {
 
 /**
  * Initialize demo users for testing
- * This should be called once to set up demo accounts
+ * This should be called once to set up demo accounts. Passwords are seeded as
+ * PBKDF2 hashes, so the shipped script holds no credentials.
  */
-AuthUtil.initDemoUsers = function() {
+AuthUtil.initDemoUsers = async function() {
   const existingUsers = StorageUtil.get(CONFIG.STORAGE_KEYS.USERS, []);
   
   // Only initialize if no users exist
@@ -502,7 +1255,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'admin-001',
         username: 'admin',
         email: 'admin@dbconstruction.com',
-        password: 'admin12345',
+        passwordHash: 'pbkdf2-sha256$100000$L_HgHR42IckhclbW3EJcug$KhrjacqN5pWJSUw2p_IOhIgkma8Bp1FC-6XBpHQMlnk',
         name: 'Administrator',
         role: 'admin',
         projectIds: [],
@@ -514,7 +1267,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'staff-001',
         username: 'moti.elias',
         email: 'moti@dbconstruction.com',
-        password: 'staff123',
+        passwordHash: 'pbkdf2-sha256$100000$pW7p7AtrW_ii9yUUyKWJwQ$1geIlRwnzE1aLjcic8RZhEGeO-5rhdCUPwe7TtjnPg8',
         name: 'Moti Elias',
         role: 'staff',
         projectIds: ['proj-001', 'proj-002', 'proj-003'],
@@ -526,7 +1279,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'staff-002',
         username: 'moti.tola',
         email: 'tola@dbconstruction.com',
-        password: 'staff456',
+        passwordHash: 'pbkdf2-sha256$100000$PRsy3QfXK51RgBqzQ6cOuQ$N4GE_po1ea_DTzXQ1xvCcL6NGGsviOf02A6tbPGi5yE',
         name: 'Moti Tola',
         role: 'staff',
         projectIds: ['proj-004', 'proj-005'],
@@ -538,7 +1291,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-001',
         username: 'abc.corp',
         email: 'contact@abc.com',
-        password: 'client123',
+        passwordHash: 'pbkdf2-sha256$100000$8LW_h_lRy6f9akZL1GgrTQ$ndkkdgj749NLOo8Jy-m1IH55Y6lfjQLY8v1tL0ZFeEk',
         name: 'ABC Corporation',
         role: 'client',
         projectIds: ['proj-001', 'proj-002'],
@@ -550,7 +1303,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-002',
         username: 'john.doe',
         email: 'john.doe@example.com',
-        password: 'client123',
+        passwordHash: 'pbkdf2-sha256$100000$WS1A8w_pnRqwcTd9PNEwjQ$qNe-XrIFXkl38H66hPkCxZE4UDNJFGtdoMq5_3ERh5Y',
         name: 'John Doe',
         role: 'client',
         projectIds: ['proj-003'],
@@ -562,7 +1315,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-003',
         username: 'jane.smith',
         email: 'jane.smith@example.com',
-        password: 'client456',
+        passwordHash: 'pbkdf2-sha256$100000$rCiNVnQey8IM8uH6hHRnhQ$YPxvwgZES55QG6kCTmMcf7hRAfuhoRrmSYJNep9TWX0',
         name: 'Jane Smith',
         role: 'client',
         projectIds: ['proj-004', 'proj-005'],
@@ -574,7 +1327,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-004',
         username: 'ministry.health',
         email: 'info@moh.gov.et',
-        password: 'client789',
+        passwordHash: 'pbkdf2-sha256$100000$v6CEiUbTOjfx9m_bhXVvBA$9rQ6lqbcuhGVFefLJWrOzEL1AKZ0qw2QPjQG6yQDt5U',
         name: 'Ministry of Health',
         role: 'client',
         projectIds: ['proj-006'],
@@ -586,7 +1339,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-005',
         username: 'real.estate',
         email: 'contact@regroup.com',
-        password: 'client321',
+        passwordHash: 'pbkdf2-sha256$100000$5c0v9uWvY1eiaskfYGVFHg$NuA7EQHoKvfaAEcNlGuQ5kWMebDLPQWGG015DBXscDc',
         name: 'Real Estate Group',
         role: 'client',
         projectIds: ['proj-007', 'proj-008', 'proj-009'],
@@ -598,7 +1351,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-006',
         username: 'private.dev',
         email: 'dev@private.com',
-        password: 'client654',
+        passwordHash: 'pbkdf2-sha256$100000$l53EvXTkVGlmff-hlIhpSQ$AzC9c1B2oshTZsb0H7YUPrfl9bC5fLulLR1Hz6G39Fs',
         name: 'Private Developer',
         role: 'client',
         projectIds: ['proj-010'],
@@ -610,7 +1363,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-007',
         username: 'city.admin',
         email: 'admin@city.gov.et',
-        password: 'client987',
+        passwordHash: 'pbkdf2-sha256$100000$pTqdLtVSXEIKfrWj2eqNWg$jGXQER3zgXa_42DLB6_kQPphU2do8fWCefXL0kVV5Zo',
         name: 'City Administration',
         role: 'client',
         projectIds: ['proj-011', 'proj-012'],
@@ -622,7 +1375,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-008',
         username: 'demo.client',
         email: 'demo@example.com',
-        password: 'demo123',
+        passwordHash: 'pbkdf2-sha256$100000$fakYolsN2zOIk72TrvlqLg$f6SdC0QhJ-2z5Hui8xuDXXi-lLGeMf0v69rg2ihhy4A',
         name: 'Demo Client',
         role: 'client',
         projectIds: [],
@@ -634,7 +1387,7 @@ AuthUtil.initDemoUsers = function() {
         id: 'client-009',
         username: 'test.user',
         email: 'test@example.com',
-        password: 'test123',
+        passwordHash: 'pbkdf2-sha256$100000$xFBcmP2kY3wEf9KQzZhAgg$QcXgZBZLkllIhvz5SCUZq9FDOMwh-OWRjTm_SSeUiss',
         name: 'Test User',
         role: 'client',
         projectIds: [],
@@ -654,7 +1407,13 @@ AuthUtil.initDemoUsers = function() {
 
 // Auto-initialize demo users on load
 if (typeof window !== 'undefined') {
-  document.addEventListener('DOMContentLoaded', () => {
-    AuthUtil.initDemoUsers();
+  // The stored token is checked once all scripts have loaded; until then
+  // getCurrentUser() returns null, so wait for `AuthUtil.ready` first
+  AuthUtil.ready = new Promise(resolve => {
+    document.addEventListener('DOMContentLoaded', () => {
+      AuthUtil.initSessionSync();
+      resolve(AuthUtil.restoreSession());
+      AuthUtil.initDemoUsers();
+    });
   });
 }
@@ -0,0 +1,87 @@
+/**
+ * Email Outbox
+ * Records outgoing emails in storage instead of sending them, so invitation and
+ * password reset flows can be tested without an SMTP server
+ */
+
+const EmailOutbox = {
+  MAX_MESSAGES: 200,
+
+  /**
+   * "Send" an email by adding it to the outbox
+   * @param {object} message - { to, subject, body, type, meta }
+   * @returns {object} - The stored message
+   */
+  send({ to, subject, body, type = 'general', meta = {} }) {
+    const messages = this.getAll();
+
+    const message = {
+      id: 'email_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      to,
+      subject,
+      body,
+      type,
+      meta,
+      status: 'sent',
+      sentAt: new Date().toISOString()
+    };
+
+    messages.unshift(message);
+
+    // Keep only the most recent messages to prevent storage overflow
+    if (messages.length > this.MAX_MESSAGES) {
+      messages.splice(this.MAX_MESSAGES);
+    }
+
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EMAIL_OUTBOX, messages);
+    console.log(`Email recorded in outbox: ${to} - ${subject}`);
+
+    return message;
+  },
+
+  /**
+   * Get sent messages, newest first
+   * @param {object} filters - { to, type }
+   * @returns {array}
+   */
+  getAll(filters = {}) {
+    let messages = StorageUtil.get(CONFIG.STORAGE_KEYS.EMAIL_OUTBOX, []);
+
+    if (filters.to) {
+      const to = filters.to.toLowerCase();
+      messages = messages.filter(m => m.to.toLowerCase() === to);
+    }
+    if (filters.type) {
+      messages = messages.filter(m => m.type === filters.type);
+    }
+
+    return messages;
+  },
+
+  /**
+   * Get the most recent message sent to an address
+   * @param {string} to - Recipient email
+   * @param {string} type - Message type (optional)
+   * @returns {object|null}
+   */
+  getLatest(to, type = null) {
+    return this.getAll({ to, type })[0] || null;
+  },
+
+  /**
+   * Remove all messages
+   */
+  clear() {
+    StorageUtil.remove(CONFIG.STORAGE_KEYS.EMAIL_OUTBOX);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmailOutbox;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.EmailOutbox = EmailOutbox;
+}
@@ -0,0 +1,250 @@
+/**
+ * IndexedDB Storage Engine
+ * Persistent async backend for StorageUtil with binary Blob support and a
+ * one-time migration of existing LocalStorage data
+ */
+
+const IndexedDBStorage = {
+  DB_NAME: 'db_construction',
+  DB_VERSION: 1,
+
+  STORES: {
+    RECORDS: 'records',
+    BLOBS: 'blobs',
+    META: 'meta'
+  },
+
+  // Prefix of LocalStorage keys owned by the application
+  MIGRATION_PREFIX: 'db_',
+
+  dbPromise: null,
+
+  /**
+   * Check whether IndexedDB is available in this browser
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!this.isSupported()) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(this.STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name);
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  },
+
+  /**
+   * Run a single request inside a transaction
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} callback - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async run(storeName, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  },
+
+  // ============================================
+  // RECORDS
+  // ============================================
+
+  /**
+   * Get a record
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} - Stored value or undefined
+   */
+  get(key) {
+    return this.run(this.STORES.RECORDS, 'readonly', store => store.get(key));
+  },
+
+  /**
+   * Save a record
+   * @param {string} key - Storage key
+   * @param {*} value - Structured-cloneable value
+   * @returns {Promise}
+   */
+  set(key, value) {
+    return this.run(this.STORES.RECORDS, 'readwrite', store => store.put(value, key));
+  },
+
+  /**
+   * Remove a record
+   * @param {string} key - Storage key
+   * @returns {Promise}
+   */
+  remove(key) {
+    return this.run(this.STORES.RECORDS, 'readwrite', store => store.delete(key));
+  },
+
+  /**
+   * Remove all records and blobs
+   * @returns {Promise}
+   */
+  async clear() {
+    await this.run(this.STORES.RECORDS, 'readwrite', store => store.clear());
+    await this.run(this.STORES.BLOBS, 'readwrite', store => store.clear());
+  },
+
+  /**
+   * List records, optionally limited to a key prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array<{key: string, value: *}>>}
+   */
+  async entries(prefix = '') {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const transaction = db.transaction(this.STORES.RECORDS, 'readonly');
+      const store = transaction.objectStore(this.STORES.RECORDS);
+      const range = prefix ? IDBKeyRange.bound(prefix, prefix + '\uffff') : undefined;
+      const request = store.openCursor(range);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          results.push({ key: cursor.key, value: cursor.value });
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve(results);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  // ============================================
+  // BLOBS
+  // ============================================
+
+  /**
+   * Store a Blob
+   * @param {string} key - Blob key
+   * @param {Blob} blob - Binary data
+   * @returns {Promise}
+   */
+  setBlob(key, blob) {
+    return this.run(this.STORES.BLOBS, 'readwrite', store => store.put(blob, key));
+  },
+
+  /**
+   * Read a Blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Blob|undefined>}
+   */
+  getBlob(key) {
+    return this.run(this.STORES.BLOBS, 'readonly', store => store.get(key));
+  },
+
+  /**
+   * Remove a Blob
+   * @param {string} key - Blob key
+   * @returns {Promise}
+   */
+  removeBlob(key) {
+    return this.run(this.STORES.BLOBS, 'readwrite', store => store.delete(key));
+  },
+
+  // ============================================
+  // MIGRATION
+  // ============================================
+
+  /**
+   * Move existing LocalStorage data into IndexedDB (runs once)
+   * Values are copied as parsed JSON. LocalStorage keeps them as StorageUtil's
+   * synchronous mirror until it runs out of space.
+   * @returns {Promise<number>} - Number of keys migrated (0 if already done)
+   */
+  async migrate() {
+    const migration = await this.run(this.STORES.META, 'readonly', store => store.get('migration'));
+    if (migration && migration.completedAt) {
+      return 0;
+    }
+
+    const keys = Object.keys(localStorage).filter(key => key.startsWith(this.MIGRATION_PREFIX));
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORES.RECORDS, 'readwrite');
+      const store = transaction.objectStore(this.STORES.RECORDS);
+
+      keys.forEach(key => {
+        const raw = localStorage.getItem(key);
+        let value = raw;
+        try {
+          value = JSON.parse(raw);
+        } catch (e) {
+          // Keep non-JSON values as plain strings
+        }
+        store.put(value, key);
+      });
+
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.run(this.STORES.META, 'readwrite', store => store.put({
+      completedAt: new Date().toISOString(),
+      keyCount: keys.length
+    }, 'migration'));
+
+    console.log(`Migrated ${keys.length} items from LocalStorage to IndexedDB`);
+    return keys.length;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDBStorage;
+}
+
+// Make available globally and switch StorageUtil over when possible
+if (typeof window !== 'undefined') {
+  window.IndexedDBStorage = IndexedDBStorage;
+
+  if (typeof StorageUtil !== 'undefined' && IndexedDBStorage.isSupported()) {
+    StorageUtil.useEngine(IndexedDBStorage);
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * Locale Utility Functions
+ * Formats money, numbers and floor areas for display in each user's currency,
+ * number format and size unit.
+ *
+ * All calculations and stored amounts stay in ETB and m². Amounts are converted
+ * only when formatted, with the exchange rate in force on the given date.
+ */
+
+const LocaleUtil = {
+  // ============================================
+  // DISPLAY PREFERENCES
+  // ============================================
+
+  /**
+   * Display preferences of a user (signed-out visitors share the 'guest' entry)
+   * Users who haven't chosen yet get the guest choices, then the defaults.
+   * @param {object} user - User record (defaults to the current user)
+   * @returns {object} - { currency, locale, sizeUnit }
+   */
+  getPreferences(user = this.getUser()) {
+    const stored = StorageUtil.get(CONFIG.STORAGE_KEYS.DISPLAY_PREFERENCES, {});
+    const preferences = { ...(stored.guest || {}), ...(stored[this.preferenceKey(user)] || {}) };
+
+    return {
+      currency: CONFIG.LOCALE.CURRENCIES[preferences.currency] ? preferences.currency : CONFIG.LOCALE.BASE_CURRENCY,
+      locale: CONFIG.LOCALE.LOCALES[preferences.locale] ? preferences.locale : CONFIG.LOCALE.DEFAULT_LOCALE,
+      sizeUnit: CONFIG.LOCALE.SIZE_UNITS[preferences.sizeUnit] ? preferences.sizeUnit : CONFIG.LOCALE.DEFAULT_SIZE_UNIT
+    };
+  },
+
+  /**
+   * Change display preferences of the current user
+   * @param {object} changes - Any of { currency, locale, sizeUnit }
+   * @returns {object} - Updated preferences
+   */
+  setPreferences(changes) {
+    if (changes.currency !== undefined && !CONFIG.LOCALE.CURRENCIES[changes.currency]) {
+      throw new Error(`Unsupported currency: ${changes.currency}`);
+    }
+    if (changes.locale !== undefined && !CONFIG.LOCALE.LOCALES[changes.locale]) {
+      throw new Error(`Unsupported number format: ${changes.locale}`);
+    }
+    if (changes.sizeUnit !== undefined && !CONFIG.LOCALE.SIZE_UNITS[changes.sizeUnit]) {
+      throw new Error(`Unsupported size unit: ${changes.sizeUnit}`);
+    }
+
+    const user = this.getUser();
+    const preferences = { ...this.getPreferences(user), ...changes };
+    const stored = StorageUtil.get(CONFIG.STORAGE_KEYS.DISPLAY_PREFERENCES, {});
+    stored[this.preferenceKey(user)] = preferences;
+    StorageUtil.set(CONFIG.STORAGE_KEYS.DISPLAY_PREFERENCES, stored);
+    return preferences;
+  },
+
+  getCurrency() {
+    return this.getPreferences().currency;
+  },
+
+  getLocale() {
+    return this.getPreferences().locale;
+  },
+
+  getSizeUnit() {
+    return this.getPreferences().sizeUnit;
+  },
+
+  preferenceKey(user) {
+    return user ? `user_${user.id}` : 'guest';
+  },
+
+  getUser() {
+    return typeof AuthUtil !== 'undefined' ? AuthUtil.getCurrentUser() : null;
+  },
+
+  // ============================================
+  // EXCHANGE RATES
+  // ============================================
+
+  /**
+   * Recorded exchange rates (seeded from CONFIG.LOCALE.EXCHANGE_RATES)
+   * @returns {array} - [{ currency, rate, effectiveFrom, recordedBy, recordedAt }], rate in ETB per unit
+   */
+  getExchangeRates() {
+    const rates = StorageUtil.get(CONFIG.STORAGE_KEYS.EXCHANGE_RATES, null);
+    if (Array.isArray(rates)) {
+      return rates;
+    }
+
+    const seeded = Object.entries(CONFIG.LOCALE.EXCHANGE_RATES).map(([currency, rate]) => ({
+      currency,
+      rate,
+      effectiveFrom: '2000-01-01',
+      recordedBy: null,
+      recordedAt: new Date().toISOString()
+    }));
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EXCHANGE_RATES, seeded);
+    return seeded;
+  },
+
+  /**
+   * ETB per unit of a currency on a date
+   * @param {string} currency - Currency code
+   * @param {Date|string} date - Date (defaults to today)
+   * @returns {number}
+   */
+  getExchangeRate(currency, date = new Date()) {
+    if (currency === CONFIG.LOCALE.BASE_CURRENCY) {
+      return 1;
+    }
+
+    const dateKey = this.toDateKey(date);
+    const rates = this.getExchangeRates()
+      .filter(rate => rate.currency === currency && rate.effectiveFrom <= dateKey)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    if (rates.length === 0) {
+      throw new Error(`No exchange rate for ${currency} on ${dateKey}`);
+    }
+    return rates[rates.length - 1].rate;
+  },
+
+  /**
+   * Record an exchange rate; a second rate for the same day replaces the first
+   * @param {string} currency - Currency code
+   * @param {number} rate - ETB per unit of the currency
+   * @param {Date|string} effectiveFrom - First day the rate applies (defaults to today)
+   * @returns {object} - Recorded rate
+   */
+  setExchangeRate(currency, rate, effectiveFrom = new Date()) {
+    if (typeof PermissionUtil !== 'undefined') {
+      PermissionUtil.assert('rates:update');
+    }
+    if (currency === CONFIG.LOCALE.BASE_CURRENCY || !CONFIG.LOCALE.CURRENCIES[currency]) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+    if (!(Number(rate) > 0)) {
+      throw new Error('Exchange rate must be greater than 0');
+    }
+
+    const user = this.getUser();
+    const entry = {
+      currency,
+      rate: Number(rate),
+      effectiveFrom: this.toDateKey(effectiveFrom),
+      recordedBy: user ? user.name || user.username || null : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    const rates = this.getExchangeRates()
+      .filter(r => !(r.currency === currency && r.effectiveFrom === entry.effectiveFrom));
+    rates.push(entry);
+    StorageUtil.set(CONFIG.STORAGE_KEYS.EXCHANGE_RATES, rates);
+
+    if (typeof AuditLog !== 'undefined' && user) {
+      AuditLog.logAction('update', 'exchange_rate', currency, { rate: entry.rate, effectiveFrom: entry.effectiveFrom });
+    }
+    return entry;
+  },
+
+  /**
+   * Convert an ETB amount into another currency (unrounded)
+   * @param {number} amount - Amount in ETB
+   * @param {string} currency - Target currency (defaults to the display currency)
+   * @param {Date|string} date - Date of the exchange rate (defaults to today)
+   * @returns {number}
+   */
+  convert(amount, currency = this.getCurrency(), date = new Date()) {
+    return (Number(amount) || 0) / this.getExchangeRate(currency, date);
+  },
+
+  // ============================================
+  // ROUNDING AND FORMATTING
+  // ============================================
+
+  /**
+   * Round half away from zero, so refunds and credits round like charges
+   * @param {number} value - Value to round
+   * @param {number} decimals - Decimal places
+   * @returns {number}
+   */
+  round(value, decimals = 0) {
+    const factor = Math.pow(10, decimals);
+    const rounded = Math.sign(value) * Math.round(Math.abs(value) * factor + 1e-9) / factor;
+    return rounded === 0 ? 0 : rounded;
+  },
+
+  /**
+   * Format an ETB amount as money in the display currency, e.g. "ETB 1,380,000" or "$9,200"
+   * @param {number} amount - Amount in ETB
+   * @param {object} options - { currency, locale, date, decimals, compact }
+   * @returns {string}
+   */
+  formatMoney(amount, options = {}) {
+    const { currency, locale, decimals } = this.resolve(options);
+    const value = this.round(this.convert(amount, currency, options.date), decimals);
+
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: options.compact ? 0 : decimals,
+      maximumFractionDigits: options.compact ? 1 : decimals,
+      ...(options.compact ? { notation: 'compact' } : {})
+    }).format(value);
+  },
+
+  /**
+   * Format an ETB amount in the display currency without the currency,
+   * for table cells under a heading that names it (see currencyLabel)
+   * @param {number} amount - Amount in ETB
+   * @param {object} options - { currency, locale, date, decimals }
+   * @returns {string}
+   */
+  formatAmount(amount, options = {}) {
+    const { currency, locale, decimals } = this.resolve(options);
+    return this.formatNumber(this.convert(amount, currency, options.date), decimals, locale);
+  },
+
+  /**
+   * Format a plain number with the user's separators
+   * @param {number} value - Value
+   * @param {number} decimals - Decimal places
+   * @param {string} locale - Locale (defaults to the user's)
+   * @returns {string}
+   */
+  formatNumber(value, decimals = 0, locale = this.getLocale()) {
+    return new Intl.NumberFormat(locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(this.round(Number(value) || 0, decimals));
+  },
+
+  /**
+   * Currency code for headings, e.g. "Amount (USD)"
+   * @param {object} options - { currency }
+   * @returns {string}
+   */
+  currencyLabel(options = {}) {
+    return options.currency || this.getCurrency();
+  },
+
+  resolve(options) {
+    const currency = options.currency || this.getCurrency();
+    if (!CONFIG.LOCALE.CURRENCIES[currency]) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    return {
+      currency,
+      locale: options.locale || this.getLocale(),
+      decimals: options.decimals !== undefined ? options.decimals : CONFIG.LOCALE.CURRENCIES[currency].decimals
+    };
+  },
+
+  // ============================================
+  // SIZE UNITS
+  // ============================================
+
+  /**
+   * Convert a floor area into m²
+   * @param {number} size - Area in `unit`
+   * @param {string} unit - 'sqm' or 'sqft'
+   * @returns {number}
+   */
+  toSqm(size, unit = CONFIG.LOCALE.DEFAULT_SIZE_UNIT) {
+    const sizeUnit = CONFIG.LOCALE.SIZE_UNITS[unit];
+    if (!sizeUnit) {
+      throw new Error(`Unsupported size unit: ${unit}`);
+    }
+    return size * sizeUnit.toSqm;
+  },
+
+  /**
+   * Convert an area in m² into another unit
+   * @param {number} sqm - Area in m²
+   * @param {string} unit - 'sqm' or 'sqft'
+   * @returns {number}
+   */
+  fromSqm(sqm, unit = this.getSizeUnit()) {
+    return sqm / this.toSqm(1, unit);
+  },
+
+  /**
+   * Format an area in m² in the user's size unit, e.g. "1,615 ft²"
+   * @param {number} sqm - Area in m²
+   * @param {object} options - { unit, locale, decimals }
+   * @returns {string}
+   */
+  formatArea(sqm, options = {}) {
+    const unit = options.unit || this.getSizeUnit();
+    const value = this.formatNumber(this.fromSqm(sqm, unit), options.decimals || 0, options.locale);
+    return `${value} ${this.unitLabel(unit)}`;
+  },
+
+  unitLabel(unit = this.getSizeUnit()) {
+    return CONFIG.LOCALE.SIZE_UNITS[unit] ? CONFIG.LOCALE.SIZE_UNITS[unit].label : unit;
+  },
+
+  // ============================================
+  // SWITCHER
+  // ============================================
+
+  /**
+   * Wire display preference selects (`data-locale-setting="currency|locale|sizeUnit"`)
+   * Choosing an option saves it and reloads the page so every figure is redrawn.
+   * @param {HTMLElement} root - Container to scan
+   */
+  initSwitcher(root = document) {
+    const options = {
+      currency: Object.entries(CONFIG.LOCALE.CURRENCIES).map(([code, currency]) => [code, `${code} · ${currency.name}`]),
+      locale: Object.entries(CONFIG.LOCALE.LOCALES),
+      sizeUnit: Object.entries(CONFIG.LOCALE.SIZE_UNITS).map(([unit, sizeUnit]) => [unit, sizeUnit.label])
+    };
+    const preferences = this.getPreferences();
+
+    root.querySelectorAll('[data-locale-setting]').forEach(select => {
+      const setting = select.getAttribute('data-locale-setting');
+      if (!options[setting]) {
+        return;
+      }
+
+      if (select.options.length === 0) {
+        select.innerHTML = options[setting].map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+      }
+      select.value = preferences[setting];
+      select.addEventListener('change', () => {
+        this.setPreferences({ [setting]: select.value });
+        window.location.reload();
+      });
+    });
+  },
+
+  toDateKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date;
+    }
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocaleUtil;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.LocaleUtil = LocaleUtil;
+}
+
+// Wire display preference selects on the page
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    LocaleUtil.initSwitcher();
+  });
+}
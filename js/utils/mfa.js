@@ -0,0 +1,442 @@
+/**
+ * Multi-Factor Authentication Utility
+ * TOTP (RFC 6238) enrollment and verification with one-time recovery codes
+ */
+
+const MFAUtil = {
+  ISSUER: 'DB General Construction',
+  DIGITS: 6,
+  PERIOD: 30,            // seconds per code
+  WINDOW: 1,             // accept codes one period either side for clock drift
+  BASE32_ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+
+  // Vendored QR encoder (js/qrcode.js), loaded on first use unless the page includes it
+  QR_SCRIPT: typeof document !== 'undefined' && document.currentScript
+    ? new URL('../qrcode.js', document.currentScript.src).href
+    : 'js/qrcode.js',
+  qrPromise: null,
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  /**
+   * Get all MFA records, keyed by user ID
+   * @returns {object}
+   */
+  getRecords() {
+    return StorageUtil.get(CONFIG.STORAGE_KEYS.MFA, {});
+  },
+
+  /**
+   * Get the MFA record for a user
+   * @param {string} userId - User ID
+   * @returns {object|null} - { secret, enabled, recoveryCodes, enrolledAt, lastUsedStep }
+   */
+  getRecord(userId) {
+    return this.getRecords()[userId] || null;
+  },
+
+  /**
+   * Save the MFA record for a user
+   * @param {string} userId - User ID
+   * @param {object|null} record - Record, or null to remove
+   */
+  saveRecord(userId, record) {
+    const records = this.getRecords();
+    if (record) {
+      records[userId] = record;
+    } else {
+      delete records[userId];
+    }
+    StorageUtil.set(CONFIG.STORAGE_KEYS.MFA, records);
+  },
+
+  /**
+   * Check whether a user has completed enrollment
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  isEnabled(userId) {
+    const record = this.getRecord(userId);
+    return Boolean(record && record.enabled);
+  },
+
+  // ============================================
+  // ENROLLMENT
+  // ============================================
+
+  /**
+   * Start enrollment: create a secret to show as a QR code or text
+   * Replaces any unconfirmed secret; an enabled record stays active until confirmed.
+   * @param {object} user - User record
+   * @returns {object} - { secret, otpauthUrl }
+   */
+  startEnrollment(user) {
+    const secret = this.generateSecret();
+    const record = this.getRecord(user.id) || { enabled: false, recoveryCodes: [] };
+
+    this.saveRecord(user.id, { ...record, pendingSecret: secret });
+
+    return {
+      secret,
+      otpauthUrl: this.getOtpAuthUrl(secret, user.email || user.username)
+    };
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {object} user - User record
+   * @param {string} code - 6-digit code
+   * @returns {Promise<object>} - { success, recoveryCodes, message }
+   */
+  async confirmEnrollment(user, code) {
+    const record = this.getRecord(user.id);
+    if (!record || !record.pendingSecret) {
+      return { success: false, message: 'Start enrollment first' };
+    }
+
+    const step = await this.matchCode(record.pendingSecret, code);
+    if (step === null) {
+      return { success: false, message: 'Invalid code. Check the time on your device and try again.' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    this.saveRecord(user.id, {
+      secret: record.pendingSecret,
+      enabled: true,
+      recoveryCodes: await Promise.all(recoveryCodes.map(c => this.hashRecoveryCode(c))),
+      enrolledAt: new Date().toISOString(),
+      lastUsedStep: step
+    });
+
+    this.logEvent('mfa_enrolled', user);
+    return { success: true, recoveryCodes, message: 'Two-factor authentication enabled' };
+  },
+
+  /**
+   * Turn off MFA for a user
+   * @param {object} user - User record
+   */
+  disable(user) {
+    this.saveRecord(user.id, null);
+    this.logEvent('mfa_disabled', user);
+  },
+
+  /**
+   * Replace a user's recovery codes
+   * @param {object} user - User record
+   * @returns {Promise<array>} - New plaintext codes (shown once)
+   */
+  async regenerateRecoveryCodes(user) {
+    const record = this.getRecord(user.id);
+    if (!record || !record.enabled) {
+      return [];
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    record.recoveryCodes = await Promise.all(recoveryCodes.map(c => this.hashRecoveryCode(c)));
+    this.saveRecord(user.id, record);
+    this.logEvent('mfa_recovery_codes_regenerated', user);
+    return recoveryCodes;
+  },
+
+  // ============================================
+  // VERIFICATION
+  // ============================================
+
+  /**
+   * Verify a TOTP code or an unused recovery code
+   * Each TOTP step is accepted once; recovery codes are consumed.
+   * @param {object} user - User record
+   * @param {string} code - Code entered
+   * @returns {Promise<object>} - { valid, method: 'totp'|'recovery' }
+   */
+  async verify(user, code) {
+    const record = this.getRecord(user.id);
+    if (!record || !record.enabled) {
+      return { valid: false, method: null };
+    }
+
+    const input = String(code || '').replace(/\s+/g, '');
+
+    if (/^\d+$/.test(input)) {
+      const step = await this.matchCode(record.secret, input);
+      if (step !== null && step > (record.lastUsedStep || 0)) {
+        record.lastUsedStep = step;
+        this.saveRecord(user.id, record);
+        return { valid: true, method: 'totp' };
+      }
+      return { valid: false, method: 'totp' };
+    }
+
+    const hash = await this.hashRecoveryCode(input);
+    const index = record.recoveryCodes.indexOf(hash);
+    if (index !== -1) {
+      record.recoveryCodes.splice(index, 1);
+      this.saveRecord(user.id, record);
+      this.logEvent('mfa_recovery_code_used', user, { remaining: record.recoveryCodes.length });
+      return { valid: true, method: 'recovery' };
+    }
+    return { valid: false, method: 'recovery' };
+  },
+
+  /**
+   * Find the time step a code belongs to within the drift window
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered
+   * @returns {Promise<number|null>} - Matching step or null
+   */
+  async matchCode(secret, code) {
+    const input = String(code || '').replace(/\s+/g, '');
+    if (input.length !== this.DIGITS) {
+      return null;
+    }
+
+    const current = Math.floor(Date.now() / 1000 / this.PERIOD);
+    for (let offset = -this.WINDOW; offset <= this.WINDOW; offset++) {
+      if (await this.generateCode(secret, current + offset) === input) {
+        return current + offset;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Generate the TOTP code for a time step (HMAC-SHA1, dynamic truncation)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {Promise<string>}
+   */
+  async generateCode(secret, step) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      this.base32Decode(secret),
+      { name: 'HMAC', hash: 'SHA-1' },
+      false,
+      ['sign']
+    );
+
+    const counter = new DataView(new ArrayBuffer(8));
+    counter.setUint32(0, Math.floor(step / 0x100000000));
+    counter.setUint32(4, step >>> 0);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % Math.pow(10, this.DIGITS)).padStart(this.DIGITS, '0');
+  },
+
+  // ============================================
+  // SECRETS & CODES
+  // ============================================
+
+  /**
+   * Generate a random 160-bit base32 secret
+   * @returns {string}
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+  },
+
+  /**
+   * Build the otpauth:// URL authenticator apps read from the QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} account - Account label (email or username)
+   * @returns {string}
+   */
+  getOtpAuthUrl(secret, account) {
+    const label = encodeURIComponent(`${this.ISSUER}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.ISSUER,
+      digits: String(this.DIGITS),
+      period: String(this.PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  },
+
+  /**
+   * Generate one-time recovery codes (xxxx-xxxx)
+   * @param {number} count - Number of codes
+   * @returns {array}
+   */
+  generateRecoveryCodes(count = CONFIG.SECURITY.RECOVERY_CODE_COUNT) {
+    const chars = 'abcdefghjkmnpqrstuvwxyz23456789';
+    return Array.from({ length: count }, () => {
+      const bytes = crypto.getRandomValues(new Uint8Array(8));
+      const code = Array.from(bytes, byte => chars[byte % chars.length]).join('');
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  },
+
+  /**
+   * Hash a recovery code for storage (SHA-256, hex)
+   * @param {string} code - Recovery code
+   * @returns {Promise<string>}
+   */
+  async hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    bytes.forEach(byte => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += this.BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+
+    if (bits > 0) {
+      output += this.BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  },
+
+  base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[^A-Z2-7]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      value = (value << 5) | this.BASE32_ALPHABET.indexOf(char);
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  },
+
+  // ============================================
+  // UI
+  // ============================================
+
+  /**
+   * Render the enrollment flow (QR/secret, code check, recovery codes) into a container
+   * The secret is also shown for manual entry, in case the QR code can't be drawn.
+   * @param {HTMLElement} container - Target element
+   * @param {object} user - User record (defaults to the current user)
+   */
+  renderEnrollment(container, user = AuthUtil.getCurrentUser()) {
+    if (!container || !user) {
+      return;
+    }
+
+    const { secret, otpauthUrl } = this.startEnrollment(user);
+    const groupedSecret = secret.match(/.{1,4}/g).join(' ');
+
+    container.innerHTML = `
+      <div class="mfa-enrollment">
+        <p>Scan this QR code with an authenticator app, or enter the key manually.</p>
+        <div class="mfa-qr mb-3"></div>
+        <p class="mb-3"><strong>Key:</strong> <code class="mfa-secret">${groupedSecret}</code></p>
+        <div class="input-group mb-2" style="max-width: 320px;">
+          <input type="text" class="form-control mfa-code" inputmode="numeric" autocomplete="one-time-code"
+                 maxlength="${this.DIGITS}" placeholder="${'0'.repeat(this.DIGITS)}">
+          <button type="button" class="btn btn-primary mfa-verify">Verify</button>
+        </div>
+        <div class="mfa-message small"></div>
+      </div>
+    `;
+
+    this.renderQRCode(container.querySelector('.mfa-qr'), otpauthUrl);
+
+    container.querySelector('.mfa-verify').addEventListener('click', async () => {
+      const code = container.querySelector('.mfa-code').value;
+      const result = await this.confirmEnrollment(user, code);
+      const message = container.querySelector('.mfa-message');
+
+      if (!result.success) {
+        message.className = 'mfa-message small text-danger';
+        message.textContent = result.message;
+        return;
+      }
+
+      container.innerHTML = `
+        <div class="alert alert-success">${result.message}</div>
+        <p>Save these recovery codes somewhere safe. Each code can be used once if you lose your device.</p>
+        <ul class="list-unstyled font-monospace mfa-recovery-codes">
+          ${result.recoveryCodes.map(c => `<li>${c}</li>`).join('')}
+        </ul>
+      `;
+    });
+  },
+
+  /**
+   * Draw a QR code for a URL (an SVG, scaled to fit 180px) into an element
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text to encode, e.g. the otpauth:// URL
+   * @returns {Promise<boolean>} - Whether the code was drawn
+   */
+  async renderQRCode(element, text) {
+    try {
+      const qr = (await this.loadQRCode())(0, 'M');
+      qr.addData(text);
+      qr.make();
+
+      element.innerHTML = qr.createSvgTag(Math.max(2, Math.floor(180 / (qr.getModuleCount() + 8))), 4, 'QR code for your authenticator app');
+      return true;
+    } catch (error) {
+      console.error('QR code could not be drawn:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the vendored QR encoder once
+   * @returns {Promise<function>} - The `qrcode` factory
+   */
+  loadQRCode() {
+    if (typeof qrcode !== 'undefined') {
+      return Promise.resolve(qrcode);
+    }
+
+    if (!this.qrPromise) {
+      this.qrPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = this.QR_SCRIPT;
+        script.onload = () => resolve(window.qrcode);
+        script.onerror = () => {
+          this.qrPromise = null;
+          reject(new Error(`Failed to load ${this.QR_SCRIPT}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return this.qrPromise;
+  },
+
+  /**
+   * Write an MFA event to the audit log
+   */
+  logEvent(action, user, details = {}) {
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction(action, 'auth', user.id, details, user);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MFAUtil;
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.MFAUtil = MFAUtil;
+}
@@ -0,0 +1,843 @@
+/**
+ * Mock Server - In-browser backend for development
+ * Intercepts fetch calls to the API base URL and serves every endpoint used by
+ * utils/api.js from MockData, so modules can be developed without PHP.
+ *
+ * Load after api.js and mock-data.js. Enable with `?mock=1` in the page URL
+ * (remembered until `?mock=0`) or by calling `MockServer.start()`.
+ *
+ * Like the real backend, a write repeated with the same Idempotency-Key gets
+ * the stored response instead of being applied twice.
+ */
+
+const MockServer = {
+    // Remembers whether the mock server is switched on
+    FLAG_KEY: 'mockServer',
+
+    // Persisted mock database (not prefixed with db_ so it is never migrated)
+    DB_KEY: 'mockServerDb',
+
+    // Responses to writes, by Idempotency-Key: { key: { method, endpoint, status, body, storedAt } }
+    IDEMPOTENCY_KEY: 'mockServerIdempotency',
+    IDEMPOTENCY_TTL: 24 * 60 * 60 * 1000,
+    idempotency: {},
+
+    config: {
+        latency: { min: 100, max: 400 },   // simulated network delay in ms
+        errorRate: 0,                      // 0..1 chance of a random 500
+        offline: false,                    // reject every request like a dropped connection
+        persist: true                      // keep changes across page loads
+    },
+
+    // Injected failures: [{ endpoint, method, status, message, times }]
+    errorRules: [],
+
+    // Pristine copy of MockData, used by reset()
+    seed: null,
+
+    originalFetch: null,
+    active: false,
+
+    // Collections served by the mock backend
+    COLLECTIONS: ['projects', 'users', 'quoteRequests', 'newsletterSubscribers', 'costEstimates', 'materialPrices',
+        'equipmentUnits', 'equipmentBookings'],
+
+    /**
+     * Start intercepting API requests
+     * @param {object} options - Overrides for config (latency, errorRate, offline, persist)
+     */
+    start(options = {}) {
+        if (typeof MockData === 'undefined') {
+            console.error('MockServer requires mock-data.js');
+            return;
+        }
+
+        this.config = { ...this.config, ...options };
+
+        if (!this.seed) {
+            this.seed = this.clone(this.pick(MockData));
+        }
+        this.load();
+
+        if (!this.active) {
+            this.originalFetch = window.fetch.bind(window);
+            window.fetch = (input, init) => this.handleFetch(input, init);
+            this.active = true;
+        }
+
+        localStorage.setItem(this.FLAG_KEY, 'on');
+        console.log('Mock server started for', this.getBaseURL());
+    },
+
+    /**
+     * Stop intercepting and restore the real fetch
+     */
+    stop() {
+        if (this.active) {
+            window.fetch = this.originalFetch;
+            this.active = false;
+        }
+        localStorage.removeItem(this.FLAG_KEY);
+        console.log('Mock server stopped');
+    },
+
+    // ============================================
+    // CONFIGURATION
+    // ============================================
+
+    /**
+     * Set simulated latency
+     * @param {number} min - Minimum delay in ms
+     * @param {number} max - Maximum delay in ms
+     */
+    setLatency(min, max = min) {
+        this.config.latency = { min, max };
+    },
+
+    /**
+     * Simulate a dropped connection
+     * @param {boolean} offline
+     */
+    setOffline(offline = true) {
+        this.config.offline = offline;
+    },
+
+    /**
+     * Make matching requests fail
+     * @param {string} endpoint - Endpoint file, e.g. 'projects.php' ('*' for all)
+     * @param {object} options - { method, status, message, times }
+     */
+    injectError(endpoint, { method = null, status = 500, message = null, times = Infinity } = {}) {
+        this.errorRules.push({
+            endpoint,
+            method: method ? method.toUpperCase() : null,
+            status,
+            message: message || `Injected error (${status})`,
+            times
+        });
+    },
+
+    /**
+     * Remove all injected errors
+     */
+    clearErrors() {
+        this.errorRules = [];
+    },
+
+    /**
+     * Replace the mock database
+     * @param {object} seed - Collections to load (defaults to the original MockData)
+     */
+    reset(seed = null) {
+        if (!this.seed) {
+            this.seed = this.clone(this.pick(MockData));
+        }
+        const data = this.clone(seed ? { ...this.seed, ...seed } : this.seed);
+        this.COLLECTIONS.forEach(name => {
+            MockData[name] = data[name] || [];
+        });
+        this.idempotency = {};
+        this.save();
+    },
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    /**
+     * Load persisted collections into MockData
+     */
+    load() {
+        if (!this.config.persist) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.DB_KEY) || 'null');
+            if (saved) {
+                this.COLLECTIONS.forEach(name => {
+                    if (Array.isArray(saved[name])) {
+                        MockData[name] = saved[name];
+                    }
+                });
+            }
+            this.idempotency = JSON.parse(localStorage.getItem(this.IDEMPOTENCY_KEY) || '{}');
+        } catch (error) {
+            console.error('Error loading mock database:', error);
+        }
+    },
+
+    /**
+     * Persist MockData collections
+     */
+    save() {
+        if (this.config.persist) {
+            localStorage.setItem(this.DB_KEY, JSON.stringify(this.pick(MockData)));
+            localStorage.setItem(this.IDEMPOTENCY_KEY, JSON.stringify(this.idempotency));
+        }
+    },
+
+    pick(source) {
+        const data = {};
+        this.COLLECTIONS.forEach(name => {
+            data[name] = source[name] || [];
+        });
+        return data;
+    },
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    },
+
+    // ============================================
+    // REQUEST HANDLING
+    // ============================================
+
+    /**
+     * Get the API base URL being intercepted
+     * @returns {string}
+     */
+    getBaseURL() {
+        if (typeof API !== 'undefined' && API.service) {
+            return API.service.baseURL;
+        }
+        return API_CONFIG.baseURL;
+    },
+
+    /**
+     * fetch replacement
+     */
+    async handleFetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        const baseURL = this.getBaseURL();
+
+        if (!url.startsWith(baseURL + '/')) {
+            return this.originalFetch(input, init);
+        }
+
+        const parsed = new URL(url.slice(baseURL.length + 1), 'http://mock.local/');
+        const request = {
+            endpoint: parsed.pathname.slice(1),
+            method: (init.method || 'GET').toUpperCase(),
+            query: Object.fromEntries(parsed.searchParams.entries()),
+            headers: init.headers || {},
+            body: this.parseBody(init.body)
+        };
+
+        await this.delay(init.signal);
+
+        if (this.config.offline) {
+            throw new TypeError('Failed to fetch (mock server offline)');
+        }
+
+        const injected = this.matchError(request);
+        if (injected) {
+            return this.respond(injected.status, { success: false, error: injected.message });
+        }
+        if (this.config.errorRate > 0 && Math.random() < this.config.errorRate) {
+            return this.respond(500, { success: false, error: 'Random mock server error' });
+        }
+
+        const handler = this.routes[request.endpoint];
+        if (!handler) {
+            return this.respond(404, { success: false, error: `Unknown endpoint: ${request.endpoint}` });
+        }
+
+        const key = this.getIdempotencyKey(request);
+        if (key) {
+            const stored = this.findResponse(key);
+            if (stored) {
+                if (stored.method !== request.method || stored.endpoint !== request.endpoint) {
+                    return this.respond(422, { success: false, error: 'Idempotency-Key was already used for a different request' });
+                }
+                return this.respond(stored.status, stored.body);
+            }
+        }
+
+        try {
+            const [status, body] = await handler.call(this, request);
+            // Server errors aren't final: a retry with the same key runs again
+            if (key && status < 500) {
+                this.storeResponse(key, request, status, body);
+            }
+            if (request.method !== 'GET' && (status < 400 || key)) {
+                this.save();
+            }
+            return this.respond(status, body);
+        } catch (error) {
+            console.error('Mock server error:', error);
+            return this.respond(500, { success: false, error: error.message });
+        }
+    },
+
+    parseBody(body) {
+        if (!body) {
+            return {};
+        }
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Wait for the simulated latency, honouring abort (timeouts)
+     */
+    delay(signal) {
+        const { min, max } = this.config.latency;
+        const ms = min + Math.random() * Math.max(0, max - min);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }
+        });
+    },
+
+    // ============================================
+    // IDEMPOTENCY
+    // ============================================
+
+    /**
+     * Idempotency-Key of a write (GETs are safe to repeat)
+     * @returns {string|null}
+     */
+    getIdempotencyKey(request) {
+        if (request.method === 'GET') {
+            return null;
+        }
+        const headers = typeof Headers !== 'undefined' && request.headers instanceof Headers
+            ? Object.fromEntries(request.headers.entries())
+            : request.headers;
+        const name = Object.keys(headers).find(header => header.toLowerCase() === 'idempotency-key');
+        return name ? headers[name] : null;
+    },
+
+    /**
+     * Response stored for a key, dropping expired entries
+     * @returns {object|null} - { method, endpoint, status, body, storedAt }
+     */
+    findResponse(key) {
+        const cutoff = Date.now() - this.IDEMPOTENCY_TTL;
+        Object.keys(this.idempotency).forEach(storedKey => {
+            if (this.idempotency[storedKey].storedAt < cutoff) {
+                delete this.idempotency[storedKey];
+            }
+        });
+        return this.idempotency[key] || null;
+    },
+
+    storeResponse(key, request, status, body) {
+        this.idempotency[key] = {
+            method: request.method,
+            endpoint: request.endpoint,
+            status,
+            body: this.clone(body === undefined ? null : body),
+            storedAt: Date.now()
+        };
+    },
+
+    matchError(request) {
+        const rule = this.errorRules.find(r =>
+            (r.endpoint === '*' || r.endpoint === request.endpoint) &&
+            (!r.method || r.method === request.method) &&
+            r.times > 0
+        );
+        if (rule) {
+            rule.times--;
+        }
+        return rule || null;
+    },
+
+    respond(status, body) {
+        if (status === 204) {
+            return new Response(null, { status });
+        }
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    },
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    generateId(prefix) {
+        return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    },
+
+    ok(data, message = null) {
+        const body = { success: true, data };
+        if (message) {
+            body.message = message;
+        }
+        return [200, body];
+    },
+
+    created(data, message = 'Created successfully') {
+        return [201, { success: true, data, message }];
+    },
+
+    fail(status, error, errors = null) {
+        const body = { success: false, error };
+        if (errors) {
+            body.errors = errors;
+        }
+        return [status, body];
+    },
+
+    /**
+     * Check required fields
+     * @returns {array|null} - Validation failure response, or null when valid
+     */
+    require(body, fields) {
+        const errors = {};
+        fields.forEach(field => {
+            if (body[field] === undefined || body[field] === null || body[field] === '') {
+                errors[field] = `${field} is required`;
+            }
+        });
+        return Object.keys(errors).length > 0 ? this.fail(422, 'Validation failed', errors) : null;
+    },
+
+    /**
+     * Generic CRUD over a MockData collection
+     */
+    crud(collection, request, { prefix, required = [], filters = [] }) {
+        const items = MockData[collection];
+        const id = request.query.id || request.body.id;
+
+        switch (request.method) {
+            case 'GET': {
+                if (request.query.id) {
+                    const item = items.find(i => i.id === request.query.id);
+                    return item ? this.ok(item) : this.fail(404, 'Not found');
+                }
+                const result = items.filter(item =>
+                    filters.every(field => request.query[field] === undefined || String(item[field]) === request.query[field])
+                );
+                return this.ok(result);
+            }
+            case 'POST': {
+                const invalid = this.require(request.body, required);
+                if (invalid) {
+                    return invalid;
+                }
+                const item = { id: this.generateId(prefix), ...request.body, createdAt: new Date().toISOString() };
+                items.push(item);
+                return this.created(item);
+            }
+            case 'PUT': {
+                const index = items.findIndex(i => i.id === id);
+                if (index === -1) {
+                    return this.fail(404, 'Not found');
+                }
+                items[index] = { ...items[index], ...request.body, updatedAt: new Date().toISOString() };
+                return this.ok(items[index], 'Updated successfully');
+            }
+            case 'DELETE': {
+                const index = items.findIndex(i => i.id === id);
+                if (index === -1) {
+                    return this.fail(404, 'Not found');
+                }
+                items.splice(index, 1);
+                return this.ok(null, 'Deleted successfully');
+            }
+            default:
+                return this.fail(405, 'Method not allowed');
+        }
+    },
+
+    /**
+     * Active units of a type with no active booking overlapping the dates
+     * @param {string} ignoreId - Booking to leave out (when re-checking it)
+     */
+    freeUnits(type, startDate, endDate, ignoreId = null) {
+        const units = MockData.equipmentUnits.filter(unit => unit.type === type && unit.status === 'active');
+        const taken = MockData.equipmentBookings
+            .filter(booking => booking.id !== ignoreId &&
+                ['pending', 'approved'].includes(booking.status) &&
+                booking.startDate <= endDate && booking.endDate >= startDate)
+            .map(booking => booking.unitId);
+        return { total: units.length, available: units.filter(unit => !taken.includes(unit.id)) };
+    },
+
+    /**
+     * Remove the password from a user record
+     */
+    publicUser(user) {
+        const { password, passwordHash, ...rest } = user;
+        return rest;
+    },
+
+    /**
+     * Check a password the way AuthUtil does (PBKDF2 hashes)
+     * @returns {Promise<boolean>}
+     */
+    async checkPassword(password, user) {
+        if (typeof AuthUtil === 'undefined') {
+            return false;
+        }
+        const { valid } = await AuthUtil.verifyPassword(password, user);
+        return valid;
+    },
+
+    /**
+     * Issue a JWT-shaped token (unsigned) so AuthUtil can decode it
+     */
+    createToken(user) {
+        const encode = data => btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        const header = encode({ alg: 'none', typ: 'JWT' });
+        const payload = encode({ iss: 'mock-server', userId: user.id, role: user.role, exp: Date.now() + 24 * 60 * 60 * 1000 });
+        return `${header}.${payload}.mock`;
+    },
+
+    readToken(headers) {
+        const header = headers.Authorization || headers.authorization || '';
+        const parts = header.replace(/^Bearer\s+/i, '').split('.');
+        if (parts.length !== 3 || parts[2] !== 'mock') {
+            return null;
+        }
+        try {
+            const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp > Date.now() ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // ============================================
+    // ROUTES
+    // ============================================
+
+    routes: {
+        'projects.php'(request) {
+            return this.crud('projects', request, {
+                prefix: 'proj',
+                required: ['title'],
+                filters: ['status']
+            });
+        },
+
+        'quotes.php'(request) {
+            return this.crud('quoteRequests', request, {
+                prefix: 'quote',
+                required: ['name', 'email'],
+                filters: ['status']
+            });
+        },
+
+        async 'users.php'(request) {
+            if (request.method === 'POST') {
+                const invalid = this.require(request.body, ['email']);
+                if (invalid) {
+                    return invalid;
+                }
+                if (MockDataHelpers.getUserByEmail(request.body.email)) {
+                    return this.fail(409, 'A user with this email already exists');
+                }
+            }
+
+            // Keep only the hash of a password that is set or changed
+            if (request.body.password && typeof AuthUtil !== 'undefined') {
+                const { password, ...rest } = request.body;
+                request.body = { ...rest, passwordHash: await AuthUtil.hashPassword(password) };
+            }
+
+            const [status, body] = this.crud('users', request, {
+                prefix: 'user',
+                filters: ['role', 'isActive']
+            });
+
+            if (Array.isArray(body.data)) {
+                body.data = body.data.map(user => this.publicUser(user));
+            } else if (body.data) {
+                body.data = this.publicUser(body.data);
+            }
+            return [status, body];
+        },
+
+        async 'auth.php'(request) {
+            if (request.method === 'GET') {
+                const payload = this.readToken(request.headers);
+                const user = payload && MockData.users.find(u => u.id === payload.userId);
+                return user ? this.ok(this.publicUser(user)) : this.fail(401, 'Invalid or expired token');
+            }
+
+            const { action, email, password } = request.body;
+
+            if (action === 'login') {
+                const user = MockDataHelpers.getUserByEmail(email) ||
+                    MockData.users.find(u => u.username === email);
+
+                if (!user || user.isActive === false || !(await this.checkPassword(password, user))) {
+                    return this.fail(401, 'Invalid email or password');
+                }
+                if (request.body.is_admin && user.role !== 'admin') {
+                    return this.fail(403, 'Admin access required');
+                }
+
+                user.lastLogin = new Date().toISOString();
+                return [200, {
+                    success: true,
+                    user: this.publicUser(user),
+                    token: this.createToken(user),
+                    message: 'Login successful'
+                }];
+            }
+
+            if (action === 'register') {
+                const invalid = this.require(request.body, ['email', 'password']);
+                if (invalid) {
+                    return invalid;
+                }
+                if (MockDataHelpers.getUserByEmail(email)) {
+                    return this.fail(409, 'A user with this email already exists');
+                }
+
+                const { action: ignored, password: plain, ...userData } = request.body;
+                const user = {
+                    id: this.generateId('user'),
+                    role: 'client',
+                    projectIds: [],
+                    isActive: true,
+                    ...userData,
+                    passwordHash: await AuthUtil.hashPassword(plain),
+                    createdAt: new Date().toISOString()
+                };
+                MockData.users.push(user);
+                return [201, {
+                    success: true,
+                    user: this.publicUser(user),
+                    token: this.createToken(user),
+                    message: 'Registration successful'
+                }];
+            }
+
+            if (action === 'logout' || action === 'logout_all') {
+                return [200, { success: true, message: 'Logged out' }];
+            }
+
+            return this.fail(400, `Unknown action: ${action}`);
+        },
+
+        'newsletter.php'(request) {
+            const subscribers = MockData.newsletterSubscribers;
+
+            switch (request.method) {
+                case 'GET': {
+                    const status = request.query.status;
+                    return this.ok(status ? subscribers.filter(s => s.status === status) : subscribers);
+                }
+                case 'POST': {
+                    const invalid = this.require(request.body, ['email']);
+                    if (invalid) {
+                        return invalid;
+                    }
+                    const existing = subscribers.find(s => s.email === request.body.email);
+                    if (existing && existing.status !== 'unsubscribed') {
+                        return this.fail(409, 'Email already subscribed');
+                    }
+                    const subscriber = {
+                        id: this.generateId('sub'),
+                        email: request.body.email,
+                        name: request.body.name || null,
+                        status: 'pending',
+                        subscribedAt: new Date().toISOString(),
+                        confirmedAt: null,
+                        confirmationToken: Math.random().toString(36).substr(2, 12)
+                    };
+                    subscribers.push(subscriber);
+                    return this.created({ ...subscriber, confirmation_token: subscriber.confirmationToken }, 'Subscribed successfully');
+                }
+                case 'PUT': {
+                    if (request.body.action === 'confirm') {
+                        const subscriber = subscribers.find(s => s.confirmationToken === request.body.token);
+                        if (!subscriber) {
+                            return this.fail(404, 'Invalid confirmation token');
+                        }
+                        subscriber.status = 'confirmed';
+                        subscriber.confirmedAt = new Date().toISOString();
+                        return this.ok(subscriber, 'Subscription confirmed');
+                    }
+                    const { subscriber_id: id, ...updates } = request.body;
+                    const subscriber = subscribers.find(s => s.id === id);
+                    if (!subscriber) {
+                        return this.fail(404, 'Subscriber not found');
+                    }
+                    Object.assign(subscriber, updates);
+                    return this.ok(subscriber, 'Subscriber updated');
+                }
+                case 'DELETE': {
+                    const subscriber = subscribers.find(s => s.email === request.query.email);
+                    if (!subscriber) {
+                        return this.fail(404, 'Subscriber not found');
+                    }
+                    subscriber.status = 'unsubscribed';
+                    return this.ok(null, 'Unsubscribed successfully');
+                }
+                default:
+                    return this.fail(405, 'Method not allowed');
+            }
+        },
+
+        'cost-estimates.php'(request) {
+            if (request.method === 'GET' && request.query.user_email) {
+                const estimates = MockData.costEstimates.filter(e =>
+                    (e.user_email || e.userEmail) === request.query.user_email
+                );
+                return this.ok(estimates);
+            }
+            return this.crud('costEstimates', request, {
+                prefix: 'est',
+                required: ['project_type'],
+                filters: ['status']
+            });
+        },
+
+        'material-prices.php'(request) {
+            const required = ['material', 'region', 'date', 'min', 'max'];
+            if (request.method === 'POST' && !this.require(request.body, required)) {
+                // One price per material, region and date: a new one replaces it
+                const { material, region, date } = request.body;
+                const index = MockData.materialPrices.findIndex(p =>
+                    p.material === material && p.region === region && p.date === date
+                );
+                if (index !== -1) {
+                    MockData.materialPrices.splice(index, 1);
+                }
+            }
+            return this.crud('materialPrices', request, {
+                prefix: 'price',
+                required,
+                filters: ['material', 'region']
+            });
+        },
+
+        'equipment-units.php'(request) {
+            if (request.method === 'POST' && MockData.equipmentUnits.some(unit => unit.id === request.body.id)) {
+                return this.fail(409, `Unit ${request.body.id} already exists`);
+            }
+            return this.crud('equipmentUnits', request, {
+                prefix: 'unit',
+                required: ['id', 'type'],
+                filters: ['type', 'status']
+            });
+        },
+
+        'equipment-bookings.php'(request) {
+            const { body, query } = request;
+
+            if (request.method === 'GET' && query.action === 'availability') {
+                const invalid = this.require(query, ['type', 'start_date', 'end_date']);
+                if (invalid) {
+                    return invalid;
+                }
+                const { total, available } = this.freeUnits(query.type, query.start_date, query.end_date, query.ignore || null);
+                return this.ok({ total, available, booked: [] });
+            }
+
+            if (request.method === 'POST') {
+                const invalid = this.require(body, ['equipmentType', 'startDate', 'endDate']);
+                if (invalid) {
+                    return invalid;
+                }
+                if (MockData.equipmentBookings.some(booking => booking.id === body.id)) {
+                    return this.fail(409, 'Booking already exists');
+                }
+
+                // Hold the requested unit, else any free one of the type
+                const { available } = this.freeUnits(body.equipmentType, body.startDate, body.endDate);
+                const wanted = body.requestedUnitId || body.unitId;
+                const unit = available.find(u => u.id === wanted) || (body.requestedUnitId ? null : available[0]);
+                if (!unit) {
+                    return this.fail(409, body.requestedUnitId
+                        ? `Unit ${body.requestedUnitId} is already booked or out of service from ${body.startDate} to ${body.endDate}`
+                        : `No ${body.equipmentName || body.equipmentType} is available from ${body.startDate} to ${body.endDate}`);
+                }
+
+                const number = MockData.equipmentBookings.reduce((max, booking) => Math.max(max, booking.number || 0), 0) + 1;
+                body.unitId = unit.id;
+                body.number = number;
+                body.reference = `RNT-${String(number).padStart(4, '0')}`;
+            }
+
+            if (request.method === 'PUT' && body.status === 'approved') {
+                // Re-check the unit against every other booking before approving
+                const current = MockData.equipmentBookings.find(booking => booking.id === body.id);
+                if (current && current.status !== 'approved') {
+                    const { available } = this.freeUnits(current.equipmentType, current.startDate, current.endDate, current.id);
+                    if (!available.some(unit => unit.id === current.unitId)) {
+                        return this.fail(409, `Unit ${current.unitId} is already booked or out of service from ` +
+                            `${current.startDate} to ${current.endDate}`);
+                    }
+                }
+            }
+
+            return this.crud('equipmentBookings', request, {
+                prefix: 'rental',
+                required: ['equipmentType', 'startDate', 'endDate'],
+                filters: ['status', 'equipmentType']
+            });
+        },
+
+        'client-projects.php'(request) {
+            if (request.method !== 'GET') {
+                return this.fail(405, 'Method not allowed');
+            }
+
+            const { client_id: clientId, project_id: projectId, action } = request.query;
+
+            if (projectId) {
+                const project = MockDataHelpers.getProjectById(projectId);
+                if (!project) {
+                    return this.fail(404, 'Project not found');
+                }
+                if (action === 'updates') {
+                    return this.ok(project.updates || []);
+                }
+                if (action === 'documents') {
+                    return this.ok(project.documents || []);
+                }
+                return this.ok(project);
+            }
+
+            if (clientId) {
+                const user = MockData.users.find(u => u.id === clientId);
+                if (!user) {
+                    return this.fail(404, 'Client not found');
+                }
+                const projects = (user.projectIds || [])
+                    .map(id => MockDataHelpers.getProjectById(id))
+                    .filter(Boolean);
+                return this.ok(projects);
+            }
+
+            return this.fail(400, 'client_id or project_id is required');
+        }
+    }
+};
+
+// Make available globally and start when enabled
+if (typeof window !== 'undefined') {
+    window.MockServer = MockServer;
+
+    const mockParam = new URLSearchParams(window.location.search).get('mock');
+    if (mockParam === '0') {
+        localStorage.removeItem(MockServer.FLAG_KEY);
+    } else if (mockParam === '1' || localStorage.getItem(MockServer.FLAG_KEY) === 'on') {
+        MockServer.start();
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockServer;
+}
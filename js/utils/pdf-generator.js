@@ -0,0 +1,1189 @@
+/**
+ * PDF Generator
+ * Builds branded, paginated PDF documents in the browser (no print dialog, no
+ * external library): company letterhead, document details, line-item tables,
+ * totals, assumptions and a signature block
+ *
+ * PDFDocument writes the PDF file itself using the standard Helvetica fonts;
+ * PDFGenerator lays out documents described as a list of blocks.
+ */
+
+// Glyph widths (1/1000 em) for characters 32-126 of the standard fonts
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const PDF_WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const PDF_PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+class PDFDocument {
+  /**
+   * @param {object} options - { size: 'A4'|'LETTER', orientation: 'portrait'|'landscape', title, author }
+   */
+  constructor(options = {}) {
+    const [width, height] = PDF_PAGE_SIZES[options.size] || PDF_PAGE_SIZES.A4;
+    const landscape = options.orientation === 'landscape';
+
+    this.width = landscape ? height : width;
+    this.height = landscape ? width : height;
+    this.title = options.title || '';
+    this.author = options.author || '';
+    this.pages = [];
+    this.currentPage = -1;
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Start a new page and make it current
+   * @returns {number} - Page index
+   */
+  addPage() {
+    this.pages.push([]);
+    this.currentPage = this.pages.length - 1;
+    return this.currentPage;
+  }
+
+  /**
+   * Switch drawing to an existing page (e.g. to add footers at the end)
+   * @param {number} index - Page index
+   */
+  setPage(index) {
+    if (index < 0 || index >= this.pages.length) {
+      throw new Error(`Page ${index + 1} does not exist`);
+    }
+    this.currentPage = index;
+  }
+
+  // ============================================
+  // DRAWING (points, origin at the top left)
+  // ============================================
+
+  /**
+   * Draw a single line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge (or right edge / centre with align)
+   * @param {number} y - Baseline, measured from the top of the page
+   * @param {object} options - { size, bold, color, align: 'left'|'right'|'center' }
+   */
+  text(text, x, y, options = {}) {
+    const { size = 10, bold = false, color = '#000000', align = 'left' } = options;
+    const str = String(text);
+    const width = this.textWidth(str, size, bold);
+
+    let left = x;
+    if (align === 'right') {
+      left = x - width;
+    } else if (align === 'center') {
+      left = x - width / 2;
+    }
+
+    this.draw(
+      `q ${this.color(color)} rg BT /${bold ? 'F2' : 'F1'} ${this.num(size)} Tf ` +
+      `${this.num(left)} ${this.num(this.height - y)} Td (${this.encodeText(str)}) Tj ET Q`
+    );
+  }
+
+  /**
+   * Draw a straight line
+   * @param {object} options - { color, width }
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    const { color = '#000000', width = 0.5 } = options;
+    this.draw(
+      `q ${this.color(color)} RG ${this.num(width)} w ` +
+      `${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S Q`
+    );
+  }
+
+  /**
+   * Draw a rectangle from its top-left corner
+   * @param {object} options - { fill, stroke, lineWidth }
+   */
+  rect(x, y, width, height, options = {}) {
+    const { fill = null, stroke = null, lineWidth = 0.5 } = options;
+    if (!fill && !stroke) {
+      return;
+    }
+
+    const paint = fill && stroke ? 'B' : (fill ? 'f' : 'S');
+    this.draw(
+      'q ' +
+      (fill ? `${this.color(fill)} rg ` : '') +
+      (stroke ? `${this.color(stroke)} RG ${this.num(lineWidth)} w ` : '') +
+      `${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re ${paint} Q`
+    );
+  }
+
+  draw(operator) {
+    if (this.currentPage === -1) {
+      this.addPage();
+    }
+    this.pages[this.currentPage].push(operator);
+  }
+
+  // ============================================
+  // TEXT METRICS
+  // ============================================
+
+  /**
+   * Width of a string in points
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {number}
+   */
+  textWidth(text, size = 10, bold = false) {
+    const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+    let units = 0;
+
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return units * size / 1000;
+  }
+
+  /**
+   * Split text into lines that fit a width
+   * Words longer than the width are broken across lines.
+   * @returns {array} - Lines
+   */
+  wrapText(text, maxWidth, size = 10, bold = false) {
+    const lines = [];
+
+    String(text).split(/\r?\n/).forEach(paragraph => {
+      let line = '';
+
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+
+        if (line) {
+          lines.push(line);
+        }
+        line = word;
+        while (this.textWidth(line, size, bold) > maxWidth && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.textWidth(line.slice(0, cut), size, bold) > maxWidth) {
+            cut--;
+          }
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      });
+
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  // ============================================
+  // OUTPUT
+  // ============================================
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} - PDF file bytes
+   */
+  toBytes() {
+    if (this.pages.length === 0) {
+      this.addPage();
+    }
+
+    // Objects 1-5 are fixed; each page adds a page object and a content stream
+    const objects = [];
+    const pageIds = this.pages.map((_, i) => 6 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${this.encodeText(this.title)}) /Author (${this.encodeText(this.author)}) ` +
+      `/Producer (${this.encodeText(CONFIG.APP_NAME)}) /CreationDate (${this.pdfDate(new Date())}) >>`;
+
+    this.pages.forEach((operators, i) => {
+      const stream = operators.join('\n');
+      objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+      objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Every character is a single byte, so string lengths are byte offsets
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * @returns {Blob} - application/pdf Blob
+   */
+  toBlob() {
+    return new Blob([this.toBytes()], { type: 'application/pdf' });
+  }
+
+  // ============================================
+  // ENCODING HELPERS
+  // ============================================
+
+  /**
+   * Encode text as a PDF string body in WinAnsiEncoding
+   * Characters the standard fonts cannot show are replaced with '?'.
+   */
+  encodeText(text) {
+    let encoded = '';
+
+    for (const char of String(text)) {
+      let code = char.charCodeAt(0);
+      if (PDF_WIN_ANSI[char]) {
+        code = PDF_WIN_ANSI[char];
+      } else if (code > 255 || (code < 32 && code !== 9)) {
+        code = 63;
+      }
+
+      const byte = String.fromCharCode(code);
+      encoded += byte === '(' || byte === ')' || byte === '\\' ? `\\${byte}` : byte;
+    }
+    return encoded;
+  }
+
+  color(hex) {
+    const value = hex.replace('#', '');
+    return [0, 2, 4]
+      .map(i => this.num(parseInt(value.substr(i, 2), 16) / 255))
+      .join(' ');
+  }
+
+  num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  pdfDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+}
+
+const PDFGenerator = {
+  MARGIN: 50,
+  HEADER_HEIGHT: 80,
+  FOOTER_HEIGHT: 40,
+
+  COLORS: {
+    primary: '#007bff',
+    text: '#212529',
+    muted: '#6c757d',
+    border: '#dee2e6',
+    shade: '#f1f3f5'
+  },
+
+  /**
+   * Build a branded PDF from a document definition
+   * @param {object} definition - {
+   *   title, documentId, date, validUntil, orientation, filename,
+   *   recipient: { name, email, phone, address },
+   *   blocks: [
+   *     { type: 'heading', text },
+   *     { type: 'details', rows: [[label, value]] },
+   *     { type: 'highlight', label, value },
+   *     { type: 'table', columns: [{ label, width, align }], rows: [[...] | { cells, bold, shade }], fit },
+   *     { type: 'totals', rows: [[label, value, bold]] },
+   *     { type: 'paragraph', text },
+   *     { type: 'list', items },
+   *     { type: 'signature', parties: [label] }
+   *   ]
+   * }
+   * @returns {Blob} - application/pdf Blob
+   */
+  generate(definition) {
+    return this.render(definition).toBlob();
+  },
+
+  /**
+   * Lay out a definition on a PDFDocument
+   * @returns {PDFDocument}
+   */
+  render(definition) {
+    const doc = new PDFDocument({
+      orientation: definition.orientation,
+      title: `${definition.title}${definition.documentId ? ' ' + definition.documentId : ''}`,
+      author: CONFIG.COMPANY.NAME
+    });
+    const layout = {
+      doc,
+      definition,
+      left: this.MARGIN,
+      right: doc.width - this.MARGIN,
+      width: doc.width - this.MARGIN * 2,
+      bottom: doc.height - this.MARGIN - this.FOOTER_HEIGHT,
+      y: 0
+    };
+
+    this.newPage(layout);
+    this.renderDocumentInfo(layout);
+
+    (definition.blocks || []).forEach(block => {
+      const renderer = this.BLOCKS[block.type];
+      if (!renderer) {
+        throw new Error(`Unknown PDF block type: ${block.type}`);
+      }
+      renderer.call(this, layout, block);
+    });
+
+    // Page numbers are only known once everything is laid out
+    for (let i = 0; i < doc.pageCount; i++) {
+      doc.setPage(i);
+      this.renderFooter(layout, i + 1, doc.pageCount);
+    }
+
+    return doc;
+  },
+
+  // ============================================
+  // PAGE FURNITURE
+  // ============================================
+
+  newPage(layout) {
+    layout.doc.addPage();
+    this.renderLetterhead(layout);
+    layout.y = this.MARGIN + this.HEADER_HEIGHT;
+  },
+
+  /**
+   * Make sure a block of the given height fits, starting a new page if not
+   * @returns {boolean} - True when a new page was started
+   */
+  ensureSpace(layout, height) {
+    if (layout.y + height <= layout.bottom) {
+      return false;
+    }
+    this.newPage(layout);
+    return true;
+  },
+
+  renderLetterhead(layout) {
+    const { doc, definition, left, right } = layout;
+    const company = CONFIG.COMPANY;
+    const top = this.MARGIN;
+
+    doc.text(company.NAME.toUpperCase(), left, top + 16, { size: 16, bold: true, color: this.COLORS.primary });
+    doc.text(company.ADDRESS, left, top + 32, { size: 8, color: this.COLORS.muted });
+    doc.text(`Phone: ${company.PHONE}  |  Email: ${company.EMAIL}  |  ${company.WEBSITE}`, left, top + 44, { size: 8, color: this.COLORS.muted });
+
+    doc.text(definition.title, right, top + 16, { size: 13, bold: true, color: this.COLORS.text, align: 'right' });
+    if (definition.documentId) {
+      doc.text(definition.documentId, right, top + 32, { size: 9, color: this.COLORS.muted, align: 'right' });
+    }
+
+    doc.rect(left, top + 54, layout.width, 2, { fill: this.COLORS.primary });
+  },
+
+  renderFooter(layout, page, pages) {
+    const { doc, left, right } = layout;
+    const y = doc.height - this.MARGIN;
+
+    doc.line(left, y - 14, right, y - 14, { color: this.COLORS.border });
+    doc.text(`${CONFIG.COMPANY.NAME} | ${CONFIG.COMPANY.PHONE} | ${CONFIG.COMPANY.EMAIL}`, left, y, { size: 8, color: this.COLORS.muted });
+    doc.text(`Page ${page} of ${pages}`, right, y, { size: 8, color: this.COLORS.muted, align: 'right' });
+  },
+
+  /**
+   * Date, validity and recipient under the letterhead on the first page
+   */
+  renderDocumentInfo(layout) {
+    const { doc, definition, left, right } = layout;
+    const rows = [];
+
+    if (definition.date) {
+      rows.push(['Date', this.formatDate(definition.date)]);
+    }
+    if (definition.validUntil) {
+      rows.push(['Valid Until', this.formatDate(definition.validUntil)]);
+    }
+
+    const recipient = definition.recipient;
+    const recipientLines = recipient
+      ? [recipient.name, recipient.address, recipient.email, recipient.phone].filter(Boolean)
+      : [];
+
+    if (rows.length === 0 && recipientLines.length === 0) {
+      return;
+    }
+
+    let y = layout.y;
+    if (recipientLines.length > 0) {
+      doc.text('Prepared for', left, y, { size: 8, bold: true, color: this.COLORS.muted });
+      recipientLines.forEach((line, i) => {
+        doc.text(line, left, y + 14 + i * 12, { size: 10, bold: i === 0, color: this.COLORS.text });
+      });
+    }
+
+    rows.forEach(([label, value], i) => {
+      doc.text(`${label}:`, right - 100, y + i * 14, { size: 9, bold: true, color: this.COLORS.muted, align: 'right' });
+      doc.text(value, right, y + i * 14, { size: 9, color: this.COLORS.text, align: 'right' });
+    });
+
+    y += Math.max(rows.length * 14, recipientLines.length > 0 ? 14 + recipientLines.length * 12 : 0);
+    layout.y = y + 12;
+  },
+
+  // ============================================
+  // BLOCKS
+  // ============================================
+
+  BLOCKS: {
+    heading(layout, block) {
+      // Keep a heading with at least a couple of lines of what follows
+      this.ensureSpace(layout, 60);
+      layout.y += 10;
+      layout.doc.text(block.text, layout.left, layout.y + 12, { size: 12, bold: true, color: this.COLORS.primary });
+      layout.doc.line(layout.left, layout.y + 18, layout.right, layout.y + 18, { color: this.COLORS.border });
+      layout.y += 28;
+    },
+
+    details(layout, block) {
+      const labelWidth = block.labelWidth || 130;
+
+      block.rows.forEach(([label, value]) => {
+        const lines = layout.doc.wrapText(value === null || value === undefined ? '—' : value, layout.width - labelWidth, 10);
+        this.ensureSpace(layout, lines.length * 13 + 3);
+
+        layout.doc.text(`${label}:`, layout.left, layout.y + 10, { size: 10, bold: true, color: this.COLORS.text });
+        lines.forEach((line, i) => {
+          layout.doc.text(line, layout.left + labelWidth, layout.y + 10 + i * 13, { size: 10, color: this.COLORS.text });
+        });
+        layout.y += lines.length * 13 + 3;
+      });
+      layout.y += 6;
+    },
+
+    highlight(layout, block) {
+      this.ensureSpace(layout, 46);
+      layout.doc.rect(layout.left, layout.y, layout.width, 38, { fill: this.COLORS.shade });
+      layout.doc.text(block.label, layout.left + 12, layout.y + 15, { size: 9, color: this.COLORS.muted });
+      layout.doc.text(block.value, layout.left + 12, layout.y + 31, { size: 15, bold: true, color: this.COLORS.primary });
+      layout.y += 46;
+    },
+
+    table(layout, block) {
+      const doc = layout.doc;
+      const columns = this.resolveColumns(layout, block.fit ? this.fitColumns(layout, block) : block.columns);
+      const padding = 4;
+      const lineHeight = 11;
+
+      const drawHeader = () => {
+        doc.rect(layout.left, layout.y, layout.width, 18, { fill: this.COLORS.primary });
+        columns.forEach(column => {
+          doc.text(column.label, this.cellX(column, padding), layout.y + 12, {
+            size: 9, bold: true, color: '#ffffff', align: column.align
+          });
+        });
+        layout.y += 18;
+      };
+
+      this.ensureSpace(layout, 18 + lineHeight + padding * 2);
+      drawHeader();
+
+      block.rows.forEach((row, index) => {
+        const { cells, bold = false, shade = false } = Array.isArray(row) ? { cells: row } : row;
+        const wrapped = columns.map((column, i) => doc.wrapText(
+          cells[i] === null || cells[i] === undefined ? '' : cells[i],
+          column.width - padding * 2, 9, bold
+        ));
+        const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+
+        // Repeat the column headings at the top of each new page
+        if (this.ensureSpace(layout, height)) {
+          drawHeader();
+        }
+
+        if (shade || index % 2 === 1) {
+          doc.rect(layout.left, layout.y, layout.width, height, { fill: shade ? '#e7f1ff' : '#f8f9fa' });
+        }
+        wrapped.forEach((lines, i) => {
+          lines.forEach((line, n) => {
+            doc.text(line, this.cellX(columns[i], padding), layout.y + padding + 8 + n * lineHeight, {
+              size: 9, bold, color: this.COLORS.text, align: columns[i].align
+            });
+          });
+        });
+        layout.y += height;
+        doc.line(layout.left, layout.y, layout.right, layout.y, { color: this.COLORS.border });
+      });
+
+      layout.y += 12;
+    },
+
+    totals(layout, block) {
+      const width = Math.min(260, layout.width);
+      const left = layout.right - width;
+
+      block.rows.forEach(([label, value, bold = false]) => {
+        this.ensureSpace(layout, 18);
+        if (bold) {
+          layout.doc.rect(left, layout.y, width, 18, { fill: this.COLORS.shade });
+        }
+        layout.doc.text(label, left + 6, layout.y + 13, { size: bold ? 11 : 10, bold, color: this.COLORS.text });
+        layout.doc.text(value, layout.right - 6, layout.y + 13, { size: bold ? 11 : 10, bold, color: this.COLORS.text, align: 'right' });
+        layout.y += 18;
+      });
+      layout.y += 10;
+    },
+
+    paragraph(layout, block) {
+      const size = block.size || 9;
+      const lineHeight = size + 3;
+
+      layout.doc.wrapText(block.text, layout.width, size).forEach(line => {
+        this.ensureSpace(layout, lineHeight);
+        layout.doc.text(line, layout.left, layout.y + size, { size, color: block.color || this.COLORS.text });
+        layout.y += lineHeight;
+      });
+      layout.y += 8;
+    },
+
+    list(layout, block) {
+      block.items.forEach(item => {
+        const lines = layout.doc.wrapText(item, layout.width - 14, 9);
+        this.ensureSpace(layout, lines.length * 12);
+
+        layout.doc.text('•', layout.left + 2, layout.y + 9, { size: 9, color: this.COLORS.muted });
+        lines.forEach((line, i) => {
+          layout.doc.text(line, layout.left + 14, layout.y + 9 + i * 12, { size: 9, color: this.COLORS.text });
+        });
+        layout.y += lines.length * 12 + 2;
+      });
+      layout.y += 8;
+    },
+
+    signature(layout, block) {
+      const parties = block.parties || [CONFIG.COMPANY.NAME, 'Client'];
+      const gap = 30;
+      const width = (layout.width - gap * (parties.length - 1)) / parties.length;
+
+      this.ensureSpace(layout, 110);
+      layout.y += 20;
+
+      parties.forEach((party, i) => {
+        const x = layout.left + i * (width + gap);
+        layout.doc.text(party, x, layout.y + 10, { size: 9, bold: true, color: this.COLORS.text });
+        layout.doc.line(x, layout.y + 50, x + width, layout.y + 50, { color: this.COLORS.text });
+        layout.doc.text('Name & Signature', x, layout.y + 62, { size: 8, color: this.COLORS.muted });
+        layout.doc.line(x, layout.y + 86, x + width * 0.6, layout.y + 86, { color: this.COLORS.text });
+        layout.doc.text('Date', x, layout.y + 98, { size: 8, color: this.COLORS.muted });
+      });
+
+      layout.y += 110;
+    }
+  },
+
+  /**
+   * Turn column widths (points or fractions of the page width) into positions
+   */
+  resolveColumns(layout, columns) {
+    const fixed = columns.reduce((sum, c) => sum + (c.width > 1 ? c.width : 0), 0);
+    const fractions = columns.reduce((sum, c) => sum + (c.width > 0 && c.width <= 1 ? c.width : 0), 0);
+    const flexible = columns.filter(c => !c.width).length;
+    const remaining = Math.max(0, layout.width - fixed - fractions * layout.width);
+
+    let x = layout.left;
+    return columns.map(column => {
+      const width = column.width > 1
+        ? column.width
+        : column.width ? column.width * layout.width : remaining / flexible;
+      const resolved = { label: column.label, align: column.align || 'left', x, width };
+      x += width;
+      return resolved;
+    });
+  },
+
+  /**
+   * Size columns in proportion to their content (for tables without set widths)
+   */
+  fitColumns(layout, block) {
+    const natural = block.columns.map((column, i) => {
+      const widest = block.rows.reduce((max, row) => {
+        const cell = (Array.isArray(row) ? row : row.cells)[i];
+        return Math.max(max, layout.doc.textWidth(cell === null || cell === undefined ? '' : cell, 9));
+      }, layout.doc.textWidth(column.label, 9, true));
+      return Math.min(widest, 200) + 8;
+    });
+    const total = natural.reduce((sum, width) => sum + width, 0);
+
+    return block.columns.map((column, i) => ({ ...column, width: natural[i] / total }));
+  },
+
+  cellX(column, padding) {
+    if (column.align === 'right') {
+      return column.x + column.width - padding;
+    }
+    if (column.align === 'center') {
+      return column.x + column.width / 2;
+    }
+    return column.x + padding;
+  },
+
+  // ============================================
+  // DOCUMENTS
+  // ============================================
+
+  /**
+   * Cost estimate from CostCalculator
+   * @param {object} estimate - Estimate returned by CostCalculator.calculateEstimate()
+   * @returns {Blob}
+   */
+  estimate(estimate) {
+    const b = estimate.breakdown;
+    const subtotal = b.materials + b.labor + b.equipment + b.permits;
+    const contingencyRate = subtotal > 0 ? Math.round(b.contingency / subtotal * 100) : 0;
+    const created = new Date(estimate.createdAt);
+
+    const blocks = [
+      {
+        type: 'details',
+        rows: [
+          ['Project Type', this.titleCase(estimate.projectType)],
+          ['Project Size', `${estimate.size} ${estimate.sizeUnit}`],
+          ...(estimate.floors ? [['Floors', String(estimate.floors)]] : []),
+          ['Location', estimate.location],
+          ['Materials', estimate.materials.length > 0 ? estimate.materials.map(m => this.titleCase(m)).join(', ') : 'Standard'],
+          ['Estimate Method', estimate.mode === 'boq' ? 'Bill of quantities' : 'Quick estimate (per m²)'],
+          ...(estimate.rateVersion ? [['Rate Table', `Version ${estimate.rateVersion.version} (effective ${estimate.rateVersion.effectiveFrom})`]] : [])
+        ]
+      },
+      {
+        type: 'highlight',
+        label: 'Estimated Cost Range',
+        value: `ETB ${this.formatMoney(estimate.estimatedCost.min)} - ETB ${this.formatMoney(estimate.estimatedCost.max)}`
+      },
+      { type: 'heading', text: 'Cost Breakdown' },
+      {
+        type: 'table',
+        columns: [{ label: 'Category' }, { label: 'Amount (ETB)', width: 140, align: 'right' }],
+        rows: [
+          ['Materials', this.formatMoney(b.materials)],
+          ['Labor', this.formatMoney(b.labor)],
+          ['Equipment', this.formatMoney(b.equipment)],
+          ['Permits & Fees', this.formatMoney(b.permits)]
+        ]
+      },
+      {
+        type: 'totals',
+        rows: [
+          ['Subtotal', `ETB ${this.formatMoney(subtotal)}`],
+          [`Contingency (${contingencyRate}%)`, `ETB ${this.formatMoney(b.contingency)}`],
+          ['Total Estimated Cost', `ETB ${this.formatMoney(estimate.total)}`, true]
+        ]
+      }
+    ];
+
+    if (estimate.boq) {
+      blocks.push(
+        { type: 'heading', text: 'Bill of Quantities' },
+        {
+          type: 'table',
+          columns: [
+            { label: 'Code', width: 55 },
+            { label: 'Description' },
+            { label: 'Qty', width: 55, align: 'right' },
+            { label: 'Unit', width: 35 },
+            { label: 'Rate', width: 65, align: 'right' },
+            { label: 'Amount (ETB)', width: 85, align: 'right' }
+          ],
+          rows: estimate.boq.sections.flatMap(section => [
+            { cells: ['', section.name, '', '', '', this.formatMoney(section.subtotal)], bold: true, shade: true },
+            ...section.items.map(item => [
+              item.code,
+              item.description,
+              item.unit === '%' ? `${item.quantity}%` : this.formatMoney(item.quantity, 2),
+              item.unit === '%' ? '' : item.unit,
+              item.unit === '%' ? '' : this.formatMoney(item.rate),
+              this.formatMoney(item.amount)
+            ])
+          ])
+        }
+      );
+    }
+
+    blocks.push(
+      { type: 'heading', text: 'Assumptions' },
+      { type: 'list', items: this.estimateAssumptions(estimate, contingencyRate) },
+      {
+        type: 'paragraph',
+        color: this.COLORS.muted,
+        text: 'This is an estimated cost based on current market rates and the specifications provided. ' +
+          'Actual costs may vary based on site conditions, material availability and other factors. ' +
+          'Please contact us for a detailed quote.'
+      },
+      { type: 'signature', parties: [`For ${CONFIG.COMPANY.NAME}`, 'Accepted by the Client'] }
+    );
+
+    return this.generate({
+      title: 'Construction Cost Estimate',
+      documentId: estimate.id,
+      date: created,
+      validUntil: this.addDays(created, CONFIG.DOCUMENTS.ESTIMATE_VALIDITY_DAYS),
+      recipient: estimate.userEmail ? { email: estimate.userEmail } : null,
+      blocks
+    });
+  },
+
+  estimateAssumptions(estimate, contingencyRate) {
+    const items = [
+      `Prices are in Ethiopian Birr (ETB) and based on the rates in force on ${this.formatDate(estimate.estimateDate || estimate.createdAt)}.`,
+      `A contingency of ${contingencyRate}% is included for unforeseen costs.`,
+      'Site-specific conditions (soil, access, utilities) are assumed to be typical for the location.'
+    ];
+
+    if (estimate.boq) {
+      const a = estimate.boq.assumptions;
+      items.push(
+        `Quantities assume a square plan: ${a.grossArea} m² gross floor area over ${a.floors} floor(s), ` +
+        `${a.footprint} m² footprint, ${a.perimeter} m perimeter and ${a.storeyHeight} m storey height.`,
+        `Rates include a regional factor of ${a.regionalFactor}.`,
+        `Accuracy is ±${Math.round(a.accuracy * 100)}% until a site survey and drawings are available.`
+      );
+    } else {
+      items.push('The range shown is ±15% around the total, reflecting a per-m² estimate without drawings.');
+    }
+
+    // Clients viewing prices in another currency get the conversion for reference
+    if (typeof LocaleUtil !== 'undefined' && LocaleUtil.getCurrency() !== CONFIG.LOCALE.BASE_CURRENCY) {
+      const currency = LocaleUtil.getCurrency();
+      const total = LocaleUtil.formatAmount(estimate.total, { currency, locale: 'en-US' });
+      const rate = LocaleUtil.formatNumber(LocaleUtil.getExchangeRate(currency), 2, 'en-US');
+      items.push(`Approximately ${currency} ${total} at 1 ${currency} = ${rate} ETB; the estimate is issued and payable in ETB.`);
+    }
+
+    return items;
+  },
+
+  /**
+   * Quote response for a quote request (QuoteManagement / AdminCRUD quotes)
+   * @param {object} quote - Quote request
+   * @param {object} response - { amount, items: [{ description, quantity, unit, rate }], message, validDays }
+   * @returns {Blob}
+   */
+  quote(quote, response = {}) {
+    const items = response.items || [];
+    const amount = items.length > 0
+      ? items.reduce((sum, item) => sum + (item.quantity || 1) * (item.rate || 0), 0)
+      : (response.amount || 0);
+    const date = new Date();
+
+    const blocks = [
+      {
+        type: 'details',
+        rows: [
+          ['Service', quote.service || quote.projectType || 'General construction'],
+          ['Location', quote.location || '—'],
+          ['Client Budget', quote.budget ? String(quote.budget) : '—'],
+          ['Request Date', this.formatDate(quote.createdAt || quote.date)]
+        ]
+      }
+    ];
+
+    if (quote.message || quote.description) {
+      blocks.push({ type: 'heading', text: 'Request' }, { type: 'paragraph', text: quote.message || quote.description });
+    }
+
+    if (items.length > 0) {
+      blocks.push(
+        { type: 'heading', text: 'Quoted Items' },
+        {
+          type: 'table',
+          columns: [
+            { label: 'Description' },
+            { label: 'Qty', width: 55, align: 'right' },
+            { label: 'Unit', width: 45 },
+            { label: 'Rate (ETB)', width: 85, align: 'right' },
+            { label: 'Amount (ETB)', width: 95, align: 'right' }
+          ],
+          rows: items.map(item => [
+            item.description,
+            this.formatMoney(item.quantity || 1, 2),
+            item.unit || '',
+            this.formatMoney(item.rate || 0),
+            this.formatMoney((item.quantity || 1) * (item.rate || 0))
+          ])
+        }
+      );
+    }
+
+    if (amount > 0) {
+      blocks.push({ type: 'totals', rows: [['Quoted Amount', `ETB ${this.formatMoney(amount)}`, true]] });
+    }
+
+    if (response.message) {
+      blocks.push({ type: 'heading', text: 'Notes' }, { type: 'paragraph', text: response.message });
+    }
+
+    blocks.push({ type: 'signature', parties: [`For ${CONFIG.COMPANY.NAME}`, 'Accepted by the Client'] });
+
+    return this.generate({
+      title: 'Quotation',
+      documentId: `QUO-${quote.id}`,
+      date,
+      validUntil: this.addDays(date, response.validDays || CONFIG.DOCUMENTS.QUOTE_VALIDITY_DAYS),
+      recipient: { name: quote.name, email: quote.email, phone: quote.phone },
+      blocks
+    });
+  },
+
+  /**
+   * Invoice (AdminCRUD invoices)
+   * @param {object} invoice - { id, client, project, amount, date, dueDate, status, items }
+   * @returns {Blob}
+   */
+  invoice(invoice) {
+    const number = `INV-${String(invoice.id).padStart(5, '0')}`;
+    const items = invoice.items && invoice.items.length > 0
+      ? invoice.items
+      : [{ description: invoice.project && invoice.project !== 'N/A' ? invoice.project : 'Construction services', quantity: 1, rate: invoice.amount }];
+
+    return this.generate({
+      title: 'Invoice',
+      documentId: number,
+      date: invoice.date,
+      recipient: { name: invoice.client },
+      blocks: [
+        {
+          type: 'details',
+          rows: [
+            ['Project', invoice.project || '—'],
+            ['Due Date', invoice.dueDate ? this.formatDate(invoice.dueDate) : 'On receipt'],
+            ['Status', invoice.status || 'Pending']
+          ]
+        },
+        {
+          type: 'table',
+          columns: [
+            { label: 'Description' },
+            { label: 'Qty', width: 55, align: 'right' },
+            { label: 'Rate (ETB)', width: 95, align: 'right' },
+            { label: 'Amount (ETB)', width: 105, align: 'right' }
+          ],
+          rows: items.map(item => [
+            item.description,
+            this.formatMoney(item.quantity || 1, 2),
+            this.formatMoney(item.rate || 0),
+            this.formatMoney((item.quantity || 1) * (item.rate || 0))
+          ])
+        },
+        { type: 'totals', rows: [['Amount Due', `ETB ${this.formatMoney(invoice.amount || 0)}`, true]] },
+        { type: 'paragraph', color: this.COLORS.muted, text: `Please quote ${number} with your payment.` },
+        { type: 'signature', parties: [`For ${CONFIG.COMPANY.NAME}`] }
+      ]
+    });
+  },
+
+  /**
+   * Loan schedule (FinancingCalculator)
+   * @param {object} schedule - From FinancingCalculator.calculate()
+   * @returns {Blob}
+   */
+  financing(schedule) {
+    const date = new Date();
+    const grace = schedule.gracePeriodMonths > 0
+      ? `${schedule.gracePeriodMonths} months, ${schedule.graceType === 'capitalized' ? 'interest capitalized' : 'interest only'}`
+      : 'None';
+
+    const blocks = [
+      {
+        type: 'details',
+        rows: [
+          ['Lender', schedule.lender.name],
+          ['Interest Rate', `${Math.round(schedule.annualRate * 10000) / 100}% per year`],
+          ['Term', `${schedule.termMonths} months from ${this.formatDate(schedule.startDate)}`],
+          ['Grace Period', grace],
+          ...(schedule.estimateId ? [['Cost Estimate', schedule.estimateId]] : [])
+        ]
+      },
+      {
+        type: 'highlight',
+        label: 'Monthly Repayment',
+        value: `ETB ${this.formatMoney(schedule.monthlyPayment, 2)}`
+      },
+      {
+        type: 'totals',
+        rows: [
+          ['Project Cost', `ETB ${this.formatMoney(schedule.projectCost)}`],
+          [`Down Payment (${schedule.downPaymentPercent}%)`, `ETB ${this.formatMoney(schedule.downPayment)}`],
+          ['Loan Amount', `ETB ${this.formatMoney(schedule.loanAmount)}`],
+          ['Total Interest', `ETB ${this.formatMoney(schedule.totalInterest, 2)}`],
+          ['Total Repaid', `ETB ${this.formatMoney(schedule.totalPaid, 2)}`, true]
+        ]
+      }
+    ];
+
+    if (schedule.drawdowns.length > 1) {
+      blocks.push(
+        { type: 'heading', text: 'Draw-down Schedule' },
+        {
+          type: 'table',
+          columns: [
+            { label: 'Milestone' },
+            { label: 'Date', width: 85 },
+            { label: 'Share', width: 55, align: 'right' },
+            { label: 'Amount (ETB)', width: 105, align: 'right' }
+          ],
+          rows: schedule.drawdowns.map(d => [d.label, this.formatDate(d.date), `${d.percent}%`, this.formatMoney(d.amount)])
+        }
+      );
+    }
+
+    blocks.push(
+      { type: 'heading', text: 'Amortization Schedule' },
+      {
+        type: 'table',
+        columns: [
+          { label: '#', width: 30, align: 'right' },
+          { label: 'Date', width: 75 },
+          { label: 'Draw-down', align: 'right' },
+          { label: 'Payment', align: 'right' },
+          { label: 'Interest', align: 'right' },
+          { label: 'Principal', align: 'right' },
+          { label: 'Balance', align: 'right' }
+        ],
+        rows: schedule.rows.map(row => ({
+          cells: [
+            String(row.period),
+            this.formatDate(row.date),
+            row.draw ? this.formatMoney(row.draw, 2) : '',
+            this.formatMoney(row.payment, 2),
+            this.formatMoney(row.interest, 2),
+            this.formatMoney(row.principal, 2),
+            this.formatMoney(row.closing, 2)
+          ],
+          shade: row.phase === 'grace'
+        }))
+      },
+      {
+        type: 'paragraph',
+        color: this.COLORS.muted,
+        text: 'Indicative schedule based on the lender terms shown. Final terms, fees and approval are subject to the lender.' +
+          (schedule.gracePeriodMonths > 0 ? ' Shaded rows are the grace period.' : '')
+      }
+    );
+
+    return this.generate({
+      title: 'Construction Loan Schedule',
+      date,
+      blocks
+    });
+  },
+
+  /**
+   * Weekly site report (SiteDiary)
+   * @param {object} project - ProjectTracker project
+   * @param {object} summary - From SiteDiary.getWeeklySummary()
+   * @returns {Blob}
+   */
+  siteReport(project, summary) {
+    const none = { type: 'paragraph', color: this.COLORS.muted, text: 'None recorded.' };
+    const table = (columns, rows) => rows.length > 0 ? { type: 'table', columns, rows } : none;
+
+    return this.generate({
+      title: 'Weekly Site Report',
+      date: new Date(),
+      blocks: [
+        {
+          type: 'details',
+          rows: [
+            ['Project', project.name],
+            ['Location', project.location],
+            ['Week', `${this.formatDate(summary.start)} to ${this.formatDate(summary.end)}`],
+            ['Days Logged', `${summary.daysLogged} of 7`]
+          ]
+        },
+        {
+          type: 'totals',
+          rows: [
+            ['Person-days', String(summary.personDays)],
+            ['Peak Crew', String(summary.peakCrew)],
+            ['Delay Hours', String(summary.delayHours)],
+            ['Incidents', String(summary.incidents.length), summary.incidents.length > 0]
+          ]
+        },
+        { type: 'heading', text: 'Work Completed' },
+        summary.work.length > 0
+          ? { type: 'list', items: summary.work.map(row => `${this.formatDate(row.date)}: ${row.text}`) }
+          : none,
+        { type: 'heading', text: 'Manpower' },
+        table(
+          [{ label: 'Trade' }, { label: 'Person-days', width: 100, align: 'right' }],
+          summary.manpower.map(row => [row.trade, String(row.personDays)])
+        ),
+        { type: 'heading', text: 'Equipment' },
+        table(
+          [{ label: 'Equipment' }, { label: 'Hours', width: 100, align: 'right' }],
+          summary.equipment.map(row => [row.name, String(row.hours)])
+        ),
+        { type: 'heading', text: 'Materials Received' },
+        table(
+          [{ label: 'Material' }, { label: 'Quantity', width: 80, align: 'right' }, { label: 'Unit', width: 80 }],
+          summary.materials.map(row => [row.material, String(row.quantity), row.unit])
+        ),
+        { type: 'heading', text: 'Delays' },
+        table(
+          [{ label: 'Cause' }, { label: 'Hours', width: 80, align: 'right' }, { label: 'Days Affected', width: 100, align: 'right' }],
+          summary.delays.map(row => [row.cause, String(row.hours), String(row.count)])
+        ),
+        { type: 'heading', text: 'Incidents' },
+        table(
+          [{ label: 'Date', width: 85 }, { label: 'Type', width: 110 }, { label: 'Description' }],
+          summary.incidents.map(row => [this.formatDate(row.date), row.type, row.description])
+        ),
+        { type: 'heading', text: 'Weather' },
+        table(
+          [{ label: 'Date', width: 85 }, { label: 'Conditions' }, { label: 'Temperature', width: 90, align: 'right' }],
+          summary.weather.map(row => [this.formatDate(row.date), row.condition || '—', row.temperature !== null ? `${row.temperature} C` : '—'])
+        )
+      ]
+    });
+  },
+
+  /**
+   * Tabular export of admin records (landscape)
+   * @param {string} title - Document title
+   * @param {array} headers - Column labels
+   * @param {array} rows - Arrays of cell values
+   * @returns {Blob}
+   */
+  table(title, headers, rows) {
+    return this.generate({
+      title,
+      date: new Date(),
+      orientation: 'landscape',
+      blocks: [
+        {
+          type: 'table',
+          fit: true,
+          // Right-align columns that only hold numbers
+          columns: headers.map((label, i) => ({
+            label,
+            align: rows.length > 0 && rows.every(row => typeof row[i] === 'number' || row[i] === null || row[i] === undefined) ? 'right' : 'left'
+          })),
+          rows: rows.map(row => row.map(cell => this.formatCell(cell)))
+        },
+        { type: 'paragraph', color: this.COLORS.muted, text: `${rows.length} record(s)` }
+      ]
+    });
+  },
+
+  /**
+   * Save a Blob as a file
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Download name
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  // ============================================
+  // FORMATTING
+  // ============================================
+
+  formatMoney(amount, decimals = 0) {
+    return Number(amount || 0).toLocaleString('en-US', {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: decimals
+    });
+  },
+
+  formatDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      return String(value || '—');
+    }
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+  },
+
+  formatCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'number') {
+      return this.formatMoney(value, 2);
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  },
+
+  addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  },
+
+  titleCase(text) {
+    return String(text || '')
+      .split(/[-_\s]+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PDFDocument, PDFGenerator };
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.PDFDocument = PDFDocument;
+  window.PDFGenerator = PDFGenerator;
+}
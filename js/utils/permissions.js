@@ -0,0 +1,201 @@
+/**
+ * Permission Utility Functions
+ * Role-based access control: roles map to capabilities such as
+ * `projects:update`, optionally scoped to the user's `projectIds`
+ *
+ * Capability format: `<resource>:<action>[:own]`
+ * - `*` grants everything, `projects:*` every action on projects
+ * - `:own` limits the grant to records belonging to the user's projects
+ */
+
+/**
+ * Thrown when the current user lacks a capability
+ */
+class PermissionError extends Error {
+  constructor(permission, message = null) {
+    super(message || `Permission denied: ${permission}`);
+    this.name = 'PermissionError';
+    this.permission = permission;
+  }
+}
+
+const PermissionUtil = {
+  // Capabilities granted to each role
+  ROLES: {
+    admin: ['*'],
+    staff: [
+      'projects:view:own',
+      'projects:update:own',
+      'change-orders:view:own',
+      'change-orders:create:own',
+      'change-orders:update:own',
+      'clients:view',
+      'team:view',
+      'inquiries:view',
+      'inquiries:respond',
+      'quotes:view',
+      'quotes:respond',
+      'blog:view',
+      'blog:create',
+      'blog:update',
+      'testimonials:view',
+      'services:view',
+      'invoices:view:own',
+      'schedule:*',
+      'documents:view',
+      'documents:create',
+      'tasks:*',
+      'notes:*',
+      'categories:view',
+      'estimates:view',
+      'equipment:view',
+      'materials:update'
+    ],
+    client: [
+      'projects:view:own',
+      'change-orders:view:own',
+      'change-orders:approve:own',
+      'invoices:view:own',
+      'documents:view:own',
+      'quotes:create',
+      'estimates:view:own',
+      'estimates:delete:own'
+    ]
+  },
+
+  /**
+   * Add or replace a role
+   * @param {string} role - Role name
+   * @param {array} permissions - Capabilities
+   */
+  defineRole(role, permissions) {
+    this.ROLES[role] = [...permissions];
+  },
+
+  /**
+   * Get the user permissions are checked for (see AuthUtil.getActingUser)
+   * @returns {object|null}
+   */
+  getUser() {
+    if (typeof AuthUtil === 'undefined') {
+      return null;
+    }
+    return AuthUtil.getActingUser();
+  },
+
+  /**
+   * Get every capability granted to a user (role plus per-user extras)
+   * @param {object} user - User record
+   * @returns {array}
+   */
+  getPermissions(user = this.getUser()) {
+    if (!user) {
+      return [];
+    }
+    return [...(this.ROLES[user.role] || []), ...(user.permissions || [])];
+  },
+
+  /**
+   * Check whether the user has a capability
+   * Without a record, a `:own` grant counts (the user may act on some records);
+   * with a record, the record must belong to one of the user's projects.
+   * @param {string} permission - e.g. 'projects:update'
+   * @param {object} record - Target record (optional)
+   * @param {object} user - User to check (defaults to the current user)
+   * @returns {boolean}
+   */
+  can(permission, record = null, user = this.getUser()) {
+    const [resource, action] = permission.split(':');
+
+    return this.getPermissions(user).some(grant => {
+      if (grant === '*') {
+        return true;
+      }
+
+      const [grantResource, grantAction, scope] = grant.split(':');
+      if (grantResource !== resource || (grantAction !== '*' && grantAction !== action)) {
+        return false;
+      }
+
+      if (scope === 'own' && record) {
+        return this.ownsRecord(resource, record, user);
+      }
+      return true;
+    });
+  },
+
+  /**
+   * Throw unless the user has a capability; denials are written to the audit log
+   * @param {string} permission - e.g. 'invoices:delete'
+   * @param {object} record - Target record (optional)
+   * @throws {PermissionError}
+   */
+  assert(permission, record = null) {
+    if (this.can(permission, record)) {
+      return;
+    }
+
+    if (typeof AuditLog !== 'undefined') {
+      AuditLog.logAction('access_denied', permission.split(':')[0], record ? record.id : null, { permission });
+    }
+    throw new PermissionError(permission);
+  },
+
+  /**
+   * Keep only the records the user may act on
+   * @param {string} permission - e.g. 'projects:view'
+   * @param {array} records
+   * @returns {array}
+   */
+  filter(permission, records) {
+    return records.filter(record => this.can(permission, record));
+  },
+
+  /**
+   * Check whether a record belongs to one of the user's projects
+   * Projects match on their shared `projectId` (AdminCRUD keeps its own numeric
+   * ids), id or name; other records on `projectId` or `project`.
+   * Saved estimates belong to the user who saved them (`userId` or `userEmail`).
+   * @param {string} resource - Resource name
+   * @param {object} record - Target record
+   * @param {object} user - User record
+   * @returns {boolean}
+   */
+  ownsRecord(resource, record, user) {
+    if (resource === 'estimates') {
+      return !!user && (
+        (record.userId !== undefined && record.userId !== null && String(record.userId) === String(user.id)) ||
+        (!!record.userEmail && !!user.email && record.userEmail.toLowerCase() === user.email.toLowerCase())
+      );
+    }
+
+    const projectIds = (user && user.projectIds ? user.projectIds : []).map(String);
+    const refs = resource === 'projects'
+      ? [record.projectId, record.id, record.name]
+      : [record.projectId, record.project];
+
+    return refs.some(ref => ref !== undefined && ref !== null && projectIds.includes(String(ref)));
+  },
+
+  /**
+   * Hide elements marked with `data-permission` the user cannot use
+   * @param {HTMLElement} root - Container to scan
+   */
+  applyToDOM(root = document) {
+    root.querySelectorAll('[data-permission]').forEach(element => {
+      const allowed = this.can(element.getAttribute('data-permission'));
+      element.classList.toggle('d-none', !allowed);
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PermissionUtil, PermissionError };
+}
+
+// Make available globally for browser usage
+if (typeof window !== 'undefined') {
+  window.PermissionUtil = PermissionUtil;
+  window.PermissionError = PermissionError;
+}
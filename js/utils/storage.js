@@ -1,9 +1,51 @@
 /**
  * Storage Utility Functions
- * Handles LocalStorage operations with error handling and data serialization
+ * Handles LocalStorage operations with error handling and data serialization.
+ *
+ * A persistent async engine (see utils/indexeddb-storage.js) can be plugged in
+ * with useEngine(). The synchronous API then acts as a cached facade: reads are
+ * served from memory, writes go to memory immediately and to the engine in the
+ * background, and every value is mirrored into LocalStorage so synchronous
+ * reads are complete before the engine has loaded.
+ *
+ * Only when LocalStorage is full are the largest values left to the engine
+ * alone (listed under UNMIRRORED_KEY). Writes to those keys made before the
+ * engine has hydrated are held back and reconciled with the stored value: the
+ * stored value wins unless a merge was registered with onConflict().
+ *
+ * Engine interface (all methods return promises):
+ *   open(), get(key), set(key, value), remove(key), clear(), entries(prefix),
+ *   setBlob(key, blob), getBlob(key), removeBlob(key), migrate() (optional)
  */
 
 const StorageUtil = {
+  // Active async engine (null = plain LocalStorage)
+  engine: null,
+
+  // Serialized values loaded from / written through the engine
+  cache: new Map(),
+
+  // Keys removed before the engine finished hydrating
+  removedKeys: new Set(),
+
+  // LocalStorage key listing the keys held only by the engine
+  UNMIRRORED_KEY: 'storage_unmirrored',
+
+  // True while the active engine is opening and hydrating the cache
+  hydrating: false,
+
+  // Writes to unmirrored keys made while hydrating: key -> value
+  pendingWrites: new Map(),
+
+  // Merge functions for pending writes: [{ prefix, merge(stored, pending) }]
+  mergers: [],
+
+  // Resolves once the active engine is open and the cache is hydrated
+  readyPromise: Promise.resolve(),
+
+  // Object URLs handed out by getBlobUrl(): key -> url
+  blobUrls: new Map(),
+
   /**
    * Save data to LocalStorage
    * @param {string} key - Storage key
@@ -11,8 +53,32 @@ const StorageUtil = {
    * @returns {boolean} - Success status
    */
   set(key, value) {
+    let serialized;
+    try {
+      serialized = JSON.stringify(value);
+    } catch (error) {
+      console.error('Storage set error:', error);
+      return false;
+    }
+
+    if (this.engine) {
+      this.cache.set(key, serialized);
+      this.removedKeys.delete(key);
+
+      // The stored value hasn't been read yet; reconcile once it has
+      if (this.hydrating && this.getUnmirrored().has(key)) {
+        this.pendingWrites.set(key, value);
+        return true;
+      }
+
+      this.engine.set(key, value).catch(error => {
+        console.error(`Storage engine write failed for "${key}":`, error);
+      });
+      this.writeMirror(key, serialized);
+      return true;
+    }
+
     try {
-      const serialized = JSON.stringify(value);
       localStorage.setItem(key, serialized);
       return true;
     } catch (error) {
@@ -25,7 +91,7 @@ const StorageUtil = {
         
         // Retry once after clearing
         try {
-          localStorage.setItem(key, JSON.stringify(value));
+          localStorage.setItem(key, serialized);
           return true;
         } catch (retryError) {
           console.error('Storage set retry failed:', retryError);
@@ -44,7 +110,13 @@ const StorageUtil = {
    */
   get(key, defaultValue = null) {
     try {
-      const item = localStorage.getItem(key);
+      let item = null;
+      if (this.cache.has(key)) {
+        item = this.cache.get(key);
+      } else if (!this.removedKeys.has(key)) {
+        item = localStorage.getItem(key);
+      }
+
       if (item === null) {
         return defaultValue;
       }
@@ -62,7 +134,12 @@ const StorageUtil = {
    */
   remove(key) {
     try {
-      localStorage.removeItem(key);
+      this.forget(key);
+      if (this.engine) {
+        this.engine.remove(key).catch(error => {
+          console.error(`Storage engine remove failed for "${key}":`, error);
+        });
+      }
       return true;
     } catch (error) {
       console.error('Storage remove error:', error);
@@ -70,6 +147,22 @@ const StorageUtil = {
     }
   },
 
+  /**
+   * Drop a key from LocalStorage and the cache
+   * Also discards a write held back during hydration, so it can't bring the
+   * key back once the engine has loaded.
+   * @param {string} key - Storage key
+   */
+  forget(key) {
+    localStorage.removeItem(key);
+    if (this.engine) {
+      this.cache.delete(key);
+      this.removedKeys.add(key);
+      this.pendingWrites.delete(key);
+      this.setUnmirrored(key, false);
+    }
+  },
+
   /**
    * Clear all LocalStorage data
    * @returns {boolean} - Success status
@@ -77,6 +170,13 @@ const StorageUtil = {
   clear() {
     try {
       localStorage.clear();
+      if (this.engine) {
+        this.cache.clear();
+        this.pendingWrites.clear();
+        this.engine.clear().catch(error => {
+          console.error('Storage engine clear failed:', error);
+        });
+      }
       return true;
     } catch (error) {
       console.error('Storage clear error:', error);
@@ -90,7 +190,13 @@ const StorageUtil = {
    * @returns {boolean} - Existence status
    */
   has(key) {
-    return localStorage.getItem(key) !== null;
+    if (this.cache.has(key)) {
+      return true;
+    }
+    if (this.removedKeys.has(key)) {
+      return false;
+    }
+    return localStorage.getItem(key) !== null || (!!this.engine && this.getUnmirrored().has(key));
   },
 
   /**
@@ -98,7 +204,15 @@ const StorageUtil = {
    * @returns {string[]} - Array of keys
    */
   keys() {
-    return Object.keys(localStorage);
+    const keys = new Set(this.cache.keys());
+    const stored = Object.keys(localStorage).filter(key => key !== this.UNMIRRORED_KEY);
+    const unmirrored = this.engine ? Array.from(this.getUnmirrored()) : [];
+    [...stored, ...unmirrored].forEach(key => {
+      if (!this.removedKeys.has(key)) {
+        keys.add(key);
+      }
+    });
+    return Array.from(keys);
   },
 
   /**
@@ -108,36 +222,50 @@ const StorageUtil = {
   getSize() {
     let size = 0;
     for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
+      if (localStorage.hasOwnProperty(key) && !this.cache.has(key)) {
         size += localStorage[key].length + key.length;
       }
     }
+    this.cache.forEach((value, key) => {
+      size += value.length + key.length;
+    });
     return size;
   },
 
   /**
    * Clear old data to free up space
-   * Removes items older than 30 days
+   * Removes items older than 30 days, from LocalStorage and the active engine
    */
   clearOldData() {
     const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    const isOld = data => !!data && typeof data === 'object' && !!data.timestamp && data.timestamp < thirtyDaysAgo;
     const keysToRemove = [];
 
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        try {
-          const data = JSON.parse(localStorage[key]);
-          if (data && data.timestamp && data.timestamp < thirtyDaysAgo) {
-            keysToRemove.push(key);
-          }
-        } catch (e) {
-          // Skip non-JSON items
+    this.keys().forEach(key => {
+      const item = this.cache.has(key) ? this.cache.get(key) : localStorage.getItem(key);
+      try {
+        if (item !== null && isOld(JSON.parse(item))) {
+          keysToRemove.push(key);
         }
+      } catch (e) {
+        // Skip non-JSON items
       }
-    }
+    });
 
     keysToRemove.forEach(key => this.remove(key));
     console.log(`Cleared ${keysToRemove.length} old items from storage`);
+
+    // Values held only by the engine are not in memory until it has hydrated
+    if (this.engine) {
+      this.query({ filter: isOld }).then(entries => {
+        entries.forEach(({ key }) => this.remove(key));
+        if (entries.length > 0) {
+          console.log(`Cleared ${entries.length} old items from the storage engine`);
+        }
+      }).catch(error => {
+        console.error('Storage engine cleanup failed:', error);
+      });
+    }
   },
 
   /**
@@ -203,6 +331,371 @@ const StorageUtil = {
     }
     const updated = { ...existing, ...updates };
     return this.set(key, updated);
+  },
+
+  // ============================================
+  // STORAGE ENGINES
+  // ============================================
+
+  /**
+   * Switch to a persistent async engine
+   * Opens the engine, runs its one-time migration and hydrates the cache so
+   * the synchronous API keeps working for existing modules.
+   * @param {object} engine - Engine implementing the interface above
+   * @returns {Promise<boolean>} - Resolves true when the engine is active
+   */
+  useEngine(engine) {
+    this.engine = engine;
+    this.hydrating = true;
+
+    this.readyPromise = (async () => {
+      try {
+        await engine.open();
+
+        if (typeof engine.migrate === 'function') {
+          await engine.migrate();
+        }
+
+        const entries = await engine.entries();
+        entries.forEach(({ key, value }) => {
+          if (this.pendingWrites.has(key)) {
+            this.reconcile(key, value);
+          } else if (!this.cache.has(key) && !this.removedKeys.has(key)) {
+            // Mirrored keys written while the engine was opening were read from
+            // a complete mirror, so those writes take precedence
+            this.cache.set(key, JSON.stringify(value));
+          }
+
+          // Restore the mirror of values an earlier version left out of it
+          if (this.cache.has(key) && localStorage.getItem(key) === null && !this.getUnmirrored().has(key)) {
+            this.writeMirror(key, this.cache.get(key));
+          }
+        });
+
+        // Held-back writes to keys the engine turned out not to have
+        this.hydrating = false;
+        this.pendingWrites.forEach((value, key) => this.set(key, value));
+        this.pendingWrites.clear();
+        return true;
+      } catch (error) {
+        console.error('Storage engine unavailable, staying on LocalStorage:', error);
+        this.engine = null;
+        this.hydrating = false;
+        this.cache.clear();
+        this.removedKeys.clear();
+        this.pendingWrites.clear();
+        return false;
+      }
+    })();
+
+    return this.readyPromise;
+  },
+
+  /**
+   * Wait until the active engine is ready
+   * @returns {Promise<boolean>}
+   */
+  whenReady() {
+    return this.readyPromise;
+  },
+
+  /**
+   * Register a merge for writes held back while the engine was hydrating
+   * Without one, the value already stored in the engine wins.
+   * @param {string} prefix - Keys starting with this prefix
+   * @param {function} merge - (stored, pending) => value to keep
+   */
+  onConflict(prefix, merge) {
+    this.mergers.push({ prefix, merge });
+  },
+
+  /**
+   * Settle a held-back write against the value the engine holds
+   * @param {string} key - Storage key
+   * @param {*} stored - Value read from the engine
+   */
+  reconcile(key, stored) {
+    const pending = this.pendingWrites.get(key);
+    this.pendingWrites.delete(key);
+
+    const merger = this.mergers.find(({ prefix }) => key.startsWith(prefix));
+    if (!merger) {
+      console.warn(`Storage: kept the stored "${key}" over a write made before it had loaded`);
+      this.cache.set(key, JSON.stringify(stored));
+      return;
+    }
+
+    const merged = merger.merge(stored, pending);
+    const serialized = JSON.stringify(merged);
+    this.cache.set(key, serialized);
+    this.engine.set(key, merged).catch(error => {
+      console.error(`Storage engine write failed for "${key}":`, error);
+    });
+    this.writeMirror(key, serialized);
+  },
+
+  /**
+   * Mirror a value into LocalStorage
+   * When LocalStorage is full, the largest mirrored values are left to the
+   * engine alone until this one fits.
+   * @param {string} key - Storage key
+   * @param {string} serialized - JSON string
+   */
+  writeMirror(key, serialized) {
+    const largest = Array.from(this.cache.keys())
+      .filter(other => other !== key && localStorage.getItem(other) !== null)
+      .sort((a, b) => this.cache.get(b).length - this.cache.get(a).length);
+
+    for (;;) {
+      try {
+        localStorage.setItem(key, serialized);
+        this.setUnmirrored(key, false);
+        return;
+      } catch (error) {
+        if (error.name !== 'QuotaExceededError') {
+          console.error('Storage mirror error:', error);
+          return;
+        }
+        if (largest.length === 0) {
+          // The engine holds the only copy
+          localStorage.removeItem(key);
+          this.setUnmirrored(key, true);
+          return;
+        }
+
+        const evicted = largest.shift();
+        localStorage.removeItem(evicted);
+        this.setUnmirrored(evicted, true);
+      }
+    }
+  },
+
+  /**
+   * Keys whose values are held only by the engine
+   * @returns {Set<string>}
+   */
+  getUnmirrored() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(this.UNMIRRORED_KEY)) || []);
+    } catch (error) {
+      return new Set();
+    }
+  },
+
+  setUnmirrored(key, unmirrored) {
+    const keys = this.getUnmirrored();
+    if (keys.has(key) === unmirrored) {
+      return;
+    }
+
+    if (unmirrored) {
+      keys.add(key);
+    } else {
+      keys.delete(key);
+    }
+
+    try {
+      if (keys.size > 0) {
+        localStorage.setItem(this.UNMIRRORED_KEY, JSON.stringify(Array.from(keys)));
+      } else {
+        localStorage.removeItem(this.UNMIRRORED_KEY);
+      }
+    } catch (error) {
+      console.error('Storage could not record unmirrored keys:', error);
+    }
+  },
+
+  /**
+   * Get data asynchronously from the active engine
+   * @param {string} key - Storage key
+   * @param {*} defaultValue - Default value if key doesn't exist
+   * @returns {Promise<*>} - Stored value or default
+   */
+  async getAsync(key, defaultValue = null) {
+    await this.readyPromise;
+    if (!this.engine) {
+      return this.get(key, defaultValue);
+    }
+
+    try {
+      const value = await this.engine.get(key);
+      return value === undefined ? defaultValue : value;
+    } catch (error) {
+      console.error('Storage getAsync error:', error);
+      return this.get(key, defaultValue);
+    }
+  },
+
+  /**
+   * Save data asynchronously and wait for it to be persisted
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setAsync(key, value) {
+    await this.readyPromise;
+    if (!this.engine) {
+      return this.set(key, value);
+    }
+
+    try {
+      const serialized = JSON.stringify(value);
+      await this.engine.set(key, value);
+      this.cache.set(key, serialized);
+      this.removedKeys.delete(key);
+      this.writeMirror(key, serialized);
+      return true;
+    } catch (error) {
+      console.error('Storage setAsync error:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Remove data asynchronously
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeAsync(key) {
+    try {
+      this.forget(key);
+      await this.readyPromise;
+      if (this.engine) {
+        await this.engine.remove(key);
+      }
+      return true;
+    } catch (error) {
+      console.error('Storage removeAsync error:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Query stored entries
+   * @param {object} options - Query options
+   * @param {string} options.prefix - Only keys starting with this prefix
+   * @param {function} options.filter - Predicate called with (value, key)
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Promise<Array<{key: string, value: *}>>} - Matching entries
+   */
+  async query({ prefix = '', filter = null, limit = null } = {}) {
+    await this.readyPromise;
+
+    let entries;
+    if (this.engine) {
+      entries = await this.engine.entries(prefix);
+    } else {
+      entries = this.keys()
+        .filter(key => key.startsWith(prefix))
+        .map(key => ({ key, value: this.get(key) }));
+    }
+
+    if (filter) {
+      entries = entries.filter(({ key, value }) => filter(value, key));
+    }
+
+    return limit ? entries.slice(0, limit) : entries;
+  },
+
+  /**
+   * Store binary data
+   * Falls back to a data URL in LocalStorage when no engine is active.
+   * @param {string} key - Storage key
+   * @param {Blob} blob - Binary data
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setBlob(key, blob) {
+    await this.readyPromise;
+
+    try {
+      if (this.engine) {
+        await this.engine.setBlob(key, blob);
+        return true;
+      }
+
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read blob'));
+        reader.readAsDataURL(blob);
+      });
+      return this.set(`blob_${key}`, dataUrl);
+    } catch (error) {
+      console.error('Storage setBlob error:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Read binary data
+   * @param {string} key - Storage key
+   * @returns {Promise<Blob|null>} - Stored blob or null
+   */
+  async getBlob(key) {
+    await this.readyPromise;
+
+    try {
+      if (this.engine) {
+        const blob = await this.engine.getBlob(key);
+        return blob || null;
+      }
+
+      const dataUrl = this.get(`blob_${key}`);
+      if (!dataUrl) {
+        return null;
+      }
+      const response = await fetch(dataUrl);
+      return response.blob();
+    } catch (error) {
+      console.error('Storage getBlob error:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Object URL for stored binary data, for image sources and download links
+   * The URL is reused until removeBlob() revokes it.
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} - Object URL or null if nothing is stored
+   */
+  async getBlobUrl(key) {
+    if (this.blobUrls.has(key)) {
+      return this.blobUrls.get(key);
+    }
+
+    const blob = await this.getBlob(key);
+    if (!blob) {
+      return null;
+    }
+
+    const url = URL.createObjectURL(blob);
+    this.blobUrls.set(key, url);
+    return url;
+  },
+
+  /**
+   * Remove binary data
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeBlob(key) {
+    await this.readyPromise;
+
+    if (this.blobUrls.has(key)) {
+      URL.revokeObjectURL(this.blobUrls.get(key));
+      this.blobUrls.delete(key);
+    }
+
+    try {
+      if (this.engine) {
+        await this.engine.removeBlob(key);
+        return true;
+      }
+      return this.remove(`blob_${key}`);
+    } catch (error) {
+      console.error('Storage removeBlob error:', error);
+      return false;
+    }
   }
 };
 
@@ -0,0 +1,541 @@
+/**
+ * Sync Queue - Durable outbox for offline API writes
+ * Queues POST/PUT/DELETE requests that could not reach the backend and replays
+ * them with exponential backoff once connectivity returns
+ */
+
+// Sync Queue Configuration
+const SYNC_QUEUE_CONFIG = {
+    storageKey: 'db_sync_outbox',
+    baseDelay: 2000,                 // first retry after 2s
+    maxDelay: 5 * 60 * 1000,         // never wait longer than 5 minutes
+    maxAttempts: 10,
+    pollInterval: 30000              // background retry check
+};
+
+/**
+ * Sync Queue - replays queued requests through an APIService
+ *
+ * Item lifecycle: pending → (synced and removed) | conflict | failed
+ * - conflict: the server rejected the change as stale (HTTP 409/412)
+ * - failed:   the server rejected the change (other 4xx) or attempts ran out
+ *
+ * Items for the same resource (endpoint) replay in the order they were queued:
+ * while one is waiting to retry, later ones wait too, so an update never
+ * reaches the server before the create it depends on. A 401 pauses the whole
+ * queue until the user signs in again.
+ */
+class SyncQueue {
+    constructor(apiService, config = SYNC_QUEUE_CONFIG) {
+        this.api = apiService;
+        this.config = { ...SYNC_QUEUE_CONFIG, ...config };
+        this.listeners = [];
+        this.waiters = {};
+        this.syncing = false;
+        this.lastSyncAt = null;
+        this.timer = null;
+
+        // Set when replay hit a 401: { token } that was rejected
+        this.authPause = null;
+    }
+
+    /**
+     * Start listening for connectivity changes and retry in the background
+     */
+    start() {
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+
+        if (this.timer) {
+            clearInterval(this.timer);
+        }
+        this.timer = setInterval(() => this.flush(), this.config.pollInterval);
+
+        // Replay anything left over from a previous session
+        this.flush();
+    }
+
+    /**
+     * Stop background retries
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    /**
+     * Load queued items
+     * @returns {array}
+     */
+    load() {
+        if (typeof StorageUtil !== 'undefined') {
+            return StorageUtil.get(this.config.storageKey, []);
+        }
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+        } catch (error) {
+            console.error('Error loading sync queue:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save queued items and notify listeners
+     * @param {array} items
+     */
+    save(items) {
+        if (typeof StorageUtil !== 'undefined') {
+            StorageUtil.set(this.config.storageKey, items);
+        } else {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(items));
+        }
+        this.emit('change', this.getStatus());
+    }
+
+    /**
+     * Update a single queued item
+     * @param {string} id - Item ID
+     * @param {object} updates - Fields to update
+     */
+    updateItem(id, updates) {
+        const items = this.load();
+        const index = items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            items[index] = { ...items[index], ...updates };
+            this.save(items);
+        }
+    }
+
+    /**
+     * Remove a queued item
+     * @param {string} id - Item ID
+     */
+    removeItem(id) {
+        this.save(this.load().filter(item => item.id !== id));
+    }
+
+    // ============================================
+    // QUEUEING
+    // ============================================
+
+    /**
+     * Add a request to the outbox
+     * Requests with an idempotency key already in the queue are not duplicated.
+     * @param {object} request - { endpoint, method, body, headers, idempotencyKey }
+     * @returns {object} - Response-shaped result for the original caller
+     */
+    enqueue(request) {
+        const items = this.load();
+        let item = items.find(i => i.idempotencyKey === request.idempotencyKey);
+
+        if (!item) {
+            item = {
+                id: 'sync_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                endpoint: request.endpoint,
+                method: request.method,
+                body: request.body === undefined ? null : request.body,
+                headers: request.headers || {},
+                idempotencyKey: request.idempotencyKey,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now() + this.config.baseDelay,
+                lastError: null,
+                createdAt: new Date().toISOString()
+            };
+            items.push(item);
+            this.save(items);
+        }
+
+        return {
+            success: true,
+            queued: true,
+            syncId: item.id,
+            message: 'Saved offline. Changes will sync when the connection returns.'
+        };
+    }
+
+    /**
+     * Wait for a queued item to be synced
+     * Rejects with the server error if the item ends in conflict or failure.
+     * @param {string} syncId - ID returned from enqueue()
+     * @returns {Promise<object>} - Server response
+     */
+    waitFor(syncId) {
+        const item = this.load().find(i => i.id === syncId);
+        if (!item) {
+            return Promise.reject(new Error(`Unknown sync item: ${syncId}`));
+        }
+        if (item.status !== 'pending') {
+            return Promise.reject(this.toError(item));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waiters[syncId] = { resolve, reject };
+        });
+    }
+
+    // ============================================
+    // REPLAY
+    // ============================================
+
+    /**
+     * Called when a request succeeds, so queued items are retried right away
+     */
+    notifyOnline() {
+        const hasPending = this.load().some(item => item.status === 'pending');
+        if (hasPending && !this.syncing) {
+            setTimeout(() => this.flush({ force: true }), 0);
+        }
+    }
+
+    /**
+     * Resume after the user has signed in again
+     * Called by AuthUtil when a session starts; a paused queue also resumes on
+     * its own once it sees a different auth token.
+     */
+    resume() {
+        if (this.authPause) {
+            this.authPause = null;
+            this.emit('change', this.getStatus());
+        }
+        this.notifyOnline();
+    }
+
+    /**
+     * Whether replay is paused waiting for a new sign-in
+     * @returns {boolean}
+     */
+    isPausedForAuth() {
+        if (this.authPause && this.authPause.token !== this.getAuthToken()) {
+            this.authPause = null;
+        }
+        return Boolean(this.authPause);
+    }
+
+    /**
+     * Auth token the next replay would send
+     * @returns {string|null}
+     */
+    getAuthToken() {
+        if (typeof StorageUtil === 'undefined' || typeof CONFIG === 'undefined') {
+            return null;
+        }
+        return StorageUtil.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+    }
+
+    /**
+     * Resource an item writes to; items for one resource replay in order
+     * @param {object} item - Queued item
+     * @returns {string}
+     */
+    getResource(item) {
+        return item.endpoint.split('?')[0];
+    }
+
+    /**
+     * Replay due items in order
+     * @param {object} options - { force: ignore backoff schedule }
+     * @returns {Promise<object>} - Status after the run
+     */
+    async flush({ force = false } = {}) {
+        if (this.syncing) {
+            return this.getStatus();
+        }
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return this.getStatus();
+        }
+        if (this.isPausedForAuth()) {
+            return this.getStatus();
+        }
+
+        this.syncing = true;
+        this.emit('change', this.getStatus());
+
+        try {
+            const pending = this.load().filter(item => item.status === 'pending');
+            const blocked = new Set();
+
+            for (const item of pending) {
+                const resource = this.getResource(item);
+                if (blocked.has(resource)) {
+                    continue;
+                }
+                if (!force && item.nextAttemptAt > Date.now()) {
+                    blocked.add(resource);
+                    continue;
+                }
+
+                const reachable = await this.replay(item);
+                if (!reachable) {
+                    // Backend still down or sign-in needed: leave the rest for the next run
+                    break;
+                }
+
+                // Still pending means it is backing off; later writes to the resource wait for it
+                if (this.load().some(i => i.id === item.id && i.status === 'pending')) {
+                    blocked.add(resource);
+                }
+            }
+
+            this.lastSyncAt = new Date().toISOString();
+        } finally {
+            this.syncing = false;
+            this.emit('change', this.getStatus());
+        }
+
+        return this.getStatus();
+    }
+
+    /**
+     * Replay a single item
+     * @param {object} item - Queued item
+     * @returns {Promise<boolean>} - False if the backend was unreachable or
+     *   rejected the credentials
+     */
+    async replay(item) {
+        try {
+            const response = await this.api.request(item.endpoint, {
+                method: item.method,
+                body: item.body === null ? undefined : item.body,
+                headers: item.headers,
+                idempotencyKey: item.idempotencyKey,
+                queue: false
+            });
+
+            this.removeItem(item.id);
+            this.emit('synced', { item, response });
+            this.settle(item.id, 'resolve', response);
+            return true;
+        } catch (error) {
+            const status = error.status || null;
+            const attempts = item.attempts + 1;
+
+            if (status === 401) {
+                // Not the change's fault: keep it and wait for a new sign-in
+                this.authPause = { token: this.getAuthToken() };
+                this.updateItem(item.id, { lastError: error.message });
+                this.emit('unauthorized', { ...item, lastError: error.message });
+                return false;
+            }
+
+            if (status === 409 || status === 412) {
+                const updated = { status: 'conflict', attempts, lastError: error.message, serverData: error.data || null };
+                this.updateItem(item.id, updated);
+                this.emit('conflict', { ...item, ...updated });
+                this.settle(item.id, 'reject', error);
+                return true;
+            }
+
+            if (status && status >= 400 && status < 500) {
+                const updated = { status: 'failed', attempts, lastError: error.message, serverData: error.data || null };
+                this.updateItem(item.id, updated);
+                this.emit('failed', { ...item, ...updated });
+                this.settle(item.id, 'reject', error);
+                return true;
+            }
+
+            // Network error or 5xx: back off and try again later
+            if (attempts >= this.config.maxAttempts) {
+                const updated = { status: 'failed', attempts, lastError: error.message };
+                this.updateItem(item.id, updated);
+                this.emit('failed', { ...item, ...updated });
+                this.settle(item.id, 'reject', error);
+            } else {
+                this.updateItem(item.id, {
+                    attempts,
+                    lastError: error.message,
+                    nextAttemptAt: Date.now() + this.getBackoffDelay(attempts)
+                });
+            }
+            return Boolean(status);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} - Delay in milliseconds
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.config.baseDelay * Math.pow(2, attempts), this.config.maxDelay);
+        const jitter = Math.random() * delay * 0.2;
+        return Math.round(delay + jitter);
+    }
+
+    /**
+     * Resolve or reject a caller waiting on an item
+     */
+    settle(syncId, action, value) {
+        const waiter = this.waiters[syncId];
+        if (waiter) {
+            waiter[action](value);
+            delete this.waiters[syncId];
+        }
+    }
+
+    /**
+     * Build an error object from a stored item
+     */
+    toError(item) {
+        const error = new Error(item.lastError || `Sync ${item.status}`);
+        error.syncStatus = item.status;
+        error.data = item.serverData || null;
+        return error;
+    }
+
+    // ============================================
+    // CONFLICTS & FAILURES
+    // ============================================
+
+    /**
+     * Get items the server rejected as conflicting
+     * @returns {array}
+     */
+    getConflicts() {
+        return this.load().filter(item => item.status === 'conflict');
+    }
+
+    /**
+     * Get items that failed permanently
+     * @returns {array}
+     */
+    getFailed() {
+        return this.load().filter(item => item.status === 'failed');
+    }
+
+    /**
+     * Resolve a conflicted or failed item
+     * @param {string} syncId - Item ID
+     * @param {string} resolution - 'retry' (optionally with new body) or 'discard'
+     * @param {object} body - Replacement body when retrying
+     * @returns {boolean} - Success status
+     */
+    resolve(syncId, resolution, body = null) {
+        const item = this.load().find(i => i.id === syncId);
+        if (!item) {
+            return false;
+        }
+
+        if (resolution === 'discard') {
+            this.removeItem(syncId);
+            return true;
+        }
+
+        if (resolution === 'retry') {
+            // A changed body is a new change, so it needs a new idempotency key
+            this.updateItem(syncId, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                body: body !== null ? body : item.body,
+                idempotencyKey: body !== null ? this.api.generateIdempotencyKey() : item.idempotencyKey,
+                serverData: null
+            });
+            this.flush({ force: true });
+            return true;
+        }
+
+        return false;
+    }
+
+    // ============================================
+    // STATUS
+    // ============================================
+
+    /**
+     * Get queue status
+     * @returns {object} - { pending, conflicts, failed, syncing, online, authRequired, lastSyncAt }
+     */
+    getStatus() {
+        const items = this.load();
+        return {
+            pending: items.filter(item => item.status === 'pending').length,
+            conflicts: items.filter(item => item.status === 'conflict').length,
+            failed: items.filter(item => item.status === 'failed').length,
+            syncing: this.syncing,
+            online: typeof navigator === 'undefined' ? true : navigator.onLine !== false,
+            authRequired: Boolean(this.authPause),
+            lastSyncAt: this.lastSyncAt
+        };
+    }
+
+    /**
+     * Human-readable status, e.g. "3 changes pending sync"
+     * @returns {string}
+     */
+    getStatusText() {
+        const status = this.getStatus();
+        const parts = [];
+
+        if (status.pending > 0) {
+            parts.push(`${status.pending} change${status.pending !== 1 ? 's' : ''} pending sync`);
+        }
+        if (status.conflicts > 0) {
+            parts.push(`${status.conflicts} conflict${status.conflicts !== 1 ? 's' : ''}`);
+        }
+        if (status.failed > 0) {
+            parts.push(`${status.failed} failed`);
+        }
+        if (status.authRequired && status.pending > 0) {
+            parts.push('sign in to sync');
+        }
+
+        if (parts.length === 0) {
+            return 'All changes synced';
+        }
+        return parts.join(', ');
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    /**
+     * Subscribe to queue events
+     * @param {string} event - 'change', 'synced', 'conflict', 'failed' or 'unauthorized'
+     * @param {function} callback - Event handler
+     * @returns {function} - Unsubscribe function
+     */
+    on(event, callback) {
+        const listener = { event, callback };
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Emit a queue event
+     */
+    emit(event, payload) {
+        this.listeners
+            .filter(listener => listener.event === event)
+            .forEach(listener => {
+                try {
+                    listener.callback(payload);
+                } catch (error) {
+                    console.error(`Sync queue listener error [${event}]:`, error);
+                }
+            });
+    }
+}
+
+// Attach to the API singleton
+if (typeof window !== 'undefined' && window.API) {
+    const syncQueue = new SyncQueue(window.API.service);
+    window.API.service.queue = syncQueue;
+    window.API.sync = syncQueue;
+    syncQueue.start();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncQueue;
+}
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { AdminSchema } = loadScripts(['js/modules/admin-schema.js']);
+
+test('toAmount reads K/M/B suffixes', () => {
+  assert.equal(AdminSchema.toAmount('15M ETB'), 15000000);
+  assert.equal(AdminSchema.toAmount('250K'), 250000);
+  assert.equal(AdminSchema.toAmount('1.2B'), 1200000000);
+  assert.equal(AdminSchema.toAmount('3.5 M'), 3500000);
+  assert.equal(AdminSchema.toAmount('5,000 ETB'), 5000);
+  assert.equal(AdminSchema.toAmount(42), 42);
+});
+
+test('toAmount does not read the B of "Birr" as billions', () => {
+  assert.equal(AdminSchema.toAmount('1,500 Birr'), 1500);
+  assert.equal(AdminSchema.toAmount('1500Birr'), 1500);
+  assert.equal(AdminSchema.toAmount('2 Birr/m²'), 2);
+  assert.equal(AdminSchema.toAmount('ETB 12,000'), 12000);
+  assert.equal(AdminSchema.toAmount('2M Birr'), 2000000);
+});
+
+test('toAmount returns null when there is no amount', () => {
+  assert.equal(AdminSchema.toAmount('Birr'), null);
+  assert.equal(AdminSchema.toAmount(null), null);
+  assert.equal(AdminSchema.toAmount(undefined), null);
+});
+
+test('migrated invoices keep Birr amounts', () => {
+  const invoice = AdminSchema.normalizeRecord('invoices', { name: 'Abebe', amount: '45,000 Birr' });
+  assert.equal(invoice.amount, 45000);
+  assert.equal(invoice.client, 'Abebe');
+});
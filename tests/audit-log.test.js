@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const SCRIPTS = [
+  'js/config.js',
+  'js/utils/storage.js',
+  'js/utils/auth.js',
+  'js/utils/permissions.js',
+  'js/modules/audit-log.js',
+  'js/modules/rate-library.js'
+];
+
+// User the project dashboard works as, with no signed-in session
+const DASHBOARD_CLIENT = { id: 7, name: 'Ministry of Health', role: 'client', projectIds: ['proj-006'] };
+
+test('actions on the dashboard are attributed to its user', () => {
+  const page = loadScripts(SCRIPTS);
+  page.localStorage.setItem('currentUser', JSON.stringify(DASHBOARD_CLIENT));
+
+  page.RateLibrary.logAction('publish', { id: 'rates-v2', version: 2 });
+
+  const [entry] = page.AuditLog.getAuditLog();
+  assert.equal(entry.action, 'publish');
+  assert.equal(entry.adminId, 7);
+  assert.equal(entry.adminName, 'Ministry of Health');
+});
+
+test('permissions are checked for the dashboard user', () => {
+  const page = loadScripts(SCRIPTS);
+  page.localStorage.setItem('currentUser', JSON.stringify(DASHBOARD_CLIENT));
+
+  const { PermissionUtil } = page;
+  assert.equal(PermissionUtil.can('change-orders:approve', { projectId: 'proj-006' }), true);
+  assert.equal(PermissionUtil.can('change-orders:approve', { projectId: 'proj-001' }), false);
+});
+
+test('an action nobody can be identified for is still recorded', () => {
+  const page = loadScripts(SCRIPTS);
+
+  page.RateLibrary.logAction('create', { id: 'rates-v3', version: 3 });
+
+  const [entry] = page.AuditLog.getAuditLog();
+  assert.equal(entry.targetId, 'rates-v3');
+  assert.equal(entry.adminId, null);
+  assert.equal(entry.adminName, 'Unknown user');
+});
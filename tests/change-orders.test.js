@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const SCRIPTS = [
+  'js/config.js',
+  'js/utils/storage.js',
+  'js/utils/locale.js',
+  'js/modules/project-schedule.js',
+  'js/modules/project-budget.js',
+  'js/modules/change-orders.js'
+];
+
+/**
+ * Page with a project and a submitted change order adding ETB 50,000 and 5 days
+ */
+function pageWithSubmittedOrder() {
+  const page = loadScripts(SCRIPTS);
+  const project = {
+    id: 'proj-001',
+    title: 'Commercial Tower',
+    budget: 1000000,
+    startDate: '2030-01-01',
+    milestones: [
+      { id: 'm1', title: 'Foundation', date: '2030-02-01' },
+      { id: 'm2', title: 'Structure', date: '2030-05-01' }
+    ],
+    updates: []
+  };
+
+  const code = page.ProjectBudget.getControl(project).codes[0].code;
+  const order = page.ChangeOrders.create(project, {
+    title: 'Extra basement level',
+    costImpact: { code, amount: 50000 },
+    scheduleImpact: { taskId: 'm2', days: 5 }
+  });
+  page.ChangeOrders.submit(project, order.id);
+
+  return { page, project, order, code };
+}
+
+function budgetOf(page, project, code) {
+  return page.ProjectBudget.findCode(project, code).budget;
+}
+
+test('a schedule step that fails leaves the budget alone, and a retry applies the cost once', () => {
+  const { page, project, order, code } = pageWithSubmittedOrder();
+  const { ChangeOrders, ProjectSchedule } = page;
+  const budget = budgetOf(page, project, code);
+
+  const applyTaskChanges = ProjectSchedule.applyTaskChanges;
+  ProjectSchedule.applyTaskChanges = () => {
+    throw new Error('Task could not be moved');
+  };
+  assert.throws(() => ChangeOrders.approve(project, order.id), /could not be moved/);
+  ProjectSchedule.applyTaskChanges = applyTaskChanges;
+
+  assert.equal(budgetOf(page, project, code), budget);
+  assert.equal(ChangeOrders.getChangeOrder(project, order.id).status, 'submitted');
+
+  ChangeOrders.approve(project, order.id);
+  assert.equal(budgetOf(page, project, code), budget + 50000);
+  assert.equal(ChangeOrders.getChangeOrder(project, order.id).status, 'approved');
+});
+
+test('a failure after the budget is applied rolls the whole approval back', () => {
+  const { page, project, order, code } = pageWithSubmittedOrder();
+  const { ChangeOrders, ProjectSchedule } = page;
+  ProjectSchedule.captureBaseline(project, 'Contract');
+
+  const before = JSON.stringify(project);
+  const captureBaseline = ProjectSchedule.captureBaseline;
+  ProjectSchedule.captureBaseline = () => {
+    throw new Error('Baseline could not be saved');
+  };
+  assert.throws(() => ChangeOrders.approve(project, order.id), /could not be saved/);
+  ProjectSchedule.captureBaseline = captureBaseline;
+
+  assert.equal(JSON.stringify(project), before);
+
+  const budget = budgetOf(page, project, code);
+  ChangeOrders.approve(project, order.id);
+  assert.equal(budgetOf(page, project, code), budget + 50000);
+});
@@ -0,0 +1,126 @@
+/**
+ * Browser Test Helper
+ * Loads the site's scripts into a fresh sandbox that stands in for a page:
+ * scripts share one global scope as they would with <script> tags, and get an
+ * in-memory LocalStorage plus just enough of `document` to load without a DOM.
+ *
+ * const page = loadScripts(['js/config.js', 'js/modules/admin-schema.js']);
+ * page.AdminSchema.toAmount('15M ETB');
+ * const SyncQueue = lookup(page, 'SyncQueue');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * In-memory Storage with the Web Storage API
+ * @returns {object}
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+    clear: () => { items.clear(); },
+    key: index => Array.from(items.keys())[index] ?? null,
+    get length() {
+      return items.size;
+    }
+  };
+}
+
+function createElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    getAttribute: () => null,
+    appendChild() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    innerHTML: '',
+    textContent: ''
+  };
+}
+
+/**
+ * Load scripts into a new page sandbox
+ * @param {string[]} files - Paths relative to the repository root, in load order
+ * @param {object} globals - Extra globals, e.g. { localStorage } to share storage
+ * @returns {object} - The sandbox's window
+ */
+function loadScripts(files, globals = {}) {
+  const page = {
+    console,
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    document: {
+      readyState: 'loading',
+      body: createElement(),
+      addEventListener() {},
+      removeEventListener() {},
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      createElement
+    },
+    navigator: { onLine: true, language: 'en-US', userAgent: 'node' },
+    location: { href: 'http://localhost/', origin: 'http://localhost', pathname: '/', search: '', hash: '' },
+    crypto: globalThis.crypto,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    alert() {},
+    confirm: () => true,
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() {},
+    setTimeout,
+    clearTimeout,
+    // Polling timers shouldn't keep the test process alive
+    setInterval: (...args) => setInterval(...args).unref(),
+    clearInterval,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Blob,
+    Response,
+    Headers,
+    AbortController,
+    Event,
+    CustomEvent,
+    Intl,
+    atob,
+    btoa,
+    structuredClone,
+    ...globals
+  };
+  page.window = page;
+  page.self = page;
+
+  vm.createContext(page);
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, page, { filename: file });
+  });
+
+  return page;
+}
+
+/**
+ * Read a top-level binding that a script didn't put on window (e.g. a class)
+ * @param {object} page - Sandbox from loadScripts()
+ * @param {string} name - Binding name
+ * @returns {*}
+ */
+function lookup(page, name) {
+  return vm.runInContext(name, page);
+}
+
+module.exports = { loadScripts, lookup, createStorage };
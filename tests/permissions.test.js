@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, lookup } = require('./helpers/browser');
+
+const SCRIPTS = [
+  'js/config.js',
+  'js/utils/storage.js',
+  'js/utils/auth.js',
+  'js/utils/permissions.js',
+  'js/modules/audit-log.js',
+  'js/modules/admin-schema.js',
+  'js/modules/admin-crud.js'
+];
+
+/**
+ * Page with the demo accounts and AdminCRUD's seeded data, signed in as `username`
+ */
+async function signedIn(username, password, seed = null) {
+  const page = loadScripts(SCRIPTS);
+  const AuthUtil = lookup(page, 'AuthUtil');
+  await AuthUtil.initDemoUsers();
+  if (seed) {
+    seed(page);
+  }
+  page.AdminCRUD.init();
+
+  const result = await AuthUtil.loginLocalStorage(username, password);
+  assert.equal(result.success, true, result.message);
+  return page;
+}
+
+test('staff see and update the AdminCRUD projects assigned to them', async () => {
+  const { AdminCRUD } = await signedIn('moti.elias', 'staff123');
+
+  assert.deepEqual([...AdminCRUD.getProjects().map(p => p.name)], ['Addis Ababa Commercial Tower']);
+  assert.deepEqual([...AdminCRUD.getInvoices().map(i => i.project)], ['Commercial Tower']);
+
+  const updated = AdminCRUD.updateProject(1, { progress: 80 });
+  assert.equal(updated.progress, 80);
+
+  const denied = AdminCRUD.updateProject(2, { progress: 50 });
+  assert.equal(denied.success, false);
+  assert.equal(denied.permission, 'projects:update');
+});
+
+test('staff record material prices; clients cannot', async () => {
+  const staff = await signedIn('moti.elias', 'staff123');
+  assert.equal(staff.PermissionUtil.can('materials:update'), true);
+  assert.doesNotThrow(() => staff.PermissionUtil.assert('materials:update'));
+
+  const client = await signedIn('abc.corp', 'client123');
+  assert.equal(client.PermissionUtil.can('materials:update'), false);
+});
+
+test('clients see the projects and invoices of their account', async () => {
+  const { AdminCRUD } = await signedIn('ministry.health', 'client789');
+
+  assert.deepEqual([...AdminCRUD.getProjects().map(p => p.name)], ['Sheger General Hospital']);
+  assert.deepEqual([...AdminCRUD.getInvoices().map(i => i.client)], ['Ministry of Health']);
+});
+
+test('records stored before projects had a shared id are linked on migration', async () => {
+  const { AdminCRUD } = await signedIn('moti.elias', 'staff123', ({ StorageUtil }) => {
+    StorageUtil.set('db_admin_projects', [
+      { id: 1, name: 'Addis Ababa Commercial Tower', client: 'ABC Corporation', budget: '15M ETB' },
+      { id: 2, name: 'Sheger General Hospital', client: 'Ministry of Health', budget: '25M ETB' }
+    ]);
+    StorageUtil.set('db_admin_invoices', [
+      { id: 1, client: 'ABC Corporation', project: 'Commercial Tower', amount: '5,000,000 Birr' },
+      { id: 2, client: 'Ministry of Health', project: 'Sheger Hospital', amount: '8M' }
+    ]);
+  });
+
+  assert.deepEqual([...AdminCRUD.getProjects().map(p => p.projectId)], ['proj-001']);
+  assert.deepEqual([...AdminCRUD.getInvoices().map(i => [i.projectId, i.amount])], [['proj-001', 5000000]]);
+});
+
+test('new projects get a shared id no user is assigned to yet', async () => {
+  const page = await signedIn('admin', 'admin12345');
+  const project = page.AdminCRUD.addProject({ name: 'Bishoftu Villas' });
+  assert.equal(project.projectId, 'proj-013');
+
+  const invoice = page.AdminCRUD.addInvoice({ client: 'ABC', project: 'Bishoftu Villas', amount: 100 });
+  assert.equal(invoice.projectId, 'proj-013');
+});
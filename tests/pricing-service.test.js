@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, lookup, createStorage } = require('./helpers/browser');
+
+const SCRIPTS = [
+  'js/config.js',
+  'js/utils/storage.js',
+  'js/utils/locale.js',
+  'js/modules/rate-library.js',
+  'js/modules/bill-of-quantities.js',
+  'js/modules/pricing-service.js',
+  'js/modules/cost-calculator.js'
+];
+
+const PROJECT = {
+  projectType: 'residential',
+  projectSize: 200,
+  sizeUnit: 'sqm',
+  floors: 2,
+  region: 'addis-ababa',
+  city: 'Addis Ababa',
+  materials: ['steel', 'tiles'],
+  materialIndex: 1
+};
+
+/**
+ * Page whose rate library was saved before versions chose their area pricing
+ */
+function pageWithLegacyRates() {
+  const localStorage = createStorage();
+  const page = loadScripts(SCRIPTS, { localStorage });
+  const tables = page.RateLibrary.getDefaultTables();
+  delete tables.areaPricing;
+
+  localStorage.setItem('db_rate_library', JSON.stringify({
+    versions: [{ id: 'rates-v1', version: 1, status: 'published', effectiveFrom: '2000-01-01', notes: 'Initial rates', tables }]
+  }));
+  return loadScripts(SCRIPTS, { localStorage });
+}
+
+test('a stored per-m² estimate re-prices to its original total', async () => {
+  const page = pageWithLegacyRates();
+  const CostCalculator = lookup(page, 'CostCalculator');
+
+  // 8000 × 1.2 (Addis Ababa) × 1.05 (second floor) × 1.15 (steel, tiles) × 200 m² + 15%
+  const stored = {
+    id: 'EST-1',
+    mode: 'quick',
+    rateVersion: { id: 'rates-v1', version: 1, effectiveFrom: '2000-01-01' },
+    inputs: PROJECT,
+    total: 2666160
+  };
+
+  assert.equal(page.RateLibrary.getVersion('rates-v1').tables.areaPricing, 'per-sqm');
+  const repriced = await CostCalculator.headless().reproduceEstimate(stored);
+  assert.equal(repriced.total, stored.total);
+});
+
+test('versions priced from the BOQ give the itemized total for a quick estimate', async () => {
+  const page = loadScripts(SCRIPTS);
+  const calculator = lookup(page, 'CostCalculator').headless();
+
+  assert.equal(page.RateLibrary.getActiveVersion().tables.areaPricing, 'boq');
+  const quick = await calculator.calculateEstimate({ ...PROJECT });
+  const itemized = await calculator.calculateEstimate({ ...PROJECT, estimateMode: 'boq' });
+  assert.equal(quick.total, itemized.total);
+});
+
+test('a draft copied from a per-m² version can switch to BOQ area pricing', () => {
+  const page = pageWithLegacyRates();
+  const { RateLibrary, PricingService } = page;
+
+  const draft = RateLibrary.createVersion({ basedOn: 'rates-v1' });
+  assert.equal(draft.tables.areaPricing, 'per-sqm');
+  assert.equal(draft.tables.baseCosts.residential, 8000);
+
+  const boq = RateLibrary.updateVersion(draft.id, { tables: { areaPricing: 'boq' } });
+  const expected = new page.BillOfQuantities(PROJECT, 200, boq).calculate().total;
+  assert.equal(PricingService.priceArea(PROJECT, 200, boq).total, expected);
+
+  assert.throws(() => RateLibrary.updateVersion(draft.id, { tables: { areaPricing: 'guess' } }), /Invalid value/);
+});
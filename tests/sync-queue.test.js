@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, lookup } = require('./helpers/browser');
+
+/**
+ * Queue backed by a fake APIService
+ * @param {function} respond - (endpoint, options) => response, or throws
+ */
+function createQueue(respond) {
+  const page = loadScripts(['js/config.js', 'js/utils/storage.js', 'js/utils/sync-queue.js']);
+  const calls = [];
+  const api = {
+    async request(endpoint, options) {
+      calls.push(`${options.method} ${endpoint} ${JSON.stringify(options.body)}`);
+      return respond(endpoint, options);
+    },
+    generateIdempotencyKey: () => Math.random().toString(36).slice(2)
+  };
+  const SyncQueue = lookup(page, 'SyncQueue');
+  const queue = new SyncQueue(api);
+  return { page, queue, calls };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+test('a later update waits while the create before it is backing off', async () => {
+  let createFails = true;
+  const { queue, calls } = createQueue((endpoint, options) => {
+    if (endpoint === 'projects.php' && options.method === 'POST' && createFails) {
+      throw httpError(503, 'Service unavailable');
+    }
+    return { success: true };
+  });
+
+  queue.enqueue({ endpoint: 'projects.php', method: 'POST', body: { name: 'Villa' }, idempotencyKey: 'a' });
+  queue.enqueue({ endpoint: 'projects.php', method: 'PUT', body: { name: 'Villa 2' }, idempotencyKey: 'b' });
+  queue.enqueue({ endpoint: 'quotes.php', method: 'POST', body: { id: 1 }, idempotencyKey: 'c' });
+
+  await queue.flush({ force: true });
+  assert.deepEqual(calls, [
+    'POST projects.php {"name":"Villa"}',
+    'POST quotes.php {"id":1}'
+  ]);
+  assert.equal(queue.getStatus().pending, 2);
+
+  // The create is not due yet, so nothing for projects.php replays
+  calls.length = 0;
+  await queue.flush();
+  assert.deepEqual(calls, []);
+
+  createFails = false;
+  calls.length = 0;
+  await queue.flush({ force: true });
+  assert.deepEqual(calls, [
+    'POST projects.php {"name":"Villa"}',
+    'PUT projects.php {"name":"Villa 2"}'
+  ]);
+  assert.equal(queue.getStatus().pending, 0);
+});
+
+test('a 401 pauses the queue instead of failing the item', async () => {
+  let signedIn = false;
+  const { page, queue, calls } = createQueue(() => {
+    if (!signedIn) {
+      throw httpError(401, 'Session expired');
+    }
+    return { success: true };
+  });
+  page.StorageUtil.set(page.CONFIG.STORAGE_KEYS.AUTH_TOKEN, 'expired-token');
+
+  const unauthorized = [];
+  queue.on('unauthorized', item => unauthorized.push(item.endpoint));
+
+  queue.enqueue({ endpoint: 'projects.php', method: 'POST', body: { name: 'Villa' }, idempotencyKey: 'a' });
+  queue.enqueue({ endpoint: 'quotes.php', method: 'POST', body: { id: 1 }, idempotencyKey: 'b' });
+
+  await queue.flush({ force: true });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(unauthorized, ['projects.php']);
+  assert.equal(queue.getFailed().length, 0);
+  assert.equal(queue.getStatus().pending, 2);
+  assert.equal(queue.getStatus().authRequired, true);
+
+  // Still the same token: stay paused
+  await queue.flush({ force: true });
+  assert.equal(calls.length, 1);
+
+  // Signed in again
+  signedIn = true;
+  page.StorageUtil.set(page.CONFIG.STORAGE_KEYS.AUTH_TOKEN, 'new-token');
+  await queue.flush({ force: true });
+  assert.equal(queue.getStatus().pending, 0);
+  assert.equal(queue.getStatus().authRequired, false);
+});